@@ -1,3 +1,5 @@
+import { SITE_PROFILES } from '../utils/siteProfiles.js';
+
 export const createTables = (db) => {
   console.log('🔄 Initializing database schema...');
 
@@ -8,7 +10,7 @@ export const createTables = (db) => {
   };
 
   // Check existing tables
-  const tables = ['slates', 'players', 'lineups', 'lineup_players', 'chat_sessions', 'chat_messages', 'team_defense_rankings', 'team_defense_vs_position', 'historical_games'];
+  const tables = ['slates', 'players', 'lineups', 'lineup_players', 'lineup_versions', 'portfolios', 'portfolio_lineups', 'injury_swaps', 'chat_sessions', 'chat_messages', 'team_defense_rankings', 'team_defense_vs_position', 'historical_games', 'player_correlations', 'dk_entries', 'contest_results', 'contest_result_entries', 'actual_ownership', 'ownership_samples', 'ownership_models', 'optimizer_runs', 'projection_backtests', 'projection_params'];
   const existingTables = tables.filter(t => tableExists(t));
   const newTables = tables.filter(t => !tableExists(t));
 
@@ -97,8 +99,20 @@ export const createTables = (db) => {
     { name: 'fppm', type: 'REAL' },                     // Weighted fantasy points per minute
     { name: 'leverage_score', type: 'REAL' },           // GPP leverage (boom prob / ownership)
     { name: 'blowout_risk', type: 'REAL' },             // Blowout risk adjustment
-    { name: 'std_dev', type: 'REAL' },                  // Standard deviation of recent games
-    { name: 'rotowire_projection', type: 'REAL' }       // Original RotoWire projection (baseline)
+    { name: 'std_dev', type: 'REAL' },                  // Standard deviation of the outcome distribution
+    { name: 'rotowire_projection', type: 'REAL' },      // Original RotoWire projection (baseline)
+    { name: 'game_start_time', type: 'TEXT' },          // Tip-off time (ISO) for late swap
+    { name: 'captain_salary', type: 'INTEGER' },        // Showdown CPT salary (1.5x FLEX)
+    { name: 'site_player_id', type: 'TEXT' },           // DraftKings/FanDuel player ID for bulk upload
+    { name: 'captain_site_player_id', type: 'TEXT' },   // Showdown CPT has its own DraftKings ID
+    { name: 'projected_ownership', type: 'REAL' },      // In-house ownership projection % (services/ownershipService.js)
+    // Outcome distribution percentiles (services/outcomeDistributionService.js)
+    { name: 'p10', type: 'REAL' },
+    { name: 'p25', type: 'REAL' },
+    { name: 'p50', type: 'REAL' },
+    { name: 'p75', type: 'REAL' },
+    { name: 'p90', type: 'REAL' },
+    { name: 'p99', type: 'REAL' }
   ];
 
   columnsToAdd.forEach(({ name, type }) => {
@@ -109,6 +123,21 @@ export const createTables = (db) => {
     }
   });
 
+  // Add slate columns if they don't exist (for existing databases)
+  const slateColumnsToAdd = [
+    { name: 'contest_type', type: "TEXT DEFAULT 'Classic'" },   // 'Classic' or 'Showdown'
+    { name: 'salary_cap', type: 'INTEGER' },
+    { name: 'site', type: "TEXT DEFAULT 'DK'" }                 // 'DK' or 'FD' (utils/siteProfiles.js)
+  ];
+
+  slateColumnsToAdd.forEach(({ name, type }) => {
+    try {
+      db.exec(`ALTER TABLE slates ADD COLUMN ${name} ${type}`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+  });
+
   // Lineups table - stores user-created lineups
   db.exec(`
     CREATE TABLE IF NOT EXISTS lineups (
@@ -123,6 +152,13 @@ export const createTables = (db) => {
     )
   `);
 
+  // Optimizer mode a lineup was built with ('cash' / 'gpp', NULL for manual lineups)
+  try {
+    db.exec(`ALTER TABLE lineups ADD COLUMN optimizer_mode TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
   // Lineup players - junction table for lineups and players
   db.exec(`
     CREATE TABLE IF NOT EXISTS lineup_players (
@@ -135,6 +171,70 @@ export const createTables = (db) => {
     )
   `);
 
+  // Lineup versions - immutable copy of a lineup after every change
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lineup_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lineup_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      reason TEXT,                      -- 'created', 'updated', 'late swap', 'restored v2', ...
+      name TEXT,
+      total_salary INTEGER,
+      projected_points REAL,
+      players_json TEXT NOT NULL,       -- [{ slot, playerId, name, salary, projectedPoints, injuryStatus, ... }] as of this version
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(lineup_id, version),
+      FOREIGN KEY (lineup_id) REFERENCES lineups(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Portfolios - named sets of lineups entered together ("20-max GPP set A", "cash 3-pack")
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS portfolios (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slate_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      optimizer_mode TEXT,              -- 'cash' / 'gpp' when built by the optimizer
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (slate_id) REFERENCES slates(slate_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Portfolio lineups - a lineup can be in more than one portfolio
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS portfolio_lineups (
+      portfolio_id INTEGER NOT NULL,
+      lineup_id INTEGER NOT NULL,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (portfolio_id, lineup_id),
+      FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+      FOREIGN KEY (lineup_id) REFERENCES lineups(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Injury swaps - log of OUT/Doubtful players swapped out of saved lineups after a re-sync
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS injury_swaps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slate_id TEXT NOT NULL,
+      lineup_id INTEGER NOT NULL,
+      lineup_version INTEGER,           -- lineup_versions.version written by the swap
+      position_slot TEXT NOT NULL,
+      player_out_id INTEGER,
+      player_out_name TEXT NOT NULL,
+      injury_status TEXT,               -- Status that triggered the swap ('OUT' or 'Doubtful')
+      player_in_id INTEGER,
+      player_in_name TEXT NOT NULL,
+      projection_change REAL,           -- Incoming minus outgoing projection (Captain multiplier applied)
+      salary_change INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (slate_id) REFERENCES slates(slate_id) ON DELETE CASCADE,
+      FOREIGN KEY (lineup_id) REFERENCES lineups(id) ON DELETE CASCADE
+    )
+  `);
+
   // Chat sessions - stores AI chat conversations
   db.exec(`
     CREATE TABLE IF NOT EXISTS chat_sessions (
@@ -245,8 +345,9 @@ export const createTables = (db) => {
       off_rtg REAL,       -- Offensive Rating
       def_rtg REAL,       -- Defensive Rating
       bpm REAL,           -- Box Plus/Minus
-      -- Calculated DraftKings fantasy points
+      -- Calculated DraftKings / FanDuel fantasy points
       dk_fantasy_points REAL,
+      fd_fantasy_points REAL,
       -- Context data (for ML features)
       rest_days INTEGER,
       is_back_to_back INTEGER DEFAULT 0,
@@ -256,6 +357,219 @@ export const createTables = (db) => {
     )
   `);
 
+  // FanDuel points for games synced before FanDuel support
+  try {
+    db.exec(`ALTER TABLE historical_games ADD COLUMN fd_fantasy_points REAL`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // FanDuel scoring has no bonuses, so the backfill is a straight weighted sum
+  const fd = SITE_PROFILES.FD.scoring;
+  const backfilled = db.prepare(`
+    UPDATE historical_games
+    SET fd_fantasy_points = ROUND(
+      COALESCE(points, 0) * ${fd.points} + COALESCE(fg3_made, 0) * ${fd.fg3_made} +
+      COALESCE(rebounds, 0) * ${fd.rebounds} + COALESCE(assists, 0) * ${fd.assists} +
+      COALESCE(steals, 0) * ${fd.steals} + COALESCE(blocks, 0) * ${fd.blocks} +
+      COALESCE(turnovers, 0) * ${fd.turnovers}, 1)
+    WHERE fd_fantasy_points IS NULL
+  `).run();
+  if (backfilled.changes > 0) {
+    console.log(`⚡ Backfilled FanDuel points for ${backfilled.changes} historical game(s)`);
+  }
+
+  // Player correlations - cached DK point correlations computed from historical_games
+  // pair_type 'player' rows belong to a team; 'position' rows are league-wide priors (team = 'LEAGUE')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS player_correlations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team TEXT NOT NULL,
+      team_b TEXT,
+      pair_type TEXT NOT NULL,          -- 'player' or 'position'
+      relationship TEXT NOT NULL,       -- 'teammate' or 'opponent'
+      player_a TEXT NOT NULL,           -- Player name (or position for priors)
+      player_b TEXT NOT NULL,
+      position_pair TEXT,               -- e.g. 'PG-C'
+      games INTEGER,
+      raw_correlation REAL,
+      prior REAL,
+      correlation REAL,                 -- Raw correlation shrunk toward the prior
+      data_through DATE,                -- Latest historical game included
+      computed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // DraftKings contest entries - imported from DK's entries CSV, filled with our lineups
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dk_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slate_id TEXT NOT NULL,
+      entry_id TEXT NOT NULL UNIQUE,    -- DK Entry ID
+      contest_name TEXT,
+      contest_id TEXT NOT NULL,
+      entry_fee TEXT,                   -- As written by DK (e.g. '$20')
+      lineup_id INTEGER,                -- Saved lineup assigned to the entry
+      lineup_source TEXT,               -- 'saved' or 'generated'
+      lineup_label TEXT,
+      players_json TEXT,                -- [{ slot, playerId }] of the assigned lineup
+      assigned_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (slate_id) REFERENCES slates(slate_id) ON DELETE CASCADE,
+      FOREIGN KEY (lineup_id) REFERENCES lineups(id) ON DELETE SET NULL
+    )
+  `);
+
+  try {
+    db.exec(`ALTER TABLE dk_entries ADD COLUMN optimizer_mode TEXT`);
+  } catch (e) {
+    // Column already exists, ignore
+  }
+
+  // Contest results - one row per DraftKings contest we imported standings for
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contest_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slate_id TEXT NOT NULL,
+      contest_id TEXT NOT NULL UNIQUE,
+      contest_name TEXT,
+      contest_type TEXT,                -- 'gpp', 'double-up', '50/50' or 'h2h'
+      entry_fee REAL DEFAULT 0,
+      field_size INTEGER,
+      winning_score REAL,
+      cash_line REAL,                   -- Lowest score that won money (when payouts are known)
+      imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (slate_id) REFERENCES slates(slate_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Our entries in a contest, matched to saved lineups or imported entries
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contest_result_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contest_result_id INTEGER NOT NULL,
+      entry_id TEXT NOT NULL,
+      entry_name TEXT,
+      rank INTEGER,
+      points REAL,
+      payout REAL DEFAULT 0,
+      lineup_id INTEGER,                -- Matched saved lineup
+      lineup_label TEXT,
+      optimizer_mode TEXT,              -- 'cash' / 'gpp' / NULL (manual or unknown)
+      matched_by TEXT,                  -- 'entry' (imported DK entry) or 'players' (same player set)
+      lineup_text TEXT,                 -- Lineup as written in the standings file
+      FOREIGN KEY (contest_result_id) REFERENCES contest_results(id) ON DELETE CASCADE,
+      FOREIGN KEY (lineup_id) REFERENCES lineups(id) ON DELETE SET NULL,
+      UNIQUE(contest_result_id, entry_id)
+    )
+  `);
+
+  // Actual ownership from contest standings (%Drafted)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS actual_ownership (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contest_result_id INTEGER NOT NULL,
+      slate_id TEXT NOT NULL,
+      player_name TEXT NOT NULL,
+      roster_position TEXT,             -- 'CPT' rows are Showdown captain ownership
+      ownership REAL,                   -- Percent of the field (0-100)
+      actual_points REAL,
+      player_id INTEGER,                -- Matched slate player (players.id)
+      FOREIGN KEY (contest_result_id) REFERENCES contest_results(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Ownership training samples - every slate player with the field's actual ownership.
+  // No slate foreign key so samples outlive the slate (the pool is cleared on sync).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ownership_samples (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slate_id TEXT NOT NULL,
+      site TEXT,
+      contest_type TEXT,
+      player_name TEXT NOT NULL,
+      salary INTEGER,
+      features_json TEXT NOT NULL,      -- Model inputs at import time (see ownershipService.getFeatures)
+      actual_ownership REAL NOT NULL,   -- Average %Drafted across imported contests (0 if undrafted)
+      rotowire_ownership REAL,          -- RotoWire's rostership at import time
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(slate_id, player_name)
+    )
+  `);
+
+  // Trained ownership models - the newest row is the one in use
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ownership_models (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      params_json TEXT NOT NULL,        -- { features, intercept, weights, means, stds, temperature }
+      sample_count INTEGER,
+      slate_count INTEGER,
+      mae REAL,                         -- Mean absolute error (ownership points) on the training slates
+      rotowire_mae REAL,                -- RotoWire's error on the same players
+      correlation REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Optimizer run history - settings, seed and pool hash to reproduce a build.
+  // No slate foreign key so history outlives the slate (the pool is cleared on sync).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS optimizer_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slate_id TEXT NOT NULL,
+      site TEXT,
+      contest_type TEXT,
+      mode TEXT,                        -- 'cash' | 'gpp'
+      seed INTEGER NOT NULL,            -- Seeds the projection variance (and the contest sim)
+      pool_hash TEXT NOT NULL,          -- SHA-256 of the player pool the optimizer saw
+      settings_json TEXT NOT NULL,      -- Request settings as sent, with the resolved contest type, site and seed
+      lineups_json TEXT NOT NULL,       -- [{ lineupNumber, players: [{ slot, playerId, name, ... }], ... }]
+      exposure_json TEXT,               -- getExposureStats() output (NULL for single-lineup runs)
+      lineup_count INTEGER,
+      avg_projection REAL,
+      execution_time REAL,              -- Seconds
+      rerun_of INTEGER,                 -- optimizer_runs.id this run repeated
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Projection backtests - calculateEnhancedProjection replayed over historical_games dates
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS projection_backtests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date_from DATE,
+      date_to DATE,
+      dates_tested INTEGER NOT NULL,
+      player_games INTEGER NOT NULL,    -- Projections scored against actual DK points
+      mae REAL,
+      rmse REAL,
+      bias REAL,                        -- Mean projected − actual
+      settings_json TEXT,               -- { from, to, minMinutes, maxDates }
+      report_json TEXT NOT NULL,        -- Overall, calibration, salary tier, position and per-adjustment breakdowns
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Projection parameter sets - blend weights and adjustment coefficients fitted by
+  // the calibration job (services/calibrationService.js); one row is active at a time
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS projection_params (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      params_json TEXT NOT NULL,        -- utils/projectionParams.js shape
+      source TEXT NOT NULL,             -- 'default' (hand-set values) | 'fit'
+      is_active INTEGER DEFAULT 0,
+      replaced_id INTEGER,              -- Set that was active before this one (rollback target)
+      train_from DATE,
+      train_to DATE,
+      samples INTEGER,                  -- Player-games the fit used
+      oos_mae REAL,                     -- Walk-forward out-of-sample MAE
+      baseline_oos_mae REAL,            -- Same folds with the set active at fit time
+      fit_json TEXT,                    -- { settings, folds: [{ trainFrom, trainTo, testFrom, testTo, samples, mae, baselineMae }] }
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      activated_at DATETIME
+    )
+  `);
+
   // Create indexes for better query performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_players_slate_id ON players(slate_id);
@@ -263,14 +577,25 @@ export const createTables = (db) => {
     CREATE INDEX IF NOT EXISTS idx_players_salary ON players(salary);
     CREATE INDEX IF NOT EXISTS idx_lineups_slate_id ON lineups(slate_id);
     CREATE INDEX IF NOT EXISTS idx_lineup_players_lineup_id ON lineup_players(lineup_id);
+    CREATE INDEX IF NOT EXISTS idx_portfolios_slate_id ON portfolios(slate_id);
+    CREATE INDEX IF NOT EXISTS idx_portfolio_lineups_lineup_id ON portfolio_lineups(lineup_id);
+    CREATE INDEX IF NOT EXISTS idx_injury_swaps_slate_id ON injury_swaps(slate_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id);
     CREATE INDEX IF NOT EXISTS idx_chat_sessions_slate_id ON chat_sessions(slate_id);
     CREATE INDEX IF NOT EXISTS idx_historical_player_name ON historical_games(player_name);
     CREATE INDEX IF NOT EXISTS idx_historical_game_date ON historical_games(game_date);
     CREATE INDEX IF NOT EXISTS idx_historical_season ON historical_games(season);
     CREATE INDEX IF NOT EXISTS idx_historical_team ON historical_games(team);
+    CREATE INDEX IF NOT EXISTS idx_historical_team_date ON historical_games(team, game_date);
     CREATE INDEX IF NOT EXISTS idx_historical_opponent ON historical_games(opponent);
     CREATE INDEX IF NOT EXISTS idx_historical_usg_pct ON historical_games(usg_pct);
+    CREATE INDEX IF NOT EXISTS idx_player_correlations_team ON player_correlations(team, pair_type);
+    CREATE INDEX IF NOT EXISTS idx_player_correlations_players ON player_correlations(player_a, player_b);
+    CREATE INDEX IF NOT EXISTS idx_dk_entries_slate_contest ON dk_entries(slate_id, contest_id);
+    CREATE INDEX IF NOT EXISTS idx_contest_results_slate ON contest_results(slate_id);
+    CREATE INDEX IF NOT EXISTS idx_contest_result_entries_contest ON contest_result_entries(contest_result_id);
+    CREATE INDEX IF NOT EXISTS idx_actual_ownership_slate ON actual_ownership(slate_id, player_name);
+    CREATE INDEX IF NOT EXISTS idx_optimizer_runs_slate ON optimizer_runs(slate_id, created_at);
   `);
 
   if (newTables.length > 0) {
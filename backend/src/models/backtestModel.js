@@ -0,0 +1,56 @@
+import db from '../config/database.js';
+
+class BacktestModel {
+  create(backtestData) {
+    const stmt = db.prepare(`
+      INSERT INTO projection_backtests (
+        date_from, date_to, dates_tested, player_games, mae, rmse, bias, settings_json, report_json
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      backtestData.dateFrom || null,
+      backtestData.dateTo || null,
+      backtestData.datesTested,
+      backtestData.playerGames,
+      backtestData.mae ?? null,
+      backtestData.rmse ?? null,
+      backtestData.bias ?? null,
+      JSON.stringify(backtestData.settings || {}),
+      JSON.stringify(backtestData.report)
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Backtests newest first, without the report JSON
+   */
+  getAll(limit = 50) {
+    return db.prepare(`
+      SELECT id, date_from, date_to, dates_tested, player_games, mae, rmse, bias, settings_json, created_at
+      FROM projection_backtests
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).all(limit).map(({ settings_json, ...row }) => ({ ...row, settings: JSON.parse(settings_json || '{}') }));
+  }
+
+  getById(id) {
+    const row = db.prepare(`SELECT * FROM projection_backtests WHERE id = ?`).get(id);
+    if (!row) return null;
+
+    const { settings_json, report_json, ...rest } = row;
+    return {
+      ...rest,
+      settings: JSON.parse(settings_json || '{}'),
+      report: JSON.parse(report_json)
+    };
+  }
+
+  delete(id) {
+    return db.prepare(`DELETE FROM projection_backtests WHERE id = ?`).run(id);
+  }
+}
+
+export default new BacktestModel();
@@ -0,0 +1,98 @@
+import db from '../config/database.js';
+
+class EntryModel {
+  /**
+   * Store entries from a DK entries CSV (re-importing keeps existing assignments)
+   * @param {Array} entries - [{ entryId, contestName, contestId, entryFee }]
+   */
+  bulkUpsert(slateId, entries) {
+    const stmt = db.prepare(`
+      INSERT INTO dk_entries (slate_id, entry_id, contest_name, contest_id, entry_fee)
+      VALUES (@slateId, @entryId, @contestName, @contestId, @entryFee)
+      ON CONFLICT(entry_id) DO UPDATE SET
+        slate_id = excluded.slate_id,
+        contest_name = excluded.contest_name,
+        contest_id = excluded.contest_id,
+        entry_fee = excluded.entry_fee
+    `);
+
+    const upsertMany = db.transaction((rows) => {
+      for (const entry of rows) {
+        stmt.run({
+          slateId,
+          entryId: entry.entryId,
+          contestName: entry.contestName || null,
+          contestId: entry.contestId,
+          entryFee: entry.entryFee || null
+        });
+      }
+    });
+
+    upsertMany(entries);
+  }
+
+  getBySlateId(slateId) {
+    const stmt = db.prepare(`
+      SELECT * FROM dk_entries
+      WHERE slate_id = ?
+      ORDER BY contest_id, entry_id
+    `);
+    return stmt.all(slateId);
+  }
+
+  /**
+   * Write lineup assignments
+   * @param {Array} assignments - [{ entryId, lineupId, source, label, optimizerMode, players: [{ slot, playerId }] }]
+   */
+  assign(assignments) {
+    const stmt = db.prepare(`
+      UPDATE dk_entries SET
+        lineup_id = @lineupId,
+        lineup_source = @source,
+        lineup_label = @label,
+        players_json = @playersJson,
+        optimizer_mode = @optimizerMode,
+        assigned_at = CURRENT_TIMESTAMP
+      WHERE entry_id = @entryId
+    `);
+
+    const assignMany = db.transaction((rows) => {
+      for (const row of rows) {
+        stmt.run({
+          entryId: row.entryId,
+          lineupId: row.lineupId || null,
+          source: row.source,
+          label: row.label,
+          playersJson: JSON.stringify(row.players),
+          optimizerMode: row.optimizerMode || null
+        });
+      }
+    });
+
+    assignMany(assignments);
+  }
+
+  clearAssignments(slateId, contestIds = null) {
+    let query = `
+      UPDATE dk_entries SET
+        lineup_id = NULL, lineup_source = NULL, lineup_label = NULL, players_json = NULL,
+        optimizer_mode = NULL, assigned_at = NULL
+      WHERE slate_id = ?
+    `;
+    const params = [slateId];
+
+    if (contestIds && contestIds.length > 0) {
+      query += ` AND contest_id IN (${contestIds.map(() => '?').join(',')})`;
+      params.push(...contestIds);
+    }
+
+    return db.prepare(query).run(...params);
+  }
+
+  deleteBySlateId(slateId) {
+    const stmt = db.prepare(`DELETE FROM dk_entries WHERE slate_id = ?`);
+    return stmt.run(slateId);
+  }
+}
+
+export default new EntryModel();
@@ -0,0 +1,53 @@
+import db from '../config/database.js';
+
+class InjurySwapModel {
+  create(swapData) {
+    const stmt = db.prepare(`
+      INSERT INTO injury_swaps (
+        slate_id, lineup_id, lineup_version, position_slot,
+        player_out_id, player_out_name, injury_status,
+        player_in_id, player_in_name, projection_change, salary_change
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      swapData.slateId,
+      swapData.lineupId,
+      swapData.lineupVersion || null,
+      swapData.positionSlot,
+      swapData.playerOutId,
+      swapData.playerOutName,
+      swapData.injuryStatus || null,
+      swapData.playerInId,
+      swapData.playerInName,
+      swapData.projectionChange,
+      swapData.salaryChange
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  getAll(slateId = null, limit = 200) {
+    let query = `
+      SELECT
+        s.*,
+        l.name as lineup_name
+      FROM injury_swaps s
+      LEFT JOIN lineups l ON s.lineup_id = l.id
+    `;
+
+    const params = [];
+    if (slateId) {
+      query += ` WHERE s.slate_id = ?`;
+      params.push(slateId);
+    }
+
+    query += ` ORDER BY s.created_at DESC, s.id DESC LIMIT ?`;
+    params.push(limit);
+
+    return db.prepare(query).all(...params);
+  }
+}
+
+export default new InjurySwapModel();
@@ -3,15 +3,16 @@ import db from '../config/database.js';
 class LineupModel {
   create(lineupData) {
     const stmt = db.prepare(`
-      INSERT INTO lineups (slate_id, name, total_salary, projected_points)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO lineups (slate_id, name, total_salary, projected_points, optimizer_mode)
+      VALUES (?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
       lineupData.slateId,
       lineupData.name,
       lineupData.totalSalary,
-      lineupData.projectedPoints
+      lineupData.projectedPoints,
+      lineupData.optimizerMode || null
     );
 
     return result.lastInsertRowid;
@@ -32,6 +33,27 @@ class LineupModel {
     insertMany(players);
   }
 
+  /**
+   * Swap a lineup's players - call update() afterwards to record the new version
+   */
+  replacePlayers(lineupId, players) {
+    const deletePlayers = db.prepare(`DELETE FROM lineup_players WHERE lineup_id = ?`);
+    const insertPlayer = db.prepare(`
+      INSERT INTO lineup_players (lineup_id, player_id, position_slot)
+      VALUES (?, ?, ?)
+    `);
+
+    const replaceAll = db.transaction((playersData) => {
+      this.ensureBaseVersion(lineupId);
+      deletePlayers.run(lineupId);
+      for (const player of playersData) {
+        insertPlayer.run(lineupId, player.playerId, player.positionSlot);
+      }
+    });
+
+    replaceAll(players);
+  }
+
   getAll(slateId = null) {
     let query = `
       SELECT
@@ -73,19 +95,99 @@ class LineupModel {
     return lineup;
   }
 
-  update(id, lineupData) {
+  /**
+   * Update a lineup and record the result as a new version
+   * @param {string} reason - Why it changed ('updated', 'late swap', 'restored v2', ...)
+   */
+  update(id, lineupData, reason = 'updated') {
     const stmt = db.prepare(`
       UPDATE lineups
       SET name = ?, total_salary = ?, projected_points = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `);
 
-    return stmt.run(
-      lineupData.name,
-      lineupData.totalSalary,
-      lineupData.projectedPoints,
-      id
-    );
+    const updateAndRecord = db.transaction(() => {
+      this.ensureBaseVersion(id);
+      const result = stmt.run(
+        lineupData.name,
+        lineupData.totalSalary,
+        lineupData.projectedPoints,
+        id
+      );
+      this.recordVersion(id, reason);
+      return result;
+    });
+
+    return updateAndRecord();
+  }
+
+  /**
+   * Store the lineup as it is now as its next version, with each player's
+   * salary and projection at this moment
+   * @returns {number|null} Version number
+   */
+  recordVersion(lineupId, reason) {
+    const lineup = this.getById(lineupId);
+    if (!lineup) return null;
+
+    const { next } = db.prepare(`
+      SELECT COALESCE(MAX(version), 0) + 1 as next FROM lineup_versions WHERE lineup_id = ?
+    `).get(lineupId);
+
+    const players = lineup.players.map(player => ({
+      slot: player.position_slot,
+      playerId: player.id,
+      name: player.name,
+      team: player.team,
+      position: player.position,
+      salary: player.salary,
+      captainSalary: player.captain_salary,
+      projectedPoints: player.projected_points,
+      projectedMinutes: player.projected_minutes,
+      injuryStatus: player.injury_status,
+      rostership: player.rostership
+    }));
+
+    db.prepare(`
+      INSERT INTO lineup_versions (lineup_id, version, reason, name, total_salary, projected_points, players_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(lineupId, next, reason, lineup.name, lineup.total_salary, lineup.projected_points, JSON.stringify(players));
+
+    return next;
+  }
+
+  /**
+   * Lineups saved before versioning get their current state as version 1
+   * before their first change
+   */
+  ensureBaseVersion(lineupId) {
+    const existing = db.prepare(`SELECT 1 FROM lineup_versions WHERE lineup_id = ? LIMIT 1`).get(lineupId);
+    if (!existing) this.recordVersion(lineupId, 'created');
+  }
+
+  getVersions(lineupId) {
+    const stmt = db.prepare(`
+      SELECT * FROM lineup_versions
+      WHERE lineup_id = ?
+      ORDER BY version DESC
+    `);
+    return stmt.all(lineupId).map(row => this.parseVersion(row));
+  }
+
+  getVersion(lineupId, version) {
+    const stmt = db.prepare(`SELECT * FROM lineup_versions WHERE lineup_id = ? AND version = ?`);
+    const row = stmt.get(lineupId, version);
+    return row ? this.parseVersion(row) : null;
+  }
+
+  getLatestVersion(lineupId) {
+    const stmt = db.prepare(`SELECT * FROM lineup_versions WHERE lineup_id = ? ORDER BY version DESC LIMIT 1`);
+    const row = stmt.get(lineupId);
+    return row ? this.parseVersion(row) : null;
+  }
+
+  parseVersion({ players_json, ...row }) {
+    return { ...row, players: JSON.parse(players_json) };
   }
 
   delete(id) {
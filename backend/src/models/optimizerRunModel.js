@@ -0,0 +1,73 @@
+import db from '../config/database.js';
+
+class OptimizerRunModel {
+  create(runData) {
+    const stmt = db.prepare(`
+      INSERT INTO optimizer_runs (
+        slate_id, site, contest_type, mode, seed, pool_hash,
+        settings_json, lineups_json, exposure_json,
+        lineup_count, avg_projection, execution_time, rerun_of
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      runData.slateId,
+      runData.site || null,
+      runData.contestType || null,
+      runData.mode || null,
+      runData.seed,
+      runData.poolHash,
+      JSON.stringify(runData.settings),
+      JSON.stringify(runData.lineups),
+      runData.exposureStats ? JSON.stringify(runData.exposureStats) : null,
+      runData.lineups.length,
+      runData.avgProjection ?? null,
+      runData.executionTime ?? null,
+      runData.rerunOf || null
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Runs newest first, without the settings/lineup JSON
+   */
+  getAll(slateId = null, limit = 50) {
+    let query = `
+      SELECT id, slate_id, site, contest_type, mode, seed, pool_hash,
+        lineup_count, avg_projection, execution_time, rerun_of, created_at
+      FROM optimizer_runs
+    `;
+
+    const params = [];
+    if (slateId) {
+      query += ` WHERE slate_id = ?`;
+      params.push(slateId);
+    }
+
+    query += ` ORDER BY created_at DESC, id DESC LIMIT ?`;
+    params.push(limit);
+
+    return db.prepare(query).all(...params);
+  }
+
+  getById(id) {
+    const row = db.prepare(`SELECT * FROM optimizer_runs WHERE id = ?`).get(id);
+    if (!row) return null;
+
+    const { settings_json, lineups_json, exposure_json, ...rest } = row;
+    return {
+      ...rest,
+      settings: JSON.parse(settings_json),
+      lineups: JSON.parse(lineups_json),
+      exposureStats: exposure_json ? JSON.parse(exposure_json) : null
+    };
+  }
+
+  delete(id) {
+    return db.prepare(`DELETE FROM optimizer_runs WHERE id = ?`).run(id);
+  }
+}
+
+export default new OptimizerRunModel();
@@ -0,0 +1,69 @@
+import db from '../config/database.js';
+
+class OwnershipModel {
+  /**
+   * Replace a slate's training samples
+   * @param {Array} samples - [{ playerName, salary, features, actualOwnership, rotowireOwnership }]
+   */
+  replaceSamples(slateId, { site, contestType }, samples) {
+    const deleteStmt = db.prepare(`DELETE FROM ownership_samples WHERE slate_id = ?`);
+    const insertStmt = db.prepare(`
+      INSERT OR REPLACE INTO ownership_samples (
+        slate_id, site, contest_type, player_name, salary, features_json, actual_ownership, rotowire_ownership
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const replaceAll = db.transaction(() => {
+      deleteStmt.run(slateId);
+      for (const sample of samples) {
+        insertStmt.run(
+          slateId,
+          site || null,
+          contestType || null,
+          sample.playerName,
+          sample.salary,
+          JSON.stringify(sample.features),
+          sample.actualOwnership,
+          sample.rotowireOwnership ?? null
+        );
+      }
+    });
+
+    replaceAll();
+    return samples.length;
+  }
+
+  getSamples() {
+    const stmt = db.prepare(`SELECT * FROM ownership_samples ORDER BY slate_id, id`);
+    return stmt.all().map(({ features_json, ...row }) => ({ ...row, features: JSON.parse(features_json) }));
+  }
+
+  saveModel(modelData) {
+    const stmt = db.prepare(`
+      INSERT INTO ownership_models (params_json, sample_count, slate_count, mae, rotowire_mae, correlation)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      JSON.stringify(modelData.params),
+      modelData.sampleCount,
+      modelData.slateCount,
+      modelData.mae,
+      modelData.rotowireMae ?? null,
+      modelData.correlation ?? null
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  getLatestModel() {
+    const row = db.prepare(`SELECT * FROM ownership_models ORDER BY id DESC LIMIT 1`).get();
+    if (!row) return null;
+
+    const { params_json, ...rest } = row;
+    return { ...rest, params: JSON.parse(params_json) };
+  }
+}
+
+export default new OwnershipModel();
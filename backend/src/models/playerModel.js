@@ -84,9 +84,9 @@ class PlayerModel {
         vegas_implied_total, vegas_spread, vegas_over_under, vegas_win_prob, rostership, headshot,
         dvp_pts_allowed, opp_def_eff,
         floor, ceiling, volatility, boom_probability, bust_probability, fppm, leverage_score, blowout_risk, std_dev,
-        raw_data
+        game_start_time, captain_salary, site_player_id, captain_site_player_id, raw_data
       )
-      VALUES (@slateId, @playerId, @name, @team, @opponent, @position, @salary, @projectedPoints, @projectedMinutes, @value, @valueGpp, @gameInfo, @injuryStatus, @per, @usage, @restDays, @fptsLast3, @fptsLast5, @fptsLast7, @fptsLast14, @vegasImpliedTotal, @vegasSpread, @vegasOverUnder, @vegasWinProb, @rostership, @headshot, @dvpPtsAllowed, @oppDefEff, @floor, @ceiling, @volatility, @boomProbability, @bustProbability, @fppm, @leverageScore, @blowoutRisk, @stdDev, @rawData)
+      VALUES (@slateId, @playerId, @name, @team, @opponent, @position, @salary, @projectedPoints, @projectedMinutes, @value, @valueGpp, @gameInfo, @injuryStatus, @per, @usage, @restDays, @fptsLast3, @fptsLast5, @fptsLast7, @fptsLast14, @vegasImpliedTotal, @vegasSpread, @vegasOverUnder, @vegasWinProb, @rostership, @headshot, @dvpPtsAllowed, @oppDefEff, @floor, @ceiling, @volatility, @boomProbability, @bustProbability, @fppm, @leverageScore, @blowoutRisk, @stdDev, @gameStartTime, @captainSalary, @sitePlayerId, @captainSitePlayerId, @rawData)
       ON CONFLICT(slate_id, player_id) DO UPDATE SET
         name = excluded.name,
         team = excluded.team,
@@ -123,6 +123,10 @@ class PlayerModel {
         leverage_score = excluded.leverage_score,
         blowout_risk = excluded.blowout_risk,
         std_dev = excluded.std_dev,
+        game_start_time = excluded.game_start_time,
+        captain_salary = excluded.captain_salary,
+        site_player_id = excluded.site_player_id,
+        captain_site_player_id = excluded.captain_site_player_id,
         raw_data = excluded.raw_data,
         updated_at = CURRENT_TIMESTAMP
     `);
@@ -173,6 +177,10 @@ class PlayerModel {
           blowoutRisk: player.blowoutRisk || 0,
           stdDev: player.stdDev || 0,
           injuryStatus: player.injuryStatus,
+          gameStartTime: player.gameStartTime || null,
+          captainSalary: player.captainSalary || null,
+          sitePlayerId: player.sitePlayerId || null,
+          captainSitePlayerId: player.captainSitePlayerId || null,
           rawData: player.rawData
         });
       }
@@ -227,6 +235,69 @@ class PlayerModel {
     return stmt.run();
   }
 
+  /**
+   * Store in-house ownership projections
+   * @param {Array} updates - [{ id, ownership }]
+   */
+  updateProjectedOwnership(updates) {
+    const stmt = db.prepare(`UPDATE players SET projected_ownership = ? WHERE id = ?`);
+    db.transaction(() => updates.forEach(update => stmt.run(update.ownership, update.id)))();
+  }
+
+  /**
+   * Store outcome distributions (floor/ceiling are the 25th/75th percentiles)
+   * @param {Array} updates - [{ id, p10, p25, p50, p75, p90, p99, stdDev, volatility, boomProbability, bustProbability, leverageScore }]
+   */
+  updateDistributions(updates) {
+    const stmt = db.prepare(`
+      UPDATE players SET
+        p10 = @p10, p25 = @p25, p50 = @p50, p75 = @p75, p90 = @p90, p99 = @p99,
+        floor = @p25,
+        ceiling = @p75,
+        std_dev = @stdDev,
+        volatility = @volatility,
+        boom_probability = @boomProbability,
+        bust_probability = @bustProbability,
+        leverage_score = @leverageScore
+      WHERE id = @id
+    `);
+    db.transaction(() => updates.forEach(update => stmt.run(update)))();
+  }
+
+  deleteAllExcept(slateId) {
+    const stmt = db.prepare(`DELETE FROM players WHERE slate_id != ?`);
+    return stmt.run(slateId);
+  }
+
+  /**
+   * Injury status of every player on a slate, including 0-projection players
+   */
+  getStatuses(slateId) {
+    const stmt = db.prepare(`SELECT id, player_id, name, injury_status FROM players WHERE slate_id = ?`);
+    return stmt.all(slateId);
+  }
+
+  /**
+   * Players a re-sync no longer returns (RotoWire drops inactive and
+   * 0-projection players) are marked OUT instead of deleted, so saved
+   * lineups keep pointing at them
+   * @param {Array} playerIds - Site player IDs returned by the sync
+   * @returns {Array} Players that were marked OUT
+   */
+  markMissingAsOut(slateId, playerIds) {
+    const keep = new Set(playerIds.map(id => String(id)));
+    const missing = this.getStatuses(slateId).filter(player => !keep.has(String(player.player_id)));
+
+    const stmt = db.prepare(`
+      UPDATE players
+      SET injury_status = 'OUT', projected_points = 0, projected_minutes = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    db.transaction(() => missing.forEach(player => stmt.run(player.id)))();
+
+    return missing;
+  }
+
   /**
    * Update projection for a single player
    */
@@ -290,6 +361,35 @@ class PlayerModel {
     return updateMany(projections);
   }
 
+  /**
+   * Set DraftKings player IDs (e.g. from a DK entries CSV)
+   * @param {Array} updates - [{ id, sitePlayerId, captainSitePlayerId }] keyed by players.id
+   */
+  bulkUpdateSitePlayerIds(updates) {
+    const updateStmt = db.prepare(`
+      UPDATE players SET
+        site_player_id = COALESCE(@sitePlayerId, site_player_id),
+        captain_site_player_id = COALESCE(@captainSitePlayerId, captain_site_player_id),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `);
+
+    const updateMany = db.transaction((rows) => {
+      let updated = 0;
+      for (const row of rows) {
+        const result = updateStmt.run({
+          id: row.id,
+          sitePlayerId: row.sitePlayerId || null,
+          captainSitePlayerId: row.captainSitePlayerId || null
+        });
+        if (result.changes > 0) updated++;
+      }
+      return updated;
+    });
+
+    return updateMany(updates);
+  }
+
   /**
    * Get all players with full data for projection calculation
    */
@@ -0,0 +1,93 @@
+import db from '../config/database.js';
+
+class PortfolioModel {
+  create(portfolioData) {
+    const stmt = db.prepare(`
+      INSERT INTO portfolios (slate_id, name, description, optimizer_mode)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      portfolioData.slateId,
+      portfolioData.name,
+      portfolioData.description || null,
+      portfolioData.optimizerMode || null
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  getAll(slateId = null) {
+    let query = `
+      SELECT
+        p.*,
+        COUNT(pl.lineup_id) as lineup_count
+      FROM portfolios p
+      LEFT JOIN portfolio_lineups pl ON p.id = pl.portfolio_id
+    `;
+
+    const params = [];
+    if (slateId) {
+      query += ` WHERE p.slate_id = ?`;
+      params.push(slateId);
+    }
+
+    query += ` GROUP BY p.id ORDER BY p.created_at DESC`;
+
+    return db.prepare(query).all(...params);
+  }
+
+  getById(id) {
+    const portfolio = db.prepare(`SELECT * FROM portfolios WHERE id = ?`).get(id);
+    if (!portfolio) return null;
+
+    portfolio.lineupIds = this.getLineupIds(id);
+    return portfolio;
+  }
+
+  getLineupIds(portfolioId) {
+    const stmt = db.prepare(`
+      SELECT lineup_id FROM portfolio_lineups
+      WHERE portfolio_id = ?
+      ORDER BY added_at, lineup_id
+    `);
+    return stmt.all(portfolioId).map(row => row.lineup_id);
+  }
+
+  update(id, portfolioData) {
+    const stmt = db.prepare(`
+      UPDATE portfolios
+      SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    return stmt.run(portfolioData.name, portfolioData.description || null, id);
+  }
+
+  addLineups(portfolioId, lineupIds) {
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO portfolio_lineups (portfolio_id, lineup_id)
+      VALUES (?, ?)
+    `);
+
+    const addMany = db.transaction((ids) => {
+      for (const lineupId of ids) {
+        stmt.run(portfolioId, lineupId);
+      }
+    });
+
+    addMany(lineupIds);
+  }
+
+  removeLineup(portfolioId, lineupId) {
+    const stmt = db.prepare(`DELETE FROM portfolio_lineups WHERE portfolio_id = ? AND lineup_id = ?`);
+    return stmt.run(portfolioId, lineupId);
+  }
+
+  delete(id) {
+    const stmt = db.prepare(`DELETE FROM portfolios WHERE id = ?`);
+    return stmt.run(id);
+  }
+}
+
+export default new PortfolioModel();
@@ -0,0 +1,88 @@
+import db from '../config/database.js';
+
+function parseRow(row) {
+  if (!row) return null;
+  const { params_json, fit_json, ...rest } = row;
+  return {
+    ...rest,
+    params: JSON.parse(params_json),
+    fit: fit_json ? JSON.parse(fit_json) : null
+  };
+}
+
+class ProjectionParamsModel {
+  create(paramsData) {
+    const stmt = db.prepare(`
+      INSERT INTO projection_params (
+        params_json, source, train_from, train_to, samples, oos_mae, baseline_oos_mae, fit_json
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      JSON.stringify(paramsData.params),
+      paramsData.source,
+      paramsData.trainFrom || null,
+      paramsData.trainTo || null,
+      paramsData.samples ?? null,
+      paramsData.oosMae ?? null,
+      paramsData.baselineOosMae ?? null,
+      paramsData.fit ? JSON.stringify(paramsData.fit) : null
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  getActive() {
+    return parseRow(db.prepare(`SELECT * FROM projection_params WHERE is_active = 1`).get());
+  }
+
+  getById(id) {
+    return parseRow(db.prepare(`SELECT * FROM projection_params WHERE id = ?`).get(id));
+  }
+
+  /**
+   * Parameter sets newest first, without the fold details
+   */
+  getAll(limit = 50) {
+    return db.prepare(`
+      SELECT id, params_json, source, is_active, replaced_id, train_from, train_to, samples,
+        oos_mae, baseline_oos_mae, created_at, activated_at
+      FROM projection_params
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(limit).map(parseRow);
+  }
+
+  count() {
+    return db.prepare(`SELECT COUNT(*) as count FROM projection_params`).get().count;
+  }
+
+  /**
+   * Make a set the active one
+   * @param {Object} options - rollback: keep the set's own replaced_id so repeated rollbacks keep walking back
+   */
+  activate(id, { rollback = false } = {}) {
+    const activate = db.transaction(() => {
+      const current = db.prepare(`SELECT id FROM projection_params WHERE is_active = 1`).get();
+      if (current?.id === Number(id)) return;
+
+      db.prepare(`UPDATE projection_params SET is_active = 0 WHERE is_active = 1`).run();
+
+      if (rollback) {
+        db.prepare(`
+          UPDATE projection_params SET is_active = 1, activated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(id);
+      } else {
+        db.prepare(`
+          UPDATE projection_params SET is_active = 1, activated_at = CURRENT_TIMESTAMP, replaced_id = ? WHERE id = ?
+        `).run(current?.id ?? null, id);
+      }
+    });
+
+    activate();
+    return this.getById(id);
+  }
+}
+
+export default new ProjectionParamsModel();
@@ -0,0 +1,151 @@
+import db from '../config/database.js';
+
+class ResultModel {
+  /**
+   * Store a contest's results, replacing an earlier import of the same contest
+   * @param {Object} contest - slateId, contestId, contestName, contestType, entryFee, fieldSize, winningScore, cashLine
+   * @param {Array} entries - our entries: entryId, entryName, rank, points, payout, lineupId, lineupLabel, optimizerMode, matchedBy, lineupText
+   * @param {Array} ownership - playerName, rosterPosition, ownership, actualPoints, playerId
+   * @returns {number} contest_results.id
+   */
+  saveContest(contest, entries, ownership) {
+    const deleteStmt = db.prepare(`DELETE FROM contest_results WHERE contest_id = ?`);
+    const contestStmt = db.prepare(`
+      INSERT INTO contest_results (
+        slate_id, contest_id, contest_name, contest_type, entry_fee, field_size, winning_score, cash_line
+      )
+      VALUES (@slateId, @contestId, @contestName, @contestType, @entryFee, @fieldSize, @winningScore, @cashLine)
+    `);
+    const entryStmt = db.prepare(`
+      INSERT INTO contest_result_entries (
+        contest_result_id, entry_id, entry_name, rank, points, payout,
+        lineup_id, lineup_label, optimizer_mode, matched_by, lineup_text
+      )
+      VALUES (@contestResultId, @entryId, @entryName, @rank, @points, @payout,
+        @lineupId, @lineupLabel, @optimizerMode, @matchedBy, @lineupText)
+    `);
+    const ownershipStmt = db.prepare(`
+      INSERT INTO actual_ownership (
+        contest_result_id, slate_id, player_name, roster_position, ownership, actual_points, player_id
+      )
+      VALUES (@contestResultId, @slateId, @playerName, @rosterPosition, @ownership, @actualPoints, @playerId)
+    `);
+
+    const save = db.transaction(() => {
+      deleteStmt.run(contest.contestId);
+
+      const contestResultId = contestStmt.run({
+        slateId: contest.slateId,
+        contestId: contest.contestId,
+        contestName: contest.contestName || null,
+        contestType: contest.contestType || null,
+        entryFee: contest.entryFee || 0,
+        fieldSize: contest.fieldSize,
+        winningScore: contest.winningScore ?? null,
+        cashLine: contest.cashLine ?? null
+      }).lastInsertRowid;
+
+      for (const entry of entries) {
+        entryStmt.run({
+          contestResultId,
+          entryId: entry.entryId,
+          entryName: entry.entryName || null,
+          rank: entry.rank,
+          points: entry.points,
+          payout: entry.payout || 0,
+          lineupId: entry.lineupId || null,
+          lineupLabel: entry.lineupLabel || null,
+          optimizerMode: entry.optimizerMode || null,
+          matchedBy: entry.matchedBy,
+          lineupText: entry.lineupText || null
+        });
+      }
+
+      for (const player of ownership) {
+        ownershipStmt.run({
+          contestResultId,
+          slateId: contest.slateId,
+          playerName: player.playerName,
+          rosterPosition: player.rosterPosition || null,
+          ownership: player.ownership,
+          actualPoints: player.actualPoints ?? null,
+          playerId: player.playerId || null
+        });
+      }
+
+      return contestResultId;
+    });
+
+    return save();
+  }
+
+  /**
+   * Our graded entries with their contest and slate
+   */
+  getAllEntries(slateId = null) {
+    let query = `
+      SELECT
+        e.*,
+        c.slate_id, c.contest_id, c.contest_name, c.contest_type, c.entry_fee, c.field_size,
+        c.winning_score, c.cash_line,
+        s.name as slate_name, s.start_time as slate_start_time
+      FROM contest_result_entries e
+      JOIN contest_results c ON e.contest_result_id = c.id
+      LEFT JOIN slates s ON c.slate_id = s.slate_id
+    `;
+    const params = [];
+
+    if (slateId) {
+      query += ` WHERE c.slate_id = ?`;
+      params.push(slateId);
+    }
+
+    query += ` ORDER BY c.imported_at, c.contest_id, e.rank`;
+    return db.prepare(query).all(...params);
+  }
+
+  getContests(slateId = null) {
+    let query = `SELECT * FROM contest_results`;
+    const params = [];
+
+    if (slateId) {
+      query += ` WHERE slate_id = ?`;
+      params.push(slateId);
+    }
+
+    query += ` ORDER BY imported_at DESC`;
+    return db.prepare(query).all(...params);
+  }
+
+  /**
+   * Actual ownership for a slate, averaged over imported contests, next to RotoWire's and our projections
+   */
+  getOwnership(slateId) {
+    const stmt = db.prepare(`
+      SELECT
+        o.player_name,
+        o.roster_position,
+        o.player_id,
+        ROUND(AVG(o.ownership), 2) as actual_ownership,
+        MAX(o.actual_points) as actual_points,
+        COUNT(DISTINCT o.contest_result_id) as contests,
+        p.rostership as rotowire_ownership,
+        p.projected_ownership as model_ownership,
+        p.projected_points,
+        p.salary
+      FROM actual_ownership o
+      LEFT JOIN players p ON o.player_id = p.id
+      WHERE o.slate_id = ?
+      GROUP BY o.player_name, o.roster_position
+      ORDER BY actual_ownership DESC
+    `);
+    return stmt.all(slateId);
+  }
+
+  deleteContest(contestId) {
+    const stmt = db.prepare(`DELETE FROM contest_results WHERE contest_id = ?`);
+    return stmt.run(contestId);
+  }
+}
+
+export default new ResultModel();
@@ -3,11 +3,14 @@ import db from '../config/database.js';
 class SlateModel {
   createOrUpdate(slateData) {
     const stmt = db.prepare(`
-      INSERT INTO slates (slate_id, name, sport, start_time)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO slates (slate_id, name, sport, start_time, contest_type, salary_cap, site)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(slate_id) DO UPDATE SET
         name = excluded.name,
         start_time = excluded.start_time,
+        contest_type = excluded.contest_type,
+        salary_cap = excluded.salary_cap,
+        site = excluded.site,
         updated_at = CURRENT_TIMESTAMP
     `);
 
@@ -15,7 +18,10 @@ class SlateModel {
       slateData.slateId,
       slateData.name,
       slateData.sport || 'NBA',
-      slateData.startTime
+      slateData.startTime,
+      slateData.contestType || 'Classic',
+      slateData.salaryCap || null,
+      slateData.site || 'DK'
     );
   }
 
@@ -45,6 +51,11 @@ class SlateModel {
     const stmt = db.prepare(`DELETE FROM slates`);
     return stmt.run();
   }
+
+  deleteAllExcept(slateId) {
+    const stmt = db.prepare(`DELETE FROM slates WHERE slate_id != ?`);
+    return stmt.run(slateId);
+  }
 }
 
 export default new SlateModel();
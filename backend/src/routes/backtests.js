@@ -0,0 +1,121 @@
+/**
+ * PROJECTION BACKTEST ROUTES
+ *
+ * Replay the enhanced projection over historical dates and read the
+ * accuracy reports (MAE, RMSE, bias, calibration and per-adjustment breakdowns)
+ */
+
+import express from 'express';
+import backtestService from '../services/backtestService.js';
+import backtestModel from '../models/backtestModel.js';
+
+const router = express.Router();
+
+// Track backtest progress
+let backtestProgress = null;
+let isRunning = false;
+
+/**
+ * POST /api/backtests
+ * Start a backtest in the background
+ * Body: { from, to, minMinutes, maxDates }
+ */
+router.post('/', async (req, res) => {
+  if (isRunning) {
+    return res.status(409).json({
+      error: 'Backtest already in progress',
+      progress: backtestProgress
+    });
+  }
+
+  const { from = null, to = null, minMinutes = 1, maxDates = null } = req.body;
+
+  isRunning = true;
+  backtestProgress = { status: 'starting', processed: 0, total: 0, playerGames: 0 };
+
+  res.json({
+    success: true,
+    message: 'Started projection backtest. Check /api/backtests/status for progress.'
+  });
+
+  try {
+    const backtest = await backtestService.run({ from, to, minMinutes, maxDates }, (progress) => {
+      backtestProgress = {
+        status: 'running',
+        ...progress,
+        percent: Math.round((progress.processed / progress.total) * 100)
+      };
+    });
+
+    backtestProgress = {
+      status: 'complete',
+      backtestId: backtest.id,
+      playerGames: backtest.player_games
+    };
+  } catch (error) {
+    console.error('Backtest error:', error);
+    backtestProgress = {
+      status: 'error',
+      error: error.message
+    };
+  } finally {
+    isRunning = false;
+  }
+});
+
+/**
+ * GET /api/backtests/status
+ * Current backtest progress
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    isRunning,
+    progress: backtestProgress
+  });
+});
+
+/**
+ * GET /api/backtests
+ * Stored backtests, newest first (summary metrics only)
+ */
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(backtestModel.getAll(limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/backtests/:id
+ * Full report
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const backtest = backtestModel.getById(req.params.id);
+    if (!backtest) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    res.json(backtest);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/backtests/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const result = backtestModel.delete(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+/**
+ * PROJECTION CALIBRATION ROUTES
+ *
+ * Fit the enhanced projection's blend weights and adjustment coefficients
+ * with walk-forward validation, and manage the stored parameter sets
+ * (activate any set, roll back to the previous one)
+ */
+
+import express from 'express';
+import calibrationService from '../services/calibrationService.js';
+import projectionService from '../services/projectionService.js';
+import projectionParamsModel from '../models/projectionParamsModel.js';
+import { DEFAULT_PROJECTION_PARAMS } from '../utils/projectionParams.js';
+
+const router = express.Router();
+
+// Track calibration progress
+let calibrationProgress = null;
+let isRunning = false;
+
+/**
+ * POST /api/calibration
+ * Start a calibration in the background
+ * Body: { from, to, maxDates, minMinutes, folds, activate: 'ifBetter' | true | false }
+ */
+router.post('/', async (req, res) => {
+  if (isRunning) {
+    return res.status(409).json({
+      error: 'Calibration already in progress',
+      progress: calibrationProgress
+    });
+  }
+
+  const { from = null, to = null, maxDates = null, minMinutes = 1, folds = 4, activate = 'ifBetter' } = req.body;
+
+  isRunning = true;
+  calibrationProgress = { status: 'starting' };
+
+  res.json({
+    success: true,
+    message: 'Started projection calibration. Check /api/calibration/status for progress.'
+  });
+
+  try {
+    const result = await calibrationService.calibrate({ from, to, maxDates, minMinutes, folds, activate }, (progress) => {
+      calibrationProgress = {
+        status: 'running',
+        ...progress,
+        percent: progress.total ? Math.round((progress.processed / progress.total) * 100) : undefined
+      };
+    });
+
+    calibrationProgress = {
+      status: 'complete',
+      setId: result.set.id,
+      activated: result.activated,
+      improved: result.improved,
+      oosMae: result.oosMae,
+      baselineOosMae: result.baselineOosMae
+    };
+  } catch (error) {
+    console.error('Calibration error:', error);
+    calibrationProgress = {
+      status: 'error',
+      error: error.message
+    };
+  } finally {
+    isRunning = false;
+  }
+});
+
+/**
+ * GET /api/calibration/status
+ * Current calibration progress
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    isRunning,
+    progress: calibrationProgress
+  });
+});
+
+/**
+ * GET /api/calibration/params
+ * Stored parameter sets, newest first
+ */
+router.get('/params', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    res.json(projectionParamsModel.getAll(limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/calibration/params/active
+ * Parameters the projection uses now (id null = the hand-set defaults)
+ */
+router.get('/params/active', (req, res) => {
+  try {
+    res.json({
+      id: projectionService.getParamsVersion(),
+      params: projectionService.getParams(),
+      defaults: DEFAULT_PROJECTION_PARAMS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/calibration/params/rollback
+ * Re-activate the set that was active before the current one
+ */
+router.post('/params/rollback', (req, res) => {
+  try {
+    const set = calibrationService.rollback();
+    res.json({ success: true, set });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/calibration/params/:id
+ * A set with its walk-forward folds
+ */
+router.get('/params/:id', (req, res) => {
+  try {
+    const set = projectionParamsModel.getById(req.params.id);
+    if (!set) {
+      return res.status(404).json({ error: 'Parameter set not found' });
+    }
+    res.json(set);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/calibration/params/:id/activate
+ * Use a stored set from now on (re-run enhanced projections with updateDb to apply it)
+ */
+router.post('/params/:id/activate', (req, res) => {
+  try {
+    if (!projectionParamsModel.getById(req.params.id)) {
+      return res.status(404).json({ error: 'Parameter set not found' });
+    }
+    const set = calibrationService.activate(req.params.id);
+    res.json({ success: true, set });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
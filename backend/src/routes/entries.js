@@ -0,0 +1,169 @@
+import express from 'express';
+import playerModel from '../models/playerModel.js';
+import slateModel from '../models/slateModel.js';
+import entryModel from '../models/entryModel.js';
+import entryService from '../services/entryService.js';
+import exportService from '../services/exportService.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+
+const router = express.Router();
+
+/**
+ * Slate for DraftKings entries, or an error response
+ */
+function getDraftKingsSlate(slateId, res) {
+  const slate = slateModel.getById(slateId);
+  if (!slate) {
+    res.status(404).json({ error: 'Slate not found' });
+    return null;
+  }
+  if (getSiteProfile(slate.site).site !== 'DK') {
+    res.status(400).json({ error: 'DraftKings entries require a DraftKings slate' });
+    return null;
+  }
+  return slate;
+}
+
+/**
+ * POST /api/entries/import
+ * Import a DraftKings entries CSV
+ * Body: { slateId, csv } - csv is the file's text
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { slateId, csv } = req.body;
+
+    if (!slateId || !csv) {
+      return res.status(400).json({ error: 'slateId and csv are required' });
+    }
+
+    const slate = getDraftKingsSlate(slateId, res);
+    if (!slate) return;
+
+    let result;
+    try {
+      result = entryService.importEntries(slate, csv);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Entries import error:', error);
+    res.status(500).json({
+      error: 'Entries import failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/entries/:slateId
+ * Imported entries grouped by contest
+ */
+router.get('/:slateId', async (req, res) => {
+  try {
+    res.json(entryService.getEntries(req.params.slateId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/entries/:slateId/assign
+ * Assign saved or generated lineups to the imported entries
+ * Body: {
+ *   source: 'saved' | 'generated',
+ *   lineups,          // generated lineups (optimizer output), best first
+ *   mode,             // optimizer mode the generated lineups were built with ('cash' / 'gpp')
+ *   maxExposure,      // % cap across all entries (default 100)
+ *   exposureRanges,   // [{ playerId, min, max }] in %
+ *   contestIds        // only fill these contests (default: all)
+ * }
+ */
+router.post('/:slateId/assign', async (req, res) => {
+  try {
+    const { source = 'saved', lineups, mode, maxExposure, exposureRanges, contestIds } = req.body;
+
+    const slate = getDraftKingsSlate(req.params.slateId, res);
+    if (!slate) return;
+
+    let candidates;
+    if (source === 'generated') {
+      if (!Array.isArray(lineups) || lineups.length === 0) {
+        return res.status(400).json({ error: 'lineups are required for generated assignments' });
+      }
+      candidates = exportService.getGeneratedLineups(lineups, playerModel.getBySlateId(slate.slate_id))
+        .map(lineup => ({ ...lineup, optimizerMode: ['cash', 'gpp'].includes(mode) ? mode : null }));
+    } else if (source === 'saved') {
+      // Saved lineups best first
+      candidates = exportService.getSavedLineups(slate.slate_id)
+        .sort((a, b) => (b.projectedPoints || 0) - (a.projectedPoints || 0));
+    } else {
+      return res.status(400).json({ error: "source must be 'saved' or 'generated'" });
+    }
+
+    if (candidates.length === 0) {
+      return res.status(404).json({ error: 'No lineups to assign' });
+    }
+
+    const result = entryService.assignLineups(slate, candidates, {
+      source,
+      maxExposure,
+      exposureRanges,
+      contestIds: Array.isArray(contestIds) && contestIds.length > 0 ? contestIds.map(String) : null
+    });
+
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Entries assign error:', error);
+    res.status(500).json({
+      error: 'Entries assignment failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/entries/:slateId/export
+ * Filled entries CSV for re-upload
+ * Returns { filename, csv, filled, total, skipped: [{ entryId, contestName, reason }] }
+ */
+router.get('/:slateId/export', async (req, res) => {
+  try {
+    const slate = getDraftKingsSlate(req.params.slateId, res);
+    if (!slate) return;
+
+    const result = entryService.buildFilledCSV(slate);
+    if (result.total === 0) {
+      return res.status(404).json({ error: 'No imported entries for this slate' });
+    }
+
+    res.json({ filename: `DKEntries_${slate.slate_id}_filled.csv`, ...result });
+  } catch (error) {
+    console.error('Entries export error:', error);
+    res.status(500).json({
+      error: 'Entries export failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/entries/:slateId
+ * Remove imported entries for a slate
+ */
+router.delete('/:slateId', async (req, res) => {
+  try {
+    const result = entryModel.deleteBySlateId(req.params.slateId);
+    res.json({ message: `Deleted ${result.changes} entries` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
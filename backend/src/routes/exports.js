@@ -0,0 +1,85 @@
+import express from 'express';
+import playerModel from '../models/playerModel.js';
+import slateModel from '../models/slateModel.js';
+import exportService from '../services/exportService.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+
+const router = express.Router();
+
+/**
+ * Slate for a DraftKings export, or an error response
+ */
+function getDraftKingsSlate(slateId, res) {
+  const slate = slateModel.getById(slateId);
+  if (!slate) {
+    res.status(404).json({ error: 'Slate not found' });
+    return null;
+  }
+  if (getSiteProfile(slate.site).site !== 'DK') {
+    res.status(400).json({ error: 'DraftKings export requires a DraftKings slate' });
+    return null;
+  }
+  return slate;
+}
+
+function buildFilename(slate, source) {
+  return `DK_${slate.slate_id}_${source}_${new Date().toISOString().slice(0, 10)}.csv`;
+}
+
+/**
+ * GET /api/exports/draftkings/:slateId
+ * Saved lineups for a slate in DraftKings bulk upload format
+ * Returns { filename, csv, exported, total, skipped: [{ lineupId, label, reason }] }
+ */
+router.get('/draftkings/:slateId', async (req, res) => {
+  try {
+    const slate = getDraftKingsSlate(req.params.slateId, res);
+    if (!slate) return;
+
+    const lineups = exportService.getSavedLineups(slate.slate_id);
+    if (lineups.length === 0) {
+      return res.status(404).json({ error: 'No saved lineups found for this slate' });
+    }
+
+    const result = exportService.toDraftKingsCSV(lineups, { contestType: slate.contest_type });
+    res.json({ filename: buildFilename(slate, 'saved'), ...result });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      error: 'Export failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/exports/draftkings
+ * Lineups straight from an /api/optimizer/generate result
+ * Body: { slateId, lineups }
+ */
+router.post('/draftkings', async (req, res) => {
+  try {
+    const { slateId, lineups } = req.body;
+
+    if (!slateId || !Array.isArray(lineups) || lineups.length === 0) {
+      return res.status(400).json({ error: 'slateId and lineups are required' });
+    }
+
+    const slate = getDraftKingsSlate(slateId, res);
+    if (!slate) return;
+
+    const players = playerModel.getBySlateId(slateId);
+    const generated = exportService.getGeneratedLineups(lineups, players);
+
+    const result = exportService.toDraftKingsCSV(generated, { contestType: slate.contest_type });
+    res.json({ filename: buildFilename(slate, 'generated'), ...result });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      error: 'Export failed',
+      message: error.message
+    });
+  }
+});
+
+export default router;
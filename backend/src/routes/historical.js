@@ -7,6 +7,7 @@
 
 import express from 'express';
 import nbaStatsService from '../services/nbaStatsService.js';
+import correlationService from '../services/correlationService.js';
 
 const router = express.Router();
 
@@ -108,9 +109,9 @@ router.get('/sync/status', (req, res) => {
 router.get('/player/:name', (req, res) => {
   try {
     const { name } = req.params;
-    const { limit = 20 } = req.query;
+    const { limit = 20, site = 'DK' } = req.query;
 
-    const games = nbaStatsService.getPlayerHistory(name, parseInt(limit));
+    const games = nbaStatsService.getPlayerHistory(name, parseInt(limit), site);
     const trends = nbaStatsService.getPerformanceTrends(name);
 
     res.json({
@@ -131,8 +132,9 @@ router.get('/player/:name', (req, res) => {
 router.get('/matchup/:player/:opponent', (req, res) => {
   try {
     const { player, opponent } = req.params;
+    const { site = 'DK' } = req.query;
 
-    const games = nbaStatsService.getMatchupHistory(player, opponent.toUpperCase());
+    const games = nbaStatsService.getMatchupHistory(player, opponent.toUpperCase(), site);
 
     if (games.length === 0) {
       return res.json({
@@ -144,6 +146,7 @@ router.get('/matchup/:player/:opponent', (req, res) => {
 
     // Calculate averages
     const avgDkPts = games.reduce((sum, g) => sum + g.dk_fantasy_points, 0) / games.length;
+    const avgFdPts = games.reduce((sum, g) => sum + (g.fd_fantasy_points || 0), 0) / games.length;
     const avgMinutes = games.reduce((sum, g) => sum + g.minutes, 0) / games.length;
 
     res.json({
@@ -153,6 +156,7 @@ router.get('/matchup/:player/:opponent', (req, res) => {
       gamesPlayed: games.length,
       averages: {
         dkPoints: Math.round(avgDkPts * 10) / 10,
+        fdPoints: Math.round(avgFdPts * 10) / 10,
         minutes: Math.round(avgMinutes * 10) / 10
       },
       games
@@ -361,6 +365,34 @@ router.get('/team-roster/:team', (req, res) => {
   }
 });
 
+/**
+ * GET /api/historical/correlations/:team
+ * Teammate and opponent DK point correlations for a team's players
+ * Query: refresh=true to recompute instead of using the cache
+ */
+router.get('/correlations/:team', (req, res) => {
+  try {
+    const { team } = req.params;
+    const refresh = req.query.refresh === 'true';
+
+    const correlations = correlationService.getTeamCorrelations(team, { refresh });
+
+    if (!correlations) {
+      return res.json({
+        success: false,
+        message: `No historical data found for team ${team}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...correlations
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/historical/teammates/:player
  * Get all teammates for a player based on historical games
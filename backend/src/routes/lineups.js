@@ -1,29 +1,56 @@
 import express from 'express';
 import lineupModel from '../models/lineupModel.js';
+import slateModel from '../models/slateModel.js';
+import playerModel from '../models/playerModel.js';
+import lineupHistoryService from '../services/lineupHistoryService.js';
+import injurySwapService from '../services/injurySwapService.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+import { getConstraints, DK_SHOWDOWN_CONSTRAINTS, validateLineup } from '../utils/lineupValidation.js';
 
 const router = express.Router();
 
-// DraftKings NBA lineup constraints
-const DK_CONSTRAINTS = {
-  SALARY_CAP: 50000,
-  POSITIONS: ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'UTIL'],
-  POSITION_COUNT: 8
-};
+/**
+ * Validate players for a lineup and work out what gets stored
+ * @param {Array} players - Players with positionSlot
+ * @returns {Object} { validation, projectedPoints, lineupPlayers }
+ */
+function prepareLineup(players, slate, { contestType, site } = {}) {
+  const lineupSite = site || slate?.site || 'DK';
+  const validation = validateLineup(players, contestType || slate?.contest_type, lineupSite);
 
-// Validate lineup helper
-function validateLineup(players) {
-  const errors = [];
+  // Projected points (Captains score 1.5x)
+  const showdown = validation.contestType === 'Showdown';
+  const projectedPoints = players.reduce(
+    (sum, p) => sum + (parseFloat(p.projectedPoints ?? p.projected_points) || 0) *
+      (showdown && p.positionSlot === 'CPT' ? DK_SHOWDOWN_CONSTRAINTS.CAPTAIN_MULTIPLIER : 1),
+    0
+  );
+  const positions = showdown ? DK_SHOWDOWN_CONSTRAINTS.POSITIONS : getConstraints(lineupSite).POSITIONS;
 
-  if (players.length !== DK_CONSTRAINTS.POSITION_COUNT) {
-    errors.push(`Lineup must have exactly ${DK_CONSTRAINTS.POSITION_COUNT} players`);
-  }
+  const lineupPlayers = players.map((player, index) => ({
+    playerId: player.id,
+    positionSlot: player.positionSlot || positions[index]
+  }));
 
-  const totalSalary = players.reduce((sum, p) => sum + (p.salary || 0), 0);
-  if (totalSalary > DK_CONSTRAINTS.SALARY_CAP) {
-    errors.push(`Total salary ($${totalSalary}) exceeds cap ($${DK_CONSTRAINTS.SALARY_CAP})`);
-  }
+  return { validation, projectedPoints, lineupPlayers };
+}
+
+/**
+ * Swap a saved lineup's players and record the change as a new version
+ */
+function replaceLineupPlayers(lineup, players, { name, reason }) {
+  const slate = slateModel.getById(lineup.slate_id);
+  const { validation, projectedPoints, lineupPlayers } = prepareLineup(players, slate);
+  if (!validation.isValid) return { validation };
 
-  return { isValid: errors.length === 0, errors, totalSalary };
+  lineupModel.replacePlayers(lineup.id, lineupPlayers);
+  lineupModel.update(lineup.id, {
+    name: name || lineup.name,
+    totalSalary: validation.totalSalary,
+    projectedPoints
+  }, reason);
+
+  return { validation };
 }
 
 // Get all lineups
@@ -37,6 +64,55 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Proposed replacements for players ruled OUT/Doubtful since their lineups were saved
+// Query: slateId, now (optional, for games already started)
+router.get('/injury-swaps', async (req, res) => {
+  try {
+    const { slateId, now } = req.query;
+    if (!slateId) {
+      return res.status(400).json({ error: 'slateId is required' });
+    }
+
+    const swapTime = now ? new Date(now) : new Date();
+    if (isNaN(swapTime)) {
+      return res.status(400).json({ error: 'now must be a valid date' });
+    }
+
+    res.json(injurySwapService.proposeSwaps(slateId, { now: swapTime }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply every proposed injury swap - body: { slateId, lineupIds (optional), now (optional) }
+router.post('/injury-swaps/apply', async (req, res) => {
+  try {
+    const { slateId, lineupIds = null, now = null } = req.body;
+    if (!slateId) {
+      return res.status(400).json({ error: 'slateId is required' });
+    }
+
+    const swapTime = now ? new Date(now) : new Date();
+    if (isNaN(swapTime)) {
+      return res.status(400).json({ error: 'now must be a valid date' });
+    }
+
+    res.json({ applied: true, ...injurySwapService.applySwaps(slateId, { lineupIds, now: swapTime }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log of applied injury swaps, newest first - query: slateId, limit
+router.get('/injury-swaps/log', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    res.json(injurySwapService.getLog(req.query.slateId, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get a specific lineup with players
 router.get('/:id', async (req, res) => {
   try {
@@ -44,7 +120,42 @@ router.get('/:id', async (req, res) => {
     if (!lineup) {
       return res.status(404).json({ error: 'Lineup not found' });
     }
-    res.json(lineup);
+
+    // Site rules for the lineup's slate
+    const slate = slateModel.getById(lineup.slate_id);
+    const profile = getSiteProfile(slate?.site);
+    res.json({ ...lineup, site: profile.site, salary_cap: profile.salaryCap });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a lineup as CSV in the site's upload slot order
+router.get('/:id/export', async (req, res) => {
+  try {
+    const lineup = lineupModel.getById(req.params.id);
+    if (!lineup) {
+      return res.status(404).json({ error: 'Lineup not found' });
+    }
+
+    const slate = slateModel.getById(lineup.slate_id);
+    const constraints = getConstraints(slate?.site);
+    const showdown = lineup.players.some(p => p.position_slot === 'CPT');
+    const slots = showdown ? DK_SHOWDOWN_CONSTRAINTS.POSITIONS : constraints.POSITIONS;
+
+    // Fill slots in site order; repeated slots (FanDuel PG, PG) take players in turn
+    const remaining = [...lineup.players];
+    const names = slots.map(slot => {
+      const index = remaining.findIndex(p => p.position_slot === slot);
+      return index >= 0 ? remaining.splice(index, 1)[0].name : '';
+    });
+
+    const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const csv = [slots.join(','), names.map(escape).join(',')].join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${lineup.name.replace(/[^\w-]+/g, '_')}_${constraints.SITE}.csv"`);
+    res.send(csv);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -53,7 +164,7 @@ router.get('/:id', async (req, res) => {
 // Create a new lineup
 router.post('/', async (req, res) => {
   try {
-    const { slateId, name, players } = req.body;
+    const { slateId, name, players, contestType, site, mode } = req.body;
 
     if (!slateId || !name || !players || !Array.isArray(players)) {
       return res.status(400).json({
@@ -62,7 +173,8 @@ router.post('/', async (req, res) => {
     }
 
     // Validate lineup
-    const validation = validateLineup(players);
+    const slate = slateModel.getById(slateId);
+    const { validation, projectedPoints, lineupPlayers } = prepareLineup(players, slate, { contestType, site });
     if (!validation.isValid) {
       return res.status(400).json({
         error: 'Invalid lineup',
@@ -70,27 +182,18 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Calculate projected points
-    const projectedPoints = players.reduce(
-      (sum, p) => sum + (parseFloat(p.projectedPoints) || 0),
-      0
-    );
-
     // Create lineup
     const lineupId = lineupModel.create({
       slateId,
       name,
       totalSalary: validation.totalSalary,
-      projectedPoints
+      projectedPoints,
+      optimizerMode: ['cash', 'gpp'].includes(mode) ? mode : null
     });
 
     // Add players to lineup
-    const lineupPlayers = players.map((player, index) => ({
-      playerId: player.id,
-      positionSlot: player.positionSlot || DK_CONSTRAINTS.POSITIONS[index]
-    }));
-
     lineupModel.addPlayers(lineupId, lineupPlayers);
+    lineupModel.recordVersion(lineupId, 'created');
 
     // Return the created lineup
     const lineup = lineupModel.getById(lineupId);
@@ -101,19 +204,128 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update a lineup
+// Update a lineup - every change is kept as a new version
+// Body: { name, players?, reason? } - players are re-read from the slate so salaries and projections are current
 router.put('/:id', async (req, res) => {
   try {
-    const { name, totalSalary, projectedPoints } = req.body;
+    const { name, totalSalary, projectedPoints, players, reason = 'updated' } = req.body;
 
-    lineupModel.update(req.params.id, {
-      name,
-      totalSalary,
-      projectedPoints
-    });
+    const lineup = lineupModel.getById(req.params.id);
+    if (!lineup) {
+      return res.status(404).json({ error: 'Lineup not found' });
+    }
+
+    if (Array.isArray(players)) {
+      const rows = players.map(player => {
+        const row = playerModel.getById(player.id);
+        return row && String(row.slate_id) === String(lineup.slate_id)
+          ? { ...row, positionSlot: player.positionSlot }
+          : null;
+      });
+      if (rows.some(row => !row)) {
+        return res.status(400).json({ error: 'All players must be on the lineup\'s slate' });
+      }
+
+      const { validation } = replaceLineupPlayers(lineup, rows, { name, reason });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid lineup',
+          details: validation.errors
+        });
+      }
+    } else {
+      lineupModel.update(req.params.id, {
+        name: name ?? lineup.name,
+        totalSalary: totalSalary ?? lineup.total_salary,
+        projectedPoints: projectedPoints ?? lineup.projected_points
+      }, reason);
+    }
+
+    res.json(lineupModel.getById(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Version history, newest first
+router.get('/:id/versions', async (req, res) => {
+  try {
+    if (!lineupModel.getById(req.params.id)) {
+      return res.status(404).json({ error: 'Lineup not found' });
+    }
+    res.json(lineupHistoryService.getHistory(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Diff two versions - query: from, to (default: latest against the one before)
+router.get('/:id/versions/diff', async (req, res) => {
+  try {
+    const versions = lineupModel.getVersions(req.params.id);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Lineup has no versions' });
+    }
+
+    const to = req.query.to ? parseInt(req.query.to) : versions[0].version;
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+    const toVersion = versions.find(v => v.version === to);
+    const fromVersion = versions.find(v => v.version === from);
+    if (!toVersion || !fromVersion) {
+      return res.status(404).json({ error: `Version ${!toVersion ? to : from} not found` });
+    }
+
+    res.json(lineupHistoryService.diffVersions(fromVersion, toVersion));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A single version with its player snapshot
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = lineupModel.getVersion(req.params.id, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a version's players - recorded as a new version with today's salaries and projections
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
     const lineup = lineupModel.getById(req.params.id);
-    res.json(lineup);
+    const version = lineupModel.getVersion(req.params.id, parseInt(req.params.version));
+    if (!lineup || !version) {
+      return res.status(404).json({ error: !lineup ? 'Lineup not found' : 'Version not found' });
+    }
+
+    const rows = version.players.map(player => {
+      const row = playerModel.getById(player.playerId);
+      return row ? { ...row, positionSlot: player.slot } : null;
+    });
+    const missing = version.players.filter((player, index) => !rows[index]);
+    if (missing.length > 0) {
+      return res.status(409).json({
+        error: `No longer in the player pool: ${missing.map(p => p.name).join(', ')}`
+      });
+    }
+
+    const { validation } = replaceLineupPlayers(lineup, rows, {
+      name: version.name,
+      reason: `restored v${version.version}`
+    });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Version is no longer a valid lineup',
+        details: validation.errors
+      });
+    }
+
+    res.json(lineupModel.getById(req.params.id));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -132,13 +344,13 @@ router.delete('/:id', async (req, res) => {
 // Validate lineup endpoint
 router.post('/validate', async (req, res) => {
   try {
-    const { players } = req.body;
+    const { players, contestType, site = 'DK' } = req.body;
 
     if (!players || !Array.isArray(players)) {
       return res.status(400).json({ error: 'players array is required' });
     }
 
-    const validation = validateLineup(players);
+    const validation = validateLineup(players, contestType, site);
     res.json(validation);
   } catch (error) {
     res.status(500).json({ error: error.message });
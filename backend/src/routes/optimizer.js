@@ -1,61 +1,479 @@
 import express from 'express';
 import playerModel from '../models/playerModel.js';
+import lineupModel from '../models/lineupModel.js';
+import slateModel from '../models/slateModel.js';
 import optimizerService from '../services/optimizerService.js';
+import simulationService from '../services/simulationService.js';
+import portfolioService from '../services/portfolioService.js';
+import rebalanceService from '../services/rebalanceService.js';
+import portfolioModel from '../models/portfolioModel.js';
+import optimizerRunModel from '../models/optimizerRunModel.js';
+import optimizerRunService from '../services/optimizerRunService.js';
 import { autoTuneSettings, reviewLineup } from '../utils/autoTuneSettings.js';
+import { applyOwnershipSource } from '../utils/ownershipSource.js';
 import { generateSlateBreakdown } from '../utils/slateAnalyzer.js';
 
 const router = express.Router();
 
+/**
+ * Optimize, rank by contest sim, save a portfolio if asked and record the run
+ * @param {Object} body - /generate request body
+ * @returns {Object} { status, body } - the HTTP response
+ */
+function generate(body, { rerunOf = null } = {}) {
+  const {
+    slateId,
+    mode = 'cash',
+    numLineups = 1,
+    simulate = true,
+    simulation: simulationSettings = {},
+    portfolio: portfolioSettings = null
+  } = body;
+
+  if (!slateId) {
+    return { status: 400, body: { error: 'slateId is required' } };
+  }
+
+  console.log(`🎯 Optimizing ${numLineups} lineup(s) for slate ${slateId} (${mode} mode)`);
+
+  // Get all players for the slate
+  const players = playerModel.getBySlateId(slateId);
+
+  if (!players || players.length === 0) {
+    return { status: 404, body: { error: 'No players found for this slate' } };
+  }
+
+  console.log(`📊 Found ${players.length} active players`);
+
+  // Showdown slates use the Captain roster; FanDuel slates use the FanDuel profile
+  const slate = slateModel.getById(slateId);
+  const contestType = body.contestType || slate?.contest_type || 'Classic';
+  const site = body.site || slate?.site || 'DK';
+
+  // Run optimization with all settings from request body
+  const result = optimizerService.optimize(players, { ...body, contestType, site });
+
+  if (result.error) {
+    return { status: 400, body: { error: result.error } };
+  }
+
+  console.log(`✅ Generated ${result.lineups?.length || 0} valid lineup(s)`);
+
+  // Rank multi-lineup builds by simulated contest results
+  // (the synthetic field is built from Classic rosters, so Showdown is skipped)
+  let lineups = result.lineups || [];
+  let simulation = null;
+  if (simulate && lineups.length > 1 && result.settings.contestType === 'Classic') {
+    const ranked = simulationService.rankLineups(lineups, applyOwnershipSource(players, result.settings.ownershipSource), {
+      numSimulations: 500,
+      site: result.settings.site,
+      seed: result.settings.seed,
+      ...simulationSettings
+    });
+    lineups = ranked.lineups;
+    simulation = ranked.simulation.error ? null : {
+      contest: ranked.simulation.contest,
+      settings: ranked.simulation.settings
+    };
+  }
+
+  let portfolio = null;
+  if (portfolioSettings && lineups.length > 0) {
+    portfolio = portfolioService.createFromOptimizer(slate || { slate_id: slateId }, lineups, {
+      ...portfolioSettings,
+      mode: result.settings.mode
+    });
+  }
+
+  const runId = lineups.length > 0
+    ? optimizerRunService.record({ slateId, settings: body, players, result, lineups, rerunOf })
+    : null;
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      runId,
+      lineups,
+      count: lineups.length,
+      exposureStats: result.exposureStats,
+      field: result.field,
+      frontier: result.frontier,
+      simulation,
+      portfolio,
+      settings: result.settings
+    }
+  };
+}
+
 /**
  * POST /api/optimizer/generate
  * Generate optimized lineup(s)
+ * With portfolio: { name, description } the whole batch is saved as lineups in a new portfolio
+ * Returns field (duplicate estimates, salary left vs the field) and the ownership vs projection frontier
+ * Each run is recorded (runId) with its seed - pass seed to repeat the projection variance
  */
 router.post('/generate', async (req, res) => {
+  try {
+    const { status, body } = generate(req.body);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Optimizer error:', error);
+    res.status(500).json({
+      error: 'Optimization failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/optimizer/runs?slateId=&limit=
+ * Past optimizer runs, newest first
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const runs = optimizerRunModel.getAll(req.query.slateId || null, limit);
+    res.json(runs.map(run => optimizerRunService.summarizeRun(run)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/optimizer/runs/diff?from=&to=
+ * Settings changes, pool/seed match and exposure changes between two runs
+ */
+router.get('/runs/diff', async (req, res) => {
+  try {
+    if (!req.query.from || !req.query.to) {
+      return res.status(400).json({ error: 'from and to run ids are required' });
+    }
+
+    const from = optimizerRunModel.getById(req.query.from);
+    const to = optimizerRunModel.getById(req.query.to);
+    if (!from || !to) {
+      return res.status(404).json({ error: `Run ${!from ? req.query.from : req.query.to} not found` });
+    }
+
+    res.json(optimizerRunService.diffRuns(from, to));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/optimizer/runs/:id
+ * A run with its settings, lineups and exposure stats
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = optimizerRunModel.getById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/optimizer/runs/:id/rerun
+ * Repeat a run with its settings and seed (recorded as a new run). With an
+ * unchanged player pool the lineups come out the same; comparison says
+ * whether they did and what moved.
+ */
+router.post('/runs/:id/rerun', async (req, res) => {
+  try {
+    const run = optimizerRunModel.getById(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    const { status, body } = generate(optimizerRunService.getRerunSettings(run), { rerunOf: run.id });
+    if (status !== 200 || !body.runId) {
+      return res.status(status === 200 ? 400 : status).json(status === 200 ? { error: 'Re-run produced no lineups' } : body);
+    }
+
+    const diff = optimizerRunService.diffRuns(run, optimizerRunModel.getById(body.runId));
+    res.json({
+      ...body,
+      comparison: {
+        rerunOf: run.id,
+        reproduced: diff.samePool && diff.identicalLineups,
+        samePool: diff.samePool,
+        identicalLineups: diff.identicalLineups,
+        sharedLineups: diff.sharedLineups,
+        exposure: diff.exposure
+      }
+    });
+  } catch (error) {
+    console.error('Optimizer re-run error:', error);
+    res.status(500).json({
+      error: 'Re-run failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/optimizer/simulate
+ * Monte Carlo contest simulation for a set of lineups
+ * Body: { slateId, lineups: [{ players: [{ player: { id } }] } | [playerIds]], settings }
+ */
+router.post('/simulate', async (req, res) => {
+  try {
+    const { slateId, lineups, settings = {} } = req.body;
+
+    if (!slateId || !Array.isArray(lineups) || lineups.length === 0) {
+      return res.status(400).json({ error: 'slateId and lineups are required' });
+    }
+
+    const players = playerModel.getBySlateId(slateId);
+
+    if (!players || players.length === 0) {
+      return res.status(404).json({ error: 'No players found for this slate' });
+    }
+
+    const slate = slateModel.getById(slateId);
+    const roster = optimizerService.getRoster(slate?.contest_type, slate?.site);
+    if (roster.showdown) {
+      return res.status(400).json({ error: 'Contest simulation supports Classic slates only' });
+    }
+
+    // Accept optimizer lineups or plain arrays of player IDs
+    const playersById = new Map(players.map(p => [p.id, p]));
+    const normalized = [];
+    for (let i = 0; i < lineups.length; i++) {
+      const lineup = lineups[i];
+      const ids = Array.isArray(lineup)
+        ? lineup.map(Number)
+        : (lineup.players || []).map(slot => Number(slot.player?.id ?? slot.id));
+      const missing = ids.filter(id => !playersById.has(id));
+
+      if (ids.length !== roster.size || missing.length > 0) {
+        return res.status(400).json({
+          error: `Lineup ${i + 1}: needs ${roster.size} active slate players` +
+            (missing.length > 0 ? ` (unknown: ${missing.join(', ')})` : '')
+        });
+      }
+
+      normalized.push({
+        lineupNumber: lineup.lineupNumber ?? i + 1,
+        players: ids.map(id => ({ player: playersById.get(id) }))
+      });
+    }
+
+    const result = simulationService.simulate(normalized, players, { site: roster.site, ...settings });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Simulation error:', error);
+    res.status(500).json({
+      error: 'Simulation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/optimizer/late-swap
+ * Late swap saved lineups after games have started
+ * Body: { slateId, lineupIds (default: all saved lineups for the slate), now, mode, apply }
+ * With apply=true the swapped lineups are written back to the database.
+ */
+router.post('/late-swap', async (req, res) => {
   try {
     const {
       slateId,
-      mode = 'cash',
-      numLineups = 1,
-      lockedPlayers = [],
+      lineupIds = null,
+      now = null,
+      mode = 'gpp',
       excludedPlayers = [],
-      minSalary = 49000,
-      maxExposure = 100,
-      teamStacks = [],
-      randomness = 0,
-      useProjections = true
+      apply = false
     } = req.body;
 
     if (!slateId) {
       return res.status(400).json({ error: 'slateId is required' });
     }
 
-    console.log(`🎯 Optimizing ${numLineups} lineup(s) for slate ${slateId} (${mode} mode)`);
+    const swapTime = now ? new Date(now) : new Date();
+    if (isNaN(swapTime)) {
+      return res.status(400).json({ error: 'now must be a valid date' });
+    }
 
-    // Get all players for the slate
     const players = playerModel.getBySlateId(slateId);
 
     if (!players || players.length === 0) {
       return res.status(404).json({ error: 'No players found for this slate' });
     }
 
-    console.log(`📊 Found ${players.length} active players`);
+    const ids = lineupIds || lineupModel.getAll(slateId).map(l => l.id);
+    const lineups = ids.map(id => lineupModel.getById(id)).filter(l => l && String(l.slate_id) === String(slateId));
 
-    // Run optimization with all settings from request body
-    const result = optimizerService.optimize(players, req.body);
+    if (lineups.length === 0) {
+      return res.status(404).json({ error: 'No saved lineups found for this slate' });
+    }
 
-    console.log(`✅ Generated ${result.lineups?.length || 0} valid lineup(s)`);
+    // Clock-only start times need the slate date
+    const slate = slateModel.getById(slateId);
+    const slateDate = slate?.start_time?.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null;
+
+    console.log(`🔁 Late swapping ${lineups.length} lineup(s) for slate ${slateId} at ${swapTime.toISOString()}`);
+
+    const results = lineups.map(lineup => {
+      const result = optimizerService.lateSwap(lineup, players, {
+        now: swapTime,
+        mode,
+        excludedPlayers,
+        slateDate,
+        site: slate?.site || 'DK'
+      });
+
+      if (apply && result.changed && !result.error) {
+        lineupModel.replacePlayers(lineup.id, result.lineup.map(slot => ({
+          playerId: slot.player.id,
+          positionSlot: slot.position
+        })));
+        lineupModel.update(lineup.id, {
+          name: lineup.name,
+          totalSalary: result.after.totalSalary,
+          projectedPoints: result.after.projectedPoints
+        }, 'late swap');
+        result.applied = true;
+      }
+
+      return result;
+    });
+
+    const changed = results.filter(r => r.changed);
+    console.log(`✅ Late swap: ${changed.length}/${results.length} lineup(s) changed${apply ? ' and saved' : ''}`);
 
     res.json({
       success: true,
-      lineups: result.lineups || [],
-      count: result.lineups?.length || 0,
-      exposureStats: result.exposureStats,
-      settings: result.settings
+      now: swapTime.toISOString(),
+      applied: apply,
+      summary: {
+        lineups: results.length,
+        changed: changed.length,
+        swaps: changed.reduce((sum, r) => sum + r.swaps.length, 0),
+        failed: results.filter(r => r.error).length,
+        projectionGain: +changed.reduce((sum, r) => sum + (r.after.projectedPoints - r.before.projectedPoints), 0).toFixed(1)
+      },
+      results
     });
   } catch (error) {
-    console.error('Optimizer error:', error);
+    console.error('Late swap error:', error);
     res.status(500).json({
-      error: 'Optimization failed',
+      error: 'Late swap failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/optimizer/rebalance
+ * Move saved lineups toward new exposure targets with the fewest swaps
+ * Body: { slateId, portfolioId or lineupIds (default: all saved lineups for the slate),
+ *         targets: [{ playerId, min, max }], defaultMax, now, apply }
+ * Returns a preview of every swap; with apply=true the changed lineups are written back.
+ */
+router.post('/rebalance', async (req, res) => {
+  try {
+    const {
+      slateId,
+      portfolioId = null,
+      lineupIds = null,
+      targets = [],
+      defaultMax = 100,
+      now = null,
+      apply = false
+    } = req.body;
+
+    if (!slateId) {
+      return res.status(400).json({ error: 'slateId is required' });
+    }
+    if (!Array.isArray(targets) || targets.length === 0) {
+      return res.status(400).json({ error: 'targets array is required' });
+    }
+
+    const invalid = targets.filter(t => !t.playerId || parseFloat(t.min) > parseFloat(t.max));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Each target needs a playerId and min <= max' });
+    }
+
+    const rebalanceTime = now ? new Date(now) : new Date();
+    if (isNaN(rebalanceTime)) {
+      return res.status(400).json({ error: 'now must be a valid date' });
+    }
+
+    let ids = lineupIds;
+    if (portfolioId) {
+      const portfolio = portfolioModel.getById(portfolioId);
+      if (!portfolio) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+      ids = portfolio.lineupIds;
+    }
+    ids = ids || lineupModel.getAll(slateId).map(l => l.id);
+    const lineups = ids.map(id => lineupModel.getById(id)).filter(l => l && String(l.slate_id) === String(slateId));
+
+    if (lineups.length === 0) {
+      return res.status(404).json({ error: 'No saved lineups found for this slate' });
+    }
+
+    const showdownCount = lineups.filter(l => l.players.some(p => p.position_slot === 'CPT')).length;
+    if (showdownCount > 0 && showdownCount < lineups.length) {
+      return res.status(400).json({ error: 'Cannot rebalance Classic and Showdown lineups together' });
+    }
+
+    const players = playerModel.getBySlateId(slateId);
+    const slate = slateModel.getById(slateId);
+    const slateDate = slate?.start_time?.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null;
+
+    const plan = rebalanceService.rebalance(lineups, players, {
+      targets,
+      defaultMax,
+      contestType: showdownCount > 0 ? 'Showdown' : 'Classic',
+      site: slate?.site || 'DK',
+      now: rebalanceTime,
+      slateDate
+    });
+
+    if (apply) {
+      plan.lineups.forEach(result => {
+        const lineup = lineups.find(l => l.id === result.lineupId);
+        lineupModel.replacePlayers(lineup.id, result.lineup.map(slot => ({
+          playerId: slot.player.id,
+          positionSlot: slot.position
+        })));
+        lineupModel.update(lineup.id, {
+          name: lineup.name,
+          totalSalary: result.after.totalSalary,
+          projectedPoints: result.after.projectedPoints
+        }, 'rebalance');
+        result.applied = true;
+      });
+      console.log(`✅ Rebalance saved ${plan.lineups.length} lineup(s)`);
+    }
+
+    res.json({
+      success: true,
+      applied: apply,
+      ...plan
+    });
+  } catch (error) {
+    console.error('Rebalance error:', error);
+    res.status(500).json({
+      error: 'Rebalance failed',
       message: error.message
     });
   }
@@ -186,10 +604,11 @@ router.post('/review-lineup', async (req, res) => {
  */
 router.post('/validate', async (req, res) => {
   try {
-    const { players, minSalary = 49000 } = req.body;
+    const { players, minSalary = 49000, site = 'DK' } = req.body;
+    const roster = optimizerService.getRoster('Classic', site);
 
-    if (!players || !Array.isArray(players) || players.length !== 8) {
-      return res.status(400).json({ error: 'Must provide exactly 8 players' });
+    if (!players || !Array.isArray(players) || players.length !== roster.size) {
+      return res.status(400).json({ error: `Must provide exactly ${roster.size} players` });
     }
 
     const totalSalary = players.reduce((sum, p) => sum + (p.salary || 0), 0);
@@ -201,13 +620,13 @@ router.post('/validate', async (req, res) => {
       warnings: [],
       totalSalary,
       projectedPoints,
-      remainingSalary: 50000 - totalSalary
+      remainingSalary: roster.salaryCap - totalSalary
     };
 
     // Check salary cap
-    if (totalSalary > 50000) {
+    if (totalSalary > roster.salaryCap) {
       validation.isValid = false;
-      validation.errors.push(`Over salary cap by $${totalSalary - 50000}`);
+      validation.errors.push(`Over salary cap by $${totalSalary - roster.salaryCap}`);
     }
 
     // Check minimum salary
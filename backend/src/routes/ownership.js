@@ -0,0 +1,73 @@
+import express from 'express';
+import slateModel from '../models/slateModel.js';
+import ownershipService from '../services/ownershipService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/ownership/model
+ * Ownership model in use - weights, calibration and accuracy against RotoWire
+ */
+router.get('/model', async (req, res) => {
+  try {
+    res.json(ownershipService.getModel());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/ownership/train
+ * Fit the model to every slate with imported contest standings, then
+ * re-project the active slate(s)
+ */
+router.post('/train', async (req, res) => {
+  try {
+    let model;
+    try {
+      model = ownershipService.train();
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const projected = slateModel.getAll().reduce((sum, slate) => sum + ownershipService.projectSlate(slate.slate_id), 0);
+    res.json({ success: true, model, projected });
+  } catch (error) {
+    console.error('Ownership training error:', error);
+    res.status(500).json({
+      error: 'Ownership training failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ownership/:slateId
+ * RotoWire, model and actual ownership per player
+ */
+router.get('/:slateId', async (req, res) => {
+  try {
+    res.json(ownershipService.getSlateOwnership(req.params.slateId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/ownership/:slateId/project
+ * Recompute projected_ownership for a slate with the current model
+ */
+router.post('/:slateId/project', async (req, res) => {
+  try {
+    if (!slateModel.getById(req.params.slateId)) {
+      return res.status(404).json({ error: 'Slate not found' });
+    }
+
+    const projected = ownershipService.projectSlate(req.params.slateId);
+    res.json({ success: true, projected, players: ownershipService.getSlateOwnership(req.params.slateId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
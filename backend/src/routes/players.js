@@ -5,6 +5,11 @@ import rotowireService from '../services/rotowireService.js';
 import espnScraperService from '../services/espnScraperService.js';
 import hashtagBasketballService from '../services/hashtagBasketballService.js';
 import projectionService from '../services/projectionService.js';
+import injurySwapService from '../services/injurySwapService.js';
+import ownershipService from '../services/ownershipService.js';
+import minutesService from '../services/minutesService.js';
+import statProjectionService from '../services/statProjectionService.js';
+import outcomeDistributionService from '../services/outcomeDistributionService.js';
 
 const router = express.Router();
 
@@ -60,17 +65,22 @@ router.post('/:slateId/sync', async (req, res) => {
     // STEP 4: Clear existing data and store new slate + players
     console.log(`🔄 Step 4/4: Storing slate and player data...`);
 
-    // Clear all existing slates and players (single active slate model)
-    console.log(`  🗑️  Clearing existing slate data...`);
-    playerModel.deleteAll();
-    slateModel.deleteAll();
+    // Clear other slates and their players (single active slate model). A re-sync
+    // of the same slate updates players in place so saved lineups survive it.
+    console.log(`  🗑️  Clearing other slate data...`);
+    playerModel.deleteAllExcept(slateId);
+    slateModel.deleteAllExcept(slateId);
+    const previousStatuses = new Map(playerModel.getStatuses(slateId).map(p => [p.id, p.injury_status]));
 
     // Create the new slate
     slateModel.createOrUpdate({
       slateId,
       name: req.body.name || `NBA Slate ${slateId}`,
       sport: 'NBA',
-      startTime: req.body.startTime || null
+      startTime: req.body.startTime || null,
+      contestType: req.body.contestType || 'Classic',
+      salaryCap: req.body.salaryCap || null,
+      site: req.body.site || 'DK'
     });
 
     // Bulk insert players (with defense-adjusted projections)
@@ -78,11 +88,29 @@ router.post('/:slateId/sync', async (req, res) => {
 
     console.log(`✅ Complete! Synced ${players.length} players with matchup-adjusted projections (overall defense + pace + position defense)`);
 
+    // Players dropped from the feed are out - then look for saved lineups that need swaps
+    if (previousStatuses.size > 0) {
+      playerModel.markMissingAsOut(slateId, players.map(p => p.playerId));
+    }
+    const statusChanges = playerModel.getStatuses(slateId)
+      .filter(p => previousStatuses.has(p.id) && previousStatuses.get(p.id) !== p.injury_status && ['OUT', 'Doubtful'].includes(p.injury_status))
+      .map(p => ({ playerId: p.id, name: p.name, from: previousStatuses.get(p.id) || null, to: p.injury_status }));
+    const affectedLineups = injurySwapService.findAffected(slateId).length;
+
+    // Outcome distributions from game logs, then in-house ownership next to RotoWire's rostership
+    outcomeDistributionService.projectSlate(slateId);
+    ownershipService.projectSlate(slateId);
+
+    if (affectedLineups > 0) {
+      console.log(`🚑 ${affectedLineups} saved lineup(s) have OUT/Doubtful players - see /api/lineups/injury-swaps`);
+    }
+
     const syncedPlayers = playerModel.getBySlateId(slateId);
     res.json({
       message: 'Players synced successfully',
       count: players.length,
-      players: syncedPlayers
+      players: syncedPlayers,
+      injuryAlerts: { statusChanges, affectedLineups }
     });
   } catch (error) {
     console.error('Sync error:', error);
@@ -147,8 +175,8 @@ router.post('/:slateId/recalculate-projections', async (req, res) => {
         adjusted_projection: result.adjusted_projection,
         total_adjustment: result.total_adjustment,
         adjustments: result.adjustments,
-        floor: result.baseline * 0.75, // Simple floor calculation
-        ceiling: result.baseline * 1.25 // Simple ceiling calculation
+        floor: result.baseline * 0.75, // Placeholder until the outcome distribution is stored
+        ceiling: result.baseline * 1.25
       });
 
       totalBaseline += result.baseline;
@@ -161,8 +189,10 @@ router.post('/:slateId/recalculate-projections', async (req, res) => {
       }
     }
 
-    // Update database with new projections
+    // Update database with new projections (value and position ranks feed the ownership model)
     const updated = playerModel.bulkUpdateProjections(slateId, projectionResults);
+    outcomeDistributionService.projectSlate(slateId);
+    ownershipService.projectSlate(slateId);
 
     console.log(`\n✅ Projection recalculation complete!`);
     console.log(`   📊 Players updated: ${updated}`);
@@ -225,6 +255,8 @@ router.post('/:slateId/reset-projections', async (req, res) => {
     console.log(`🔄 Resetting projections to RotoWire baseline for slate ${slateId}`);
 
     const result = playerModel.resetProjections(slateId);
+    outcomeDistributionService.projectSlate(slateId);
+    ownershipService.projectSlate(slateId);
 
     res.json({
       success: true,
@@ -324,6 +356,7 @@ router.post('/:slateId/enhanced-projections', async (req, res) => {
         ceiling: r.historical?.ceiling || r.enhanced_projection * 1.3
       }));
       playerModel.bulkUpdateProjections(slateId, projectionsToUpdate);
+      outcomeDistributionService.projectSlate(slateId);
     }
 
     // Calculate summary stats
@@ -445,6 +478,7 @@ router.post('/:slateId/enhanced-projections', async (req, res) => {
         historical: p.historical,
         matchup: p.matchup,
         usageBump: p.usageBump,
+        minutes: p.minutes,
         adjustments: p.adjustments
       }))
     });
@@ -455,7 +489,52 @@ router.post('/:slateId/enhanced-projections', async (req, res) => {
 });
 
 /**
- * Get enhanced projection breakdown for a single player
+ * Minutes projections for a slate - mean and spread, role, teammate absences,
+ * per-minute rate, and the fantasy points they imply next to RotoWire's minutes
+ * GET /api/players/:slateId/minutes?slateDate=
+ */
+router.get('/:slateId/minutes', async (req, res) => {
+  try {
+    const { slateId } = req.params;
+    const { slateDate = null } = req.query;
+
+    const players = playerModel.getAllForProjections(slateId);
+    if (!players || players.length === 0) {
+      return res.status(404).json({ error: 'No players found for this slate' });
+    }
+
+    projectionService.clearCache();
+    const slateRoster = players.map(p => p.name);
+
+    const minutes = players
+      .map(player => ({
+        player_id: player.player_id,
+        name: player.name,
+        team: player.team,
+        position: player.position,
+        salary: player.salary,
+        minutes: minutesService.projectMinutes(player, {
+          slateRoster,
+          slateDate,
+          isB2B: player.rest_days === 0
+        })
+      }))
+      .sort((a, b) => (b.minutes?.mean || 0) - (a.minutes?.mean || 0));
+
+    res.json({
+      slateDate,
+      players: minutes,
+      rotationChanges: minutes.filter(p => p.minutes?.absences.length > 0).length,
+      noHistory: minutes.filter(p => !p.minutes).length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get enhanced projection breakdown for a single player, with stat-level
+ * projections (PTS/REB/AST/STL/BLK/TOV/3PM, category DvP, DD/TD odds)
  * GET /api/players/:slateId/enhanced-projection/:playerId
  */
 router.get('/:slateId/enhanced-projection/:playerId', async (req, res) => {
@@ -473,12 +552,13 @@ router.get('/:slateId/enhanced-projection/:playerId', async (req, res) => {
     // Get slate roster for usage bump detection
     const slateRoster = players.map(p => p.name);
 
-    const result = projectionService.calculateEnhancedProjection(player, {
+    const options = {
       slateRoster,
       slateDate,
       isHome: player.is_home === 1 || player.is_home === true,
       isB2B: player.rest_days === 0
-    });
+    };
+    const result = projectionService.calculateEnhancedProjection(player, options);
 
     res.json({
       player: {
@@ -488,7 +568,8 @@ router.get('/:slateId/enhanced-projection/:playerId', async (req, res) => {
         position: player.position,
         salary: player.salary
       },
-      projection: result
+      projection: result,
+      statProjection: statProjectionService.projectStats(player, options)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
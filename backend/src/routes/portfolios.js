@@ -0,0 +1,200 @@
+import express from 'express';
+import portfolioModel from '../models/portfolioModel.js';
+import lineupModel from '../models/lineupModel.js';
+import slateModel from '../models/slateModel.js';
+import portfolioService from '../services/portfolioService.js';
+
+const router = express.Router();
+
+/**
+ * Lineup IDs that aren't saved lineups on the slate
+ */
+function findForeignLineups(slateId, lineupIds) {
+  return lineupIds.filter(id => {
+    const lineup = lineupModel.getById(id);
+    return !lineup || String(lineup.slate_id) !== String(slateId);
+  });
+}
+
+/**
+ * GET /api/portfolios
+ * Query: slateId
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(portfolioModel.getAll(req.query.slateId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/portfolios
+ * Body: { slateId, name, description, lineupIds }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { slateId, name, description, lineupIds = [] } = req.body;
+
+    if (!slateId || !name) {
+      return res.status(400).json({ error: 'slateId and name are required' });
+    }
+    if (!slateModel.getById(slateId)) {
+      return res.status(404).json({ error: 'Slate not found' });
+    }
+
+    const foreign = findForeignLineups(slateId, lineupIds);
+    if (foreign.length > 0) {
+      return res.status(400).json({ error: `Lineups not saved on this slate: ${foreign.join(', ')}` });
+    }
+
+    const id = portfolioModel.create({ slateId, name, description });
+    portfolioModel.addLineups(id, lineupIds);
+
+    res.status(201).json(portfolioService.getPortfolio(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/portfolios/analytics
+ * Analytics for any set of lineups, e.g. an optimizer batch before it is saved
+ * Body: { lineups, site }
+ */
+router.post('/analytics', async (req, res) => {
+  try {
+    const { lineups, site } = req.body;
+
+    if (!Array.isArray(lineups) || lineups.length === 0) {
+      return res.status(400).json({ error: 'lineups array is required' });
+    }
+
+    res.json(portfolioService.getAnalytics(lineups, { site }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/portfolios/:id
+ * Portfolio with its lineups
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const portfolio = portfolioService.getPortfolio(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    res.json(portfolio);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/portfolios/:id/analytics
+ * Exposure, salary, ownership, leverage and overlap across the portfolio
+ */
+router.get('/:id/analytics', async (req, res) => {
+  try {
+    const portfolio = portfolioService.getPortfolio(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const slate = slateModel.getById(portfolio.slate_id);
+    res.json({
+      portfolioId: portfolio.id,
+      name: portfolio.name,
+      ...portfolioService.getAnalytics(portfolio.lineups, { site: slate?.site })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/portfolios/:id
+ * Body: { name, description }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const portfolio = portfolioModel.getById(req.params.id);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    portfolioModel.update(req.params.id, {
+      name: req.body.name || portfolio.name,
+      description: req.body.description ?? portfolio.description
+    });
+
+    res.json(portfolioService.getPortfolio(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/portfolios/:id/lineups
+ * Add saved lineups to a portfolio
+ * Body: { lineupIds }
+ */
+router.post('/:id/lineups', async (req, res) => {
+  try {
+    const { lineupIds } = req.body;
+    const portfolio = portfolioModel.getById(req.params.id);
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    if (!Array.isArray(lineupIds) || lineupIds.length === 0) {
+      return res.status(400).json({ error: 'lineupIds array is required' });
+    }
+
+    const foreign = findForeignLineups(portfolio.slate_id, lineupIds);
+    if (foreign.length > 0) {
+      return res.status(400).json({ error: `Lineups not saved on this slate: ${foreign.join(', ')}` });
+    }
+
+    portfolioModel.addLineups(portfolio.id, lineupIds);
+    res.json(portfolioService.getPortfolio(portfolio.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/portfolios/:id/lineups/:lineupId
+ * Remove a lineup from a portfolio (the lineup itself is kept)
+ */
+router.delete('/:id/lineups/:lineupId', async (req, res) => {
+  try {
+    const result = portfolioModel.removeLineup(req.params.id, req.params.lineupId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Lineup is not in this portfolio' });
+    }
+    res.json(portfolioService.getPortfolio(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/portfolios/:id
+ * Delete a portfolio - its lineups stay saved
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = portfolioModel.delete(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+    res.json({ message: 'Portfolio deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import slateModel from '../models/slateModel.js';
+import resultModel from '../models/resultModel.js';
+import resultsService from '../services/resultsService.js';
+import ownershipService from '../services/ownershipService.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/results/import
+ * Import a DraftKings contest standings CSV
+ * Body: {
+ *   slateId,
+ *   contestId,      // DK contest ID (from the contest-standings-<id>.csv filename)
+ *   csv,            // the file's text
+ *   contestName,    // defaults to the imported entries' contest name
+ *   contestType,    // 'gpp' | 'double-up' | '50/50' | 'h2h' (default: from the contest name)
+ *   entryFee,       // defaults to the imported entries' fee
+ *   payouts,        // [{ minRank, maxRank, prize }]
+ *   username        // DK username, for matching entries by player set
+ * }
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { slateId, csv, ...options } = req.body;
+
+    if (!slateId || !csv || !options.contestId) {
+      return res.status(400).json({ error: 'slateId, contestId and csv are required' });
+    }
+
+    const slate = slateModel.getById(slateId);
+    if (!slate) {
+      return res.status(404).json({ error: 'Slate not found' });
+    }
+
+    let result;
+    try {
+      result = resultsService.importStandings(slate, csv, options);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Actual ownership becomes training data for the ownership model
+    const ownershipSamples = ownershipService.collectSamples(slate.slate_id);
+
+    res.json({ success: true, ...result, ownershipSamples });
+  } catch (error) {
+    console.error('Results import error:', error);
+    res.status(500).json({
+      error: 'Results import failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/results
+ * Bankroll and ROI by slate, contest type and optimizer mode
+ * Query: startingBankroll
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(resultsService.getSummary({ startingBankroll: req.query.startingBankroll }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/results/slate/:slateId
+ * Graded entries for a slate, by contest
+ */
+router.get('/slate/:slateId', async (req, res) => {
+  try {
+    res.json(resultsService.getSlateResults(req.params.slateId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/results/ownership/:slateId
+ * Actual ownership from the standings against RotoWire's rostership and our ownership model
+ */
+router.get('/ownership/:slateId', async (req, res) => {
+  try {
+    res.json(resultsService.getOwnership(req.params.slateId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/results/contest/:contestId
+ * Remove an imported contest
+ */
+router.delete('/contest/:contestId', async (req, res) => {
+  try {
+    const result = resultModel.deleteContest(req.params.contestId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+    res.json({ message: 'Contest results deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,13 +1,21 @@
 import express from 'express';
 import slateModel from '../models/slateModel.js';
 import rotowireService from '../services/rotowireService.js';
+import { SITE_PROFILES, describeSiteProfile, isSupportedSite, getSiteProfile } from '../utils/siteProfiles.js';
 
 const router = express.Router();
 
-// Get available slates from RotoWire (Classic contests only)
+// Get available slates from RotoWire (Classic and Showdown contests)
+// ?site=DK|FD picks the DFS site (default DraftKings)
 router.get('/list', async (req, res) => {
   try {
-    const slates = await rotowireService.fetchSlateList();
+    const { site = 'DK' } = req.query;
+
+    if (!isSupportedSite(site)) {
+      return res.status(400).json({ error: `Unsupported site: ${site}` });
+    }
+
+    const slates = await rotowireService.fetchSlateList(getSiteProfile(site).site);
     res.json(slates);
   } catch (error) {
     console.error('Error fetching slate list:', error);
@@ -15,6 +23,11 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// Site profiles (salary cap, roster slots, eligibility, scoring)
+router.get('/sites', (req, res) => {
+  res.json(Object.values(SITE_PROFILES).map(describeSiteProfile));
+});
+
 // Get the current active slate (most recent one)
 router.get('/active', async (req, res) => {
   try {
@@ -55,7 +68,7 @@ router.get('/:slateId', async (req, res) => {
 // Create or update a slate
 router.post('/', async (req, res) => {
   try {
-    const { slateId, name, sport, startTime } = req.body;
+    const { slateId, name, sport, startTime, contestType, salaryCap, site } = req.body;
 
     if (!slateId || !name) {
       return res.status(400).json({ error: 'slateId and name are required' });
@@ -65,7 +78,10 @@ router.post('/', async (req, res) => {
       slateId,
       name,
       sport: sport || 'NBA',
-      startTime
+      startTime,
+      contestType,
+      salaryCap,
+      site
     });
 
     const slate = slateModel.getById(slateId);
@@ -11,6 +11,13 @@ import lineupsRouter from './routes/lineups.js';
 import optimizerRouter from './routes/optimizer.js';
 import chatRouter from './routes/chat.js';
 import historicalRouter from './routes/historical.js';
+import exportsRouter from './routes/exports.js';
+import entriesRouter from './routes/entries.js';
+import resultsRouter from './routes/results.js';
+import portfoliosRouter from './routes/portfolios.js';
+import ownershipRouter from './routes/ownership.js';
+import backtestsRouter from './routes/backtests.js';
+import calibrationRouter from './routes/calibration.js';
 
 // Get directory paths for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -27,8 +34,9 @@ createTables(db);
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '1mb' }));
-app.use(express.urlencoded({ limit: '1mb', extended: true }));
+// Contest standings CSVs for large fields run to several MB
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // Request logging
 app.use((req, res, next) => {
@@ -43,6 +51,13 @@ app.use('/api/lineups', lineupsRouter);
 app.use('/api/optimizer', optimizerRouter);
 app.use('/api/chat', chatRouter);
 app.use('/api/historical', historicalRouter);
+app.use('/api/exports', exportsRouter);
+app.use('/api/entries', entriesRouter);
+app.use('/api/results', resultsRouter);
+app.use('/api/portfolios', portfoliosRouter);
+app.use('/api/ownership', ownershipRouter);
+app.use('/api/backtests', backtestsRouter);
+app.use('/api/calibration', calibrationRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
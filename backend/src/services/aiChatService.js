@@ -525,6 +525,7 @@ The table must be in plain text, NOT inside code block markers!
               excludedPlayers: excludedPlayerIds,
               minSalary,
               randomness,
+              frontierPoints: 0, // Chat only reads the lineups
             });
 
             if (lineups.length === 0) {
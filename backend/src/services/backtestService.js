@@ -0,0 +1,394 @@
+/**
+ * PROJECTION BACKTEST SERVICE
+ *
+ * Replays calculateEnhancedProjection over every date in historical_games,
+ * using only games before that date, and scores each projection against the
+ * player's actual DK points that night.
+ *
+ * Inputs per player-game:
+ *   - Box score: team, opponent, home/away, back-to-back (known before tip)
+ *   - A DK slate imported for that date, when one exists: RotoWire projection,
+ *     Vegas lines, salary, position, DvP
+ *   - Otherwise position and salary tier come from the player's latest slate
+ *     (used for grouping only, never in the projection), and the roster is
+ *     everyone who played for the two teams in the 14 days before the date -
+ *     not who suited up that night, which would leak late scratches
+ */
+
+import db from '../config/database.js';
+import projectionService from './projectionService.js';
+import backtestModel from '../models/backtestModel.js';
+import { summarizeErrors, getCalibration, groupErrors } from '../utils/projectionMetrics.js';
+
+// calculateEnhancedProjection adjustments, in the order they are reported
+const ADJUSTMENT_KEYS = ['streak', 'usageBump', 'venue', 'b2b', 'defense', 'dvp', 'pace', 'vegas', 'blowout'];
+
+// Read from today's team defense tables rather than as of the backtested date
+const CURRENT_TABLE_ADJUSTMENTS = ['defense', 'dvp', 'pace'];
+
+// Without a slate, a player is on the roster if they played for the team this recently
+const ROSTER_LOOKBACK_DAYS = 14;
+
+const SALARY_TIERS = [
+  { label: 'Studs ($8k+)', min: 8000 },
+  { label: 'Mids ($5k-$7.9k)', min: 5000 },
+  { label: 'Value (<$5k)', min: 0 }
+];
+
+function getSalaryTier(salary) {
+  if (!salary) return 'Unknown';
+  return SALARY_TIERS.find(tier => salary >= tier.min).label;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+class BacktestService {
+  /**
+   * Dates to replay, oldest first (evenly spaced when maxDates is set)
+   */
+  getDates({ from = null, to = null, maxDates = null } = {}) {
+    const params = [];
+    let query = `SELECT DISTINCT game_date FROM historical_games WHERE 1=1`;
+    if (from) {
+      query += ` AND game_date >= ?`;
+      params.push(from);
+    }
+    if (to) {
+      query += ` AND game_date <= ?`;
+      params.push(to);
+    }
+    query += ` ORDER BY game_date`;
+
+    const dates = db.prepare(query).all(...params).map(row => row.game_date);
+    const limit = parseInt(maxDates) || 0;
+    if (limit <= 0 || dates.length <= limit) return dates;
+
+    const step = dates.length / limit;
+    return Array.from({ length: limit }, (_, i) => dates[Math.floor(i * step)]);
+  }
+
+  /**
+   * DK slate players by date and name, with the same defense joins as the projection backfill
+   */
+  getSlatePlayersByDate(dates) {
+    const wanted = new Set(dates);
+    const slateIdsByDate = new Map();
+    db.prepare(`SELECT slate_id, start_time, site, contest_type FROM slates`).all()
+      .filter(slate => (slate.site || 'DK') === 'DK' && (slate.contest_type || 'Classic') === 'Classic')
+      .forEach(slate => {
+        const date = slate.start_time?.match(/\d{4}-\d{2}-\d{2}/)?.[0];
+        if (!date || !wanted.has(date)) return;
+        if (!slateIdsByDate.has(date)) slateIdsByDate.set(date, []);
+        slateIdsByDate.get(date).push(slate.slate_id);
+      });
+
+    const stmt = db.prepare(`
+      SELECT
+        p.*,
+        tdr.def_eff as opp_def_eff,
+        tdvp.pts_allowed as dvp_pts_allowed
+      FROM players p
+      LEFT JOIN team_defense_rankings tdr ON p.opponent = tdr.team
+      LEFT JOIN team_defense_vs_position tdvp ON p.opponent = tdvp.team
+        AND SUBSTR(p.position, 1, 2) = tdvp.position
+      WHERE p.slate_id = ?
+    `);
+
+    const byDate = new Map();
+    slateIdsByDate.forEach((slateIds, date) => {
+      const players = new Map();
+      slateIds.forEach(slateId => {
+        stmt.all(slateId).forEach(player => {
+          const key = projectionService.normalizeName(player.name);
+          if (!players.has(key)) players.set(key, player);
+        });
+      });
+      byDate.set(date, players);
+    });
+    return byDate;
+  }
+
+  /**
+   * Latest known position and DK salary per player name (for grouping)
+   */
+  getLatestPlayerInfo() {
+    const info = new Map();
+    db.prepare(`
+      SELECT p.name, p.position, p.salary
+      FROM players p
+      JOIN slates s ON s.slate_id = p.slate_id
+      WHERE COALESCE(s.site, 'DK') = 'DK' AND COALESCE(s.contest_type, 'Classic') = 'Classic'
+      ORDER BY p.updated_at
+    `).all().forEach(player => {
+      info.set(projectionService.normalizeName(player.name), { position: player.position, salary: player.salary });
+    });
+    return info;
+  }
+
+  /**
+   * Pre-tip roster for a date without a slate: players who appeared for each
+   * team in the days before it (no box scores from the date itself)
+   */
+  getPregameRoster(date, teams) {
+    if (teams.length === 0) return [];
+    return db.prepare(`
+      SELECT DISTINCT player_name
+      FROM historical_games
+      WHERE team IN (${teams.map(() => '?').join(', ')})
+        AND game_date < ? AND game_date >= date(?, '-${ROSTER_LOOKBACK_DAYS} days')
+    `).all(...teams, date, date).map(row => row.player_name);
+  }
+
+  /**
+   * Everyone who played on a date, as the player object the projection takes
+   * @param {Object} context - minMinutes, slatePlayers (getSlatePlayersByDate for the date), latestInfo
+   * @returns {Array} [{ game, player, slatePlayer, latest, options }] - options for calculateEnhancedProjection
+   */
+  getPlayerGames(date, { minMinutes, slatePlayers, latestInfo }) {
+    const games = db.prepare(`
+      SELECT player_name, team, opponent, is_home, is_back_to_back, rest_days, minutes, dk_fantasy_points
+      FROM historical_games
+      WHERE game_date = ? AND minutes >= ? AND dk_fantasy_points IS NOT NULL
+    `).all(date, minMinutes);
+
+    // Usage bumps look for regulars missing from the roster - the slate's, or the teams' recent players
+    const slateRoster = slatePlayers
+      ? [...slatePlayers.values()].filter(p => p.injury_status !== 'OUT').map(p => p.name)
+      : this.getPregameRoster(date, [...new Set(games.map(game => game.team))]);
+
+    return games.map(game => {
+      const key = projectionService.normalizeName(game.player_name);
+      const slatePlayer = slatePlayers?.get(key) || null;
+      const latest = latestInfo.get(key) || null;
+      const isHome = game.is_home === 1;
+      const isB2B = game.is_back_to_back === 1;
+
+      const player = slatePlayer
+        ? { ...slatePlayer, opponent: slatePlayer.opponent || game.opponent }
+        : {
+          name: game.player_name,
+          team: game.team,
+          opponent: game.opponent,
+          position: latest?.position || null,
+          is_home: game.is_home,
+          rest_days: isB2B ? 0 : game.rest_days
+        };
+
+      return { game, player, slatePlayer, latest, options: { slateRoster, slateDate: date, isHome, isB2B } };
+    });
+  }
+
+  /**
+   * Project every player who played on a date, using games before it
+   * @returns {Array} Scored rows (players with no projection are left out)
+   */
+  projectDate(date, context) {
+    const rows = [];
+    this.getPlayerGames(date, context).forEach(({ game, player, slatePlayer, latest, options }) => {
+      const result = projectionService.calculateEnhancedProjection(player, options);
+      const projected = result.enhanced ? result.enhanced_projection : result.adjusted_projection;
+      if (!projected || projected <= 0) return;
+
+      const salary = slatePlayer?.salary || latest?.salary || null;
+      rows.push({
+        date,
+        name: game.player_name,
+        team: game.team,
+        position: projectionService.getPrimaryPosition(player.position) || 'Unknown',
+        salary,
+        salarySource: slatePlayer?.salary ? 'slate' : latest?.salary ? 'latest' : null,
+        hasSlateInputs: !!slatePlayer,
+        projected,
+        actual: game.dk_fantasy_points,
+        enhanced: !!result.enhanced,
+        blendedBaseline: result.enhanced ? result.blended_baseline : null,
+        rotowire: result.enhanced ? result.rotowire_baseline : result.baseline,
+        seasonAvg: result.historical?.seasonAvg ?? null,
+        adjustments: result.enhanced ? result.adjustments : null,
+        minutes: result.minutes
+          ? { projected: result.minutes.mean, stdDev: result.minutes.stdDev, rotowire: result.minutes.rotowireMinutes, role: result.minutes.role }
+          : null,
+        actualMinutes: game.minutes
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Error with and without each adjustment, on the player-games where it fired.
+   * "Without" re-applies the situational/matchup caps with that adjustment at 0.
+   */
+  getAdjustmentReport(rows) {
+    const enhancedRows = rows.filter(row => row.adjustments);
+
+    return ADJUSTMENT_KEYS.map(key => {
+      const active = enhancedRows.filter(row => row.adjustments[key] !== 0);
+      const withRows = [];
+      const withoutRows = [];
+      let helped = 0;
+      let totalAdjustment = 0;
+
+      active.forEach(row => {
+        const withAdj = Math.max(0, row.blendedBaseline + projectionService.combineAdjustments(row.blendedBaseline, row.adjustments));
+        const withoutAdj = Math.max(0, row.blendedBaseline + projectionService.combineAdjustments(row.blendedBaseline, { ...row.adjustments, [key]: 0 }));
+        withRows.push({ projected: withAdj, actual: row.actual });
+        withoutRows.push({ projected: withoutAdj, actual: row.actual });
+        if (Math.abs(withAdj - row.actual) < Math.abs(withoutAdj - row.actual)) helped++;
+        totalAdjustment += row.adjustments[key];
+      });
+
+      const withSummary = summarizeErrors(withRows);
+      const withoutSummary = summarizeErrors(withoutRows);
+      return {
+        key,
+        active: active.length,
+        activePct: enhancedRows.length > 0 ? round((active.length / enhancedRows.length) * 100, 1) : 0,
+        avgAdjustment: active.length > 0 ? round(totalAdjustment / active.length) : null,
+        mae: withSummary.mae,
+        maeWithout: withoutSummary.mae,
+        // Negative = the adjustment reduces error
+        maeChange: active.length > 0 ? round(withSummary.mae - withoutSummary.mae, 3) : null,
+        bias: withSummary.bias,
+        biasWithout: withoutSummary.bias,
+        hitRate: active.length > 0 ? round((helped / active.length) * 100, 1) : null,
+        pointInTime: !CURRENT_TABLE_ADJUSTMENTS.includes(key)
+      };
+    });
+  }
+
+  /**
+   * Minutes model accuracy: error overall, by role and against RotoWire, and
+   * how often the actual minutes land inside ±1 standard deviation (~68% if the spread is right)
+   */
+  getMinutesReport(rows) {
+    const minutesRows = rows.filter(row => row.minutes);
+    const toRow = row => ({ projected: row.minutes.projected, actual: row.actualMinutes, role: row.minutes.role });
+    const rotowireRows = minutesRows.filter(row => row.minutes.rotowire > 0);
+    const withinOneStd = minutesRows.filter(row => Math.abs(row.actualMinutes - row.minutes.projected) <= row.minutes.stdDev).length;
+
+    return {
+      overall: summarizeErrors(minutesRows.map(toRow)),
+      byRole: groupErrors(minutesRows.map(toRow), row => row.role),
+      rotowire: summarizeErrors(rotowireRows.map(row => ({ projected: row.minutes.rotowire, actual: row.actualMinutes }))),
+      modelVsRotowire: summarizeErrors(rotowireRows.map(toRow)),
+      withinOneStdPct: minutesRows.length > 0 ? round((withinOneStd / minutesRows.length) * 100, 1) : null
+    };
+  }
+
+  /**
+   * Accuracy report over scored rows
+   */
+  buildReport(rows, { skipped = 0 } = {}) {
+    const enhancedRows = rows.filter(row => row.enhanced);
+    const rotowireRows = rows.filter(row => row.hasSlateInputs && row.rotowire > 0);
+
+    const baselines = [
+      { key: 'enhanced', label: 'Enhanced projection', rows: enhancedRows.map(row => ({ projected: row.projected, actual: row.actual })) },
+      { key: 'blended', label: 'Blended baseline (no adjustments)', rows: enhancedRows.map(row => ({ projected: row.blendedBaseline, actual: row.actual })) },
+      { key: 'seasonAvg', label: 'Season average to date', rows: enhancedRows.map(row => ({ projected: row.seasonAvg, actual: row.actual })) },
+      { key: 'rotowire', label: 'RotoWire (dates with a slate)', rows: rotowireRows.map(row => ({ projected: row.rotowire, actual: row.actual })) },
+      { key: 'enhancedVsRotowire', label: 'Enhanced (same player-games as RotoWire)', rows: rotowireRows.map(row => ({ projected: row.projected, actual: row.actual })) }
+    ].map(({ rows: baselineRows, ...baseline }) => ({ ...baseline, ...summarizeErrors(baselineRows) }));
+
+    const biggestMisses = [...rows]
+      .sort((a, b) => Math.abs(b.projected - b.actual) - Math.abs(a.projected - a.actual))
+      .slice(0, 15)
+      .map(row => ({ date: row.date, name: row.name, team: row.team, projected: row.projected, actual: row.actual, error: round(row.projected - row.actual, 1) }));
+
+    return {
+      overall: summarizeErrors(rows),
+      coverage: {
+        playerGames: rows.length,
+        enhanced: enhancedRows.length,
+        fallback: rows.length - enhancedRows.length,
+        skipped,
+        withSlateInputs: rows.filter(row => row.hasSlateInputs).length,
+        salaryFromSlate: rows.filter(row => row.salarySource === 'slate').length,
+        salaryFromLatest: rows.filter(row => row.salarySource === 'latest').length
+      },
+      baselines,
+      calibration: getCalibration(rows),
+      bySalaryTier: groupErrors(rows, row => getSalaryTier(row.salary)),
+      byPosition: groupErrors(rows, row => row.position),
+      adjustments: this.getAdjustmentReport(rows),
+      minutes: this.getMinutesReport(rows),
+      biggestMisses,
+      caveats: [
+        `${CURRENT_TABLE_ADJUSTMENTS.join(', ')} read today's team defense tables, not the ones as of each date`,
+        'RotoWire and Vegas inputs exist only on dates with an imported DK slate',
+        'Without a slate that date, salary tier uses the player\'s latest salary',
+        'Minutes accuracy only covers players who logged minutes - DNPs are not in historical_games'
+      ]
+    };
+  }
+
+  /**
+   * Replay the projection over historical dates and store the report
+   * @param {Object} settings - from, to (YYYY-MM-DD), minMinutes (default 1), maxDates (evenly spaced sample)
+   * @param {Function} onProgress - ({ processed, total, date, playerGames })
+   * @returns {Object} Stored backtest
+   */
+  async run(settings = {}, onProgress = () => {}) {
+    const { from = null, to = null, maxDates = null } = settings;
+    const minMinutes = Number(settings.minMinutes ?? 1);
+    const startTime = Date.now();
+
+    const dates = this.getDates({ from, to, maxDates });
+    if (dates.length === 0) {
+      throw new Error('No historical games in that date range - sync historical data first');
+    }
+
+    console.log(`🧪 Backtesting projections over ${dates.length} date(s) (${dates[0]} → ${dates[dates.length - 1]})`);
+
+    const slatePlayersByDate = this.getSlatePlayersByDate(dates);
+    const latestInfo = this.getLatestPlayerInfo();
+    const rows = [];
+    let skipped = 0;
+
+    for (let i = 0; i < dates.length; i++) {
+      const date = dates[i];
+      const played = db.prepare(`SELECT COUNT(*) as count FROM historical_games WHERE game_date = ? AND minutes >= ?`).get(date, minMinutes).count;
+      const dateRows = this.projectDate(date, { minMinutes, slatePlayers: slatePlayersByDate.get(date), latestInfo });
+      rows.push(...dateRows);
+      skipped += played - dateRows.length;
+
+      // Lookups are cached per date and never reused on another date
+      projectionService.clearCache();
+      onProgress({ processed: i + 1, total: dates.length, date, playerGames: rows.length });
+
+      // Let the server answer requests between dates
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const report = this.buildReport(rows, { skipped });
+    const executionTime = ((Date.now() - startTime) / 1000).toFixed(1);
+    console.log(`✅ Backtest complete: ${rows.length} player-games, MAE ${report.overall.mae}, bias ${report.overall.bias} (${executionTime}s)`);
+
+    const id = backtestModel.create({
+      dateFrom: dates[0],
+      dateTo: dates[dates.length - 1],
+      datesTested: dates.length,
+      playerGames: rows.length,
+      mae: report.overall.mae,
+      rmse: report.overall.rmse,
+      bias: report.overall.bias,
+      settings: {
+        from,
+        to,
+        minMinutes,
+        maxDates: parseInt(maxDates) || null,
+        paramsVersion: projectionService.getParamsVersion(),
+        executionTime: parseFloat(executionTime)
+      },
+      report
+    });
+
+    return backtestModel.getById(id);
+  }
+}
+
+export default new BacktestService();
@@ -0,0 +1,315 @@
+/**
+ * PROJECTION CALIBRATION SERVICE
+ *
+ * Fits the enhanced projection's blend weights and adjustment coefficients
+ * (utils/projectionParams.js) to historical_games instead of hand-setting them.
+ *
+ * 1. Replay historical dates (BacktestService.getPlayerGames) and keep each
+ *    player-game's projection inputs - every database lookup happens once
+ * 2. Walk-forward validation: dates split into folds + 1 chronological blocks;
+ *    fold k fits on every block before k and is scored on block k, so each
+ *    score is out of sample. The set active at fit time is scored on the same blocks.
+ * 3. The stored set is fit on every date; it is activated when its
+ *    out-of-sample MAE beats the active set's (or when forced)
+ *
+ * The fit is a bounded pattern search on MAE: nudge one coefficient at a
+ * time, keep improvements, halve the step when nothing improves.
+ */
+
+import projectionService from './projectionService.js';
+import backtestService from './backtestService.js';
+import projectionParamsModel from '../models/projectionParamsModel.js';
+import { DEFAULT_PROJECTION_PARAMS, resolveProjectionParams } from '../utils/projectionParams.js';
+
+// Coefficients the fit may move, with bounds and starting step. maxMatchupAdjustment
+// stays as set: it caps defense, DvP and pace, which replay from the current team
+// tables rather than as of each date, so fitting it would reward look-ahead.
+const FITTED_PARAMS = [
+  { key: 'blendWeights.seasonAvg', min: 0, max: 1, step: 0.1 },
+  { key: 'blendWeights.last3Avg', min: 0, max: 1, step: 0.1 },
+  { key: 'blendWeights.matchupAvg', min: 0, max: 1, step: 0.1 },
+  { key: 'blendWeights.rotowire', min: 0, max: 1, step: 0.1 },
+  { key: 'blendWeights.minutesModel', min: 0, max: 1, step: 0.1 },
+  { key: 'streakFactor', min: 0, max: 1, step: 0.1 },
+  { key: 'venueWeight', min: 0, max: 1, step: 0.1 },
+  { key: 'b2bWeight', min: 0, max: 1.5, step: 0.1 },
+  { key: 'defaultB2bPenalty', min: -5, max: 0, step: 0.5 },
+  { key: 'maxSituationalAdjustment', min: 0, max: 0.5, step: 0.05 }
+];
+
+const MIN_DATES = 10;
+
+function getParam(params, key) {
+  return key.split('.').reduce((value, part) => value[part], params);
+}
+
+function setParam(params, key, value) {
+  const parts = key.split('.');
+  const next = { ...params, blendWeights: { ...params.blendWeights } };
+  if (parts.length === 2) {
+    next[parts[0]][parts[1]] = value;
+  } else {
+    next[key] = value;
+  }
+  return next;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Blend weights are relative - keep them summing to 1 so sets are comparable
+function normalizeBlendWeights(params) {
+  const total = Object.values(params.blendWeights).reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return resolveProjectionParams({ ...params, blendWeights: DEFAULT_PROJECTION_PARAMS.blendWeights });
+
+  const blendWeights = {};
+  Object.entries(params.blendWeights).forEach(([key, weight]) => {
+    blendWeights[key] = round(weight / total);
+  });
+  return { ...params, blendWeights };
+}
+
+class CalibrationService {
+  /**
+   * Projection inputs and actual DK points for every player-game with enough history
+   * @returns {Array} [{ date, inputs, actual }], oldest first
+   */
+  async collectSamples({ from = null, to = null, maxDates = null, minMinutes = 1 } = {}, onProgress = () => {}) {
+    const dates = backtestService.getDates({ from, to, maxDates });
+    const slatePlayersByDate = backtestService.getSlatePlayersByDate(dates);
+    const latestInfo = backtestService.getLatestPlayerInfo();
+    const samples = [];
+
+    for (let i = 0; i < dates.length; i++) {
+      const date = dates[i];
+      backtestService.getPlayerGames(date, { minMinutes, slatePlayers: slatePlayersByDate.get(date), latestInfo })
+        .forEach(({ game, player, options }) => {
+          const inputs = projectionService.getProjectionInputs(player, options);
+          if (!inputs) return;
+
+          // Only the bump size and the minutes-model points are used by the parameters
+          inputs.usageBump = { hasUsageBump: inputs.usageBump.hasUsageBump, bump: inputs.usageBump.bump };
+          inputs.minutes = inputs.minutes && { points: inputs.minutes.points };
+          samples.push({ date, inputs, actual: game.dk_fantasy_points });
+        });
+
+      projectionService.clearCache();
+      onProgress({ phase: 'collecting', processed: i + 1, total: dates.length, samples: samples.length });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return samples;
+  }
+
+  /**
+   * Mean absolute error of a parameter set over samples
+   */
+  evaluate(samples, params) {
+    if (samples.length === 0) return null;
+    const totalError = samples.reduce((sum, sample) => {
+      const result = projectionService.applyProjectionParams(sample.inputs, params);
+      return sum + Math.abs(result.enhanced_projection - sample.actual);
+    }, 0);
+    return totalError / samples.length;
+  }
+
+  /**
+   * Pattern search from a starting set
+   * @returns {Object} { params, mae }
+   */
+  async fit(samples, startParams, { maxIterations = 25, minStepFactor = 0.125 } = {}) {
+    let best = normalizeBlendWeights(resolveProjectionParams(startParams));
+    let bestMae = this.evaluate(samples, best);
+    const steps = new Map(FITTED_PARAMS.map(spec => [spec.key, spec.step]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      let improved = false;
+
+      for (const spec of FITTED_PARAMS) {
+        const step = steps.get(spec.key);
+        if (step < spec.step * minStepFactor) continue;
+
+        for (const direction of [1, -1]) {
+          const value = Math.min(spec.max, Math.max(spec.min, getParam(best, spec.key) + direction * step));
+          if (value === getParam(best, spec.key)) continue;
+
+          const candidate = normalizeBlendWeights(setParam(best, spec.key, round(value)));
+          const mae = this.evaluate(samples, candidate);
+          if (mae < bestMae - 1e-6) {
+            best = candidate;
+            bestMae = mae;
+            improved = true;
+            break;
+          }
+        }
+      }
+
+      if (!improved) {
+        let anyLeft = false;
+        steps.forEach((step, key) => {
+          steps.set(key, step / 2);
+          if (step / 2 >= FITTED_PARAMS.find(spec => spec.key === key).step * minStepFactor) anyLeft = true;
+        });
+        if (!anyLeft) break;
+      }
+
+      // Let the server answer requests between passes
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { params: best, mae: bestMae };
+  }
+
+  /**
+   * Walk-forward validation of a fit against the current set
+   * @returns {Object} { folds, oosMae, baselineOosMae }
+   */
+  async walkForward(samples, currentParams, folds, onProgress = () => {}) {
+    const dates = [...new Set(samples.map(sample => sample.date))].sort();
+    const blockSize = dates.length / (folds + 1);
+    const blockOf = new Map(dates.map((date, i) => [date, Math.min(folds, Math.floor(i / blockSize))]));
+
+    const results = [];
+    let errorSum = 0;
+    let baselineErrorSum = 0;
+    let tested = 0;
+
+    for (let k = 1; k <= folds; k++) {
+      const train = samples.filter(sample => blockOf.get(sample.date) < k);
+      const test = samples.filter(sample => blockOf.get(sample.date) === k);
+      if (train.length === 0 || test.length === 0) continue;
+
+      const { params } = await this.fit(train, currentParams);
+      const mae = this.evaluate(test, params);
+      const baselineMae = this.evaluate(test, currentParams);
+
+      results.push({
+        fold: k,
+        trainFrom: train[0].date,
+        trainTo: train[train.length - 1].date,
+        testFrom: test[0].date,
+        testTo: test[test.length - 1].date,
+        trainSamples: train.length,
+        testSamples: test.length,
+        mae: round(mae, 3),
+        baselineMae: round(baselineMae, 3)
+      });
+
+      errorSum += mae * test.length;
+      baselineErrorSum += baselineMae * test.length;
+      tested += test.length;
+      onProgress({ phase: 'validating', fold: k, folds });
+    }
+
+    return {
+      folds: results,
+      oosMae: tested > 0 ? round(errorSum / tested, 3) : null,
+      baselineOosMae: tested > 0 ? round(baselineErrorSum / tested, 3) : null
+    };
+  }
+
+  /**
+   * The hand-set values as the first stored set, so there is always something to roll back to
+   */
+  ensureDefaultSet() {
+    if (projectionParamsModel.count() > 0) return;
+    const id = projectionParamsModel.create({ params: DEFAULT_PROJECTION_PARAMS, source: 'default' });
+    projectionParamsModel.activate(id);
+  }
+
+  /**
+   * Fit, validate and store a new parameter set
+   * @param {Object} settings - from, to, maxDates, minMinutes (default 1, as the backtest), folds (default 4),
+   *   activate: 'ifBetter' (default), true or false
+   * @param {Function} onProgress - ({ phase, ... })
+   * @returns {Object} { set, activated, oosMae, baselineOosMae, inSampleMae }
+   */
+  async calibrate(settings = {}, onProgress = () => {}) {
+    const { from = null, to = null, maxDates = null, activate = 'ifBetter' } = settings;
+    const minMinutes = Number(settings.minMinutes ?? 1);
+    const folds = Math.max(1, Math.min(parseInt(settings.folds) || 4, 10));
+    const startTime = Date.now();
+
+    this.ensureDefaultSet();
+    const active = projectionParamsModel.getActive();
+    const currentParams = resolveProjectionParams(active?.params);
+
+    console.log(`🎛️  Calibrating projection parameters (${folds} walk-forward folds)...`);
+    const samples = await this.collectSamples({ from, to, maxDates, minMinutes }, onProgress);
+    const dateCount = new Set(samples.map(sample => sample.date)).size;
+    if (dateCount < MIN_DATES) {
+      throw new Error(`Need player-games on at least ${MIN_DATES} dates to calibrate (found ${dateCount}) - sync historical data or widen the range`);
+    }
+
+    const validation = await this.walkForward(samples, currentParams, folds, onProgress);
+
+    onProgress({ phase: 'fitting' });
+    const { params, mae } = await this.fit(samples, currentParams);
+
+    const id = projectionParamsModel.create({
+      params,
+      source: 'fit',
+      trainFrom: samples[0].date,
+      trainTo: samples[samples.length - 1].date,
+      samples: samples.length,
+      oosMae: validation.oosMae,
+      baselineOosMae: validation.baselineOosMae,
+      fit: {
+        settings: { from, to, maxDates: parseInt(maxDates) || null, minMinutes, folds },
+        baselineId: active?.id || null,
+        inSampleMae: round(mae, 3),
+        folds: validation.folds,
+        executionTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(1))
+      }
+    });
+
+    const improved = validation.oosMae !== null && validation.oosMae < validation.baselineOosMae;
+    const activated = activate === true || activate === 'true' || (activate === 'ifBetter' && improved);
+    if (activated) {
+      projectionParamsModel.activate(id);
+      projectionService.reloadParams();
+    }
+
+    console.log(`✅ Calibration: out-of-sample MAE ${validation.oosMae} vs ${validation.baselineOosMae} for set #${active?.id} - ${activated ? `set #${id} activated` : `set #${id} stored, not activated`}`);
+
+    return {
+      set: projectionParamsModel.getById(id),
+      activated,
+      improved,
+      oosMae: validation.oosMae,
+      baselineOosMae: validation.baselineOosMae,
+      inSampleMae: round(mae, 3)
+    };
+  }
+
+  /**
+   * Make a stored set the active one
+   */
+  activate(id) {
+    const set = projectionParamsModel.getById(id);
+    if (!set) throw new Error('Parameter set not found');
+
+    const activated = projectionParamsModel.activate(id);
+    projectionService.reloadParams();
+    return activated;
+  }
+
+  /**
+   * Go back to the set that was active before the current one
+   */
+  rollback() {
+    const active = projectionParamsModel.getActive();
+    if (!active?.replaced_id) {
+      throw new Error('No earlier parameter set to roll back to');
+    }
+
+    const restored = projectionParamsModel.activate(active.replaced_id, { rollback: true });
+    projectionService.reloadParams();
+    console.log(`⏪ Projection parameters rolled back from set #${active.id} to #${restored.id}`);
+    return restored;
+  }
+}
+
+export default new CalibrationService();
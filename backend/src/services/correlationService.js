@@ -0,0 +1,385 @@
+/**
+ * CORRELATION SERVICE
+ *
+ * Pairwise DK fantasy point correlations from historical_games
+ * - Teammates: games both players logged minutes for the same team
+ * - Opponents: games the two players faced each other
+ * - Position priors: league-wide average correlation per position pair
+ *   (PG-C teammates, PG-PG opponents, ...) used to shrink small samples
+ *
+ * Results are cached in player_correlations and recomputed when newer
+ * games land in historical_games.
+ */
+
+import db from '../config/database.js';
+import nbaStatsService from './nbaStatsService.js';
+
+const POSITION_ORDER = ['PG', 'SG', 'SF', 'PF', 'C'];
+const LEAGUE = 'LEAGUE';
+
+class CorrelationService {
+  constructor() {
+    // Shrinkage: the prior counts as this many games of evidence
+    this.PRIOR_STRENGTH = 20;
+
+    // Minimum shared games before a pair gets its own estimate
+    this.MIN_TEAMMATE_GAMES = 10;
+    this.MIN_OPPONENT_GAMES = 3;
+
+    // Minimum minutes for a game to count (filters garbage-time cameos)
+    this.MIN_MINUTES = 10;
+
+    // Fallback priors when a position pair has no league data
+    this.DEFAULT_PRIORS = {
+      teammate: -0.02,
+      opponent: 0.05
+    };
+  }
+
+  /**
+   * Get correlations for a team's players (cached)
+   * @param {string} team - Team abbreviation
+   * @param {Object} options - { refresh: force recompute }
+   * @returns {Object|null} { team, dataThrough, teammates, opponents, priors } or null without data
+   */
+  getTeamCorrelations(team, { refresh = false } = {}) {
+    team = team.toUpperCase();
+
+    const dataThrough = db.prepare(`
+      SELECT MAX(game_date) as latest FROM historical_games WHERE team = ?
+    `).get(team)?.latest;
+
+    if (!dataThrough) return null;
+
+    let rows = db.prepare(`
+      SELECT * FROM player_correlations
+      WHERE team = ? AND pair_type = 'player'
+      ORDER BY correlation DESC
+    `).all(team);
+
+    const isStale = rows.length === 0 || rows[0].data_through !== dataThrough;
+
+    if (refresh || isStale) {
+      console.log(`🔗 Computing correlations for ${team} (data through ${dataThrough})`);
+      const priors = this.getPositionPriors({ refresh });
+      rows = this.computeTeamCorrelations(team, priors);
+      this.saveCorrelations(team, 'player', rows, dataThrough);
+      rows.sort((a, b) => b.correlation - a.correlation);
+    }
+
+    return {
+      team,
+      dataThrough,
+      teammates: rows.filter(r => r.relationship === 'teammate').map(r => this.formatRow(r)),
+      opponents: rows.filter(r => r.relationship === 'opponent').map(r => this.formatRow(r)),
+      priors: this.getPositionPriors()
+    };
+  }
+
+  /**
+   * League-wide position-pair priors for teammates and opponents (cached)
+   * @returns {{ teammate: Object, opponent: Object }} position pair key -> correlation
+   */
+  getPositionPriors({ refresh = false } = {}) {
+    const dataThrough = db.prepare('SELECT MAX(game_date) as latest FROM historical_games').get()?.latest;
+
+    let rows = db.prepare(`
+      SELECT * FROM player_correlations WHERE team = ? AND pair_type = 'position'
+    `).all(LEAGUE);
+
+    if (dataThrough && (refresh || rows.length === 0 || rows[0].data_through !== dataThrough)) {
+      console.log('🔗 Computing league position-pair priors...');
+      rows = this.computePositionPriors();
+      this.saveCorrelations(LEAGUE, 'position', rows, dataThrough);
+    }
+
+    const priors = { teammate: {}, opponent: {} };
+    rows.forEach(row => {
+      priors[row.relationship][row.position_pair] = row.correlation;
+    });
+    return priors;
+  }
+
+  /**
+   * Compute teammate and opponent pair correlations for one team
+   */
+  computeTeamCorrelations(team, priors) {
+    const positions = this.getPlayerPositions();
+    const teamGames = this.loadGamesByPlayer('team = ?', [team]);
+    const results = [];
+
+    // Teammates
+    const teammates = Array.from(teamGames.keys())
+      .filter(name => teamGames.get(name).games.size >= this.MIN_TEAMMATE_GAMES);
+
+    for (let i = 0; i < teammates.length; i++) {
+      for (let j = i + 1; j < teammates.length; j++) {
+        const pair = this.correlatePair(teamGames.get(teammates[i]).games, teamGames.get(teammates[j]).games);
+        if (pair.games < this.MIN_TEAMMATE_GAMES) continue;
+
+        results.push(this.buildRow(
+          { name: teammates[i], team, position: positions.get(nbaStatsService.normalizeName(teammates[i])) },
+          { name: teammates[j], team, position: positions.get(nbaStatsService.normalizeName(teammates[j])) },
+          'teammate',
+          pair,
+          priors
+        ));
+      }
+    }
+
+    // Opponents - match our players' games to the other side of the same game
+    const opponentGames = this.loadGamesByPlayer('opponent = ?', [team]);
+
+    teammates.forEach(name => {
+      const ours = teamGames.get(name);
+      opponentGames.forEach((theirs, opponentName) => {
+        const pair = this.correlatePair(ours.opponentGames, theirs.games);
+        if (pair.games < this.MIN_OPPONENT_GAMES) return;
+
+        results.push(this.buildRow(
+          { name, team, position: positions.get(nbaStatsService.normalizeName(name)) },
+          { name: opponentName, team: theirs.team, position: positions.get(nbaStatsService.normalizeName(opponentName)) },
+          'opponent',
+          pair,
+          priors
+        ));
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * Pool raw pair correlations across the league by position pair
+   * Each pair is weighted by its number of shared games
+   */
+  computePositionPriors() {
+    const positions = this.getPlayerPositions();
+    const allGames = this.loadGamesByPlayer('1 = 1', []);
+    const pooled = { teammate: new Map(), opponent: new Map() };
+
+    const addToPool = (relationship, nameA, nameB, pair) => {
+      const key = this.getPositionPairKey(
+        positions.get(nbaStatsService.normalizeName(nameA)),
+        positions.get(nbaStatsService.normalizeName(nameB))
+      );
+      if (!key || pair.correlation === null) return;
+      const entry = pooled[relationship].get(key) || { sum: 0, games: 0, pairs: 0 };
+      entry.sum += pair.correlation * pair.games;
+      entry.games += pair.games;
+      entry.pairs++;
+      pooled[relationship].set(key, entry);
+    };
+
+    // Group qualified players by team
+    const byTeam = new Map();
+    allGames.forEach((data, name) => {
+      if (data.games.size < this.MIN_TEAMMATE_GAMES) return;
+      if (!byTeam.has(data.team)) byTeam.set(data.team, []);
+      byTeam.get(data.team).push(name);
+    });
+
+    byTeam.forEach((names, team) => {
+      for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+          const pair = this.correlatePair(allGames.get(names[i]).games, allGames.get(names[j]).games);
+          if (pair.games >= this.MIN_TEAMMATE_GAMES) addToPool('teammate', names[i], names[j], pair);
+        }
+      }
+
+      // Opponent pairs counted once per matchup (alphabetical team order)
+      byTeam.forEach((otherNames, otherTeam) => {
+        if (otherTeam <= team) return;
+        names.forEach(name => {
+          otherNames.forEach(otherName => {
+            const pair = this.correlatePair(allGames.get(name).opponentGames, allGames.get(otherName).games);
+            if (pair.games >= this.MIN_OPPONENT_GAMES) addToPool('opponent', name, otherName, pair);
+          });
+        });
+      });
+    });
+
+    const rows = [];
+    ['teammate', 'opponent'].forEach(relationship => {
+      pooled[relationship].forEach((entry, key) => {
+        const correlation = entry.sum / entry.games;
+        rows.push({
+          player_a: key.split('-')[0],
+          player_b: key.split('-')[1],
+          team_b: LEAGUE,
+          relationship,
+          position_pair: key,
+          games: entry.games,
+          raw_correlation: correlation,
+          prior: this.DEFAULT_PRIORS[relationship],
+          correlation
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Load DK points per player keyed by game date
+   * opponentGames is keyed by "OPP|date" so it can be matched to the other side
+   */
+  loadGamesByPlayer(where, params) {
+    const rows = db.prepare(`
+      SELECT player_name, team, opponent, game_date, dk_fantasy_points
+      FROM historical_games
+      WHERE ${where} AND minutes >= ? AND dk_fantasy_points IS NOT NULL
+      ORDER BY game_date ASC
+    `).all(...params, this.MIN_MINUTES);
+
+    const players = new Map();
+    rows.forEach(row => {
+      if (!players.has(row.player_name)) {
+        players.set(row.player_name, { team: row.team, games: new Map(), opponentGames: new Map() });
+      }
+      const data = players.get(row.player_name);
+      // Traded players: keep the most recent team
+      data.team = row.team;
+      data.games.set(`${row.team}|${row.game_date}`, row.dk_fantasy_points);
+      data.opponentGames.set(`${row.opponent}|${row.game_date}`, row.dk_fantasy_points);
+    });
+
+    return players;
+  }
+
+  /**
+   * Pearson correlation over games both players appear in
+   * @param {Map} gamesA - "TEAM|date" -> DK points
+   * @param {Map} gamesB - "TEAM|date" -> DK points
+   */
+  correlatePair(gamesA, gamesB) {
+    const xs = [];
+    const ys = [];
+
+    gamesA.forEach((value, key) => {
+      if (gamesB.has(key)) {
+        xs.push(value);
+        ys.push(gamesB.get(key));
+      }
+    });
+
+    const n = xs.length;
+    if (n < 3) return { games: n, correlation: null };
+
+    const meanX = xs.reduce((sum, v) => sum + v, 0) / n;
+    const meanY = ys.reduce((sum, v) => sum + v, 0) / n;
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (xs[i] - meanX) * (ys[i] - meanY);
+      varX += Math.pow(xs[i] - meanX, 2);
+      varY += Math.pow(ys[i] - meanY, 2);
+    }
+
+    if (varX === 0 || varY === 0) return { games: n, correlation: 0 };
+    return { games: n, correlation: cov / Math.sqrt(varX * varY) };
+  }
+
+  /**
+   * Build a cache row, shrinking the raw correlation toward its prior
+   * shrunk = (n·r + k·prior) / (n + k)
+   * playerA is always on the cached team; team_b is playerB's team
+   */
+  buildRow(playerA, playerB, relationship, pair, priors) {
+    const key = this.getPositionPairKey(playerA.position, playerB.position);
+    const prior = priors[relationship][key] ?? this.DEFAULT_PRIORS[relationship];
+    const raw = pair.correlation ?? prior;
+    const correlation = (pair.games * raw + this.PRIOR_STRENGTH * prior) / (pair.games + this.PRIOR_STRENGTH);
+
+    return {
+      player_a: playerA.name,
+      player_b: playerB.name,
+      team_b: playerB.team,
+      relationship,
+      position_pair: key,
+      games: pair.games,
+      raw_correlation: raw,
+      prior,
+      correlation
+    };
+  }
+
+  /**
+   * Replace the cached rows for a team (or the league priors)
+   */
+  saveCorrelations(team, pairType, rows, dataThrough) {
+    const remove = db.prepare('DELETE FROM player_correlations WHERE team = ? AND pair_type = ?');
+    const insert = db.prepare(`
+      INSERT INTO player_correlations (
+        team, team_b, pair_type, relationship, player_a, player_b, position_pair,
+        games, raw_correlation, prior, correlation, data_through
+      ) VALUES (
+        @team, @team_b, @pair_type, @relationship, @player_a, @player_b, @position_pair,
+        @games, @raw_correlation, @prior, @correlation, @data_through
+      )
+    `);
+
+    const save = db.transaction(() => {
+      remove.run(team, pairType);
+      rows.forEach(row => {
+        insert.run({
+          ...row,
+          team,
+          pair_type: pairType,
+          position_pair: row.position_pair || null,
+          raw_correlation: Math.round(row.raw_correlation * 1000) / 1000,
+          prior: Math.round(row.prior * 1000) / 1000,
+          correlation: Math.round(row.correlation * 1000) / 1000,
+          data_through: dataThrough
+        });
+        row.data_through = dataThrough;
+      });
+    });
+
+    save();
+    console.log(`✅ Cached ${rows.length} ${pairType} correlation(s) for ${team}`);
+  }
+
+  /**
+   * Latest known primary position per player from slate data
+   */
+  getPlayerPositions() {
+    const rows = db.prepare('SELECT name, position FROM players ORDER BY id ASC').all();
+    const positions = new Map();
+    rows.forEach(row => {
+      const primary = this.getPrimaryPosition(row.position);
+      if (primary) positions.set(nbaStatsService.normalizeName(row.name), primary);
+    });
+    return positions;
+  }
+
+  getPrimaryPosition(positionString) {
+    if (!positionString) return null;
+    const primary = positionString.split(/[,/]/)[0].trim();
+    return POSITION_ORDER.includes(primary) ? primary : null;
+  }
+
+  /**
+   * Order-independent position pair key, e.g. "PG-C"
+   */
+  getPositionPairKey(posA, posB) {
+    if (!posA || !posB) return null;
+    return [posA, posB].sort((x, y) => POSITION_ORDER.indexOf(x) - POSITION_ORDER.indexOf(y)).join('-');
+  }
+
+  formatRow(row) {
+    return {
+      playerA: row.player_a,
+      playerB: row.player_b,
+      opponentTeam: row.relationship === 'opponent' ? row.team_b : undefined,
+      positionPair: row.position_pair,
+      games: row.games,
+      rawCorrelation: Math.round(row.raw_correlation * 1000) / 1000,
+      prior: Math.round(row.prior * 1000) / 1000,
+      correlation: Math.round(row.correlation * 1000) / 1000
+    };
+  }
+}
+
+export default new CorrelationService();
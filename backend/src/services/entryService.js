@@ -0,0 +1,441 @@
+import entryModel from '../models/entryModel.js';
+import playerModel from '../models/playerModel.js';
+import exportService from './exportService.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+const ENTRY_COLUMNS = ['Entry ID', 'Contest Name', 'Contest ID', 'Entry Fee'];
+
+/**
+ * DRAFTKINGS CONTEST ENTRIES
+ * Import DK's entries CSV, assign our lineups to the entries and write the
+ * filled file back for re-upload.
+ *
+ * The entries CSV has the entries on the left (Entry ID, Contest Name,
+ * Contest ID, Entry Fee, one blank column per roster slot) and the slate's
+ * player list on the right (Position, Name + ID, Name, ID, Roster Position,
+ * ...). The player list is used to backfill DraftKings IDs on the slate.
+ */
+class EntryService {
+  /**
+   * Parse a DraftKings entries CSV
+   * @returns {Object} { entries, slots, contestType, playerPool }
+   */
+  parseEntriesCSV(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      throw new Error('Entries CSV is empty');
+    }
+
+    const header = rows[0].map(cell => cell.trim());
+    const [entryCol, nameCol, contestCol, feeCol] = ENTRY_COLUMNS.map(column => header.indexOf(column));
+    if (entryCol === -1 || contestCol === -1) {
+      throw new Error('Not a DraftKings entries CSV (missing Entry ID / Contest ID columns)');
+    }
+
+    // Roster slots follow Entry Fee up to the first blank header cell
+    const slots = [];
+    for (let col = Math.max(entryCol, nameCol, contestCol, feeCol) + 1; col < header.length && header[col]; col++) {
+      slots.push(header[col]);
+    }
+
+    const entries = rows.slice(1)
+      .filter(row => /^\d+$/.test((row[entryCol] || '').trim()))
+      .map(row => ({
+        entryId: row[entryCol].trim(),
+        contestName: nameCol >= 0 ? (row[nameCol] || '').trim() : null,
+        contestId: (row[contestCol] || '').trim(),
+        entryFee: feeCol >= 0 ? (row[feeCol] || '').trim() : null
+      }))
+      .filter(entry => entry.contestId);
+
+    return {
+      entries,
+      slots,
+      contestType: slots.includes('CPT') ? 'Showdown' : 'Classic',
+      playerPool: this.parsePlayerPool(rows)
+    };
+  }
+
+  /**
+   * Player list on the right-hand side of the entries CSV
+   * @returns {Array} [{ name, id, rosterPosition, team, salary }]
+   */
+  parsePlayerPool(rows) {
+    let headerRow = -1;
+    let columns = null;
+
+    for (let r = 0; r < rows.length && headerRow === -1; r++) {
+      const cells = rows[r].map(cell => cell.trim());
+      if (cells.includes('Name + ID')) {
+        headerRow = r;
+        columns = {
+          name: cells.indexOf('Name'),
+          id: cells.indexOf('ID'),
+          rosterPosition: cells.indexOf('Roster Position'),
+          team: cells.indexOf('TeamAbbrev'),
+          salary: cells.indexOf('Salary')
+        };
+      }
+    }
+
+    if (headerRow === -1 || columns.name === -1 || columns.id === -1) return [];
+
+    const cell = (row, col) => (col >= 0 ? (row[col] || '').trim() : '');
+    return rows.slice(headerRow + 1)
+      .map(row => ({
+        name: cell(row, columns.name),
+        id: cell(row, columns.id),
+        rosterPosition: cell(row, columns.rosterPosition),
+        team: cell(row, columns.team),
+        salary: parseInt(cell(row, columns.salary)) || null
+      }))
+      .filter(player => player.name && /^\d+$/.test(player.id));
+  }
+
+  /**
+   * Import an entries CSV for a slate
+   */
+  importEntries(slate, text) {
+    const parsed = this.parseEntriesCSV(text);
+    if (parsed.entries.length === 0) {
+      throw new Error('No entries found in the CSV');
+    }
+
+    const slateContestType = slate.contest_type || 'Classic';
+    if (parsed.contestType !== slateContestType) {
+      throw new Error(`Entries are for ${parsed.contestType} contests but the slate is ${slateContestType}`);
+    }
+
+    entryModel.bulkUpsert(slate.slate_id, parsed.entries);
+
+    // DraftKings IDs from the player list, for players synced without one
+    const players = playerModel.getBySlateId(slate.slate_id);
+    const idUpdates = this.matchPlayerIds(players, parsed.playerPool);
+    if (idUpdates.length > 0) {
+      playerModel.bulkUpdateSitePlayerIds(idUpdates);
+    }
+
+    console.log(`📥 Imported ${parsed.entries.length} DraftKings entries, matched ${idUpdates.length}/${players.length} player IDs`);
+
+    return {
+      imported: parsed.entries.length,
+      contestType: parsed.contestType,
+      slots: parsed.slots,
+      contests: this.summarizeContests(parsed.entries.map(entry => ({
+        contest_id: entry.contestId,
+        contest_name: entry.contestName,
+        entry_fee: entry.entryFee
+      }))),
+      playerIdsMatched: idUpdates.length,
+      playerPoolSize: parsed.playerPool.length
+    };
+  }
+
+  /**
+   * Match the DK player list to slate players by name (and team when given)
+   * @returns {Array} [{ id, sitePlayerId, captainSitePlayerId }]
+   */
+  matchPlayerIds(players, pool) {
+    const byKey = new Map();
+    pool.forEach(entry => {
+      const key = this.normalizeName(entry.name);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    });
+
+    return players
+      .map(player => {
+        // Team abbreviations differ between DK and RotoWire (GS/GSW), so team only breaks ties
+        const byName = byKey.get(this.normalizeName(player.name)) || [];
+        const sameTeam = byName.filter(entry => entry.team === player.team);
+        const candidates = sameTeam.length > 0 ? sameTeam : byName;
+        if (candidates.length === 0) return null;
+
+        const captain = candidates.find(entry => entry.rosterPosition === 'CPT');
+        const flex = candidates.find(entry => entry.rosterPosition !== 'CPT');
+        return {
+          id: player.id,
+          sitePlayerId: flex?.id || null,
+          captainSitePlayerId: captain?.id || null
+        };
+      })
+      .filter(Boolean);
+  }
+
+  normalizeName(name) {
+    return String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[.'\u2019-]/g, '')
+      .replace(/\s+(jr|sr|ii|iii|iv)$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Entries grouped by contest with fill counts
+   */
+  summarizeContests(entries) {
+    const contests = new Map();
+    entries.forEach(entry => {
+      if (!contests.has(entry.contest_id)) {
+        contests.set(entry.contest_id, {
+          contestId: entry.contest_id,
+          contestName: entry.contest_name,
+          entryFee: entry.entry_fee,
+          entries: 0,
+          filled: 0
+        });
+      }
+      const contest = contests.get(entry.contest_id);
+      contest.entries++;
+      if (entry.players_json) contest.filled++;
+    });
+
+    return [...contests.values()].sort((a, b) => this.parseFee(b.entryFee) - this.parseFee(a.entryFee));
+  }
+
+  parseFee(fee) {
+    return parseFloat(String(fee || '').replace(/[^0-9.]/g, '')) || 0;
+  }
+
+  /**
+   * Entries and contests for a slate
+   */
+  getEntries(slateId) {
+    const entries = entryModel.getBySlateId(slateId);
+    return {
+      contests: this.summarizeContests(entries),
+      entries: entries.map(({ players_json, ...entry }) => ({
+        ...entry,
+        filled: Boolean(players_json)
+      }))
+    };
+  }
+
+  /**
+   * Assign lineups to entries
+   *
+   * Entries in the same contest get different lineups while there are enough
+   * of them. Each pick takes the lineup that breaks the fewest exposure caps,
+   * then helps players still short of their minimum, then has been used the
+   * least, then ranks highest (lineups are passed best first).
+   *
+   * @param {Object} slate - Slate row
+   * @param {Array} lineups - [{ id, label, players: [{ ...playerRow, positionSlot }] }] best first
+   * @param {Object} options - source ('saved' | 'generated'), maxExposure (%), exposureRanges, contestIds
+   */
+  assignLineups(slate, lineups, options = {}) {
+    const { source = 'saved', contestIds = null } = options;
+    const contestType = slate.contest_type || 'Classic';
+    const slots = exportService.getDraftKingsSlots(contestType);
+
+    const targeted = entryModel.getBySlateId(slate.slate_id)
+      .filter(entry => !contestIds || contestIds.includes(entry.contest_id));
+    if (targeted.length === 0) {
+      return { error: 'No imported entries to fill for this slate' };
+    }
+
+    // Only lineups that would upload cleanly are candidates
+    const skippedLineups = [];
+    const usable = lineups.filter(lineup => {
+      const { reason } = exportService.formatDraftKingsRow(lineup, slots, contestType);
+      if (reason) skippedLineups.push({ lineupId: lineup.id, label: lineup.label, reason });
+      return !reason;
+    });
+    if (usable.length === 0) {
+      return { error: 'None of the lineups can be uploaded to DraftKings', skippedLineups };
+    }
+
+    const totalEntries = targeted.length;
+    const targets = this.buildExposureTargets(options);
+    const playerCounts = new Map();
+    const lineupUsage = new Array(usable.length).fill(0);
+    const assignments = [];
+    const contests = [];
+
+    const byContest = new Map();
+    targeted.forEach(entry => {
+      if (!byContest.has(entry.contest_id)) byContest.set(entry.contest_id, []);
+      byContest.get(entry.contest_id).push(entry);
+    });
+
+    // Biggest entry fees get first pick
+    const contestOrder = [...byContest.values()]
+      .sort((a, b) => this.parseFee(b[0].entry_fee) - this.parseFee(a[0].entry_fee) || b.length - a.length);
+
+    contestOrder.forEach(contestEntries => {
+      const usedHere = new Set();
+      let duplicates = 0;
+
+      contestEntries.forEach(entry => {
+        let candidates = usable.map((_, index) => index).filter(index => !usedHere.has(index));
+        if (candidates.length === 0) {
+          // More entries than distinct lineups - reuse, least-used first
+          candidates = usable.map((_, index) => index);
+          duplicates++;
+        }
+
+        const pick = this.pickLineup(candidates, usable, playerCounts, lineupUsage, targets, totalEntries);
+        const lineup = usable[pick];
+
+        usedHere.add(pick);
+        lineupUsage[pick]++;
+        lineup.players.forEach(player => playerCounts.set(player.id, (playerCounts.get(player.id) || 0) + 1));
+
+        assignments.push({
+          entryId: entry.entry_id,
+          lineupId: source === 'saved' ? lineup.id : null,
+          source,
+          label: lineup.label,
+          optimizerMode: lineup.optimizerMode || null,
+          players: lineup.players.map(player => ({ slot: player.positionSlot, playerId: player.id }))
+        });
+      });
+
+      contests.push({
+        contestId: contestEntries[0].contest_id,
+        contestName: contestEntries[0].contest_name,
+        entryFee: contestEntries[0].entry_fee,
+        entries: contestEntries.length,
+        distinctLineups: usedHere.size,
+        duplicates
+      });
+    });
+
+    entryModel.clearAssignments(slate.slate_id, contestIds);
+    entryModel.assign(assignments);
+
+    const exposure = this.getAssignedExposure(usable, playerCounts, targets, totalEntries);
+    const warnings = [
+      ...contests.filter(c => c.duplicates > 0)
+        .map(c => `${c.contestName || c.contestId}: ${c.entries} entries but only ${usable.length} distinct lineups`),
+      ...exposure.filter(p => p.outOfRange)
+        .map(p => `${p.name} at ${p.exposure}% (target ${p.min}-${p.max}%)`)
+    ];
+
+    console.log(`🎟️  Assigned ${assignments.length} entries across ${contests.length} contest(s) from ${usable.length} lineups`);
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    return {
+      assigned: assignments.length,
+      lineupsUsed: lineupUsage.filter(count => count > 0).length,
+      contests,
+      exposure,
+      skippedLineups,
+      warnings
+    };
+  }
+
+  /**
+   * Exposure targets as fractions - { default: { min, max }, byPlayer: Map }
+   */
+  buildExposureTargets(options) {
+    const maxExposure = options.maxExposure != null ? parseFloat(options.maxExposure) : 100;
+    const byPlayer = new Map();
+
+    (options.exposureRanges || []).forEach(range => {
+      const min = Math.max(0, parseFloat(range.min) || 0);
+      const max = range.max != null && range.max !== '' ? parseFloat(range.max) : maxExposure;
+      byPlayer.set(parseInt(range.playerId), { min: min / 100, max: Math.max(min, max) / 100 });
+    });
+
+    return { default: { min: 0, max: maxExposure / 100 }, byPlayer };
+  }
+
+  getTarget(targets, playerId) {
+    return targets.byPlayer.get(playerId) || targets.default;
+  }
+
+  pickLineup(candidates, lineups, playerCounts, lineupUsage, targets, totalEntries) {
+    const score = index => {
+      let over = 0;
+      let under = 0;
+      lineups[index].players.forEach(player => {
+        const count = playerCounts.get(player.id) || 0;
+        const { min, max } = this.getTarget(targets, player.id);
+        over += Math.max(0, (count + 1) / totalEntries - max);
+        under += Math.min(1 / totalEntries, Math.max(0, min - count / totalEntries));
+      });
+      return [over, -under, lineupUsage[index], index];
+    };
+
+    return candidates
+      .map(index => ({ index, key: score(index) }))
+      .sort((a, b) => {
+        for (let k = 0; k < a.key.length; k++) {
+          if (Math.abs(a.key[k] - b.key[k]) > 1e-9) return a.key[k] - b.key[k];
+        }
+        return 0;
+      })[0].index;
+  }
+
+  getAssignedExposure(lineups, playerCounts, targets, totalEntries) {
+    const players = new Map();
+    lineups.forEach(lineup => lineup.players.forEach(player => players.set(player.id, player)));
+
+    return [...playerCounts.entries()]
+      .map(([playerId, count]) => {
+        const { min, max } = this.getTarget(targets, playerId);
+        const exposure = (count / totalEntries) * 100;
+        return {
+          playerId,
+          name: players.get(playerId)?.name,
+          count,
+          exposure: +exposure.toFixed(1),
+          min: +(min * 100).toFixed(1),
+          max: +(max * 100).toFixed(1),
+          outOfRange: exposure > max * 100 + 1e-6 || exposure < min * 100 - 1e-6
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Entries CSV with our lineups in the slot columns, ready to re-upload
+   * @returns {Object} { csv, filled, total, skipped: [{ entryId, contestName, reason }] }
+   */
+  buildFilledCSV(slate) {
+    const contestType = slate.contest_type || 'Classic';
+    const slots = exportService.getDraftKingsSlots(contestType);
+    const entries = entryModel.getBySlateId(slate.slate_id);
+    const playersById = new Map(playerModel.getBySlateId(slate.slate_id).map(p => [p.id, p]));
+
+    const rows = [];
+    const skipped = [];
+
+    entries.forEach(entry => {
+      const skip = reason => skipped.push({ entryId: entry.entry_id, contestName: entry.contest_name, reason });
+      if (!entry.players_json) return skip('No lineup assigned');
+
+      const assigned = JSON.parse(entry.players_json);
+      const missing = assigned.filter(({ playerId }) => !playersById.has(playerId));
+      if (missing.length > 0) {
+        return skip(`${missing.length} player(s) no longer in the slate pool - reassign`);
+      }
+
+      const lineup = {
+        id: entry.lineup_id,
+        label: entry.lineup_label,
+        players: assigned.map(({ slot, playerId }) => ({ ...playersById.get(playerId), positionSlot: slot }))
+      };
+
+      const { cells, reason } = exportService.formatDraftKingsRow(lineup, slots, contestType);
+      if (reason) return skip(reason);
+
+      rows.push([entry.entry_id, entry.contest_name || '', entry.contest_id, entry.entry_fee || '', ...cells]);
+    });
+
+    console.log(`📤 Filled ${rows.length}/${entries.length} DraftKings entries`);
+
+    return {
+      csv: toCsv([[...ENTRY_COLUMNS, ...slots], ...rows]),
+      filled: rows.length,
+      total: entries.length,
+      skipped
+    };
+  }
+}
+
+export default new EntryService();
@@ -0,0 +1,133 @@
+import lineupModel from '../models/lineupModel.js';
+import { SITE_PROFILES } from '../utils/siteProfiles.js';
+import { DK_SHOWDOWN_CONSTRAINTS, isShowdownLineup, validateLineup } from '../utils/lineupValidation.js';
+import { getSitePlayerId } from '../utils/sitePlayerIds.js';
+import { toCsv } from '../utils/csv.js';
+
+/**
+ * LINEUP EXPORT
+ * Writes lineups to DraftKings' bulk upload CSV: one column per roster slot in
+ * DK order, one row per lineup, players written as "Name (DK_ID)".
+ *
+ * Every lineup is validated first; lineups that fail validation or have a
+ * player without a DraftKings ID are left out and reported with the reason.
+ */
+class ExportService {
+  /**
+   * Saved lineups for a slate, with players
+   */
+  getSavedLineups(slateId) {
+    return lineupModel.getAll(slateId)
+      .map(lineup => lineupModel.getById(lineup.id))
+      .filter(Boolean)
+      .map(lineup => ({
+        id: lineup.id,
+        label: lineup.name,
+        projectedPoints: lineup.projected_points,
+        optimizerMode: lineup.optimizer_mode,
+        players: lineup.players.map(player => ({ ...player, positionSlot: player.position_slot }))
+      }));
+  }
+
+  /**
+   * Lineups from an /api/optimizer/generate result ({ players: [{ position, player }] })
+   * Players are re-read from the slate pool so salaries and IDs come from the database.
+   * @param {Array} lineups - Generated lineups
+   * @param {Array} slatePlayers - Player rows for the slate
+   */
+  getGeneratedLineups(lineups, slatePlayers) {
+    const playersById = new Map(slatePlayers.map(p => [p.id, p]));
+
+    return lineups.map((lineup, index) => {
+      const label = `Lineup ${lineup.lineupNumber ?? index + 1}`;
+      const missing = [];
+      const players = (lineup.players || []).map(slot => {
+        const player = playersById.get(slot.player?.id);
+        if (!player) missing.push(slot.player?.name || slot.player?.id);
+        return player ? { ...player, positionSlot: slot.position } : null;
+      });
+
+      return missing.length > 0
+        ? { id: null, label, players: [], error: `Not on this slate: ${missing.join(', ')}` }
+        : { id: null, label, players };
+    });
+  }
+
+  /**
+   * Build a DraftKings bulk upload CSV
+   * @param {Array} lineups - [{ id, label, players: [{ ...playerRow, positionSlot }] }]
+   * @param {Object} options - contestType ('Classic' | 'Showdown')
+   * @returns {Object} { csv, header, exported, total, skipped: [{ lineupId, label, reason }] }
+   */
+  toDraftKingsCSV(lineups, options = {}) {
+    const showdown = options.contestType
+      ? isShowdownLineup([], options.contestType)
+      : lineups.some(lineup => isShowdownLineup(lineup.players));
+    const contestType = showdown ? 'Showdown' : 'Classic';
+    const slots = this.getDraftKingsSlots(contestType);
+
+    const rows = [];
+    const skipped = [];
+    const skip = (lineup, reason) => skipped.push({ lineupId: lineup.id, label: lineup.label, reason });
+
+    lineups.forEach(lineup => {
+      const { cells, reason } = this.formatDraftKingsRow(lineup, slots, contestType);
+      if (reason) return skip(lineup, reason);
+      rows.push(cells);
+    });
+
+    const csv = toCsv([slots, ...rows]);
+
+    console.log(`📤 Exported ${rows.length}/${lineups.length} lineups to DraftKings ${contestType} CSV`);
+    if (skipped.length > 0) {
+      console.warn(`⚠️  Skipped ${skipped.length} lineup(s): ${skipped.map(s => `${s.label} (${s.reason})`).join(' | ')}`);
+    }
+
+    return { csv, header: slots, contestType, exported: rows.length, total: lineups.length, skipped };
+  }
+
+  /**
+   * One lineup as DraftKings upload cells ("Name (DK_ID)" in slot order)
+   * @returns {Object} { cells } or { reason } when the lineup can't be written
+   */
+  formatDraftKingsRow(lineup, slots, contestType) {
+    if (lineup.error) return { reason: lineup.error };
+
+    const validation = validateLineup(lineup.players, contestType, 'DK');
+    if (!validation.isValid) return { reason: validation.errors.join('; ') };
+
+    const ordered = this.orderBySlots(lineup.players, slots);
+    if (!ordered) return { reason: `Players must fill the ${slots.join('/')} slots` };
+
+    const entries = ordered.map(player => ({ player, id: getSitePlayerId(player, player.positionSlot) }));
+    const missingIds = entries.filter(entry => !entry.id);
+    if (missingIds.length > 0) {
+      const names = missingIds.map(({ player }) => player.positionSlot === 'CPT' ? `${player.name} (CPT)` : player.name);
+      return { reason: `No DraftKings ID for ${names.join(', ')} - re-sync the slate` };
+    }
+
+    return { cells: entries.map(({ player, id }) => `${player.name} (${id})`) };
+  }
+
+  /**
+   * DraftKings slots for a contest type
+   */
+  getDraftKingsSlots(contestType) {
+    return isShowdownLineup([], contestType) ? DK_SHOWDOWN_CONSTRAINTS.POSITIONS : SITE_PROFILES.DK.rosterSlots;
+  }
+
+  /**
+   * Players in slot order - repeated slots (FLEX) take players in turn
+   * @returns {Array|null} null when a slot can't be filled
+   */
+  orderBySlots(players, slots) {
+    const remaining = [...players];
+    const ordered = slots.map(slot => {
+      const index = remaining.findIndex(p => p.positionSlot === slot);
+      return index >= 0 ? remaining.splice(index, 1)[0] : null;
+    });
+    return ordered.every(Boolean) && remaining.length === 0 ? ordered : null;
+  }
+}
+
+export default new ExportService();
@@ -0,0 +1,200 @@
+import db from '../config/database.js';
+import lineupModel from '../models/lineupModel.js';
+import playerModel from '../models/playerModel.js';
+import slateModel from '../models/slateModel.js';
+import injurySwapModel from '../models/injurySwapModel.js';
+import optimizerService from './optimizerService.js';
+import rebalanceService from './rebalanceService.js';
+import { hasGameStarted } from '../utils/gameTimes.js';
+
+// Statuses that pull a player out of saved lineups
+const INACTIVE_STATUSES = ['OUT', 'Doubtful'];
+
+/**
+ * INJURY SWAPS
+ * After a re-sync, finds saved lineups holding players who have since been
+ * ruled OUT or Doubtful and proposes the best replacement for each one in the
+ * same slot, using the fresh projections and the salary cap. Applied swaps are
+ * saved as a new lineup version and logged in injury_swaps.
+ */
+class InjurySwapService {
+  /**
+   * Saved lineups with players whose status became OUT/Doubtful since the
+   * lineup was last saved (players already OUT/Doubtful when saved are left alone)
+   * @returns {Array} [{ lineup, flagged: [{ playerId, name, injuryStatus, previousStatus }] }]
+   */
+  findAffected(slateId, lineupIds = null) {
+    const ids = lineupIds || lineupModel.getAll(slateId).map(l => l.id);
+
+    return ids
+      .map(id => lineupModel.getById(id))
+      .filter(lineup => lineup && String(lineup.slate_id) === String(slateId))
+      .map(lineup => {
+        const saved = lineupModel.getLatestVersion(lineup.id);
+        const savedStatus = new Map((saved?.players || []).map(p => [p.playerId, p.injuryStatus || null]));
+
+        const flagged = lineup.players
+          .filter(player => INACTIVE_STATUSES.includes(player.injury_status))
+          .filter(player => !savedStatus.has(player.id) || savedStatus.get(player.id) !== player.injury_status)
+          .map(player => ({
+            playerId: player.id,
+            name: player.name,
+            injuryStatus: player.injury_status,
+            previousStatus: savedStatus.get(player.id) ?? null
+          }));
+
+        return { lineup, flagged };
+      })
+      .filter(item => item.flagged.length > 0);
+  }
+
+  /**
+   * Best replacement for every flagged player
+   * @param {Object} options - lineupIds, now
+   * @returns {Object} { summary, proposals }
+   */
+  proposeSwaps(slateId, options = {}) {
+    const { lineupIds = null, now = new Date() } = options;
+    const slate = slateModel.getById(slateId);
+    const slateDate = slate?.start_time?.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null;
+    const hasStarted = player => hasGameStarted(player, new Date(now), slateDate);
+
+    // Replacements: healthy players whose games haven't started
+    const pool = playerModel.getBySlateId(slateId)
+      .filter(p => !INACTIVE_STATUSES.includes(p.injury_status) && !hasStarted(p))
+      .sort((a, b) => b.projected_points - a.projected_points);
+
+    const proposals = this.findAffected(slateId, lineupIds).map(({ lineup, flagged }) => {
+      const showdown = lineup.players.some(p => p.position_slot === 'CPT');
+      const roster = optimizerService.getRoster(showdown ? 'Showdown' : 'Classic', slate?.site || 'DK');
+      const eligibleSlots = new Map([...pool, ...lineup.players].map(p => [p.id, rebalanceService.getPlayerSlots(p, roster)]));
+      const ctx = { roster, eligibleSlots, hasStarted };
+
+      const state = { slots: rebalanceService.pairSlots(lineup, roster) };
+      const original = state.slots.map(slot => ({ ...slot }));
+      const swaps = [];
+
+      flagged.forEach(flag => {
+        const slotIndex = state.slots.findIndex(slot => slot.player?.id === flag.playerId);
+        if (slotIndex === -1) return;
+
+        const position = state.slots[slotIndex].position;
+        const outgoing = state.slots[slotIndex].player;
+        const out = {
+          id: outgoing.id,
+          name: outgoing.name,
+          injuryStatus: flag.injuryStatus,
+          previousStatus: flag.previousStatus,
+          salary: optimizerService.getSlotSalary(outgoing, position)
+        };
+
+        if (hasStarted(outgoing)) {
+          swaps.push({ position, out, in: null, reason: 'Game has started' });
+          return;
+        }
+
+        // Pool is sorted by projection - the first legal one is the best
+        for (const candidate of pool) {
+          if (!eligibleSlots.get(candidate.id).includes(position)) continue;
+
+          const result = rebalanceService.trySwap(state, slotIndex, candidate, ctx);
+          if (!result) continue;
+
+          state.slots = result.slots;
+          swaps.push({
+            position,
+            out,
+            in: {
+              id: candidate.id,
+              name: candidate.name,
+              team: candidate.team,
+              salary: optimizerService.getSlotSalary(candidate, position),
+              projectedPoints: candidate.projected_points
+            },
+            projectionChange: +result.delta.toFixed(2)
+          });
+          return;
+        }
+
+        swaps.push({ position, out, in: null, reason: 'No healthy replacement fits under the cap' });
+      });
+
+      const before = rebalanceService.getTotals(original);
+      const after = rebalanceService.getTotals(state.slots);
+      return {
+        lineupId: lineup.id,
+        name: lineup.name,
+        swaps,
+        before,
+        after,
+        lineup: state.slots,
+        changed: swaps.some(swap => swap.in)
+      };
+    });
+
+    const swaps = proposals.flatMap(p => p.swaps);
+    return {
+      summary: {
+        lineups: proposals.length,
+        players: new Set(swaps.map(swap => swap.out.id)).size,
+        swaps: swaps.filter(swap => swap.in).length,
+        unresolved: swaps.filter(swap => !swap.in).length,
+        projectionChange: +proposals.reduce((sum, p) => sum + (p.after.projectedPoints - p.before.projectedPoints), 0).toFixed(1)
+      },
+      proposals
+    };
+  }
+
+  /**
+   * Apply every proposed swap, record a lineup version per lineup and log each swap
+   * @returns {Object} proposeSwaps() result with applied flags
+   */
+  applySwaps(slateId, options = {}) {
+    const result = this.proposeSwaps(slateId, options);
+
+    const applyAll = db.transaction(() => {
+      result.proposals.filter(p => p.changed).forEach(proposal => {
+        lineupModel.replacePlayers(proposal.lineupId, proposal.lineup.map(slot => ({
+          playerId: slot.player.id,
+          positionSlot: slot.position
+        })));
+        lineupModel.update(proposal.lineupId, {
+          name: proposal.name,
+          totalSalary: proposal.after.totalSalary,
+          projectedPoints: proposal.after.projectedPoints
+        }, 'injury swap');
+
+        const version = lineupModel.getLatestVersion(proposal.lineupId)?.version;
+        proposal.swaps.filter(swap => swap.in).forEach(swap => {
+          injurySwapModel.create({
+            slateId,
+            lineupId: proposal.lineupId,
+            lineupVersion: version,
+            positionSlot: swap.position,
+            playerOutId: swap.out.id,
+            playerOutName: swap.out.name,
+            injuryStatus: swap.out.injuryStatus,
+            playerInId: swap.in.id,
+            playerInName: swap.in.name,
+            projectionChange: swap.projectionChange,
+            salaryChange: swap.in.salary - swap.out.salary
+          });
+        });
+
+        proposal.applied = true;
+      });
+    });
+
+    applyAll();
+    console.log(`🚑 Injury swaps: ${result.summary.swaps} swap(s) applied across ${result.proposals.filter(p => p.applied).length} lineup(s)` +
+      (result.summary.unresolved > 0 ? `, ${result.summary.unresolved} player(s) left in place` : ''));
+
+    return result;
+  }
+
+  getLog(slateId, limit) {
+    return injurySwapModel.getAll(slateId, limit);
+  }
+}
+
+export default new InjurySwapService();
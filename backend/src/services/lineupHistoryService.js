@@ -0,0 +1,96 @@
+import lineupModel from '../models/lineupModel.js';
+
+/**
+ * LINEUP HISTORY
+ * Every change to a saved lineup is kept as an immutable version (players,
+ * salary, projection, and each player's projection at that moment), so a
+ * lineup can be compared with or rolled back to any earlier version.
+ */
+class LineupHistoryService {
+  /**
+   * Versions newest first, each with the players in and out against the one before
+   */
+  getHistory(lineupId) {
+    const versions = lineupModel.getVersions(lineupId);
+
+    return versions.map((version, index) => {
+      const previous = versions[index + 1];
+      const summary = this.summarizeVersion(version);
+      if (!previous) return { ...summary, playersIn: [], playersOut: [] };
+
+      const diff = this.diffVersions(previous, version);
+      return {
+        ...summary,
+        playersIn: diff.added.map(p => p.name),
+        playersOut: diff.removed.map(p => p.name),
+        projectionChange: diff.projectionChange
+      };
+    });
+  }
+
+  summarizeVersion(version) {
+    return {
+      version: version.version,
+      reason: version.reason,
+      name: version.name,
+      totalSalary: version.total_salary,
+      projectedPoints: version.projected_points,
+      createdAt: version.created_at
+    };
+  }
+
+  /**
+   * Compare two versions of a lineup
+   * @returns {Object} { from, to, salaryChange, projectionChange, added, removed, moved, projectionChanges }
+   */
+  diffVersions(from, to) {
+    const fromPlayers = new Map(from.players.map(p => [p.playerId, p]));
+    const toPlayers = new Map(to.players.map(p => [p.playerId, p]));
+
+    const added = to.players.filter(p => !fromPlayers.has(p.playerId));
+    const removed = from.players.filter(p => !toPlayers.has(p.playerId));
+
+    const moved = [];
+    const projectionChanges = [];
+    to.players.forEach(player => {
+      const before = fromPlayers.get(player.playerId);
+      if (!before) return;
+
+      if (before.slot !== player.slot) {
+        moved.push({ playerId: player.playerId, name: player.name, fromSlot: before.slot, toSlot: player.slot });
+      }
+
+      // Kept players whose projection, salary or status moved between the two versions
+      const projectionChange = round((player.projectedPoints || 0) - (before.projectedPoints || 0));
+      const minutesChange = round((player.projectedMinutes || 0) - (before.projectedMinutes || 0));
+      if (projectionChange !== 0 || minutesChange !== 0 || before.injuryStatus !== player.injuryStatus || before.salary !== player.salary) {
+        projectionChanges.push({
+          playerId: player.playerId,
+          name: player.name,
+          projectedPoints: { from: before.projectedPoints, to: player.projectedPoints, change: projectionChange },
+          projectedMinutes: { from: before.projectedMinutes, to: player.projectedMinutes, change: minutesChange },
+          injuryStatus: { from: before.injuryStatus || null, to: player.injuryStatus || null },
+          salary: { from: before.salary, to: player.salary }
+        });
+      }
+    });
+
+    return {
+      from: this.summarizeVersion(from),
+      to: this.summarizeVersion(to),
+      nameChanged: from.name !== to.name,
+      salaryChange: (to.total_salary || 0) - (from.total_salary || 0),
+      projectionChange: round((to.projected_points || 0) - (from.projected_points || 0)),
+      added,
+      removed,
+      moved,
+      projectionChanges
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new LineupHistoryService();
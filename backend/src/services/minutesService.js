@@ -0,0 +1,284 @@
+import db from '../config/database.js';
+import nbaStatsService from './nbaStatsService.js';
+import { isOnRoster, normalizePlayerName } from '../utils/playerNames.js';
+
+const RECENT_GAMES = 10;
+const RECENT_DECAY = 0.8;           // Weight of each older game in the recent average
+const RECENT_WEIGHT = 0.7;          // Recent vs season minutes in the trend baseline
+const STARTER_RANK = 5;             // Top 5 in team minutes that night counts as a start
+const ROLE_WEIGHT = 0.5;            // Pull toward the player's average minutes in the current role
+const MIN_ROLE_GAMES = 3;
+const ROTOWIRE_WEIGHT = 0.4;        // RotoWire's minutes (news-aware) in the final mean
+const ROTATION_MINUTES = 15;        // Teammates averaging this over the last 30 days are rotation players
+const ABSENCE_SHRINK_GAMES = 3;     // Games-without sample is shrunk by n / (n + 3)
+const MAX_ABSENCE_MINUTES = 10;
+const BLOWOUT_SPREAD = 6;           // Spreads beyond this cost starters minutes
+const BLOWOUT_MINUTES_PER_POINT = 0.25;
+const MAX_BLOWOUT_MINUTES = 3;
+const DEFAULT_B2B_MINUTES = -1;     // Starters without B2B history
+const B2B_SHRINK_GAMES = 5;
+const MAX_MINUTES = 42;
+const DEFAULT_MINUTES_STD = { starter: 4.5, bench: 6 };
+const MIN_MINUTES_STD = 2;          // Even steady rotations swing this much
+const MIN_RATE_MINUTES = 5;         // Shorter stints are too noisy for a per-minute rate
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Newest first: weight RECENT_DECAY^i
+function decayedMean(values) {
+  let total = 0;
+  let weights = 0;
+  values.forEach((value, i) => {
+    const weight = RECENT_DECAY ** i;
+    total += value * weight;
+    weights += weight;
+  });
+  return weights > 0 ? total / weights : 0;
+}
+
+/**
+ * MINUTES PROJECTIONS
+ * Projects a player's minutes from historical_games as a distribution
+ * (mean and standard deviation) and turns it into fantasy points with a
+ * per-minute rate, so rotation changes move the projection through minutes
+ * instead of through the player's old averages.
+ *
+ * Mean minutes:
+ *   1. Trend: decayed average of the last 10 games blended with season minutes
+ *   2. Role: box scores carry no starter flag, so a start is a top-5 minutes
+ *      night on the team; the trend is pulled toward the player's average
+ *      minutes in their current role (majority of the last 3 games)
+ *   3. Teammate absences: rotation players missing from the roster add the
+ *      player's minutes difference without them (getUsageWithoutTeammate),
+ *      shrunk by sample size
+ *   4. Blowout risk: big spreads cost starters minutes and give some to the bench
+ *   5. Back-to-back: the player's own B2B minutes drop, shrunk toward a default
+ *   6. Blended with RotoWire's projected minutes when the slate has them
+ *
+ * Spread: the player's recent game-to-game minutes deviation (role default
+ * when short on games), widened for absences and blowout risk.
+ */
+class MinutesService {
+  constructor() {
+    this.cache = {};
+  }
+
+  clearCache() {
+    this.cache = {};
+  }
+
+  /**
+   * A player's games before the date, newest first, with their minutes rank on the team that night
+   */
+  getMinutesHistory(playerName, slateDate = null) {
+    const cacheKey = `history_${playerName}_${slateDate || 'current'}`;
+    if (this.cache[cacheKey]) return this.cache[cacheKey];
+
+    const params = [`%${playerName}%`];
+    if (slateDate) params.push(slateDate);
+
+    // LIKE narrows the scan; the normalized name must match exactly so
+    // "Gary Payton" doesn't pick up Gary Payton II's games
+    const nameNorm = normalizePlayerName(playerName);
+    const games = db.prepare(`
+      SELECT
+        hg.player_name,
+        hg.game_date,
+        hg.team,
+        hg.minutes,
+        hg.dk_fantasy_points,
+        hg.fd_fantasy_points,
+        hg.points, hg.rebounds, hg.assists, hg.steals, hg.blocks, hg.turnovers, hg.fg3_made,
+        hg.is_back_to_back,
+        (
+          SELECT COUNT(*) FROM historical_games t
+          WHERE t.team = hg.team AND t.game_date = hg.game_date AND t.minutes > hg.minutes
+        ) + 1 as minutes_rank
+      FROM historical_games hg
+      WHERE hg.player_name LIKE ? ${slateDate ? 'AND hg.game_date < ?' : ''}
+        AND hg.minutes > 0
+      ORDER BY hg.game_date DESC
+    `).all(...params)
+      .filter(game => normalizePlayerName(game.player_name) === nameNorm)
+      .map(game => ({ ...game, started: game.minutes_rank <= STARTER_RANK }));
+
+    this.cache[cacheKey] = games;
+    return games;
+  }
+
+  /**
+   * Team rotation players (last 30 days) missing from the roster
+   */
+  getMissingRotationPlayers(team, slateRoster, slateDate = null) {
+    const cacheKey = `missing_${team}_${slateDate || 'current'}_${slateRoster.length}`;
+    if (this.cache[cacheKey]) return this.cache[cacheKey];
+
+    const params = [team];
+    if (slateDate) params.push(slateDate);
+    params.push(slateDate || 'now');
+
+    const rotation = db.prepare(`
+      SELECT player_name, COUNT(*) as games, AVG(minutes) as avg_min
+      FROM historical_games
+      WHERE team = ? ${slateDate ? 'AND game_date < ?' : ''}
+        AND game_date >= date(?, '-30 days')
+      GROUP BY player_name
+      HAVING games >= 3 AND avg_min >= ?
+    `).all(...params, ROTATION_MINUTES);
+
+    const missing = rotation.filter(player => !isOnRoster(player.player_name, slateRoster));
+    this.cache[cacheKey] = missing;
+    return missing;
+  }
+
+  /**
+   * Minutes the player gains (or loses) with each missing rotation teammate out
+   */
+  getAbsenceEffects(playerName, team, slateRoster, slateDate = null) {
+    if (!team || slateRoster.length === 0) return [];
+
+    return this.getMissingRotationPlayers(team, slateRoster, slateDate)
+      .filter(teammate => !isOnRoster(playerName, [teammate.player_name]))
+      .map(teammate => {
+        const result = nbaStatsService.getUsageWithoutTeammate(playerName, teammate.player_name, team, slateDate);
+        if (!result.success || !result.usageBump) return null;
+        if (result.withoutTeammate.games < 2 || result.withTeammate.games < 3) return null;
+
+        const gamesWithout = result.withoutTeammate.games;
+        const minutes = result.usageBump.minutesDiff * (gamesWithout / (gamesWithout + ABSENCE_SHRINK_GAMES));
+        return {
+          teammate: teammate.player_name,
+          teammateMinutes: round(teammate.avg_min),
+          gamesWithout,
+          minutes: round(minutes)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Per-minute rate of a stat: decayed recent rate and season rate, half each,
+   * ignoring short stints
+   * @param {Array} games - getMinutesHistory() rows
+   * @param {Function} getValue - game => stat value
+   * @returns {Object} { rate, stdDev } - stdDev of the recent per-game rates
+   */
+  getPerMinuteRate(games, getValue) {
+    const rateGames = games.filter(game => game.minutes >= MIN_RATE_MINUTES);
+    const recentRates = rateGames.slice(0, RECENT_GAMES).map(game => (getValue(game) || 0) / game.minutes);
+    const totalMinutes = rateGames.reduce((sum, game) => sum + game.minutes, 0);
+    const seasonRate = totalMinutes > 0 ? rateGames.reduce((sum, game) => sum + (getValue(game) || 0), 0) / totalMinutes : 0;
+    const rate = recentRates.length > 0 ? decayedMean(recentRates) * 0.5 + seasonRate * 0.5 : seasonRate;
+    return { rate, stdDev: stdDev(recentRates) ?? rate * 0.2 };
+  }
+
+  /**
+   * Projected minutes distribution and per-minute fantasy points
+   * @param {Object} player - name, team, vegas_spread, projected_minutes (RotoWire)
+   * @param {Object} options - slateRoster, slateDate, isB2B
+   * @returns {Object|null} { mean, stdDev, role, components, fppm, points }, or null without history
+   */
+  projectMinutes(player, options = {}) {
+    const { slateRoster = [], slateDate = null, isB2B = player.rest_days === 0 } = options;
+    const games = this.getMinutesHistory(player.name, slateDate);
+    if (games.length < 3) return null;
+
+    const recent = games.slice(0, RECENT_GAMES);
+    const seasonMinutes = mean(games.map(game => game.minutes));
+    const recentMinutes = decayedMean(recent.map(game => game.minutes));
+    const trend = recentMinutes * RECENT_WEIGHT + seasonMinutes * (1 - RECENT_WEIGHT);
+
+    // Role: majority of the last 3 games
+    const role = games.slice(0, 3).filter(game => game.started).length >= 2 ? 'starter' : 'bench';
+    const roleGames = games.filter(game => game.started === (role === 'starter'));
+    const roleMinutes = roleGames.length >= MIN_ROLE_GAMES ? mean(roleGames.map(game => game.minutes)) : null;
+    const roleAdjustment = roleMinutes !== null ? (roleMinutes - trend) * ROLE_WEIGHT : 0;
+    const starterRate = recent.filter(game => game.started).length / recent.length;
+
+    // Teammate absences
+    const absences = this.getAbsenceEffects(player.name, player.team, slateRoster, slateDate);
+    const absenceTotal = absences.reduce((sum, absence) => sum + absence.minutes, 0);
+    const absenceAdjustment = Math.max(-MAX_ABSENCE_MINUTES, Math.min(MAX_ABSENCE_MINUTES, absenceTotal));
+
+    // Blowout risk: starters sit, the bench mops up
+    const spread = Math.abs(parseFloat(player.vegas_spread) || 0);
+    const blowoutMinutes = Math.min(MAX_BLOWOUT_MINUTES, Math.max(0, spread - BLOWOUT_SPREAD) * BLOWOUT_MINUTES_PER_POINT);
+    const blowoutAdjustment = role === 'starter' ? -blowoutMinutes : blowoutMinutes / 2;
+
+    // Back-to-back
+    let b2bAdjustment = 0;
+    if (isB2B) {
+      const b2bGames = games.filter(game => game.is_back_to_back === 1);
+      const restedGames = games.filter(game => game.is_back_to_back !== 1);
+      const fallback = role === 'starter' ? DEFAULT_B2B_MINUTES : 0;
+      if (b2bGames.length > 0 && restedGames.length > 0) {
+        const shrink = b2bGames.length / (b2bGames.length + B2B_SHRINK_GAMES);
+        const personal = mean(b2bGames.map(game => game.minutes)) - mean(restedGames.map(game => game.minutes));
+        b2bAdjustment = personal * shrink + fallback * (1 - shrink);
+      } else {
+        b2bAdjustment = fallback;
+      }
+    }
+
+    const modelMean = Math.max(0, Math.min(MAX_MINUTES,
+      trend + roleAdjustment + absenceAdjustment + blowoutAdjustment + b2bAdjustment));
+
+    const rotowireMinutes = parseFloat(player.projected_minutes) || 0;
+    const minutesMean = rotowireMinutes > 0
+      ? modelMean * (1 - ROTOWIRE_WEIGHT) + rotowireMinutes * ROTOWIRE_WEIGHT
+      : modelMean;
+
+    // Spread: recent deviation (role default when short on games), widened for uncertainty
+    const recentStd = recent.length >= 5 ? stdDev(recent.map(game => game.minutes)) : null;
+    const baseStd = recentStd !== null ? Math.max(MIN_MINUTES_STD, recentStd) : DEFAULT_MINUTES_STD[role];
+    const minutesStd = Math.sqrt(
+      baseStd ** 2 + absences.length + (spread > BLOWOUT_SPREAD ? (spread - BLOWOUT_SPREAD) * 0.3 : 0)
+    );
+
+    const { rate: fppm, stdDev: fppmStd } = this.getPerMinuteRate(games, game => game.dk_fantasy_points);
+
+    // Points = minutes × rate; spread from both (independent)
+    const pointsMean = minutesMean * fppm;
+    const pointsStd = Math.sqrt((fppm * minutesStd) ** 2 + (minutesMean * fppmStd) ** 2);
+
+    return {
+      mean: round(minutesMean),
+      stdDev: round(minutesStd),
+      role,
+      starterRate: round(starterRate * 100, 0),
+      rotowireMinutes: rotowireMinutes > 0 ? rotowireMinutes : null,
+      modelMinutes: round(modelMean),
+      components: {
+        seasonMinutes: round(seasonMinutes),
+        recentMinutes: round(recentMinutes),
+        trend: round(trend),
+        role: round(roleAdjustment),
+        absences: round(absenceAdjustment),
+        blowout: round(blowoutAdjustment),
+        b2b: round(b2bAdjustment)
+      },
+      absences,
+      fppm: round(fppm, 3),
+      fppmStdDev: round(fppmStd, 3),
+      points: {
+        mean: round(pointsMean),
+        stdDev: round(pointsStd)
+      }
+    };
+  }
+}
+
+export default new MinutesService();
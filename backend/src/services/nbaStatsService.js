@@ -3,12 +3,13 @@
  *
  * Fetches historical game data from NBA.com stats API
  * Uses concurrent requests with rate limiting to avoid throttling
- * Calculates DraftKings fantasy points from box scores
+ * Calculates DraftKings and FanDuel fantasy points from box scores
  */
 
 import axios from 'axios';
 import pLimit from 'p-limit';
 import db from '../config/database.js';
+import { calculateFantasyPoints, getSiteProfile } from '../utils/siteProfiles.js';
 
 class NBAStatsService {
   constructor() {
@@ -66,28 +67,14 @@ class NBAStatsService {
    * Calculate DraftKings fantasy points from box score stats
    */
   calculateDKFantasyPoints(stats) {
-    const points = (stats.points || 0) * 1;
-    const fg3m = (stats.fg3_made || 0) * 0.5;
-    const rebounds = (stats.rebounds || 0) * 1.25;
-    const assists = (stats.assists || 0) * 1.5;
-    const steals = (stats.steals || 0) * 2;
-    const blocks = (stats.blocks || 0) * 2;
-    const turnovers = (stats.turnovers || 0) * -0.5;
-
-    // Double-double and triple-double bonuses
-    const categories = [
-      stats.points || 0,
-      stats.rebounds || 0,
-      stats.assists || 0,
-      stats.steals || 0,
-      stats.blocks || 0
-    ];
-    const doubleDigits = categories.filter(c => c >= 10).length;
-
-    const ddBonus = doubleDigits >= 2 ? 1.5 : 0;
-    const tdBonus = doubleDigits >= 3 ? 3 : 0;
-
-    return Math.round((points + fg3m + rebounds + assists + steals + blocks + turnovers + ddBonus + tdBonus) * 10) / 10;
+    return calculateFantasyPoints(stats, 'DK');
+  }
+
+  /**
+   * Calculate FanDuel fantasy points from box score stats
+   */
+  calculateFDFantasyPoints(stats) {
+    return calculateFantasyPoints(stats, 'FD');
   }
 
   /**
@@ -241,6 +228,7 @@ class NBAStatsService {
         };
 
         stats.dk_fantasy_points = this.calculateDKFantasyPoints(stats);
+        stats.fd_fantasy_points = this.calculateFDFantasyPoints(stats);
 
         return stats;
       });
@@ -275,12 +263,12 @@ class NBAStatsService {
         player_id, player_name, team, opponent, position, game_id, game_date, season, is_home,
         minutes, points, rebounds, assists, steals, blocks, turnovers,
         fg_made, fg_attempted, fg3_made, fg3_attempted, ft_made, ft_attempted,
-        oreb, dreb, plus_minus, dk_fantasy_points, rest_days, is_back_to_back
+        oreb, dreb, plus_minus, dk_fantasy_points, fd_fantasy_points, rest_days, is_back_to_back
       ) VALUES (
         @player_id, @player_name, @team, @opponent, @position, @game_id, @game_date, @season, @is_home,
         @minutes, @points, @rebounds, @assists, @steals, @blocks, @turnovers,
         @fg_made, @fg_attempted, @fg3_made, @fg3_attempted, @ft_made, @ft_attempted,
-        @oreb, @dreb, @plus_minus, @dk_fantasy_points, @rest_days, @is_back_to_back
+        @oreb, @dreb, @plus_minus, @dk_fantasy_points, @fd_fantasy_points, @rest_days, @is_back_to_back
       )
     `);
 
@@ -315,6 +303,7 @@ class NBAStatsService {
             dreb: game.dreb,
             plus_minus: game.plus_minus,
             dk_fantasy_points: game.dk_fantasy_points,
+            fd_fantasy_points: game.fd_fantasy_points ?? this.calculateFDFantasyPoints(game),
             rest_days: game.rest_days || null,
             is_back_to_back: game.is_back_to_back || 0
           });
@@ -458,11 +447,13 @@ class NBAStatsService {
   /**
    * Get player historical performance for AI analysis
    */
-  getPlayerHistory(playerName, limit = 20) {
+  getPlayerHistory(playerName, limit = 20, site = 'DK') {
+    const { fantasyPointsColumn } = getSiteProfile(site);
     const games = db.prepare(`
       SELECT
         game_date, opponent, is_home, minutes, points, rebounds, assists,
-        steals, blocks, turnovers, dk_fantasy_points, rest_days, is_back_to_back
+        steals, blocks, turnovers, dk_fantasy_points, fd_fantasy_points,
+        ${fantasyPointsColumn} as fantasy_points, rest_days, is_back_to_back
       FROM historical_games
       WHERE player_name LIKE ?
       ORDER BY game_date DESC
@@ -475,11 +466,13 @@ class NBAStatsService {
   /**
    * Get matchup history (player vs specific team)
    */
-  getMatchupHistory(playerName, opponent) {
+  getMatchupHistory(playerName, opponent, site = 'DK') {
+    const { fantasyPointsColumn } = getSiteProfile(site);
     const games = db.prepare(`
       SELECT
         game_date, is_home, minutes, points, rebounds, assists,
-        steals, blocks, turnovers, dk_fantasy_points
+        steals, blocks, turnovers, dk_fantasy_points, fd_fantasy_points,
+        ${fantasyPointsColumn} as fantasy_points
       FROM historical_games
       WHERE player_name LIKE ? AND opponent = ?
       ORDER BY game_date DESC
@@ -575,8 +568,9 @@ class NBAStatsService {
   /**
    * Get player's performance when a specific teammate is OUT
    * Compares their stats in games where teammate played vs didn't play
+   * @param {string} slateDate - Only games before this date (backtesting)
    */
-  getUsageWithoutTeammate(playerName, teammateName, team = null) {
+  getUsageWithoutTeammate(playerName, teammateName, team = null, slateDate = null) {
     // First find games where both players were on the same team
     // Then compare player's stats when teammate played (minutes > 0) vs didn't play (no record or 0 min)
 
@@ -595,6 +589,7 @@ class NBAStatsService {
         FROM historical_games
         WHERE player_name LIKE ?
         ${team ? 'AND team = ?' : ''}
+        ${slateDate ? 'AND game_date < ?' : ''}
       ),
       teammate_games AS (
         SELECT
@@ -603,6 +598,7 @@ class NBAStatsService {
         FROM historical_games
         WHERE player_name LIKE ?
         ${team ? 'AND team = ?' : ''}
+        ${slateDate ? 'AND game_date < ?' : ''}
       )
       SELECT
         pg.game_id,
@@ -621,9 +617,9 @@ class NBAStatsService {
       ORDER BY pg.game_date DESC
     `;
 
-    const params = team
-      ? [`%${playerName}%`, team, `%${teammateName}%`, team]
-      : [`%${playerName}%`, `%${teammateName}%`];
+    const playerParams = [`%${playerName}%`, ...(team ? [team] : []), ...(slateDate ? [slateDate] : [])];
+    const teammateParams = [`%${teammateName}%`, ...(team ? [team] : []), ...(slateDate ? [slateDate] : [])];
+    const params = [...playerParams, ...teammateParams];
 
     const games = db.prepare(query).all(...params);
 
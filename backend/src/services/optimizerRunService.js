@@ -0,0 +1,190 @@
+import { createHash } from 'crypto';
+import optimizerRunModel from '../models/optimizerRunModel.js';
+import optimizerService from './optimizerService.js';
+
+// Request keys that don't change the lineups (left out of settings diffs)
+const NON_SETTINGS = ['slateId', 'portfolio', 'seed'];
+
+/**
+ * OPTIMIZER RUNS
+ * Every /api/optimizer/generate call is stored with its settings, the seed
+ * behind the projection variance and a hash of the player pool, so a build
+ * can be repeated exactly (same seed + same pool = same lineups) and two
+ * nights' settings and exposures can be compared.
+ */
+class OptimizerRunService {
+  /**
+   * SHA-256 of the pool the optimizer saw - every player column except timestamps
+   */
+  getPoolHash(players) {
+    const rows = [...players]
+      .sort((a, b) => a.id - b.id)
+      .map(player => Object.keys(player)
+        .filter(key => !key.endsWith('_at'))
+        .sort()
+        .map(key => [key, player[key]]));
+
+    return createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+  }
+
+  /**
+   * Lineups as stored with a run - players by id and slot plus the numbers
+   * worth comparing later
+   */
+  summarizeLineups(lineups) {
+    return lineups.map(lineup => ({
+      lineupNumber: lineup.lineupNumber,
+      simRank: lineup.simRank ?? null,
+      totalSalary: lineup.totalSalary,
+      projectedPoints: +lineup.projectedPoints.toFixed(2),
+      players: lineup.players.filter(slot => slot.player).map(slot => ({
+        slot: slot.position,
+        playerId: slot.player.id,
+        name: slot.player.name,
+        team: slot.player.team,
+        salary: optimizerService.getSlotSalary(slot.player, slot.position),
+        projectedPoints: slot.player.projected_points,
+        ownership: slot.player.rostership ?? null
+      })),
+      ownershipSum: lineup.analytics?.ownershipSum ?? null,
+      duplicates: lineup.analytics?.duplicates?.expected ?? null,
+      simulation: lineup.simulation || null
+    }));
+  }
+
+  /**
+   * Store a run
+   * @param {Object} run - slateId, settings (request body), players (pool passed to optimize), result (optimize() output), lineups (after sim ranking), rerunOf
+   * @returns {number} Run id
+   */
+  record({ slateId, settings, players, result, lineups, rerunOf = null }) {
+    const stored = this.summarizeLineups(lineups);
+
+    return optimizerRunModel.create({
+      slateId,
+      site: result.settings.site,
+      contestType: result.settings.contestType,
+      mode: result.settings.mode,
+      seed: result.settings.seed,
+      poolHash: this.getPoolHash(players),
+      settings: {
+        ...settings,
+        contestType: result.settings.contestType,
+        site: result.settings.site,
+        seed: result.settings.seed
+      },
+      lineups: stored,
+      exposureStats: result.exposureStats,
+      avgProjection: stored.length > 0
+        ? +(stored.reduce((sum, lineup) => sum + lineup.projectedPoints, 0) / stored.length).toFixed(2)
+        : null,
+      executionTime: parseFloat(result.settings.executionTime),
+      rerunOf
+    });
+  }
+
+  /**
+   * Settings to repeat a run: same request, same seed, no new portfolio
+   */
+  getRerunSettings(run) {
+    const { portfolio, ...settings } = run.settings;
+    return { ...settings, seed: run.seed };
+  }
+
+  /**
+   * Player exposure in a run, from its lineups (works for single-lineup runs too)
+   */
+  getExposure(run) {
+    const exposure = new Map();
+    run.lineups.forEach(lineup => {
+      lineup.players.forEach(player => {
+        const entry = exposure.get(player.playerId) || { playerId: player.playerId, name: player.name, count: 0 };
+        entry.count++;
+        exposure.set(player.playerId, entry);
+      });
+    });
+
+    exposure.forEach(entry => {
+      entry.exposure = run.lineups.length > 0 ? round((entry.count / run.lineups.length) * 100) : 0;
+    });
+    return exposure;
+  }
+
+  /**
+   * Lineup identity regardless of order (Showdown Captain included)
+   */
+  getLineupKeys(run) {
+    return run.lineups
+      .map(lineup => lineup.players.map(p => `${p.slot === 'CPT' ? 'CPT' : ''}${p.playerId}`).sort().join('-'))
+      .sort();
+  }
+
+  summarizeRun(run) {
+    return {
+      id: run.id,
+      slateId: run.slate_id,
+      mode: run.mode,
+      seed: run.seed,
+      poolHash: run.pool_hash,
+      lineupCount: run.lineup_count,
+      avgProjection: run.avg_projection,
+      executionTime: run.execution_time,
+      rerunOf: run.rerun_of,
+      createdAt: run.created_at
+    };
+  }
+
+  /**
+   * Compare two runs: settings, pool, and each player's exposure
+   * @returns {Object} { from, to, samePool, sameSeed, identicalLineups, settingsChanges, exposure, added, removed }
+   */
+  diffRuns(from, to) {
+    const keys = new Set([...Object.keys(from.settings), ...Object.keys(to.settings)]);
+    const settingsChanges = [...keys]
+      .filter(key => !NON_SETTINGS.includes(key))
+      .filter(key => JSON.stringify(from.settings[key]) !== JSON.stringify(to.settings[key]))
+      .sort()
+      .map(key => ({ key, from: from.settings[key] ?? null, to: to.settings[key] ?? null }));
+
+    const fromExposure = this.getExposure(from);
+    const toExposure = this.getExposure(to);
+    const playerIds = new Set([...fromExposure.keys(), ...toExposure.keys()]);
+
+    const exposure = [...playerIds]
+      .map(playerId => {
+        const before = fromExposure.get(playerId);
+        const after = toExposure.get(playerId);
+        return {
+          playerId,
+          name: (after || before).name,
+          from: before?.exposure || 0,
+          to: after?.exposure || 0,
+          change: round((after?.exposure || 0) - (before?.exposure || 0))
+        };
+      })
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.to - a.to);
+
+    const fromKeys = this.getLineupKeys(from);
+    const toKeys = this.getLineupKeys(to);
+
+    return {
+      from: this.summarizeRun(from),
+      to: this.summarizeRun(to),
+      samePool: from.pool_hash === to.pool_hash,
+      sameSeed: from.seed === to.seed,
+      identicalLineups: fromKeys.length === toKeys.length && fromKeys.every((key, i) => key === toKeys[i]),
+      sharedLineups: toKeys.filter(key => fromKeys.includes(key)).length,
+      avgProjectionChange: round((to.avg_projection || 0) - (from.avg_projection || 0)),
+      settingsChanges,
+      exposure: exposure.filter(player => player.change !== 0),
+      added: exposure.filter(player => player.from === 0).map(player => player.name),
+      removed: exposure.filter(player => player.to === 0).map(player => player.name)
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new OptimizerRunService();
@@ -1,4 +1,27 @@
 import solver from 'javascript-lp-solver';
+import {
+  normalizeLineupRules,
+  addRuleConstraints,
+  applyRuleCoefficients,
+  evaluateLineupRules
+} from '../utils/lineupRules.js';
+import { getPlayerGameStartTime } from '../utils/gameTimes.js';
+import { OWNERSHIP_SOURCES, DEFAULT_OWNERSHIP_SOURCE, applyOwnershipSource } from '../utils/ownershipSource.js';
+import {
+  getOwnershipProduct,
+  getSalaryLeftDistribution,
+  getSalaryLeftFactor,
+  estimateDuplicates
+} from '../utils/fieldMetrics.js';
+import { createRandom, randomSeed, parseSeed } from '../utils/random.js';
+import { getPlayerDistribution, quantileAt, distributionStdDev } from '../utils/outcomeDistribution.js';
+import simulationService from './simulationService.js';
+import {
+  SITE_PROFILES,
+  getSiteProfile,
+  getSlotCounts,
+  getEligibleSlots as getProfileEligibleSlots
+} from '../utils/siteProfiles.js';
 
 /**
  * NBA DFS LINEUP OPTIMIZER
@@ -7,8 +30,49 @@ import solver from 'javascript-lp-solver';
  */
 class OptimizerService {
   constructor() {
-    this.SALARY_CAP = 50000;
-    this.ROSTER_SLOTS = ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'UTIL'];
+    // DraftKings defaults - other sites come from utils/siteProfiles.js
+    this.SALARY_CAP = SITE_PROFILES.DK.salaryCap;
+    this.ROSTER_SLOTS = SITE_PROFILES.DK.rosterSlots;
+
+    // Showdown: one Captain (1.5x points and salary) plus five FLEX
+    this.SHOWDOWN_SLOTS = SITE_PROFILES.DK.showdown.slots;
+    this.CAPTAIN_MULTIPLIER = SITE_PROFILES.DK.showdown.captainMultiplier;
+  }
+
+  /**
+   * Roster layout for a contest type on a site
+   * @param {string} contestType - 'Classic' or 'Showdown'
+   * @param {string} site - 'DK' or 'FD'
+   * @returns {{ site, profile, contestType, showdown, slots, slotCounts, size, salaryCap, maxPerTeam }}
+   */
+  getRoster(contestType = 'Classic', site = 'DK') {
+    const profile = getSiteProfile(site);
+    const showdown = /showdown/i.test(contestType || '') && !!profile.showdown;
+    const slots = showdown ? profile.showdown.slots : profile.rosterSlots;
+
+    return {
+      site: profile.site,
+      profile,
+      contestType: showdown ? 'Showdown' : 'Classic',
+      showdown,
+      slots,
+      slotCounts: getSlotCounts(slots),
+      size: slots.length,
+      salaryCap: profile.salaryCap,
+      maxPerTeam: showdown ? null : profile.maxPerTeam
+    };
+  }
+
+  /**
+   * Salary a player costs in a slot - Captains cost 1.5x
+   */
+  getSlotSalary(player, slot) {
+    if (slot !== 'CPT') return player.salary;
+    return player.captain_salary || Math.round(player.salary * this.CAPTAIN_MULTIPLIER);
+  }
+
+  getSlotMultiplier(slot) {
+    return slot === 'CPT' ? this.CAPTAIN_MULTIPLIER : 1;
   }
 
   /**
@@ -23,6 +87,8 @@ class OptimizerService {
     const {
       // Core Settings
       mode = 'cash',                    // 'cash' or 'gpp'
+      contestType = 'Classic',          // 'Classic' or 'Showdown' (CPT + 5 FLEX, DraftKings only)
+      site = 'DK',                      // 'DK' or 'FD' (see utils/siteProfiles.js)
       numLineups = 1,                   // Number of lineups to generate
 
       // Player Controls
@@ -48,20 +114,62 @@ class OptimizerService {
       maxVolatility = 1,                // Maximum volatility
       minLeverageScore = 0,             // Minimum leverage score
 
+      // Ownership
+      ownershipSource = DEFAULT_OWNERSHIP_SOURCE, // 'auto', 'rotowire' or 'model' (see utils/ownershipSource.js)
+
+      // Field comparison
+      fieldSize = 0,                    // Contest entries, for the duplicate estimate (0 = off)
+      frontierPoints = 0,               // LP solves tracing the ownership vs projection frontier (0 = off)
+
       // Diversity for multi-lineup
-      maxExposure = 60,                 // Max % exposure per player across lineups
+      maxExposure = 60,                 // Default max % exposure per player across lineups
+      exposureRanges = [],              // Per-player ranges [{ playerId, min, max }] in %
 
       // Randomness for lineup diversity
       randomness = 0,                   // 0-30 variance injection for GPP
+      seed = null,                      // Seed for the variance (null = new seed, returned in settings)
+      minUniquePlayers = 0,             // Min players each lineup must differ by (0 = off)
+
+      // Objective
+      objective = null,                 // null = legacy cash/gpp blend, or { type: 'meanVariance', lambda, ... }
+
+      // Stacking
+      teamStacks = [],                  // Team/game stack rules (see normalizeStackRules)
+
+      // Player groups & conditional rules
+      playerGroups = [],                // Named player groups [{ name, players: [ids] }]
+      playerRules = [],                 // Group/implication rules (see utils/lineupRules.js)
 
     } = settings;
 
+    const roster = this.getRoster(contestType, site);
+
+    if (/showdown/i.test(contestType || '') && !roster.showdown) {
+      return { lineups: [], exposureStats: null, error: `Showdown is not supported on ${roster.profile.name}` };
+    }
+
     console.log(`\n🏀 ═══════════════════════════════════════════════`);
-    console.log(`   NBA DFS OPTIMIZER - ${mode.toUpperCase()} MODE`);
+    console.log(`   NBA DFS OPTIMIZER - ${roster.site} ${mode.toUpperCase()} MODE${roster.showdown ? ' (SHOWDOWN)' : ''}`);
     console.log(`═══════════════════════════════════════════════════`);
     console.log(`📊 Starting with ${players.length} total players`);
+
+    // Ownership and leverage from the chosen source
+    if (!OWNERSHIP_SOURCES.includes(ownershipSource)) {
+      return { lineups: [], exposureStats: null, error: `Unknown ownershipSource '${ownershipSource}' (use ${OWNERSHIP_SOURCES.join(', ')})` };
+    }
+    players = applyOwnershipSource(players, ownershipSource);
+    if (ownershipSource !== 'rotowire') {
+      console.log(`👥 Ownership source: ${ownershipSource}`);
+    }
     console.log(`🎯 Generating ${numLineups} lineup(s)`);
 
+    // Seeded so the same settings, seed and pool give the same lineups
+    if (seed !== null && seed !== undefined && parseSeed(seed) === null) {
+      return { lineups: [], exposureStats: null, error: 'seed must be an integer between 0 and 2^32 - 1' };
+    }
+    const runSeed = parseSeed(seed) ?? randomSeed();
+    const random = createRandom(runSeed);
+
     // Step 1: Filter players based on all criteria
     let availablePlayers = this.filterPlayers(players, {
       lockedPlayers,
@@ -82,47 +190,173 @@ class OptimizerService {
 
     console.log(`✅ ${availablePlayers.length} players in pool after filters\n`);
 
-    if (availablePlayers.length < 20) {
+    // Single-game Showdown pools are small - only need enough to fill the roster
+    const minPoolSize = roster.showdown ? roster.size + 2 : 20;
+    if (availablePlayers.length < minPoolSize) {
       console.error('❌ Not enough players to build diverse lineups!');
       return { lineups: [], exposureStats: null, error: 'Insufficient players' };
     }
 
+    // Resolve the LP objective (legacy blend or mean-variance weights)
+    const { objective: lpObjective, error: objectiveError } = this.normalizeObjective(objective, mode);
+
+    if (objectiveError) {
+      console.error(`❌ Invalid objective: ${objectiveError}`);
+      return { lineups: [], exposureStats: null, error: `Invalid objective: ${objectiveError}` };
+    }
+
+    if (lpObjective.type === 'meanVariance') {
+      console.log(`⚖️  Objective: ${lpObjective.label}`);
+    }
+
+    // Validate stack rules against the filtered pool
+    const { rules: stackRules, errors: stackErrors } = this.normalizeStackRules(teamStacks, availablePlayers, roster.size);
+
+    if (stackErrors.length > 0) {
+      console.error(`❌ Invalid stack rules: ${stackErrors.join('; ')}`);
+      return { lineups: [], exposureStats: null, error: `Invalid stack rules: ${stackErrors.join('; ')}` };
+    }
+
+    if (stackRules.length > 0) {
+      console.log(`🧱 Stack rules: ${stackRules.map(r => r.label).join(' | ')}`);
+    }
+
+    // Validate and compile group/conditional rules before solving
+    const {
+      rules: lineupRules,
+      errors: ruleErrors,
+      warnings: ruleWarnings
+    } = normalizeLineupRules(playerGroups, playerRules, availablePlayers, lockedPlayers, roster.size);
+
+    if (ruleErrors.length > 0) {
+      console.error(`❌ Invalid player rules: ${ruleErrors.join('; ')}`);
+      return { lineups: [], exposureStats: null, error: `Invalid player rules: ${ruleErrors.join('; ')}` };
+    }
+
+    ruleWarnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+    if (lineupRules.length > 0) {
+      console.log(`📐 Player rules: ${lineupRules.map(r => r.label).join(' | ')}`);
+    }
+
+    // Plan min/max exposure counts across the whole batch
+    const {
+      plan: exposurePlan,
+      errors: exposureErrors,
+      warnings: exposureWarnings
+    } = this.buildExposurePlan(exposureRanges, availablePlayers, {
+      numLineups,
+      maxExposure,
+      lockedPlayers,
+      excludedPlayers,
+      rosterSize: roster.size
+    });
+
+    if (exposureErrors.length > 0) {
+      console.error(`❌ Invalid exposure ranges: ${exposureErrors.join('; ')}`);
+      return { lineups: [], exposureStats: null, error: `Invalid exposure ranges: ${exposureErrors.join('; ')}` };
+    }
+
+    exposureWarnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+    if (exposurePlan.ranges.size > 0) {
+      console.log(`🎚️  Exposure ranges set for ${exposurePlan.ranges.size} player(s) (default max ${maxExposure}%)`);
+    }
+
+    // Validate uniqueness - locked players appear in every lineup and can't differ
+    const uniquePlayers = parseInt(minUniquePlayers) || 0;
+    if (uniquePlayers < 0 || uniquePlayers > roster.size) {
+      return { lineups: [], exposureStats: null, error: `minUniquePlayers must be between 0 and ${roster.size}` };
+    }
+    if (uniquePlayers > 0 && lockedPlayers.length > roster.size - uniquePlayers) {
+      return {
+        lineups: [],
+        exposureStats: null,
+        error: `${lockedPlayers.length} locked players leave room for at most ${roster.size - lockedPlayers.length} unique players per lineup`
+      };
+    }
+    if (uniquePlayers > 0 && numLineups > 1) {
+      console.log(`🔀 Each lineup must differ by at least ${uniquePlayers} player(s)`);
+    }
+
     // Step 2: Generate lineups
     const lineups = [];
     const playerUsageCount = new Map(); // Track how many times each player is used
     const usedLineupHashes = new Set(); // Track unique lineups
     const recentTopPlayers = new Set(); // Top players from recent lineups to force diversity
+    const uniquenessCuts = []; // No-good cuts against earlier lineups (minUniquePlayers)
     let consecutiveFailures = 0;
     const maxFailures = 15;
 
     for (let i = 0; i < numLineups && consecutiveFailures < maxFailures; i++) {
       console.log(`\n━━━ Generating Lineup ${i + 1}/${numLineups} ━━━`);
 
-      // Calculate which players are overexposed
-      const overexposedPlayers = this.getOverexposedPlayers(
+      // Plan exposure for this lineup: cap players at their max, force players behind their min
+      const { capped, forced, mustForce } = this.getExposureTargets(
+        exposurePlan,
         playerUsageCount,
         lineups.length,
-        numLineups,
-        maxExposure
+        numLineups - i
       );
 
       // Build exclusion list for this iteration
       // Include recently used top players to force more diversity
-      const diversityExclusions = consecutiveFailures > 0 ? Array.from(recentTopPlayers) : [];
-      const iterationExclusions = [...excludedPlayers, ...overexposedPlayers, ...diversityExclusions];
+      // (not needed with uniqueness cuts - the LP already rules out repeats)
+      const forcedSet = new Set(forced);
+      const diversityExclusions = uniquePlayers === 0 && consecutiveFailures > 0
+        ? Array.from(recentTopPlayers).filter(id => !forcedSet.has(id))
+        : [];
+      const iterationExclusions = [...excludedPlayers, ...capped, ...diversityExclusions];
 
       // Calculate randomness - increase significantly for each lineup to get diversity
       // Each subsequent lineup gets more randomness to find different solutions
-      const iterationRandomness = randomness + (i * 15) + (consecutiveFailures * 25);
+      // With uniqueness cuts the user's randomness is used as-is
+      const iterationRandomness = uniquePlayers > 0
+        ? randomness
+        : randomness + (i * 15) + (consecutiveFailures * 25);
 
-      const lineup = this.generateLineup(availablePlayers, {
+      const lineupSettings = {
         mode,
-        lockedPlayers,
+        roster,
+        lockedPlayers: [...lockedPlayers, ...forced],
         excludedPlayers: iterationExclusions,
         minSalary,
+        stackRules,
+        lineupRules,
+        uniquenessCuts,
+        objective: lpObjective,
         randomness: iterationRandomness,
+        random,
         lineupNumber: i + 1
-      });
+      };
+
+      if (forced.length > 0) {
+        console.log(`🎚️  Forcing ${forced.length} player(s) toward minimum exposure`);
+      }
+
+      let lineup = this.generateLineup(availablePlayers, lineupSettings);
+
+      // Too many on-pace players to fit together - only force those who can't wait any longer
+      if (!lineup && forced.length > mustForce.length) {
+        console.warn(`⚠️  Could not fit all minimum-exposure players, retrying with ${mustForce.length} required`);
+        lineup = this.generateLineup(availablePlayers, {
+          ...lineupSettings,
+          lockedPlayers: [...lockedPlayers, ...mustForce]
+        });
+      }
+
+      // With uniqueness cuts, tell a minimum-exposure conflict apart from running out of
+      // unique lineups: retry without forced players against the same caps
+      let exhausted = false;
+      if (!lineup && uniquePlayers > 0 && lineups.length > 0) {
+        const unforced = forced.length > 0
+          ? this.generateLineup(availablePlayers, { ...lineupSettings, lockedPlayers: [...lockedPlayers] })
+          : null;
+        if (unforced) {
+          console.warn(`⚠️  Minimum exposures for ${forced.length} player(s) can't be met alongside ${uniquePlayers}+ unique players and max exposures - lineup ${i + 1} built without them`);
+          lineup = unforced;
+        } else {
+          exhausted = true;
+        }
+      }
 
       if (lineup && lineup.isValid) {
         // Check for duplicates
@@ -135,6 +369,10 @@ class OptimizerService {
           consecutiveFailures = 0;
           recentTopPlayers.clear(); // Clear diversity exclusions on success
 
+          if (uniquePlayers > 0) {
+            uniquenessCuts.push(this.buildUniquenessCut(lineup, uniquenessCuts.length, uniquePlayers, roster.size));
+          }
+
           // Update player usage counts
           lineup.players.forEach(slot => {
             if (slot.player) {
@@ -169,6 +407,12 @@ class OptimizerService {
       } else {
         console.warn(`⚠️  Failed to generate valid lineup ${i + 1}`);
         consecutiveFailures++;
+
+        // Infeasible without forced players too: cuts and caps only tighten from here
+        if (exhausted) {
+          console.warn(`⚠️  No more lineups differ by ${uniquePlayers}+ players from the ${lineups.length} already built within max exposures`);
+          break;
+        }
       }
     }
 
@@ -182,21 +426,462 @@ class OptimizerService {
     // Step 3: Calculate exposure stats for multi-lineup
     let exposureStats = null;
     if (lineups.length > 1) {
-      exposureStats = this.getExposureStats(lineups, availablePlayers);
+      exposureStats = this.getExposureStats(lineups, availablePlayers, exposurePlan);
       this.displayExposureReport(exposureStats, lineups.length);
     }
 
+    // Step 4: Duplication and salary left against the field, ownership vs projection frontier
+    const field = lineups.length > 0 && (parseInt(fieldSize) || 0) > 0
+      ? this.compareToField(lineups, players.filter(p => p.injury_status !== 'OUT'), { roster, fieldSize: parseInt(fieldSize) || 0, random })
+      : null;
+    const frontier = lineups.length > 0 && frontierPoints > 0
+      ? this.getOwnershipFrontier(availablePlayers, {
+        roster,
+        lockedPlayers,
+        excludedPlayers,
+        minSalary,
+        stackRules,
+        lineupRules
+      }, Math.min(parseInt(frontierPoints) || 0, 20))
+      : [];
+
     return {
       lineups,
       exposureStats,
+      field,
+      frontier,
       settings: {
         mode,
+        site: roster.site,
+        contestType: roster.contestType,
         numLineups: lineups.length,
+        objective: lpObjective,
+        stackRules: stackRules.map(r => r.label),
+        playerRules: lineupRules.map(r => r.label),
+        ruleWarnings,
+        exposureWarnings,
+        minUniquePlayers: uniquePlayers,
+        ownershipSource,
+        fieldSize: field?.fieldSize ?? null,
+        seed: runSeed,
         executionTime
       }
     };
   }
 
+  /**
+   * Validate the objective setting
+   * Mean-variance maximizes projectionWeight·μ ± lambda·σ − ownershipWeight·own%
+   * per player: +σ rewards upside in GPP, −σ rewards safety in cash.
+   * A lineup's σ is approximated by the sum of player σ so the LP stays linear.
+   *
+   * @param {Object|null} objective - { type: 'legacy' | 'meanVariance', lambda, projectionWeight, ownershipWeight }
+   * @returns {{ objective: Object, error: string|null }}
+   */
+  normalizeObjective(objective, mode) {
+    if (!objective || objective.type === undefined || objective.type === 'legacy') {
+      return { objective: { type: 'legacy', label: `Legacy ${mode} score` }, error: null };
+    }
+
+    if (objective.type !== 'meanVariance') {
+      return { objective: null, error: `type must be 'legacy' or 'meanVariance'` };
+    }
+
+    const lambda = objective.lambda != null ? parseFloat(objective.lambda) : 0.5;
+    const projectionWeight = objective.projectionWeight != null ? parseFloat(objective.projectionWeight) : 1;
+    const ownershipWeight = objective.ownershipWeight != null ? parseFloat(objective.ownershipWeight) : 0;
+
+    if (![lambda, projectionWeight, ownershipWeight].every(Number.isFinite)) {
+      return { objective: null, error: 'lambda, projectionWeight and ownershipWeight must be numbers' };
+    }
+    if (lambda < 0) {
+      return { objective: null, error: 'lambda must be >= 0 (the sign comes from the mode)' };
+    }
+
+    // GPP chases variance, cash avoids it
+    const riskSign = mode === 'cash' ? -1 : 1;
+
+    return {
+      objective: {
+        type: 'meanVariance',
+        lambda,
+        riskSign,
+        projectionWeight,
+        ownershipWeight,
+        label: `${projectionWeight}·μ ${riskSign > 0 ? '+' : '−'} ${lambda}·σ` +
+          (ownershipWeight ? ` − ${ownershipWeight}·own%` : '')
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Player standard deviation - outcome distribution, else stored std_dev, else the floor/ceiling spread
+   */
+  getPlayerStdDev(player) {
+    const dist = getPlayerDistribution(player);
+    if (dist) return distributionStdDev(dist);
+    if (player.std_dev > 0) return player.std_dev;
+    if (player.ceiling > 0 && player.floor >= 0 && player.ceiling > player.floor) {
+      return (player.ceiling - player.floor) / 2;
+    }
+    return (player.projected_points || 0) * 0.15;
+  }
+
+  /**
+   * Per-player LP scores for every objective
+   */
+  getPlayerScores(player, objective = { type: 'legacy' }) {
+    const projection = player.adjustedProjection || player.projected_points || 0;
+    const floor = player.floor || (projection * 0.75);
+    const ceiling = player.ceiling || (projection * 1.25);
+    const ownership = player.rostership || 10;
+    const leverage = player.leverage_score || 1;
+
+    // Cash score: weighted toward floor and consistency
+    // Prioritize: high floor, solid projection, good value
+    const value = projection / (player.salary / 1000);
+    const cashScore = (projection * 0.5) + (floor * 0.4) + (value * 1.5);
+
+    // GPP score: weighted toward ceiling, value, and ownership
+    // Low ownership + high ceiling + good value = GPP gold
+    // Leverage already factors in boom probability vs ownership
+    const ceilingValue = ceiling / (player.salary / 1000);
+    const ownershipBoost = Math.max(0, (25 - ownership) * 0.5); // Boost for <25% owned
+    const leverageBonus = Math.min(leverage, 20) * 0.5; // Cap leverage impact
+    const gppScore = (ceiling * 0.4) + (ceilingValue * 3) + ownershipBoost + leverageBonus;
+
+    let meanVarianceScore = 0;
+    if (objective.type === 'meanVariance') {
+      meanVarianceScore = (objective.projectionWeight * projection) +
+        (objective.riskSign * objective.lambda * this.getPlayerStdDev(player)) -
+        (objective.ownershipWeight * (player.rostership || 0));
+    }
+
+    return { cashScore, gppScore, meanVarianceScore };
+  }
+
+  /**
+   * Break a lineup's objective into its terms so weightings can be compared
+   * Uses un-randomized projections so lineups from the same run line up.
+   */
+  getObjectiveBreakdown(lineup, objective, mode) {
+    const slots = lineup.players.filter(slot => slot.player);
+    const players = slots.map(slot => slot.player);
+    const weights = slots.map(slot => this.getSlotMultiplier(slot.position));
+    const mean = players.reduce((sum, p, i) => sum + (p.projected_points || 0) * weights[i], 0);
+    const stdDevSum = players.reduce((sum, p, i) => sum + this.getPlayerStdDev(p) * weights[i], 0);
+    const ownership = players.reduce((sum, p) => sum + (p.rostership || 0), 0);
+    const baseScores = players.map((p, i) => {
+      const scores = this.getPlayerScores({ ...p, adjustedProjection: undefined }, objective);
+      return { cashScore: scores.cashScore * weights[i], gppScore: scores.gppScore * weights[i] };
+    });
+
+    const breakdown = {
+      type: objective.type,
+      label: objective.label,
+      projection: +mean.toFixed(2),
+      stdDevSum: +stdDevSum.toFixed(2),
+      // Independent-outcome lineup σ, for reference next to the linear proxy
+      lineupStdDev: +Math.sqrt(players.reduce((sum, p, i) => sum + Math.pow(this.getPlayerStdDev(p) * weights[i], 2), 0)).toFixed(2),
+      totalOwnership: +ownership.toFixed(1),
+      cashScore: +baseScores.reduce((sum, s) => sum + s.cashScore, 0).toFixed(2),
+      gppScore: +baseScores.reduce((sum, s) => sum + s.gppScore, 0).toFixed(2)
+    };
+
+    if (objective.type === 'meanVariance') {
+      breakdown.terms = {
+        projection: +(objective.projectionWeight * mean).toFixed(2),
+        risk: +(objective.riskSign * objective.lambda * stdDevSum).toFixed(2),
+        ownership: +(-objective.ownershipWeight * ownership).toFixed(2)
+      };
+      breakdown.total = +(breakdown.terms.projection + breakdown.terms.risk + breakdown.terms.ownership).toFixed(2);
+    } else {
+      breakdown.total = mode === 'cash' ? breakdown.cashScore : breakdown.gppScore;
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Late swap a saved lineup
+   * Slots whose player has tipped off stay locked in place. The remaining
+   * slots are re-solved from players whose games haven't started, under the
+   * salary cap left after the locked players. Per DK rules a player can only
+   * move into a slot if his game hasn't started, so only unstarted players are
+   * eligible for the open slots.
+   *
+   * @param {Object} lineup - Saved lineup from lineupModel.getById (players carry position_slot)
+   * @param {Array} players - Current slate player pool
+   * @param {Object} settings - { now, mode, excludedPlayers, slateDate }
+   * @returns {Object} Swap result with locked slots, swaps and the new lineup
+   */
+  lateSwap(lineup, players, settings = {}) {
+    const {
+      now = new Date(),
+      mode = 'gpp',
+      excludedPlayers = [],
+      slateDate = null,
+      site = 'DK'
+    } = settings;
+
+    // A Showdown slate is a single game - every slot locks at the same tip-off
+    if (lineup.players.some(p => p.position_slot === 'CPT')) {
+      return {
+        lineupId: lineup.id,
+        name: lineup.name,
+        swaps: [],
+        changed: false,
+        error: 'Late swap is not available for Showdown lineups'
+      };
+    }
+
+    const nowTime = new Date(now).getTime();
+    const startTimes = new Map(players.map(p => [p.id, getPlayerGameStartTime(p, slateDate)]));
+    const hasStarted = player => {
+      const start = startTimes.has(player.id) ? startTimes.get(player.id) : getPlayerGameStartTime(player, slateDate);
+      return start ? start.getTime() <= nowTime : false;
+    };
+
+    // Pair saved players with roster slots (FanDuel repeats slot names)
+    const roster = this.getRoster('Classic', site);
+    const savedPlayers = [...lineup.players];
+    const currentSlots = roster.slots.map(slot => {
+      const index = savedPlayers.findIndex(p => p.position_slot === slot);
+      return {
+        position: slot,
+        player: index >= 0 ? savedPlayers.splice(index, 1)[0] : null
+      };
+    });
+
+    const lockedSlots = currentSlots.filter(slot => slot.player && hasStarted(slot.player));
+    const openSlots = currentSlots.filter(slot => !lockedSlots.includes(slot));
+    const lockedSalary = lockedSlots.reduce((sum, slot) => sum + (slot.player.salary || 0), 0);
+    const lockedIds = new Set(lockedSlots.map(slot => slot.player.id));
+
+    const before = {
+      totalSalary: currentSlots.reduce((sum, slot) => sum + (slot.player?.salary || 0), 0),
+      projectedPoints: currentSlots.reduce((sum, slot) => sum + (slot.player?.projected_points || 0), 0)
+    };
+
+    const result = {
+      lineupId: lineup.id,
+      name: lineup.name,
+      lockedSlots: lockedSlots.map(slot => ({ position: slot.position, playerId: slot.player.id, name: slot.player.name })),
+      openSlots: openSlots.map(slot => slot.position),
+      before,
+      swaps: [],
+      changed: false
+    };
+
+    if (openSlots.length === 0) {
+      return { ...result, lineup: currentSlots, after: before, message: 'All games have started' };
+    }
+
+    // Only unstarted players can move into open slots
+    const pool = players.filter(p =>
+      !lockedIds.has(p.id) &&
+      !excludedPlayers.includes(p.id) &&
+      !hasStarted(p)
+    );
+
+    const model = this.buildLPModel(this.applyVariance(pool, 0, mode), {
+      mode,
+      roster,
+      lockedPlayers: [],
+      excludedPlayers,
+      minSalary: 0
+    });
+
+    model.constraints.salary = { max: roster.salaryCap - lockedSalary };
+    model.constraints.totalPlayers = { equal: openSlots.length };
+    Object.entries(roster.slotCounts).forEach(([slot, count]) => {
+      model.constraints[`slot_${slot}`] = { equal: count - lockedSlots.filter(s => s.position === slot).length };
+    });
+    if (roster.maxPerTeam) {
+      lockedSlots.forEach(slot => {
+        const key = `team_${slot.player.team}`;
+        if (model.constraints[key]) model.constraints[key].max--;
+      });
+    }
+
+    const solution = solver.Solve(model);
+
+    if (!solution || !solution.feasible) {
+      return { ...result, lineup: currentSlots, after: before, error: 'No valid swap found for the open slots' };
+    }
+
+    // Merge solved open slots with the locked ones
+    const solvedByPosition = new Map();
+    Object.keys(solution).forEach(key => {
+      const match = solution[key] === 1 && key.match(/^p(\d+)_(.+)$/);
+      if (!match) return;
+      const player = pool.find(p => p.id === parseInt(match[1]));
+      if (player) solvedByPosition.set(match[2], [...(solvedByPosition.get(match[2]) || []), player]);
+    });
+
+    // Keep unchanged players in their own slot so swaps line up
+    const newSlots = currentSlots.map(slot => {
+      if (lockedSlots.includes(slot)) return { ...slot, locked: true };
+      const candidates = solvedByPosition.get(slot.position) || [];
+      const keepIndex = candidates.findIndex(p => p.id === slot.player?.id);
+      const player = candidates.splice(keepIndex >= 0 ? keepIndex : 0, 1)[0] || null;
+      return { position: slot.position, player, locked: false };
+    });
+
+    openSlots.forEach(slot => {
+      const incoming = newSlots[currentSlots.indexOf(slot)].player;
+      if (incoming?.id !== slot.player?.id) {
+        result.swaps.push({
+          position: slot.position,
+          out: slot.player ? { id: slot.player.id, name: slot.player.name, projectedPoints: slot.player.projected_points } : null,
+          in: incoming ? { id: incoming.id, name: incoming.name, projectedPoints: incoming.projected_points } : null
+        });
+      }
+    });
+
+    const after = {
+      totalSalary: newSlots.reduce((sum, slot) => sum + (slot.player?.salary || 0), 0),
+      projectedPoints: newSlots.reduce((sum, slot) => sum + (slot.player?.projected_points || 0), 0)
+    };
+
+    return {
+      ...result,
+      lineup: newSlots,
+      after,
+      changed: result.swaps.length > 0
+    };
+  }
+
+  /**
+   * Normalize stack rules from request settings and validate them against the pool
+   *
+   * Supported rule shapes:
+   *   { type: 'team', team: 'DEN', min: 3, max: 4, bringBack: 2 }
+   *     - min/max players from DEN, bringBack = min players from DEN's opponent
+   *   { type: 'game', teams: ['DEN', 'LAL'], min: 5, bringBack: 1 }
+   *     - min/max players from the game, bringBack = min players from EACH side
+   *
+   * @param {number} rosterSize - Slots in the site/contest roster (getRoster().size)
+   * @returns {{ rules: Array, errors: Array<string> }}
+   */
+  normalizeStackRules(teamStacks, players, rosterSize = this.ROSTER_SLOTS.length) {
+    const rules = [];
+    const errors = [];
+
+    if (!Array.isArray(teamStacks)) {
+      return { rules, errors: ['teamStacks must be an array'] };
+    }
+
+    // Map each team on the slate to its opponent
+    const opponents = new Map();
+    players.forEach(p => {
+      if (p.team && p.opponent) opponents.set(p.team, p.opponent);
+    });
+
+    teamStacks.forEach((stack, index) => {
+      if (!stack) return;
+
+      const type = stack.type || (stack.teams ? 'game' : 'team');
+      const min = parseInt(stack.min) || 0;
+      const max = stack.max != null && stack.max !== '' ? parseInt(stack.max) : null;
+      const bringBack = parseInt(stack.bringBack) || 0;
+      const ruleName = `Stack #${index + 1}`;
+
+      if (max !== null && max < min) {
+        errors.push(`${ruleName}: max (${max}) is less than min (${min})`);
+        return;
+      }
+      if (min > rosterSize) {
+        errors.push(`${ruleName}: min (${min}) exceeds roster size`);
+        return;
+      }
+
+      if (type === 'team') {
+        const team = stack.team?.toUpperCase();
+        const opponent = opponents.get(team);
+
+        if (!opponent) {
+          errors.push(`${ruleName}: no players from ${stack.team} in the filtered pool`);
+          return;
+        }
+        if (min + bringBack > rosterSize) {
+          errors.push(`${ruleName}: ${min} + ${bringBack} bring-back exceeds roster size`);
+          return;
+        }
+
+        rules.push({
+          id: `stack${index}`,
+          type,
+          team,
+          opponent,
+          teams: [team],
+          min,
+          max,
+          bringBack,
+          label: `${team} ${min}${max !== null ? `-${max}` : '+'}${bringBack > 0 ? ` with ${opponent} ${bringBack}+` : ''}`
+        });
+      } else if (type === 'game') {
+        const teams = (stack.teams || []).map(t => t?.toUpperCase()).filter(Boolean);
+
+        if (teams.length !== 2 || opponents.get(teams[0]) !== teams[1]) {
+          errors.push(`${ruleName}: ${teams.join(' vs ') || 'game'} is not a game in the filtered pool`);
+          return;
+        }
+        if (bringBack * 2 > (max !== null ? max : rosterSize)) {
+          errors.push(`${ruleName}: bring-back of ${bringBack} per side doesn't fit in the stack`);
+          return;
+        }
+
+        rules.push({
+          id: `stack${index}`,
+          type,
+          team: null,
+          opponent: null,
+          teams: [...teams].sort(),
+          min,
+          max,
+          bringBack,
+          label: `${[...teams].sort().join(' vs ')} ${min}${max !== null ? `-${max}` : '+'}${bringBack > 0 ? ` (${bringBack}+ each side)` : ''}`
+        });
+      } else {
+        errors.push(`${ruleName}: unknown stack type '${type}'`);
+      }
+    });
+
+    return { rules, errors };
+  }
+
+  /**
+   * Report how a lineup lines up against each stack rule
+   */
+  getLineupStacks(lineup, stackRules) {
+    const players = lineup.players.map(slot => slot.player).filter(Boolean);
+
+    return stackRules.map(rule => {
+      const count = players.filter(p => rule.teams.includes(p.team)).length;
+      let bringBackCount = 0;
+      let satisfied = count >= rule.min && (rule.max === null || count <= rule.max);
+
+      if (rule.type === 'team') {
+        bringBackCount = players.filter(p => p.team === rule.opponent).length;
+        satisfied = satisfied && bringBackCount >= rule.bringBack;
+      } else if (rule.bringBack > 0) {
+        bringBackCount = Math.min(...rule.teams.map(t => players.filter(p => p.team === t).length));
+        satisfied = satisfied && bringBackCount >= rule.bringBack;
+      }
+
+      return {
+        rule: rule.label,
+        type: rule.type,
+        teams: rule.teams,
+        count,
+        bringBackCount,
+        satisfied
+      };
+    });
+  }
+
   /**
    * Advanced player filter with all criteria
    */
@@ -312,22 +997,135 @@ class OptimizerService {
   }
 
   /**
-   * Get list of players who have exceeded exposure limits
+   * Build the batch exposure plan from per-player ranges
+   * Percentages are converted to lineup counts up front so minimums can be
+   * scheduled across the batch instead of left to chance. Players without a
+   * range fall back to the global maxExposure.
+   *
+   * @param {Array} exposureRanges - [{ playerId, min, max }] in %
+   * @returns {{ plan: Object, errors: Array<string>, warnings: Array<string> }}
+   */
+  buildExposurePlan(exposureRanges, players, { numLineups, maxExposure, lockedPlayers, excludedPlayers, rosterSize = this.ROSTER_SLOTS.length }) {
+    const errors = [];
+    const warnings = [];
+    const ranges = new Map();
+    const plan = {
+      numLineups,
+      defaultMax: maxExposure,
+      defaultMaxCount: this.getExposureCounts(0, maxExposure, numLineups).maxCount,
+      ranges,
+      locked: new Set(lockedPlayers.map(Number))   // In every lineup - never capped
+    };
+
+    if (!Array.isArray(exposureRanges)) {
+      return { plan, errors: ['exposureRanges must be an array'], warnings };
+    }
+
+    const poolById = new Map(players.map(p => [p.id, p]));
+    const locked = plan.locked;
+    const excluded = new Set(excludedPlayers.map(Number));
+
+    exposureRanges.forEach((range, index) => {
+      const playerId = Number(range?.playerId);
+      const label = poolById.get(playerId)?.name || `Player ${range?.playerId ?? `#${index + 1}`}`;
+      const min = range?.min != null && range.min !== '' ? parseFloat(range.min) : 0;
+      const max = range?.max != null && range.max !== '' ? parseFloat(range.max) : maxExposure;
+
+      if (!Number.isFinite(playerId)) {
+        errors.push(`Range #${index + 1}: playerId is required`);
+        return;
+      }
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max > 100) {
+        errors.push(`${label}: exposure must be between 0 and 100`);
+        return;
+      }
+      if (min > max) {
+        errors.push(`${label}: min exposure (${min}%) is above max (${max}%)`);
+        return;
+      }
+      if (ranges.has(playerId)) {
+        errors.push(`${label}: exposure range defined more than once`);
+        return;
+      }
+
+      if (!poolById.has(playerId)) {
+        if (min > 0) {
+          errors.push(`${label}: has a ${min}% minimum but is ${excluded.has(playerId) ? 'excluded' : 'not in the filtered pool'}`);
+        }
+        return;
+      }
+
+      if (locked.has(playerId)) {
+        if (max < 100) {
+          warnings.push(`${label}: locked players appear in every lineup - max exposure ${max}% ignored`);
+        }
+        return;
+      }
+
+      const { minCount, maxCount } = this.getExposureCounts(min, max, numLineups);
+      ranges.set(playerId, { min, max, minCount, maxCount });
+    });
+
+    // Every lineup has 8 slots, so minimums can't demand more appearances than that
+    const requiredSlots = Array.from(ranges.values()).reduce((sum, r) => sum + r.minCount, 0)
+      + locked.size * numLineups;
+    if (requiredSlots > rosterSize * numLineups) {
+      errors.push(`minimum exposures need ${requiredSlots} roster spots but ${numLineups} lineup(s) only have ${rosterSize * numLineups}`);
+    }
+
+    return { plan, errors, warnings };
+  }
+
+  /**
+   * Convert a % range into lineup counts for a batch size
+   * Any max above 0 allows at least one lineup so small batches aren't starved
    */
-  getOverexposedPlayers(playerUsageCount, currentLineupCount, totalLineups, maxExposure) {
-    if (currentLineupCount === 0) return [];
+  getExposureCounts(min, max, numLineups) {
+    return {
+      minCount: Math.min(numLineups, Math.ceil((min / 100) * numLineups - 1e-9)),
+      maxCount: max <= 0 ? 0 : Math.max(1, Math.floor((max / 100) * numLineups + 1e-9))
+    };
+  }
 
-    const overexposed = [];
+  /**
+   * Get exposure targets for the next lineup
+   *   capped    - players who already reached their max count (locked players never are)
+   *   mustForce - players who need every remaining lineup to hit their min
+   *   forced    - mustForce plus players behind an even pace toward their min
+   */
+  getExposureTargets(exposurePlan, playerUsageCount, currentLineupCount, remainingLineups) {
+    const capped = [];
+    const forced = [];
+    const mustForce = [];
 
     playerUsageCount.forEach((count, playerId) => {
-      const currentExposure = (count / currentLineupCount) * 100;
-      // If player is already at or above max exposure, exclude them
-      if (currentExposure >= maxExposure) {
-        overexposed.push(playerId);
+      if (exposurePlan.locked?.has(playerId)) return;
+      const maxCount = exposurePlan.ranges.get(playerId)?.maxCount ?? exposurePlan.defaultMaxCount;
+      if (count >= maxCount) {
+        capped.push(playerId);
+      }
+    });
+
+    exposurePlan.ranges.forEach((range, playerId) => {
+      if (range.minCount === 0) return;
+      const count = playerUsageCount.get(playerId) || 0;
+      const needed = range.minCount - count;
+      if (needed <= 0 || count >= range.maxCount) return;
+
+      const onPace = Math.ceil((range.minCount * (currentLineupCount + 1)) / exposurePlan.numLineups);
+      if (needed >= remainingLineups) {
+        mustForce.push(playerId);
+        forced.push(playerId);
+      } else if (count < onPace) {
+        forced.push(playerId);
       }
     });
 
-    return overexposed;
+    // Most-behind players first so the fallback keeps the urgent ones
+    const shortfall = id => (exposurePlan.ranges.get(id).minCount - (playerUsageCount.get(id) || 0));
+    forced.sort((a, b) => shortfall(b) - shortfall(a));
+
+    return { capped, forced, mustForce };
   }
 
   /**
@@ -336,21 +1134,32 @@ class OptimizerService {
   generateLineup(players, settings) {
     const {
       mode,
+      roster = this.getRoster(),
       lockedPlayers,
       excludedPlayers,
       minSalary,
-      randomness
+      stackRules = [],
+      lineupRules = [],
+      uniquenessCuts = [],
+      objective = { type: 'legacy' },
+      randomness,
+      random = Math.random
     } = settings;
 
     // Apply variance to projections for diversity
-    const playersWithVariance = this.applyVariance(players, randomness, mode);
+    const playersWithVariance = this.applyVariance(players, randomness, mode, random);
 
     // Build LP model
     const model = this.buildLPModel(playersWithVariance, {
       mode,
+      roster,
       lockedPlayers,
       excludedPlayers,
-      minSalary
+      minSalary,
+      stackRules,
+      lineupRules,
+      uniquenessCuts,
+      objective
     });
 
     // Solve
@@ -364,11 +1173,14 @@ class OptimizerService {
     console.log(`✅ LP solution found! Objective: ${result.result?.toFixed(2)}`);
 
     // Extract lineup
-    const lineup = this.extractLineupFromSolution(result, players, mode);
+    const lineup = this.extractLineupFromSolution(result, players, mode, roster);
 
     // Add analytics
     if (lineup && lineup.isValid) {
       lineup.analytics = this.calculateLineupAnalytics(lineup, mode);
+      lineup.stacks = this.getLineupStacks(lineup, stackRules);
+      lineup.rules = evaluateLineupRules(lineup, lineupRules);
+      lineup.objective = this.getObjectiveBreakdown(lineup, objective, mode);
     }
 
     return lineup;
@@ -377,7 +1189,7 @@ class OptimizerService {
   /**
    * Apply variance to projections for lineup diversity
    */
-  applyVariance(players, randomness, mode) {
+  applyVariance(players, randomness, mode, random = Math.random) {
     if (randomness === 0) {
       return players.map(p => ({
         ...p,
@@ -387,13 +1199,23 @@ class OptimizerService {
 
     return players.map(player => {
       const baseProjection = player.projected_points || 0;
+      const varianceFactor = (randomness / 100);
+
+      // Draw from the player's outcome distribution and move that far toward it
+      const dist = getPlayerDistribution(player);
+      if (dist) {
+        const outcome = quantileAt(dist, random());
+        return {
+          ...player,
+          adjustedProjection: Math.max(0, baseProjection + (outcome - baseProjection) * varianceFactor)
+        };
+      }
 
-      // Use ceiling-floor range to determine variance potential
+      // No distribution stored: ceiling-floor range determines variance potential
       const range = (player.ceiling || baseProjection * 1.2) - (player.floor || baseProjection * 0.8);
 
       // Random variance based on player's upside potential
-      const varianceFactor = (randomness / 100);
-      const variance = (Math.random() - 0.5) * range * varianceFactor;
+      const variance = (random() - 0.5) * range * varianceFactor;
 
       return {
         ...player,
@@ -406,26 +1228,71 @@ class OptimizerService {
    * Build LP model - clean and simple
    */
   buildLPModel(players, settings) {
-    const { mode, lockedPlayers, excludedPlayers, minSalary } = settings;
+    const {
+      mode,
+      lockedPlayers,
+      excludedPlayers,
+      minSalary,
+      stackRules = [],
+      lineupRules = [],
+      uniquenessCuts = [],
+      objective = { type: 'legacy' },
+      roster = this.getRoster(),
+      target = null                // { field, opType } overrides the objective (e.g. 'projection', 'ownership')
+    } = settings;
 
-    // Determine what to optimize based on mode
-    const optimizeField = mode === 'cash' ? 'cashScore' : 'gppScore';
+    // Determine what to optimize based on mode (or the mean-variance objective)
+    const optimizeField = target?.field || (objective.type === 'meanVariance'
+      ? 'meanVarianceScore'
+      : mode === 'cash' ? 'cashScore' : 'gppScore');
 
     const model = {
       optimize: optimizeField,
-      opType: 'max',
+      opType: target?.opType || 'max',
       constraints: {
-        salary: { max: this.SALARY_CAP },
+        salary: { max: roster.salaryCap },
         minSalary: { min: minSalary },
-        totalPlayers: { equal: 8 }
+        totalPlayers: { equal: roster.size }
       },
       variables: {},
       ints: {}
     };
 
-    // Position slot constraints - exactly 1 player per slot
-    this.ROSTER_SLOTS.forEach(slot => {
-      model.constraints[`slot_${slot}`] = { equal: 1 };
+    // Position slot constraints - exactly 1 player per slot (more for repeated slots)
+    Object.entries(roster.slotCounts).forEach(([slot, count]) => {
+      model.constraints[`slot_${slot}`] = { equal: count };
+    });
+
+    // Site team limit (FanDuel: at most 4 players from one team)
+    if (roster.maxPerTeam) {
+      new Set(players.map(p => p.team).filter(Boolean)).forEach(team => {
+        model.constraints[`team_${team}`] = { max: roster.maxPerTeam };
+      });
+    }
+
+    // Stack constraints - count players from the stacked team/game (and bring-back side)
+    stackRules.forEach(rule => {
+      const countConstraint = { min: rule.min };
+      if (rule.max !== null) countConstraint.max = rule.max;
+      model.constraints[`${rule.id}_count`] = countConstraint;
+
+      if (rule.bringBack > 0) {
+        if (rule.type === 'team') {
+          model.constraints[`${rule.id}_bringback`] = { min: rule.bringBack };
+        } else {
+          rule.teams.forEach(team => {
+            model.constraints[`${rule.id}_side_${team}`] = { min: rule.bringBack };
+          });
+        }
+      }
+    });
+
+    // Group and conditional rule constraints
+    addRuleConstraints(model, lineupRules);
+
+    // No-good cuts - at most (roster size - K) players shared with each earlier lineup
+    uniquenessCuts.forEach(cut => {
+      model.constraints[cut.name] = { max: cut.maxShared };
     });
 
     // Player uniqueness - each player can only be used once
@@ -445,42 +1312,58 @@ class OptimizerService {
     players.forEach(player => {
       if (excludedPlayers.includes(player.id)) return;
 
-      const playerPositions = this.getPlayerPositions(player.position);
-      const eligibleSlots = this.getEligibleSlots(playerPositions);
+      // Showdown: anyone can Captain or FLEX
+      const eligibleSlots = roster.showdown
+        ? ['CPT', 'FLEX']
+        : this.getEligibleSlots(this.getPlayerPositions(player.position), roster.profile);
+
+      const { cashScore, gppScore, meanVarianceScore } = this.getPlayerScores(player, objective);
 
       eligibleSlots.forEach(slot => {
         const varName = `p${player.id}_${slot}`;
-
-        // Calculate scores for optimization
-        const projection = player.adjustedProjection || player.projected_points || 0;
-        const floor = player.floor || (projection * 0.75);
-        const ceiling = player.ceiling || (projection * 1.25);
-        const ownership = player.rostership || 10;
-        const leverage = player.leverage_score || 1;
-
-        // Cash score: weighted toward floor and consistency
-        // Prioritize: high floor, solid projection, good value
-        const value = projection / (player.salary / 1000);
-        const cashScore = (projection * 0.5) + (floor * 0.4) + (value * 1.5);
-
-        // GPP score: weighted toward ceiling, value, and ownership
-        // Low ownership + high ceiling + good value = GPP gold
-        // Leverage already factors in boom probability vs ownership
-        const ceilingValue = ceiling / (player.salary / 1000);
-        const ownershipBoost = Math.max(0, (25 - ownership) * 0.5); // Boost for <25% owned
-        const leverageBonus = Math.min(leverage, 20) * 0.5; // Cap leverage impact
-        const gppScore = (ceiling * 0.4) + (ceilingValue * 3) + ownershipBoost + leverageBonus;
+        const multiplier = this.getSlotMultiplier(slot);
+        const salary = this.getSlotSalary(player, slot);
 
         model.variables[varName] = {
-          cashScore,
-          gppScore,
-          salary: player.salary,
-          minSalary: player.salary,
+          cashScore: cashScore * multiplier,
+          gppScore: gppScore * multiplier,
+          meanVarianceScore: meanVarianceScore * multiplier,
+          projection: (player.projected_points || 0) * multiplier,
+          ownership: player.rostership || 0,
+          salary,
+          minSalary: salary,
           totalPlayers: 1,
           [`slot_${slot}`]: 1,
           [`player_${player.id}`]: 1
         };
 
+        if (roster.maxPerTeam && player.team) {
+          model.variables[varName][`team_${player.team}`] = 1;
+        }
+
+        // Contribute to any stack rule this player's team is part of
+        stackRules.forEach(rule => {
+          if (rule.teams.includes(player.team)) {
+            model.variables[varName][`${rule.id}_count`] = 1;
+          }
+          if (rule.bringBack > 0) {
+            if (rule.type === 'team' && player.team === rule.opponent) {
+              model.variables[varName][`${rule.id}_bringback`] = 1;
+            } else if (rule.type === 'game' && rule.teams.includes(player.team)) {
+              model.variables[varName][`${rule.id}_side_${player.team}`] = 1;
+            }
+          }
+        });
+
+        // Contribute to group/conditional rule constraints
+        applyRuleCoefficients(model.variables[varName], player.id, lineupRules);
+
+        uniquenessCuts.forEach(cut => {
+          if (cut.playerIds.has(player.id)) {
+            model.variables[varName][cut.name] = 1;
+          }
+        });
+
         model.ints[varName] = 1;
       });
     });
@@ -491,14 +1374,9 @@ class OptimizerService {
   /**
    * Extract lineup from LP solution
    */
-  extractLineupFromSolution(solution, players, mode) {
-    const lineup = {
-      PG: null, SG: null, SF: null, PF: null,
-      C: null, G: null, F: null, UTIL: null
-    };
-
-    let totalSalary = 0;
-    let projectedPoints = 0;
+  extractLineupFromSolution(solution, players, mode, roster = this.getRoster()) {
+    // Solved players by slot name (Showdown FLEX holds five)
+    const bySlot = {};
 
     Object.keys(solution).forEach(key => {
       if (key.startsWith('p') && solution[key] === 1) {
@@ -508,28 +1386,43 @@ class OptimizerService {
           const slot = match[2];
           const player = players.find(p => p.id === playerId);
 
-          if (player && lineup[slot] === null) {
-            lineup[slot] = player;
-            totalSalary += player.salary;
-            projectedPoints += player.projected_points || 0;
+          if (player) {
+            (bySlot[slot] = bySlot[slot] || []).push(player);
           }
         }
       }
     });
 
-    const lineupArray = Object.entries(lineup).map(([pos, player]) => ({
-      position: pos,
-      player
-    }));
+    let totalSalary = 0;
+    let projectedPoints = 0;
+
+    const lineupArray = roster.slots.map(pos => {
+      const player = bySlot[pos]?.shift() || null;
+      const slot = { position: pos, player };
+
+      if (player) {
+        const salary = this.getSlotSalary(player, pos);
+        const multiplier = this.getSlotMultiplier(pos);
+        totalSalary += salary;
+        projectedPoints += (player.projected_points || 0) * multiplier;
+
+        if (roster.showdown) {
+          slot.salary = salary;
+          slot.multiplier = multiplier;
+        }
+      }
+
+      return slot;
+    });
 
     const filledSlots = lineupArray.filter(slot => slot.player !== null).length;
-    const isValid = filledSlots === 8 && totalSalary <= this.SALARY_CAP;
+    const isValid = filledSlots === roster.size && totalSalary <= roster.salaryCap;
 
     return {
       players: lineupArray,
       totalSalary,
       projectedPoints,
-      remainingSalary: this.SALARY_CAP - totalSalary,
+      remainingSalary: roster.salaryCap - totalSalary,
       filledSlots,
       isValid
     };
@@ -545,7 +1438,8 @@ class OptimizerService {
 
     const totalFloor = players.reduce((sum, p) => sum + (p.floor || 0), 0);
     const totalCeiling = players.reduce((sum, p) => sum + (p.ceiling || 0), 0);
-    const avgOwnership = players.reduce((sum, p) => sum + (p.rostership || 0), 0) / players.length;
+    const ownershipSum = players.reduce((sum, p) => sum + (p.rostership || 0), 0);
+    const avgOwnership = ownershipSum / players.length;
     const totalLeverage = players.reduce((sum, p) => sum + (p.leverage_score || 0), 0);
 
     // Team diversity
@@ -556,6 +1450,8 @@ class OptimizerService {
       totalFloor: totalFloor.toFixed(1),
       totalCeiling: totalCeiling.toFixed(1),
       avgOwnership: avgOwnership.toFixed(1),
+      ownershipSum: +ownershipSum.toFixed(1),
+      ownershipProduct: +getOwnershipProduct(lineup.players.filter(slot => slot.player)).toPrecision(3),
       totalLeverage: totalLeverage.toFixed(1),
       numTeams: teams.length,
       numGames: games.length,
@@ -564,6 +1460,117 @@ class OptimizerService {
     };
   }
 
+  /**
+   * Duplicate estimate and salary left against the field
+   * Adds analytics.duplicates, salaryLeftFactor and salaryLeftPercentile to each
+   * lineup. The field's salary usage comes from SimulationService.buildField,
+   * which only fills Classic rosters - Showdown gets the ownership-only estimate.
+   * @param {Array} lineups - Optimizer lineups with analytics
+   * @param {Array} players - Slate pool the field drafts from
+   * @param {Object} options - roster, fieldSize (contest entries), sampleSize (synthetic field lineups), random
+   * @returns {Object} { fieldSize, sampledLineups, duplicates, salaryLeft }
+   */
+  compareToField(lineups, players, { roster = this.getRoster(), fieldSize, sampleSize = 2000, random = Math.random }) {
+    const fieldSalaryLeft = roster.showdown
+      ? []
+      : simulationService.buildField(players, sampleSize, roster, random)
+        .map(indexes => roster.salaryCap - indexes.reduce((sum, i) => sum + (players[i].salary || 0), 0))
+        .sort((a, b) => a - b);
+    const fieldDistribution = fieldSalaryLeft.length > 0 ? getSalaryLeftDistribution(fieldSalaryLeft) : null;
+
+    lineups.forEach(lineup => {
+      if (!lineup.analytics) return;
+
+      const salaryLeftFactor = fieldDistribution ? getSalaryLeftFactor(lineup.remainingSalary, fieldDistribution) : 1;
+      lineup.analytics.salaryLeftFactor = +salaryLeftFactor.toFixed(2);
+      lineup.analytics.duplicates = estimateDuplicates(lineup.analytics.ownershipProduct, fieldSize, salaryLeftFactor);
+      // Share of the field leaving less salary on the table
+      lineup.analytics.salaryLeftPercentile = fieldDistribution
+        ? +((simulationService.upperBound(fieldSalaryLeft, lineup.remainingSalary - 1) / fieldSalaryLeft.length) * 100).toFixed(1)
+        : null;
+    });
+
+    const expected = lineups.map(lineup => lineup.analytics?.duplicates?.expected || 0);
+    const ourSalaryLeft = lineups.map(lineup => lineup.remainingSalary);
+    const average = list => (list.length > 0 ? Math.round(list.reduce((a, b) => a + b, 0) / list.length) : null);
+
+    return {
+      fieldSize,
+      sampledLineups: fieldSalaryLeft.length,
+      duplicates: {
+        total: +expected.reduce((a, b) => a + b, 0).toFixed(2),
+        avg: +(expected.reduce((a, b) => a + b, 0) / expected.length).toFixed(2),
+        max: Math.max(...expected)
+      },
+      salaryLeft: {
+        lineups: getSalaryLeftDistribution(ourSalaryLeft),
+        field: fieldDistribution,
+        lineupsAvg: average(ourSalaryLeft),
+        fieldAvg: average(fieldSalaryLeft),
+        fieldMedian: fieldSalaryLeft.length > 0 ? fieldSalaryLeft[Math.floor(fieldSalaryLeft.length / 2)] : null
+      }
+    };
+  }
+
+  /**
+   * Ownership vs projection frontier
+   * Lineups maximizing projection − λ·(summed ownership) trace the frontier from
+   * the top projection down to the lowest-owned legal lineup. Between two
+   * neighbouring points, λ is set to the slope joining them so each solve either
+   * finds a new point or proves there is none. Locks, excludes, stacks and
+   * player rules apply; exposure and randomness don't.
+   * @param {number} maxSolves - LP solves allowed after the two end points
+   * @returns {Array} [{ ownership, projection, salary }] sorted by ownership
+   */
+  getOwnershipFrontier(players, settings, maxSolves = 8) {
+    const base = this.buildLPModel(players, { ...settings, mode: 'gpp', target: { field: 'projection', opType: 'max' } });
+
+    const solve = lambda => {
+      const variables = Object.fromEntries(Object.entries(base.variables).map(([name, variable]) => [
+        name,
+        { ...variable, frontier: variable.projection - lambda * variable.ownership }
+      ]));
+      // Within 1% of optimal - the frontier is a picture, not a lineup
+      const result = solver.Solve({ ...base, optimize: 'frontier', variables, options: { tolerance: 0.01 } });
+      if (!result || !result.feasible) return null;
+
+      const lineup = this.extractLineupFromSolution(result, players, 'gpp', settings.roster);
+      if (!lineup.isValid) return null;
+      return {
+        ownership: +lineup.players.reduce((sum, slot) => sum + (slot.player?.rostership || 0), 0).toFixed(1),
+        projection: +lineup.projectedPoints.toFixed(1),
+        salary: lineup.totalSalary
+      };
+    };
+
+    // Tiny λ breaks projection ties toward lower ownership; huge λ is the lowest-owned lineup
+    const top = solve(0.001);
+    const leastOwned = solve(100);
+    if (!top || !leastOwned) return [];
+
+    const points = [leastOwned, top];
+    const segments = top.ownership - leastOwned.ownership > 0.5 ? [[leastOwned, top]] : [];
+
+    for (let i = 0; i < maxSolves && segments.length > 0; i++) {
+      // Widest gap first
+      segments.sort((a, b) => (b[1].ownership - b[0].ownership) - (a[1].ownership - a[0].ownership));
+      const [low, high] = segments.shift();
+      const lambda = (high.projection - low.projection) / (high.ownership - low.ownership);
+      if (!(lambda > 0)) continue;
+
+      const point = solve(lambda);
+      const beyondSegment = point &&
+        point.projection - lambda * point.ownership > low.projection - lambda * low.ownership + 0.5 &&
+        point.ownership > low.ownership && point.ownership < high.ownership;
+      if (!beyondSegment) continue;
+
+      points.push(point);
+      segments.push([low, point], [point, high]);
+    }
+
+    return points.sort((a, b) => a.ownership - b.ownership);
+  }
+
   /**
    * Get lineup hash for uniqueness checking
    */
@@ -573,7 +1580,22 @@ class OptimizerService {
       .filter(Boolean)
       .sort((a, b) => a - b)
       .join('-');
-    return playerIds;
+
+    // Same six players with a different Captain is a different Showdown lineup
+    const captain = lineup.players.find(slot => slot.position === 'CPT')?.player;
+    return captain ? `CPT${captain.id}:${playerIds}` : playerIds;
+  }
+
+  /**
+   * Build a no-good cut from a finished lineup
+   * Later lineups may share at most (roster size - minUniquePlayers) players with it
+   */
+  buildUniquenessCut(lineup, index, minUniquePlayers, rosterSize = this.ROSTER_SLOTS.length) {
+    return {
+      name: `unique_${index}`,
+      playerIds: new Set(lineup.players.map(slot => slot.player?.id).filter(id => id != null)),
+      maxShared: rosterSize - minUniquePlayers
+    };
   }
 
   /**
@@ -591,34 +1613,88 @@ class OptimizerService {
   }
 
   /**
-   * Get exposure stats across multiple lineups
+   * A lineup's slots as [{ position, player }]
+   * Optimizer lineups already have this shape; saved lineups (lineupModel.getById)
+   * are player rows carrying position_slot.
+   */
+  getLineupSlots(lineup) {
+    return lineup.players.map(slot => (
+      'player' in slot ? slot : { position: slot.position_slot || slot.positionSlot, player: slot }
+    ));
+  }
+
+  /**
+   * Get exposure stats across multiple lineups (optimizer output or saved lineups)
+   * With an exposure plan, each player also carries its target range and
+   * whether the achieved exposure landed inside it. Players with a minimum
+   * who never made a lineup are included so missed targets are visible.
    */
-  getExposureStats(lineups, allPlayers) {
+  getExposureStats(lineups, allPlayers = [], exposurePlan = null) {
     const exposure = new Map();
+    const lineupSlots = lineups.map(lineup => this.getLineupSlots(lineup));
+    const hasCaptains = lineupSlots.some(slots => slots.some(slot => slot.position === 'CPT'));
 
-    lineups.forEach(lineup => {
-      lineup.players.forEach(slot => {
+    lineupSlots.forEach(slots => {
+      slots.forEach(slot => {
         if (slot.player) {
           const pid = slot.player.id;
           const current = exposure.get(pid) || {
             player: slot.player,
-            count: 0
+            count: 0,
+            captainCount: 0
           };
-          exposure.set(pid, { ...current, count: current.count + 1 });
+          exposure.set(pid, {
+            ...current,
+            count: current.count + 1,
+            captainCount: current.captainCount + (slot.position === 'CPT' ? 1 : 0)
+          });
         }
       });
     });
 
+    if (exposurePlan) {
+      exposurePlan.ranges.forEach((range, pid) => {
+        const player = allPlayers.find(p => p.id === pid);
+        if (range.min > 0 && player && !exposure.has(pid)) {
+          exposure.set(pid, { player, count: 0, captainCount: 0 });
+        }
+      });
+    }
+
     return Array.from(exposure.entries())
-      .map(([id, data]) => ({
-        playerId: id,
-        name: data.player.name,
-        salary: data.player.salary,
-        ownership: data.player.rostership || 0,
-        leverage: data.player.leverage_score || 0,
-        count: data.count,
-        exposure: ((data.count / lineups.length) * 100).toFixed(1)
-      }))
+      .map(([id, data]) => {
+        const stat = {
+          playerId: id,
+          name: data.player.name,
+          team: data.player.team,
+          salary: data.player.salary,
+          ownership: data.player.rostership || 0,
+          leverage: data.player.leverage_score || 0,
+          count: data.count,
+          exposure: ((data.count / lineups.length) * 100).toFixed(1)
+        };
+
+        // Showdown: split overall exposure into Captain and FLEX
+        if (hasCaptains) {
+          stat.captainCount = data.captainCount;
+          stat.captainExposure = ((data.captainCount / lineups.length) * 100).toFixed(1);
+          stat.flexExposure = (((data.count - data.captainCount) / lineups.length) * 100).toFixed(1);
+        }
+
+        if (exposurePlan) {
+          const range = exposurePlan.ranges.get(id);
+          const minExposure = range ? range.min : 0;
+          const maxExposure = range ? range.max : exposurePlan.defaultMax;
+          const { minCount, maxCount } = this.getExposureCounts(minExposure, maxExposure, lineups.length);
+
+          stat.minExposure = minExposure;
+          stat.maxExposure = maxExposure;
+          stat.customRange = !!range;
+          stat.targetMet = data.count >= minCount && data.count <= maxCount;
+        }
+
+        return stat;
+      })
       .sort((a, b) => parseFloat(b.exposure) - parseFloat(a.exposure));
   }
 
@@ -626,26 +1702,43 @@ class OptimizerService {
    * Display exposure report
    */
   displayExposureReport(stats, numLineups) {
-    console.log(`\n╔═══════════════════════════════════════════════════════════╗`);
-    console.log(`║           EXPOSURE REPORT (${numLineups} Lineups)                    ║`);
-    console.log(`╠═══════════════════════════════════════════════════════════╣`);
-    console.log(`║ PLAYER              SALARY   OWN%   EXP%   COUNT  LEV    ║`);
-    console.log(`╠═══════════════════════════════════════════════════════════╣`);
+    console.log(`\n╔════════════════════════════════════════════════════════════════════╗`);
+    console.log(`║           EXPOSURE REPORT (${numLineups} Lineups)                             ║`);
+    console.log(`╠════════════════════════════════════════════════════════════════════╣`);
+    console.log(`║ PLAYER              SALARY   OWN%   EXP%   TARGET     COUNT  LEV    ║`);
+    console.log(`╠════════════════════════════════════════════════════════════════════╣`);
 
-    stats.slice(0, 15).forEach(stat => {
+    // Always show custom ranges, then fill with the most exposed players
+    const custom = stats.filter(stat => stat.customRange);
+    const rows = [...custom, ...stats.filter(stat => !stat.customRange).slice(0, Math.max(0, 15 - custom.length))];
+
+    rows.forEach(stat => {
       const name = stat.name.padEnd(18).substring(0, 18);
       const salary = `$${(stat.salary / 1000).toFixed(1)}k`.padEnd(8);
       const own = `${stat.ownership.toFixed(0)}%`.padEnd(6);
       const exp = `${stat.exposure}%`.padEnd(6);
+      const target = (stat.maxExposure !== undefined
+        ? `${stat.minExposure}-${stat.maxExposure}%${stat.targetMet ? '' : '!'}`
+        : '-').padEnd(10);
       const count = `${stat.count}/${numLineups}`.padEnd(7);
       const lev = stat.leverage.toFixed(1);
 
-      console.log(`║ ${name} ${salary} ${own} ${exp} ${count} ${lev}   ║`);
+      console.log(`║ ${name} ${salary} ${own} ${exp} ${target} ${count} ${lev}   ║`);
     });
 
-    console.log(`╚═══════════════════════════════════════════════════════════╝`);
+    console.log(`╚════════════════════════════════════════════════════════════════════╝`);
+
+    const missed = stats.filter(stat => stat.targetMet === false);
+    if (missed.length > 0) {
+      console.warn(`⚠️  ${missed.length} player(s) outside their exposure range: ${missed.map(s => s.name).join(', ')}`);
+    }
+
+    const captains = stats.filter(stat => stat.captainCount > 0).sort((a, b) => b.captainCount - a.captainCount);
+    if (captains.length > 0) {
+      console.log(`\n👑 Captains: ${captains.map(stat => `${stat.name} ${stat.captainExposure}%`).join(', ')}`);
+    }
 
-    console.log(`\n👥 Total Unique Players Used: ${stats.length}`);
+    console.log(`\n👥 Total Unique Players Used: ${stats.filter(stat => stat.count > 0).length}`);
   }
 
   /**
@@ -657,24 +1750,10 @@ class OptimizerService {
   }
 
   /**
-   * Get eligible roster slots for a player's positions
+   * Get eligible roster slots for a player's positions (DraftKings by default)
    */
-  getEligibleSlots(playerPositions) {
-    const slots = new Set();
-
-    playerPositions.forEach(pos => {
-      // Primary positions
-      if (this.ROSTER_SLOTS.includes(pos)) {
-        slots.add(pos);
-      }
-      // Flex positions
-      if (pos === 'PG' || pos === 'SG') slots.add('G');
-      if (pos === 'SF' || pos === 'PF') slots.add('F');
-      // Everyone can go in UTIL
-      slots.add('UTIL');
-    });
-
-    return Array.from(slots);
+  getEligibleSlots(playerPositions, profile = SITE_PROFILES.DK) {
+    return getProfileEligibleSlots(playerPositions, profile);
   }
 }
 
@@ -0,0 +1,86 @@
+import playerModel from '../models/playerModel.js';
+import slateModel from '../models/slateModel.js';
+import minutesService from './minutesService.js';
+import {
+  buildDistribution,
+  distributionStdDev,
+  getBoomBustProbabilities
+} from '../utils/outcomeDistribution.js';
+import { calculateLeverageScore } from '../utils/ownershipSource.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+
+const DISTRIBUTION_GAMES = 60;   // Most recent games the shape is taken from
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * OUTCOME DISTRIBUTIONS
+ * Stores each player's full fantasy point distribution (p10/p25/p50/p75/p90/p99)
+ * in place of mean ± 1σ, so the optimizer's randomness, the contest
+ * simulations and boom/bust all draw from the same skewed outcomes.
+ *
+ * The shape comes from the player's last 60 games in historical_games, in the
+ * slate site's fantasy points (site profile fantasyPointsColumn), scaled to
+ * tonight's projection and minutes (utils/outcomeDistribution.js). floor and
+ * ceiling become the 25th and 75th percentiles; std_dev, volatility,
+ * boom/bust and leverage are recomputed from the distribution.
+ */
+class OutcomeDistributionService {
+  /**
+   * Distribution for one player tonight
+   * @param {Object} player - players row (name, team, projected_points, projected_minutes, ...)
+   * @param {Object} options - slateRoster, slateDate (as MinutesService.projectMinutes), site
+   * @returns {Object|null} { p10, p25, p50, p75, p90, p99, games, minutes }
+   */
+  buildForPlayer(player, options = {}) {
+    const games = minutesService.getMinutesHistory(player.name, options.slateDate || null).slice(0, DISTRIBUTION_GAMES);
+    const minutes = minutesService.projectMinutes(player, options)?.mean || player.projected_minutes || 0;
+    const { fantasyPointsColumn } = getSiteProfile(options.site);
+    const dist = buildDistribution(games, { projection: player.projected_points, minutes, pointsColumn: fantasyPointsColumn });
+    return dist ? { ...dist, minutes } : null;
+  }
+
+  /**
+   * Build and store distributions for every player on a slate
+   * @returns {number} Players updated
+   */
+  projectSlate(slateId) {
+    const players = playerModel.getBySlateId(slateId);
+    if (players.length === 0) return 0;
+
+    minutesService.clearCache();
+    const site = slateModel.getById(slateId)?.site || 'DK';
+    const slateRoster = players.map(p => p.name);
+
+    const updates = players.map(player => {
+      const dist = this.buildForPlayer(player, { slateRoster, site });
+      if (!dist) return null;
+
+      const stdDev = distributionStdDev(dist);
+      const { boomProb, bustProb } = getBoomBustProbabilities(dist, player.salary);
+      return {
+        id: player.id,
+        p10: round(dist.p10),
+        p25: round(dist.p25),
+        p50: round(dist.p50),
+        p75: round(dist.p75),
+        p90: round(dist.p90),
+        p99: round(dist.p99),
+        stdDev: round(stdDev, 2),
+        volatility: round(stdDev / player.projected_points, 3),
+        boomProbability: round(boomProb),
+        bustProbability: round(bustProb),
+        leverageScore: round(calculateLeverageScore(boomProb, player.rostership), 2)
+      };
+    }).filter(Boolean);
+
+    playerModel.updateDistributions(updates);
+    console.log(`📐 Outcome distributions for ${updates.length} players on slate ${slateId}`);
+    return updates.length;
+  }
+}
+
+export default new OutcomeDistributionService();
@@ -0,0 +1,378 @@
+import playerModel from '../models/playerModel.js';
+import slateModel from '../models/slateModel.js';
+import resultModel from '../models/resultModel.js';
+import ownershipModel from '../models/ownershipModel.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+
+// Model inputs, computed per player relative to the slate pool
+const FEATURES = ['salary', 'value', 'positionRank', 'valueRank', 'impliedTotal', 'newsValue'];
+
+// Used until a model is trained - chalk is cheap value at the top of its position
+const DEFAULT_PARAMS = {
+  features: FEATURES,
+  intercept: 0,
+  weights: { salary: 0.12, value: 0.35, positionRank: 1.2, valueRank: 1.0, impliedTotal: 0.03, newsValue: 0.5 },
+  means: Object.fromEntries(FEATURES.map(f => [f, 0])),
+  stds: Object.fromEntries(FEATURES.map(f => [f, 1])),
+  temperature: 1,
+  slateSizeSlope: 0
+};
+
+// Slate size (games) the calibration is centered on
+const REFERENCE_GAMES = 6;
+const RIDGE_LAMBDA = 1;
+const MIN_SAMPLES = 30;
+const INACTIVE_STATUSES = ['OUT', 'Doubtful'];
+
+/**
+ * OWNERSHIP PROJECTIONS
+ * Predicts field ownership from salary, value, projection rank within
+ * position, Vegas implied totals, news-driven value (projection jumps over
+ * recent form, usually from a teammate being ruled out) and slate size.
+ *
+ * A ridge regression on log ownership scores every player; scores are turned
+ * into ownership by normalizing each slate to its total (100% per roster
+ * slot), with a calibrated temperature that concentrates or spreads ownership
+ * depending on the number of games. Training data is every slate we imported
+ * contest standings for (ownership_samples).
+ */
+class OwnershipService {
+  /**
+   * Model in use - the newest trained one, or the default weights
+   */
+  getModel() {
+    const trained = ownershipModel.getLatestModel();
+    if (!trained) {
+      return { trained: false, params: DEFAULT_PARAMS };
+    }
+    return { trained: true, ...trained };
+  }
+
+  /**
+   * Feature values for every player in a slate pool
+   * @param {Array} players - Slate players (projected_points > 0)
+   * @returns {Map} player id -> { salary, value, positionRank, valueRank, impliedTotal, newsValue }
+   */
+  getFeatures(players) {
+    const active = players.filter(p => (p.projected_points || 0) > 0 && !INACTIVE_STATUSES.includes(p.injury_status));
+    const valueOf = p => p.projected_points / Math.max(p.salary / 1000, 1);
+
+    // 1 = best projection at the position / best value on the slate, 0 = worst
+    const percentile = (list, score) => {
+      const sorted = [...list].sort((a, b) => score(b) - score(a));
+      const ranks = new Map();
+      sorted.forEach((p, i) => ranks.set(p.id, sorted.length > 1 ? 1 - i / (sorted.length - 1) : 1));
+      return ranks;
+    };
+
+    const byPosition = new Map();
+    active.forEach(p => {
+      const position = String(p.position || '').split(/[,/]/)[0].trim();
+      byPosition.set(position, [...(byPosition.get(position) || []), p]);
+    });
+    const positionRanks = new Map();
+    byPosition.forEach(list => percentile(list, p => p.projected_points).forEach((rank, id) => positionRanks.set(id, rank)));
+    const valueRanks = percentile(active, valueOf);
+
+    const totals = active.map(p => p.vegas_implied_total).filter(t => t > 0);
+    const avgTotal = totals.length > 0 ? totals.reduce((a, b) => a + b, 0) / totals.length : 0;
+
+    const features = new Map();
+    active.forEach(p => {
+      const recent = [p.fpts_last5, p.fpts_last14].filter(v => v > 0);
+      const recentAvg = recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : 0;
+
+      features.set(p.id, {
+        salary: p.salary / 1000,
+        value: valueOf(p),
+        positionRank: positionRanks.get(p.id),
+        valueRank: valueRanks.get(p.id),
+        impliedTotal: (p.vegas_implied_total > 0 ? p.vegas_implied_total : avgTotal) - avgTotal,
+        newsValue: recentAvg > 0 ? Math.max(0, p.projected_points - recentAvg) / Math.max(p.salary / 1000, 1) : 0
+      });
+    });
+
+    return features;
+  }
+
+  /**
+   * Games on a slate, from the teams in the pool
+   */
+  countGames(players) {
+    return Math.max(1, Math.round(new Set(players.map(p => p.team).filter(Boolean)).size / 2));
+  }
+
+  /**
+   * Field ownership adds up to 100% per roster slot (Captains excluded)
+   */
+  getTotalOwnership(site, contestType) {
+    const profile = getSiteProfile(site);
+    if (/showdown/i.test(contestType || '') && profile.showdown) {
+      return profile.showdown.slots.filter(slot => slot !== 'CPT').length * 100;
+    }
+    return profile.rosterSlots.length * 100;
+  }
+
+  score(features, params) {
+    return params.features.reduce((sum, name) => (
+      sum + params.weights[name] * ((features[name] - params.means[name]) / (params.stds[name] || 1))
+    ), params.intercept);
+  }
+
+  /**
+   * Turn scores into ownership that sums to the slate total
+   * @param {Array} scores - [{ key, score }]
+   * @returns {Map} key -> ownership %
+   */
+  normalize(scores, total, games, params) {
+    const exponent = Math.max(0.05, params.temperature + params.slateSizeSlope * (Math.log(games) - Math.log(REFERENCE_GAMES)));
+    const max = Math.max(...scores.map(s => s.score));
+    const weights = scores.map(s => Math.exp(exponent * (s.score - max)));
+    const sum = weights.reduce((a, b) => a + b, 0);
+
+    return new Map(scores.map((s, i) => [s.key, Math.min(95, (weights[i] / sum) * total)]));
+  }
+
+  /**
+   * Ownership projection for every player in a pool
+   * @returns {Map} player id -> ownership % (0 for OUT/Doubtful players)
+   */
+  predict(players, { site = 'DK', contestType = 'Classic', params = this.getModel().params } = {}) {
+    const features = this.getFeatures(players);
+    const scores = [...features.entries()].map(([id, f]) => ({ key: id, score: this.score(f, params) }));
+    const ownership = scores.length > 0
+      ? this.normalize(scores, this.getTotalOwnership(site, contestType), this.countGames(players), params)
+      : new Map();
+
+    return new Map(players.map(p => [p.id, round(ownership.get(p.id) || 0, 1)]));
+  }
+
+  /**
+   * Project and store ownership for a slate (players.projected_ownership)
+   * @returns {number} Players updated
+   */
+  projectSlate(slateId) {
+    const slate = slateModel.getById(slateId);
+    const players = playerModel.getBySlateId(slateId);
+    if (players.length === 0) return 0;
+
+    const ownership = this.predict(players, { site: slate?.site, contestType: slate?.contest_type });
+    playerModel.updateProjectedOwnership([...ownership.entries()].map(([id, value]) => ({ id, ownership: value })));
+
+    console.log(`🎯 Projected ownership for ${players.length} players on slate ${slateId}${this.getModel().trained ? '' : ' (default weights)'}`);
+    return players.length;
+  }
+
+  /**
+   * Save a slate's players with the field's actual ownership as training samples.
+   * Players nobody drafted count as 0%.
+   * @returns {number} Samples saved
+   */
+  collectSamples(slateId) {
+    const slate = slateModel.getById(slateId);
+    const actual = resultModel.getOwnership(slateId).filter(row => row.roster_position !== 'CPT' && row.player_id);
+    if (!slate || actual.length === 0) return 0;
+
+    const actualById = new Map(actual.map(row => [row.player_id, row.actual_ownership]));
+    const players = playerModel.getBySlateId(slateId);
+    const features = this.getFeatures(players);
+
+    const samples = players
+      .filter(p => features.has(p.id))
+      .map(p => ({
+        playerName: p.name,
+        salary: p.salary,
+        features: { ...features.get(p.id), games: this.countGames(players) },
+        actualOwnership: actualById.get(p.id) || 0,
+        rotowireOwnership: p.rostership > 0 ? p.rostership : null
+      }));
+
+    ownershipModel.replaceSamples(slateId, { site: slate.site, contestType: slate.contest_type }, samples);
+    console.log(`📥 Saved ${samples.length} ownership samples for slate ${slateId}`);
+    return samples.length;
+  }
+
+  /**
+   * Fit the model to every imported slate, calibrate it and store it
+   * @returns {Object} Stored model with metrics
+   */
+  train() {
+    // Slates still in the database may have standings imported before sampling existed
+    new Set(resultModel.getContests().map(c => c.slate_id)).forEach(slateId => this.collectSamples(slateId));
+
+    const samples = ownershipModel.getSamples();
+    if (samples.length < MIN_SAMPLES) {
+      throw new Error(`Need at least ${MIN_SAMPLES} ownership samples to train - import contest standings first (have ${samples.length})`);
+    }
+
+    // Standardize features
+    const means = {};
+    const stds = {};
+    FEATURES.forEach(name => {
+      const values = samples.map(s => s.features[name] || 0);
+      means[name] = values.reduce((a, b) => a + b, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - means[name]) ** 2, 0) / values.length;
+      stds[name] = Math.sqrt(variance) || 1;
+    });
+
+    // Ridge regression on log ownership
+    const X = samples.map(s => [1, ...FEATURES.map(name => ((s.features[name] || 0) - means[name]) / stds[name])]);
+    const y = samples.map(s => Math.log(s.actual_ownership + 0.5));
+    const beta = ridgeRegression(X, y, RIDGE_LAMBDA);
+
+    const params = {
+      features: FEATURES,
+      intercept: beta[0],
+      weights: Object.fromEntries(FEATURES.map((name, i) => [name, beta[i + 1]])),
+      means,
+      stds,
+      temperature: 1,
+      slateSizeSlope: 0
+    };
+
+    // Calibrate how concentrated ownership is (and how that changes with slate size)
+    const slates = this.groupSlates(samples);
+    let best = { mae: Infinity };
+    for (let temperature = 0.3; temperature <= 2.001; temperature += 0.05) {
+      for (let slope = -2; slope <= 2.001; slope += 0.1) {
+        const candidate = { ...params, temperature: round(temperature, 2), slateSizeSlope: round(slope, 1) };
+        const mae = this.evaluate(slates, candidate).mae;
+        if (mae < best.mae) best = { mae, params: candidate };
+      }
+    }
+
+    const metrics = this.evaluate(slates, best.params);
+    const model = {
+      params: { ...best.params, metrics: { modelMaeOnRotowirePlayers: metrics.modelMaeOnRotowirePlayers } },
+      sampleCount: samples.length,
+      slateCount: slates.length,
+      mae: metrics.mae,
+      rotowireMae: metrics.rotowireMae,
+      correlation: metrics.correlation
+    };
+    const id = ownershipModel.saveModel(model);
+
+    console.log(`🧮 Ownership model trained on ${samples.length} players / ${slates.length} slate(s): MAE ${metrics.mae}` +
+      (metrics.rotowireMae != null ? ` (RotoWire ${metrics.rotowireMae} on the players it covers, ours ${metrics.modelMaeOnRotowirePlayers})` : ''));
+
+    return { id, trained: true, ...model };
+  }
+
+  groupSlates(samples) {
+    const slates = new Map();
+    samples.forEach(sample => {
+      const slate = slates.get(sample.slate_id) || {
+        slateId: sample.slate_id,
+        total: this.getTotalOwnership(sample.site, sample.contest_type),
+        games: sample.features.games || REFERENCE_GAMES,
+        samples: []
+      };
+      slate.samples.push(sample);
+      slates.set(sample.slate_id, slate);
+    });
+    return [...slates.values()];
+  }
+
+  /**
+   * Errors of a parameter set on grouped samples
+   */
+  evaluate(slates, params) {
+    const pairs = [];
+    slates.forEach(slate => {
+      const scores = slate.samples.map((s, i) => ({ key: i, score: this.score(s.features, params) }));
+      const predicted = this.normalize(scores, slate.total, slate.games, params);
+      slate.samples.forEach((s, i) => pairs.push({ actual: s.actual_ownership, model: predicted.get(i), rotowire: s.rotowire_ownership }));
+    });
+
+    const mae = list => (list.length > 0 ? round(list.reduce((sum, v) => sum + v, 0) / list.length, 2) : null);
+    const covered = pairs.filter(p => p.rotowire != null);
+
+    return {
+      mae: mae(pairs.map(p => Math.abs(p.model - p.actual))),
+      rotowireMae: mae(covered.map(p => Math.abs(p.rotowire - p.actual))),
+      modelMaeOnRotowirePlayers: mae(covered.map(p => Math.abs(p.model - p.actual))),
+      correlation: round(correlation(pairs.map(p => p.model), pairs.map(p => p.actual)), 3)
+    };
+  }
+
+  /**
+   * RotoWire, model and (when imported) actual ownership side by side
+   */
+  getSlateOwnership(slateId) {
+    const actual = new Map(resultModel.getOwnership(slateId)
+      .filter(row => row.roster_position !== 'CPT' && row.player_id)
+      .map(row => [row.player_id, row.actual_ownership]));
+
+    return playerModel.getBySlateId(slateId)
+      .map(p => ({
+        id: p.id,
+        name: p.name,
+        team: p.team,
+        position: p.position,
+        salary: p.salary,
+        projectedPoints: p.projected_points,
+        rotowireOwnership: p.rostership > 0 ? p.rostership : null,
+        modelOwnership: p.projected_ownership,
+        actualOwnership: actual.has(p.id) ? actual.get(p.id) : null
+      }))
+      .sort((a, b) => (b.modelOwnership || 0) - (a.modelOwnership || 0));
+  }
+}
+
+/**
+ * Solve (XᵀX + λI)β = Xᵀy - the intercept (first column) isn't penalized
+ */
+function ridgeRegression(X, y, lambda) {
+  const k = X[0].length;
+  const A = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) => (
+    X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && i > 0 ? lambda : 0)
+  )));
+  const b = Array.from({ length: k }, (_, i) => X.reduce((sum, row, n) => sum + row[i] * y[n], 0));
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < k; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < k; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let j = col; j < k; j++) A[row][j] -= factor * A[col][j];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const beta = new Array(k).fill(0);
+  for (let row = k - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let j = row + 1; j < k; j++) sum -= A[row][j] * beta[j];
+    beta[row] = sum / A[row][row];
+  }
+  return beta;
+}
+
+function correlation(a, b) {
+  const n = a.length;
+  if (n < 2) return 0;
+  const meanA = a.reduce((x, y) => x + y, 0) / n;
+  const meanB = b.reduce((x, y) => x + y, 0) / n;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default new OwnershipService();
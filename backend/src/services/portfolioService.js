@@ -0,0 +1,223 @@
+import db from '../config/database.js';
+import lineupModel from '../models/lineupModel.js';
+import portfolioModel from '../models/portfolioModel.js';
+import optimizerService from './optimizerService.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+import { getSalaryLeftDistribution } from '../utils/fieldMetrics.js';
+
+/**
+ * PORTFOLIOS
+ * Named sets of saved lineups entered together, with analytics across the
+ * whole set: player/team/game exposure, salary distribution, ownership,
+ * leverage and how much the lineups overlap.
+ */
+class PortfolioService {
+  /**
+   * Portfolio with its saved lineups (players included)
+   */
+  getPortfolio(id) {
+    const portfolio = portfolioModel.getById(id);
+    if (!portfolio) return null;
+
+    const { lineupIds, ...rest } = portfolio;
+    return {
+      ...rest,
+      lineups: lineupIds.map(lineupId => lineupModel.getById(lineupId)).filter(Boolean)
+    };
+  }
+
+  /**
+   * Save an optimizer batch as lineups in a new portfolio
+   * @param {Object} slate - Slate row
+   * @param {Array} lineups - Optimizer lineups ({ players: [{ position, player }], totalSalary, projectedPoints })
+   * @param {Object} options - name, description, mode
+   * @returns {Object} { id, name, lineupIds }
+   */
+  createFromOptimizer(slate, lineups, options = {}) {
+    const name = options.name || `${slate.name || slate.slate_id} ${options.mode || ''} ${lineups.length}-pack`.replace(/\s+/g, ' ');
+    const optimizerMode = ['cash', 'gpp'].includes(options.mode) ? options.mode : null;
+
+    const saveAll = db.transaction(() => {
+      const lineupIds = lineups.map((lineup, index) => {
+        const lineupId = lineupModel.create({
+          slateId: slate.slate_id,
+          name: `${name} #${index + 1}`,
+          totalSalary: lineup.totalSalary,
+          projectedPoints: lineup.projectedPoints,
+          optimizerMode
+        });
+        lineupModel.addPlayers(lineupId, lineup.players.map(slot => ({
+          playerId: slot.player.id,
+          positionSlot: slot.position
+        })));
+        lineupModel.recordVersion(lineupId, 'created');
+        return lineupId;
+      });
+
+      const portfolioId = portfolioModel.create({
+        slateId: slate.slate_id,
+        name,
+        description: options.description,
+        optimizerMode
+      });
+      portfolioModel.addLineups(portfolioId, lineupIds);
+
+      return { id: portfolioId, name, lineupIds };
+    });
+
+    const portfolio = saveAll();
+    console.log(`📁 Saved ${portfolio.lineupIds.length} lineups to portfolio "${name}"`);
+    return portfolio;
+  }
+
+  /**
+   * Analytics across a set of lineups (saved or optimizer output)
+   * @param {Array} lineups - Lineups with players
+   * @param {Object} options - site (for the salary cap)
+   */
+  getAnalytics(lineups, options = {}) {
+    const lineupSlots = lineups.map(lineup => optimizerService.getLineupSlots(lineup)
+      .filter(slot => slot.player));
+
+    if (lineupSlots.length === 0) {
+      return { lineupCount: 0 };
+    }
+
+    return {
+      lineupCount: lineupSlots.length,
+      playerExposure: optimizerService.getExposureStats(lineups),
+      teamExposure: this.getGroupExposure(lineupSlots, player => player.team),
+      gameExposure: this.getGroupExposure(lineupSlots, player => this.getGameKey(player)),
+      salary: this.getSalaryDistribution(lineupSlots, getSiteProfile(options.site).salaryCap),
+      ownership: this.getOwnershipSummary(lineupSlots),
+      overlap: this.getOverlap(lineupSlots, lineups)
+    };
+  }
+
+  /**
+   * Same key for both teams in a game
+   */
+  getGameKey(player) {
+    return [player.team, player.opponent].filter(Boolean).sort().join(' vs ');
+  }
+
+  /**
+   * Share of lineups using each team (or game), players per lineup when used,
+   * and how often it's stacked (3+ players)
+   */
+  getGroupExposure(lineupSlots, keyFn) {
+    const groups = new Map();
+
+    lineupSlots.forEach(slots => {
+      const counts = new Map();
+      slots.forEach(({ player }) => {
+        const key = keyFn(player);
+        if (key) counts.set(key, (counts.get(key) || 0) + 1);
+      });
+
+      counts.forEach((count, key) => {
+        const group = groups.get(key) || { key, lineups: 0, players: 0, stacks: 0 };
+        group.lineups++;
+        group.players += count;
+        if (count >= 3) group.stacks++;
+        groups.set(key, group);
+      });
+    });
+
+    return [...groups.values()]
+      .map(group => ({
+        key: group.key,
+        lineups: group.lineups,
+        exposure: round((group.lineups / lineupSlots.length) * 100),
+        avgPlayers: round(group.players / group.lineups),
+        stackRate: round((group.stacks / lineupSlots.length) * 100)
+      }))
+      .sort((a, b) => b.exposure - a.exposure || b.avgPlayers - a.avgPlayers);
+  }
+
+  getSalaryDistribution(lineupSlots, salaryCap) {
+    const totals = lineupSlots.map(slots => slots.reduce(
+      (sum, slot) => sum + optimizerService.getSlotSalary(slot.player, slot.position),
+      0
+    ));
+
+    return {
+      salaryCap,
+      min: Math.min(...totals),
+      max: Math.max(...totals),
+      avg: Math.round(totals.reduce((a, b) => a + b, 0) / totals.length),
+      avgRemaining: Math.round(salaryCap - totals.reduce((a, b) => a + b, 0) / totals.length),
+      remainingBuckets: getSalaryLeftDistribution(totals.map(total => salaryCap - total))
+    };
+  }
+
+  /**
+   * Projected ownership and leverage per lineup, averaged across the set
+   */
+  getOwnershipSummary(lineupSlots) {
+    const perLineup = lineupSlots.map(slots => {
+      const ownership = slots.reduce((sum, slot) => sum + (slot.player.rostership || 0), 0);
+      return {
+        totalOwnership: ownership,
+        avgOwnership: ownership / slots.length,
+        leverage: slots.reduce((sum, slot) => sum + (slot.player.leverage_score || 0), 0)
+      };
+    });
+    const average = key => round(perLineup.reduce((sum, lineup) => sum + lineup[key], 0) / perLineup.length);
+
+    return {
+      avgOwnership: average('avgOwnership'),
+      avgTotalOwnership: average('totalOwnership'),
+      minTotalOwnership: round(Math.min(...perLineup.map(lineup => lineup.totalOwnership))),
+      maxTotalOwnership: round(Math.max(...perLineup.map(lineup => lineup.totalOwnership))),
+      totalLeverage: round(perLineup.reduce((sum, lineup) => sum + lineup.leverage, 0)),
+      avgLeverage: average('leverage')
+    };
+  }
+
+  /**
+   * Players shared between every pair of lineups
+   */
+  getOverlap(lineupSlots, lineups) {
+    const playerSets = lineupSlots.map(slots => new Set(slots.map(slot => slot.player.id)));
+    const distribution = {};
+    const pairs = [];
+
+    for (let a = 0; a < playerSets.length; a++) {
+      for (let b = a + 1; b < playerSets.length; b++) {
+        let shared = 0;
+        playerSets[a].forEach(id => { if (playerSets[b].has(id)) shared++; });
+        distribution[shared] = (distribution[shared] || 0) + 1;
+        pairs.push({ a, b, shared });
+      }
+    }
+
+    if (pairs.length === 0) {
+      return { pairs: 0, avgShared: 0, maxShared: 0, distribution, mostSimilar: [] };
+    }
+
+    const label = index => lineups[index].name || `Lineup ${lineups[index].lineupNumber ?? index + 1}`;
+    const mostSimilar = [...pairs]
+      .sort((x, y) => y.shared - x.shared)
+      .slice(0, 5)
+      .map(pair => ({
+        lineupA: { id: lineups[pair.a].id ?? null, label: label(pair.a) },
+        lineupB: { id: lineups[pair.b].id ?? null, label: label(pair.b) },
+        shared: pair.shared
+      }));
+
+    return {
+      pairs: pairs.length,
+      avgShared: round(pairs.reduce((sum, pair) => sum + pair.shared, 0) / pairs.length),
+      maxShared: mostSimilar[0].shared,
+      distribution,
+      mostSimilar
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new PortfolioService();
@@ -11,9 +11,12 @@
  *   - Usage bump when key teammates are OUT
  *   - Home/away performance splits
  *   - B2B historical impact (player-specific)
+ *   - Minutes model: projected minutes × per-minute rate (MinutesService)
  *
  * Formula:
  *   Historical Blend = (Season Avg × 0.35) + (L3 Avg × 0.25) + (Matchup Avg × 0.15) + (RotoWire × 0.25)
+ *                      + (Minutes × FP/min × 0, until calibration fits a weight)
+ *   (default weights - the calibration job fits new ones, see utils/projectionParams.js)
  *   Adjusted Projection = Historical Blend
  *                         + Defense Adjustment (opponent def eff)
  *                         + DVP Adjustment (position-specific defense)
@@ -29,6 +32,10 @@ import teamDefenseModel from '../models/teamDefenseModel.js';
 import teamDefenseVsPositionModel from '../models/teamDefenseVsPositionModel.js';
 import { normalizeForRankings, normalizeForVsPosition } from '../utils/teamMapping.js';
 import db from '../config/database.js';
+import projectionParamsModel from '../models/projectionParamsModel.js';
+import { resolveProjectionParams } from '../utils/projectionParams.js';
+import { normalizePlayerName, isOnRoster } from '../utils/playerNames.js';
+import minutesService from './minutesService.js';
 
 class ProjectionService {
   constructor() {
@@ -42,29 +49,20 @@ class ProjectionService {
     this.LEAGUE_AVG_IMPLIED_TOTAL = 113.0;
     this.LEAGUE_AVG_DVP_RANK = 75; // Middle of 1-150 scale
 
-    // Historical blending weights
-    this.BLEND_WEIGHTS = {
-      seasonAvg: 0.35,     // Historical season average
-      last3Avg: 0.25,      // Last 3 games (momentum)
-      matchupAvg: 0.15,    // History vs this opponent
-      rotowire: 0.25       // RotoWire expert projection
-    };
+    // Blend weights, adjustment factors and caps (utils/projectionParams.js);
+    // loaded from the active projection_params set on first use
+    this.params = null;
+    this.paramsVersion = null;
 
     // Adjustment caps
     this.MAX_HISTORICAL_ADJUSTMENT = 0.25; // 25% max adjustment from historical factors
-    this.MAX_SITUATIONAL_ADJUSTMENT = 0.20; // 20% max from situational factors
   }
 
   /**
    * Normalize name for matching (removes diacritics)
    */
   normalizeName(name) {
-    if (!name) return '';
-    return name
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '')
-      .toLowerCase()
-      .trim();
+    return normalizePlayerName(name);
   }
 
   /**
@@ -191,13 +189,14 @@ class ProjectionService {
    * Checks if any high-usage teammates are missing from the slate
    */
   detectUsageBump(playerName, team, slateRoster, slateDate = null) {
-    // Get historical regular players for this team
+    // Get historical regular players for this team (last 30 days before the slate)
     let dateFilter = '';
     const params = [team];
     if (slateDate) {
       dateFilter = 'AND game_date < ?';
       params.push(slateDate);
     }
+    params.push(slateDate || 'now');
 
     const historicalRoster = db.prepare(`
       SELECT
@@ -207,27 +206,14 @@ class ProjectionService {
         AVG(minutes) as avg_min
       FROM historical_games
       WHERE team = ? ${dateFilter}
-        AND game_date >= date('now', '-30 days')
+        AND game_date >= date(?, '-30 days')
       GROUP BY player_name
       HAVING games >= 3 AND avg_dk >= 25
       ORDER BY avg_dk DESC
     `).all(...params);
 
     // Find missing high-usage players
-    const missingPlayers = historicalRoster.filter(histPlayer => {
-      const histNameNorm = this.normalizeName(histPlayer.player_name);
-      const histLastName = histNameNorm.split(' ').pop();
-
-      const isOnSlate = slateRoster.some(slateName => {
-        const slateNameNorm = this.normalizeName(slateName);
-        const slateLastName = slateNameNorm.split(' ').pop();
-        return histNameNorm === slateNameNorm ||
-               histLastName === slateLastName ||
-               histNameNorm.includes(slateLastName) ||
-               slateNameNorm.includes(histLastName);
-      });
-      return !isOnSlate;
-    });
+    const missingPlayers = historicalRoster.filter(histPlayer => !isOnRoster(histPlayer.player_name, slateRoster));
 
     if (missingPlayers.length === 0) {
       return { hasUsageBump: false, bump: 0, missingPlayers: [] };
@@ -274,11 +260,15 @@ class ProjectionService {
 
       // Get stats when missing player is IN
       const statsWithParams = [`%${playerName}%`, team, ...gameDatesWithout];
+      if (slateDate) {
+        statsWithParams.push(slateDate);
+      }
       const statsWith = db.prepare(`
         SELECT AVG(dk_fantasy_points) as avg_dk, COUNT(*) as games
         FROM historical_games
         WHERE player_name LIKE ? AND team = ?
           AND game_date NOT IN (${gameDatesWithout.map(() => '?').join(',')})
+          ${slateDate ? 'AND game_date < ?' : ''}
       `).get(...statsWithParams);
 
       if (statsWithout?.games >= 2 && statsWith?.games >= 3 && statsWithout.avg_dk && statsWith.avg_dk) {
@@ -315,6 +305,7 @@ class ProjectionService {
    */
   clearCache() {
     this.historicalCache = {};
+    minutesService.clearCache();
   }
 
   /**
@@ -360,10 +351,10 @@ class ProjectionService {
    * ENHANCED PROJECTION: Calculate projection using historical data blending
    *
    * This method blends:
-   * - RotoWire expert projection (25%)
-   * - Historical season average (35%)
-   * - Last 3 games momentum (25%)
-   * - Matchup-specific history (15%)
+   * - RotoWire expert projection
+   * - Historical season average
+   * - Last 3 games momentum
+   * - Matchup-specific history
    *
    * Plus situational adjustments:
    * - Usage bump (when key teammates are OUT)
@@ -372,14 +363,40 @@ class ProjectionService {
    * - B2B fatigue (player-specific)
    * - Defense/pace/vegas (existing)
    *
+   * Weights, factors and caps come from the active parameter set (getParams)
+   *
    * @param {Object} player - Player data
    * @param {Object} options - Additional options
    * @param {Array} options.slateRoster - All player names on the slate (for usage bump detection)
    * @param {string} options.slateDate - Slate date for backtesting (YYYY-MM-DD)
    * @param {boolean} options.isHome - Whether player is at home
    * @param {boolean} options.isB2B - Whether this is a back-to-back game
+   * @param {Object} options.params - Parameter set to use instead of the active one
    */
   calculateEnhancedProjection(player, options = {}) {
+    const inputs = this.getProjectionInputs(player, options);
+
+    // If no historical data, fall back to original method
+    if (!inputs) {
+      const fallback = this.calculateAdjustedProjection(player);
+      return {
+        ...fallback,
+        enhanced: false,
+        reason: 'Insufficient historical data - using RotoWire baseline',
+        historical: null,
+        usageBump: null
+      };
+    }
+
+    return this.applyProjectionParams(inputs, options.params || this.getParams());
+  }
+
+  /**
+   * Everything the enhanced projection reads from the database, so a
+   * parameter set can be applied without repeating the lookups
+   * @returns {Object|null} Inputs, or null with under 3 games of history
+   */
+  getProjectionInputs(player, options = {}) {
     const {
       name,
       rotowire_projection,
@@ -391,7 +408,6 @@ class ProjectionService {
       vegas_implied_total,
       vegas_over_under,
       vegas_spread,
-      projected_minutes,
       dvp_pts_allowed,
       opp_def_eff,
       is_home
@@ -399,11 +415,10 @@ class ProjectionService {
 
     const { slateRoster = [], slateDate = null, isHome = is_home, isB2B = (rest_days === 0) } = options;
 
-    // RotoWire baseline
-    const rotowireBaseline = rotowire_projection || projected_points || 0;
-
     // Get historical data
     const historical = this.getPlayerHistoricalStats(name, slateDate);
+    if (historical.seasonGames < 3) return null;
+
     const matchup = opponent ? this.getMatchupHistory(name, opponent, slateDate) : { games: 0, avgDk: 0 };
 
     // Detect usage bump opportunity
@@ -411,53 +426,79 @@ class ProjectionService {
       ? this.detectUsageBump(name, team, slateRoster, slateDate)
       : { hasUsageBump: false, bump: 0, missingPlayers: [] };
 
-    // If no historical data, fall back to original method
-    if (historical.seasonGames < 3) {
-      const fallback = this.calculateAdjustedProjection(player);
-      return {
-        ...fallback,
-        enhanced: false,
-        reason: 'Insufficient historical data - using RotoWire baseline',
-        historical: null,
-        usageBump: null
-      };
-    }
+    // Minutes distribution and per-minute rate (rotation changes, absences, blowout risk, B2B)
+    const minutes = minutesService.projectMinutes(player, { slateRoster, slateDate, isB2B });
+
+    // Defense/DVP/Pace/Vegas adjustments (from original method) don't depend on the parameters
+    this.loadDefenseRankings();
+    this.loadPositionDefenseData();
+
+    return {
+      rotowireBaseline: rotowire_projection || projected_points || 0,
+      historical,
+      matchup,
+      usageBump,
+      minutes,
+      isHome,
+      isB2B,
+      matchupAdjustments: {
+        defense: this.getDefenseAdjustment(opponent, opp_def_eff),
+        dvp: this.getDvpAdjustment(opponent, position, dvp_pts_allowed),
+        pace: this.getPaceAdjustment(opponent, team),
+        vegas: this.getVegasAdjustment(vegas_implied_total, vegas_over_under),
+        blowout: this.getBlowoutAdjustment(vegas_spread)
+      }
+    };
+  }
+
+  /**
+   * Blend and adjust getProjectionInputs() output with a parameter set
+   */
+  applyProjectionParams(inputs, params) {
+    const { rotowireBaseline, historical, matchup, usageBump, minutes, isHome, isB2B, matchupAdjustments } = inputs;
 
     // === CALCULATE BLENDED BASELINE ===
     // Adjust weights based on data availability
-    let weights = { ...this.BLEND_WEIGHTS };
+    const weights = params.blendWeights;
     let blendedBaseline = 0;
     let totalWeight = 0;
     const blendBreakdown = {};
 
-    // Season average (35%)
+    // Season average
     if (historical.seasonAvg > 0) {
       blendedBaseline += historical.seasonAvg * weights.seasonAvg;
       totalWeight += weights.seasonAvg;
       blendBreakdown.seasonAvg = { value: historical.seasonAvg, weight: weights.seasonAvg };
     }
 
-    // Last 3 games (25%)
+    // Last 3 games
     if (historical.last3Avg > 0 && historical.last3Games >= 2) {
       blendedBaseline += historical.last3Avg * weights.last3Avg;
       totalWeight += weights.last3Avg;
       blendBreakdown.last3Avg = { value: historical.last3Avg, weight: weights.last3Avg };
     }
 
-    // Matchup history (15%) - only if meaningful sample size
+    // Matchup history - only if meaningful sample size
     if (matchup.games >= 2 && matchup.avgDk > 0) {
       blendedBaseline += matchup.avgDk * weights.matchupAvg;
       totalWeight += weights.matchupAvg;
       blendBreakdown.matchupAvg = { value: matchup.avgDk, weight: weights.matchupAvg };
     }
 
-    // RotoWire (25%) - if available
+    // RotoWire - if available
     if (rotowireBaseline > 0) {
       blendedBaseline += rotowireBaseline * weights.rotowire;
       totalWeight += weights.rotowire;
       blendBreakdown.rotowire = { value: rotowireBaseline, weight: weights.rotowire };
     }
 
+    // Minutes model - projected minutes × per-minute rate
+    if (minutes && minutes.points.mean > 0) {
+      blendedBaseline += minutes.points.mean * weights.minutesModel;
+      totalWeight += weights.minutesModel;
+      blendBreakdown.minutesModel = { value: minutes.points.mean, weight: weights.minutesModel };
+    }
+
     // Normalize if total weight < 1
     if (totalWeight > 0 && totalWeight < 1) {
       blendedBaseline = blendedBaseline / totalWeight;
@@ -472,9 +513,9 @@ class ProjectionService {
     const adjustments = {};
 
     // 1. Hot/Cold Streak Adjustment
-    // Cap at ±8% to avoid overreacting
+    // Capped to avoid overreacting
     if (historical.streakPct !== 0) {
-      const streakAdjustment = Math.max(-8, Math.min(8, historical.streakPct * 0.4)); // 40% of streak % (capped)
+      const streakAdjustment = Math.max(-params.streakCap, Math.min(params.streakCap, historical.streakPct * params.streakFactor));
       adjustments.streak = (blendedBaseline * streakAdjustment) / 100;
     } else {
       adjustments.streak = 0;
@@ -482,8 +523,7 @@ class ProjectionService {
 
     // 2. Usage Bump Adjustment
     if (usageBump.hasUsageBump && usageBump.bump > 0) {
-      // Cap usage bump at 15%
-      const cappedBump = Math.min(15, usageBump.bump);
+      const cappedBump = Math.min(params.usageBumpCap, usageBump.bump);
       adjustments.usageBump = (blendedBaseline * cappedBump) / 100;
     } else {
       adjustments.usageBump = 0;
@@ -494,8 +534,8 @@ class ProjectionService {
       const venueDiff = isHome
         ? historical.homeAvg - historical.seasonAvg
         : historical.awayAvg - historical.seasonAvg;
-      // Cap venue adjustment at ±5%
-      adjustments.venue = Math.max(-blendedBaseline * 0.05, Math.min(blendedBaseline * 0.05, venueDiff * 0.5));
+      const maxVenue = blendedBaseline * params.venueCap;
+      adjustments.venue = Math.max(-maxVenue, Math.min(maxVenue, venueDiff * params.venueWeight));
     } else {
       adjustments.venue = 0;
     }
@@ -504,37 +544,19 @@ class ProjectionService {
     if (isB2B && historical.b2bAvg > 0 && historical.restedAvg > 0) {
       const b2bDiff = historical.b2bAvg - historical.restedAvg;
       // Player's personal B2B impact (usually negative)
-      adjustments.b2b = b2bDiff * 0.6; // 60% weight on personal B2B impact
+      adjustments.b2b = b2bDiff * params.b2bWeight;
     } else if (isB2B) {
       // Default B2B penalty if no personal data
-      adjustments.b2b = -2.0;
+      adjustments.b2b = params.defaultB2bPenalty;
     } else {
       adjustments.b2b = 0;
     }
 
-    // 5. Defense/DVP/Pace/Vegas adjustments (from original method)
-    this.loadDefenseRankings();
-    this.loadPositionDefenseData();
-
-    adjustments.defense = this.getDefenseAdjustment(opponent, opp_def_eff);
-    adjustments.dvp = this.getDvpAdjustment(opponent, position, dvp_pts_allowed);
-    adjustments.pace = this.getPaceAdjustment(opponent, team);
-    adjustments.vegas = this.getVegasAdjustment(vegas_implied_total, vegas_over_under);
-    adjustments.blowout = this.getBlowoutAdjustment(vegas_spread);
+    // 5. Defense/DVP/Pace/Vegas adjustments
+    Object.assign(adjustments, matchupAdjustments);
 
     // === APPLY ADJUSTMENTS ===
-    const situationalAdj = adjustments.streak + adjustments.usageBump + adjustments.venue + adjustments.b2b;
-    const matchupAdj = adjustments.defense + adjustments.dvp + adjustments.pace + adjustments.vegas + adjustments.blowout;
-
-    // Cap situational adjustments
-    const maxSituational = blendedBaseline * this.MAX_SITUATIONAL_ADJUSTMENT;
-    const cappedSituational = Math.max(-maxSituational, Math.min(maxSituational, situationalAdj));
-
-    // Cap matchup adjustments (same as before)
-    const maxMatchup = blendedBaseline * 0.20;
-    const cappedMatchup = Math.max(-maxMatchup, Math.min(maxMatchup, matchupAdj));
-
-    const totalAdjustment = cappedSituational + cappedMatchup;
+    const totalAdjustment = this.combineAdjustments(blendedBaseline, adjustments, params);
     const enhancedProjection = Math.max(0, blendedBaseline + totalAdjustment);
 
     // Calculate confidence based on data quality
@@ -582,11 +604,66 @@ class ProjectionService {
         worst: Math.round(matchup.worst * 10) / 10
       } : null,
       usageBump: usageBump.hasUsageBump ? usageBump : null,
+      minutes: minutes || null,
       confidence,
       enhanced: true
     };
   }
 
+  /**
+   * Total adjustment from the situational and matchup adjustments, each group
+   * capped at a share of the blended baseline
+   */
+  combineAdjustments(blendedBaseline, adjustments, params = this.getParams()) {
+    const situationalAdj = adjustments.streak + adjustments.usageBump + adjustments.venue + adjustments.b2b;
+    const matchupAdj = adjustments.defense + adjustments.dvp + adjustments.pace + adjustments.vegas + adjustments.blowout;
+
+    // Cap situational adjustments
+    const maxSituational = blendedBaseline * params.maxSituationalAdjustment;
+    const cappedSituational = Math.max(-maxSituational, Math.min(maxSituational, situationalAdj));
+
+    // Cap matchup adjustments
+    const maxMatchup = blendedBaseline * params.maxMatchupAdjustment;
+    const cappedMatchup = Math.max(-maxMatchup, Math.min(maxMatchup, matchupAdj));
+
+    return cappedSituational + cappedMatchup;
+  }
+
+  /**
+   * Active parameter set (projection_params), or the hand-set defaults before
+   * the first calibration
+   */
+  getParams() {
+    if (!this.params) {
+      let active = null;
+      try {
+        active = projectionParamsModel.getActive();
+      } catch (error) {
+        // Table not created yet (scripts that skip createTables)
+      }
+      this.params = resolveProjectionParams(active?.params);
+      this.paramsVersion = active?.id || null;
+    }
+    return this.params;
+  }
+
+  /**
+   * Id of the active parameter set (null = defaults)
+   */
+  getParamsVersion() {
+    this.getParams();
+    return this.paramsVersion;
+  }
+
+  /**
+   * Re-read the active parameter set (after a calibration, activation or rollback)
+   */
+  reloadParams() {
+    this.params = null;
+    this.paramsVersion = null;
+    return this.getParams();
+  }
+
   /**
    * Batch calculate enhanced projections for all players in a slate
    */
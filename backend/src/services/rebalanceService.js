@@ -0,0 +1,338 @@
+import optimizerService from './optimizerService.js';
+import { getEligibleSlots } from '../utils/siteProfiles.js';
+import { hasGameStarted } from '../utils/gameTimes.js';
+
+/**
+ * PORTFOLIO REBALANCER
+ * Moves a set of saved lineups toward new per-player exposure targets with as
+ * few single-player swaps as possible.
+ *
+ * Players over their max are cut first, one lineup at a time. Each cut takes
+ * the replacement that also helps a player still under their min (one swap
+ * fixes two targets), then the one that keeps the most projection. Players
+ * still under their min are then swapped in for whoever costs the least
+ * projection. Every swapped lineup must stay under the cap with a legal slot
+ * for every player (getEligibleSlots), and players whose games have started
+ * never move.
+ */
+class RebalanceService {
+  /**
+   * Plan (and optionally describe) the swaps for a set of lineups
+   * @param {Array} lineups - Saved lineups (lineupModel.getById)
+   * @param {Array} players - Slate player pool
+   * @param {Object} settings - targets [{ playerId, min, max }] in %, defaultMax (%), contestType, site, now, slateDate
+   * @returns {Object} { summary, exposure, lineups } - lineups holds only the changed ones
+   */
+  rebalance(lineups, players, settings = {}) {
+    const {
+      targets = [],
+      defaultMax = 100,
+      contestType = 'Classic',
+      site = 'DK',
+      now = new Date(),
+      slateDate = null
+    } = settings;
+
+    const roster = optimizerService.getRoster(contestType, site);
+    const numLineups = lineups.length;
+    const hasStarted = player => hasGameStarted(player, new Date(now), slateDate);
+
+    const playersById = new Map(players.map(p => [p.id, p]));
+    const eligibleSlots = new Map(players.map(p => [p.id, this.getPlayerSlots(p, roster)]));
+    lineups.forEach(lineup => lineup.players.forEach(p => {
+      if (!eligibleSlots.has(p.id)) eligibleSlots.set(p.id, this.getPlayerSlots(p, roster));
+    }));
+
+    // Exposure targets as lineup counts
+    const limits = new Map();
+    targets.forEach(target => {
+      const playerId = parseInt(target.playerId);
+      const min = target.min === '' || target.min == null ? 0 : parseFloat(target.min);
+      const max = target.max === '' || target.max == null ? 100 : parseFloat(target.max);
+      limits.set(playerId, { min, max, ...optimizerService.getExposureCounts(min, max, numLineups) });
+    });
+    const defaultMaxCount = optimizerService.getExposureCounts(0, defaultMax, numLineups).maxCount;
+    const maxCountOf = id => (limits.has(id) ? limits.get(id).maxCount : defaultMaxCount);
+    const minCountOf = id => (limits.has(id) ? limits.get(id).minCount : 0);
+
+    const states = lineups.map(lineup => {
+      const slots = this.pairSlots(lineup, roster);
+      return { lineup, slots, original: slots.map(slot => ({ ...slot })), swaps: [] };
+    });
+
+    const counts = new Map();
+    states.forEach(state => state.slots.forEach(slot => {
+      if (slot.player) counts.set(slot.player.id, (counts.get(slot.player.id) || 0) + 1);
+    }));
+    const beforeCounts = new Map(counts);
+    const countOf = id => counts.get(id) || 0;
+    const needsMore = id => countOf(id) < minCountOf(id);
+
+    // Players who can be swapped in: not started, not ruled out
+    const incomingPool = players.filter(p =>
+      !hasStarted(p) &&
+      !['OUT', 'Doubtful'].includes(p.injury_status) &&
+      (p.projected_points || 0) > 0
+    );
+
+    const ctx = { roster, eligibleSlots, hasStarted };
+
+    // 1. Cut players over their max
+    [...limits.entries()]
+      .filter(([id, limit]) => countOf(id) > limit.maxCount)
+      .sort((a, b) => (countOf(b[0]) - b[1].maxCount) - (countOf(a[0]) - a[1].maxCount))
+      .forEach(([playerId, limit]) => {
+        const options = [];
+        states.forEach(state => {
+          const slotIndex = state.slots.findIndex(slot => slot.player?.id === playerId);
+          if (slotIndex === -1 || hasStarted(state.slots[slotIndex].player)) return;
+
+          incomingPool.forEach(incoming => {
+            if (incoming.id === playerId) return;
+            const swap = this.trySwap(state, slotIndex, incoming, ctx);
+            if (swap) options.push({ state, slotIndex, incoming, swap, helps: needsMore(incoming.id) });
+          });
+        });
+
+        this.sortOptions(options);
+        const usedStates = new Set();
+        for (const option of options) {
+          if (countOf(playerId) <= limit.maxCount) break;
+          if (usedStates.has(option.state)) continue;
+          if (countOf(option.incoming.id) + 1 > maxCountOf(option.incoming.id)) continue;
+
+          // Earlier cuts can change a lineup - re-check before applying
+          const swap = this.trySwap(option.state, option.slotIndex, option.incoming, ctx);
+          if (!swap) continue;
+
+          this.applySwap(option.state, option.slotIndex, option.incoming, swap, counts);
+          usedStates.add(option.state);
+        }
+      });
+
+    // 2. Swap in players under their min
+    [...limits.entries()]
+      .filter(([id, limit]) => countOf(id) < limit.minCount)
+      .forEach(([playerId, limit]) => {
+        const incoming = playersById.get(playerId);
+        if (!incoming || !incomingPool.includes(incoming)) return;
+
+        const options = [];
+        states.forEach(state => {
+          if (state.slots.some(slot => slot.player?.id === playerId)) return;
+
+          state.slots.forEach((slot, slotIndex) => {
+            const outgoing = slot.player;
+            if (!outgoing || hasStarted(outgoing)) return;
+            // Don't push another player under their own min
+            if (countOf(outgoing.id) - 1 < minCountOf(outgoing.id)) return;
+
+            const swap = this.trySwap(state, slotIndex, incoming, ctx);
+            if (swap) options.push({ state, slotIndex, incoming, swap, helps: countOf(outgoing.id) > maxCountOf(outgoing.id) });
+          });
+        });
+
+        this.sortOptions(options);
+        const usedStates = new Set();
+        for (const option of options) {
+          if (countOf(playerId) >= limit.minCount) break;
+          if (usedStates.has(option.state)) continue;
+
+          const outgoing = option.state.slots[option.slotIndex].player;
+          if (countOf(outgoing.id) - 1 < minCountOf(outgoing.id)) continue;
+
+          const swap = this.trySwap(option.state, option.slotIndex, option.incoming, ctx);
+          if (!swap) continue;
+
+          this.applySwap(option.state, option.slotIndex, option.incoming, swap, counts);
+          usedStates.add(option.state);
+        }
+      });
+
+    return this.buildPlan(states, limits, beforeCounts, counts, playersById, numLineups, roster);
+  }
+
+  /**
+   * Roster slots a player can fill
+   */
+  getPlayerSlots(player, roster) {
+    if (roster.showdown) return roster.slots;
+    const positions = String(player.position || '').split(',').map(pos => pos.trim()).filter(Boolean);
+    return getEligibleSlots(positions, roster.profile);
+  }
+
+  /**
+   * Saved players paired with roster slots in roster order
+   */
+  pairSlots(lineup, roster) {
+    const remaining = [...lineup.players];
+    return roster.slots.map(position => {
+      const index = remaining.findIndex(p => p.position_slot === position);
+      return { position, player: index >= 0 ? remaining.splice(index, 1)[0] : null };
+    });
+  }
+
+  /**
+   * Replace the player in slotIndex with incoming if the lineup stays legal
+   * @returns {Object|null} { slots, delta } - slots after the swap (other players may change slots)
+   */
+  trySwap(state, slotIndex, incoming, { roster, eligibleSlots, hasStarted }) {
+    const { slots } = state;
+    if (slots.some(slot => slot.player?.id === incoming.id)) return null;
+
+    const outgoing = slots[slotIndex].player;
+    const salary = slots.reduce((sum, slot, i) => (
+      i === slotIndex || !slot.player ? sum : sum + optimizerService.getSlotSalary(slot.player, slot.position)
+    ), 0);
+
+    // Same slot if the incoming player is eligible for it
+    let newSlots = null;
+    if (eligibleSlots.get(incoming.id)?.includes(slots[slotIndex].position)) {
+      newSlots = slots.map((slot, i) => (i === slotIndex ? { position: slot.position, player: incoming } : slot));
+    } else if (!roster.showdown) {
+      // Otherwise re-seat the unlocked players
+      const players = slots.map((slot, i) => (i === slotIndex ? incoming : slot.player));
+      newSlots = this.assignSlots(players, slots, eligibleSlots, hasStarted);
+    }
+    if (!newSlots) return null;
+
+    const totalSalary = roster.showdown
+      ? salary + optimizerService.getSlotSalary(incoming, slots[slotIndex].position)
+      : newSlots.reduce((sum, slot) => sum + (slot.player?.salary || 0), 0);
+    if (totalSalary > roster.salaryCap) return null;
+
+    if (roster.maxPerTeam) {
+      const teamCount = newSlots.filter(slot => slot.player?.team === incoming.team).length;
+      if (teamCount > roster.maxPerTeam) return null;
+    }
+
+    // Showdown needs both teams
+    if (roster.showdown && new Set(newSlots.map(slot => slot.player?.team).filter(Boolean)).size < 2) {
+      return null;
+    }
+
+    const multiplier = optimizerService.getSlotMultiplier(slots[slotIndex].position);
+    const delta = ((incoming.projected_points || 0) - (outgoing?.projected_points || 0)) * multiplier;
+    return { slots: newSlots, delta, totalSalary };
+  }
+
+  /**
+   * Seat players in slots - started players keep their slot
+   * @returns {Array|null} [{ position, player }] or null when no legal seating exists
+   */
+  assignSlots(players, slots, eligibleSlots, hasStarted) {
+    const result = slots.map(slot => ({ position: slot.position, player: null }));
+    const open = [];
+
+    players.forEach((player, i) => {
+      if (player && slots[i].player?.id === player.id && hasStarted(player)) {
+        result[i].player = player;
+      } else if (player) {
+        open.push(player);
+      }
+    });
+
+    // Most restricted players first
+    open.sort((a, b) => (eligibleSlots.get(a.id)?.length || 0) - (eligibleSlots.get(b.id)?.length || 0));
+
+    const place = index => {
+      if (index === open.length) return true;
+      const player = open[index];
+      const eligible = eligibleSlots.get(player.id) || [];
+      for (let i = 0; i < result.length; i++) {
+        if (result[i].player || !eligible.includes(result[i].position)) continue;
+        result[i].player = player;
+        if (place(index + 1)) return true;
+        result[i].player = null;
+      }
+      return false;
+    };
+
+    return place(0) ? result : null;
+  }
+
+  /**
+   * Salary and projection of a set of slots (Captains at 1.5x)
+   */
+  getTotals(slots) {
+    return {
+      totalSalary: slots.reduce((sum, slot) => sum + (slot.player ? optimizerService.getSlotSalary(slot.player, slot.position) : 0), 0),
+      projectedPoints: +slots.reduce((sum, slot) => (
+        sum + (slot.player?.projected_points || 0) * optimizerService.getSlotMultiplier(slot.position)
+      ), 0).toFixed(2)
+    };
+  }
+
+  /**
+   * Best options first: ones that also fix another target, then most projection
+   */
+  sortOptions(options) {
+    options.sort((a, b) => (b.helps - a.helps) || (b.swap.delta - a.swap.delta));
+  }
+
+  applySwap(state, slotIndex, incoming, swap, counts) {
+    const outgoing = state.slots[slotIndex].player;
+    state.swaps.push({
+      position: state.slots[slotIndex].position,
+      out: { id: outgoing.id, name: outgoing.name, projectedPoints: outgoing.projected_points },
+      in: { id: incoming.id, name: incoming.name, projectedPoints: incoming.projected_points }
+    });
+    state.slots = swap.slots;
+    counts.set(outgoing.id, (counts.get(outgoing.id) || 0) - 1);
+    counts.set(incoming.id, (counts.get(incoming.id) || 0) + 1);
+  }
+
+  /**
+   * Preview of the rebalance: changed lineups, exposure before/after and unmet targets
+   */
+  buildPlan(states, limits, beforeCounts, counts, playersById, numLineups, roster) {
+    const pct = count => +((count / numLineups) * 100).toFixed(1);
+
+    const changed = states
+      .filter(state => state.swaps.length > 0)
+      .map(state => ({
+        lineupId: state.lineup.id,
+        name: state.lineup.name,
+        swaps: state.swaps,
+        before: this.getTotals(state.original),
+        after: this.getTotals(state.slots),
+        lineup: state.slots
+      }));
+
+    // Targeted players plus anyone whose exposure moved
+    const touched = new Set([...limits.keys(), ...changed.flatMap(l => l.swaps.flatMap(s => [s.in.id, s.out.id]))]);
+    const exposure = [...touched].map(playerId => {
+      const limit = limits.get(playerId);
+      const after = counts.get(playerId) || 0;
+      return {
+        playerId,
+        name: playersById.get(playerId)?.name || null,
+        before: pct(beforeCounts.get(playerId) || 0),
+        after: pct(after),
+        min: limit ? limit.min : null,
+        max: limit ? limit.max : null,
+        met: limit ? after >= limit.minCount && after <= limit.maxCount : true
+      };
+    }).sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+
+    const unmet = exposure.filter(player => !player.met);
+    const projectionChange = changed.reduce((sum, l) => sum + (l.after.projectedPoints - l.before.projectedPoints), 0);
+
+    console.log(`⚖️  Rebalance: ${changed.reduce((sum, l) => sum + l.swaps.length, 0)} swap(s) across ${changed.length}/${numLineups} ${roster.contestType} lineups` +
+      (unmet.length > 0 ? `, ${unmet.length} target(s) not reachable` : ''));
+
+    return {
+      summary: {
+        lineups: numLineups,
+        lineupsChanged: changed.length,
+        swaps: changed.reduce((sum, l) => sum + l.swaps.length, 0),
+        projectionChange: +projectionChange.toFixed(1),
+        unmet
+      },
+      exposure,
+      lineups: changed
+    };
+  }
+}
+
+export default new RebalanceService();
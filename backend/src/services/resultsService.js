@@ -0,0 +1,393 @@
+import resultModel from '../models/resultModel.js';
+import entryModel from '../models/entryModel.js';
+import playerModel from '../models/playerModel.js';
+import entryService from './entryService.js';
+import exportService from './exportService.js';
+import { parseCsv } from '../utils/csv.js';
+
+const STANDINGS_COLUMNS = ['Rank', 'EntryId', 'EntryName', 'Points', 'Lineup'];
+const LINEUP_SLOTS = new Set(['CPT', 'UTIL', 'FLEX', 'PG', 'SG', 'SF', 'PF', 'C', 'G', 'F']);
+
+// Contest types by DraftKings contest name, checked in order - anything else is a GPP
+const CONTEST_TYPES = [
+  { type: 'h2h', pattern: /head[- ]to[- ]head|\bh2h\b|\bvs\.? /i },
+  { type: '50/50', pattern: /50\/50|fifty/i },
+  { type: 'double-up', pattern: /double up|triple up|quintuple up|booster/i }
+];
+
+/**
+ * CONTEST RESULTS
+ * Grade our lineups from DraftKings contest standings CSVs and track ROI.
+ *
+ * The standings CSV has the field on the left (Rank, EntryId, EntryName,
+ * TimeRemaining, Points, Lineup) and each player's ownership on the right
+ * (Player, Roster Position, %Drafted, FPTS). Our entries are found by entry
+ * ID from an imported entries CSV, then by player set against saved lineups.
+ */
+class ResultsService {
+  /**
+   * Parse a DraftKings contest standings CSV
+   * @returns {Object} { standings: [{ rank, entryId, entryName, points, lineupText, players }], ownership }
+   */
+  parseStandingsCSV(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      throw new Error('Standings CSV is empty');
+    }
+
+    const header = rows[0].map(cell => cell.trim());
+    const [rankCol, entryCol, nameCol, pointsCol, lineupCol] = STANDINGS_COLUMNS.map(column => header.indexOf(column));
+    if (rankCol === -1 || entryCol === -1 || pointsCol === -1) {
+      throw new Error('Not a DraftKings standings CSV (missing Rank / EntryId / Points columns)');
+    }
+
+    const cell = (row, col) => (col >= 0 ? (row[col] || '').trim() : '');
+
+    const standings = rows.slice(1)
+      .filter(row => /^\d+$/.test(cell(row, rankCol)) && cell(row, entryCol))
+      .map(row => {
+        const lineupText = cell(row, lineupCol);
+        return {
+          rank: parseInt(cell(row, rankCol)),
+          entryId: cell(row, entryCol),
+          entryName: cell(row, nameCol),
+          points: parseFloat(cell(row, pointsCol)) || 0,
+          lineupText,
+          players: this.parseLineupText(lineupText)
+        };
+      });
+
+    return { standings, ownership: this.parseOwnership(rows, header) };
+  }
+
+  /**
+   * "C Nikola Jokic F LeBron James ..." -> [{ slot, name }]
+   */
+  parseLineupText(text) {
+    const players = [];
+    let current = null;
+
+    for (const token of String(text || '').split(/\s+/).filter(Boolean)) {
+      // A slot label starts the next player once the current one has a name
+      if (LINEUP_SLOTS.has(token) && (!current || current.name)) {
+        current = { slot: token, name: '' };
+        players.push(current);
+      } else if (current) {
+        current.name = current.name ? `${current.name} ${token}` : token;
+      }
+    }
+
+    return players.filter(player => player.name);
+  }
+
+  /**
+   * Ownership block on the right-hand side of the standings CSV
+   * @returns {Array} [{ playerName, rosterPosition, ownership, actualPoints }]
+   */
+  parseOwnership(rows, header) {
+    const playerCol = header.indexOf('Player');
+    const positionCol = header.indexOf('Roster Position');
+    const draftedCol = header.indexOf('%Drafted');
+    const pointsCol = header.indexOf('FPTS');
+    if (playerCol === -1 || draftedCol === -1) return [];
+
+    return rows.slice(1)
+      .map(row => ({
+        playerName: (row[playerCol] || '').trim(),
+        rosterPosition: positionCol >= 0 ? (row[positionCol] || '').trim() : null,
+        ownership: parseFloat((row[draftedCol] || '').replace('%', '')),
+        actualPoints: pointsCol >= 0 && row[pointsCol] ? parseFloat(row[pointsCol]) : null
+      }))
+      .filter(player => player.playerName && !isNaN(player.ownership));
+  }
+
+  /**
+   * Contest type from a DraftKings contest name
+   */
+  inferContestType(contestName) {
+    const match = CONTEST_TYPES.find(({ pattern }) => pattern.test(contestName || ''));
+    return match ? match.type : 'gpp';
+  }
+
+  /**
+   * Same players in the same captain spot -> same key
+   * @param {Array} players - [{ name, captain }]
+   */
+  lineupKey(players) {
+    return players
+      .map(player => `${player.captain ? 'cpt:' : ''}${entryService.normalizeName(player.name)}`)
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * Import a contest's standings for a slate
+   * @param {Object} slate - Slate row
+   * @param {string} text - Standings CSV text
+   * @param {Object} options - contestId, contestName, contestType, entryFee, payouts [{ minRank, maxRank, prize }], username
+   */
+  importStandings(slate, text, options = {}) {
+    const contestId = String(options.contestId || '').trim();
+    if (!contestId) {
+      throw new Error('contestId is required');
+    }
+
+    const { standings, ownership } = this.parseStandingsCSV(text);
+    if (standings.length === 0) {
+      throw new Error('No entries found in the standings CSV');
+    }
+
+    const warnings = [];
+    const slatePlayers = playerModel.getBySlateId(slate.slate_id);
+
+    // Our entries in this contest from the entries CSV
+    const contestEntries = entryModel.getBySlateId(slate.slate_id).filter(entry => entry.contest_id === contestId);
+    const entriesById = new Map(contestEntries.map(entry => [entry.entry_id, entry]));
+
+    const contestName = options.contestName || contestEntries[0]?.contest_name || null;
+    const entryFee = options.entryFee != null && options.entryFee !== ''
+      ? entryService.parseFee(options.entryFee)
+      : entryService.parseFee(contestEntries[0]?.entry_fee);
+    if (!entryFee) warnings.push('No entry fee - ROI for this contest will be 0');
+
+    const payoutFor = this.buildPayoutLookup(options.payouts);
+    if (!payoutFor) warnings.push('No payout table - payouts recorded as 0');
+
+    const savedByKey = new Map();
+    exportService.getSavedLineups(slate.slate_id).forEach(lineup => {
+      const key = this.lineupKey(lineup.players.map(p => ({ name: p.name, captain: p.positionSlot === 'CPT' })));
+      if (!savedByKey.has(key)) savedByKey.set(key, lineup);
+    });
+
+    // Player-set matches are limited to our usernames so duplicates from other players aren't counted
+    const usernames = new Set(
+      [options.username, ...standings.filter(row => entriesById.has(row.entryId)).map(row => row.entryName)]
+        .filter(Boolean)
+        .map(name => this.usernameOf(name))
+    );
+    if (usernames.size === 0) {
+      warnings.push('No username or imported entries for this contest - matching every entry by player set');
+    }
+
+    const ours = [];
+    standings.forEach(row => {
+      const payout = payoutFor ? payoutFor(row.rank) : 0;
+      const base = {
+        entryId: row.entryId,
+        entryName: row.entryName,
+        rank: row.rank,
+        points: row.points,
+        payout,
+        lineupText: row.lineupText
+      };
+
+      const entry = entriesById.get(row.entryId);
+      if (entry) {
+        ours.push({
+          ...base,
+          lineupId: entry.lineup_id,
+          lineupLabel: entry.lineup_label,
+          optimizerMode: entry.optimizer_mode,
+          matchedBy: 'entry'
+        });
+        return;
+      }
+
+      if (usernames.size > 0 && !usernames.has(this.usernameOf(row.entryName))) return;
+
+      const key = this.lineupKey(row.players.map(p => ({ name: p.name, captain: p.slot === 'CPT' })));
+      const lineup = savedByKey.get(key);
+      if (lineup) {
+        ours.push({
+          ...base,
+          lineupId: lineup.id,
+          lineupLabel: lineup.label,
+          optimizerMode: lineup.optimizerMode,
+          matchedBy: 'players'
+        });
+      }
+    });
+
+    if (ours.length === 0) {
+      warnings.push('None of the entries matched our entries or saved lineups');
+    }
+
+    // Reduce, not Math.max(...spread) - GPP standings can run past the argument limit
+    const paidRanks = payoutFor ? standings.filter(row => payoutFor(row.rank) > 0) : [];
+    const contest = {
+      slateId: slate.slate_id,
+      contestId,
+      contestName,
+      contestType: options.contestType || this.inferContestType(contestName),
+      entryFee,
+      fieldSize: standings.length,
+      winningScore: standings.reduce((max, row) => Math.max(max, row.points), -Infinity),
+      cashLine: paidRanks.length > 0 ? paidRanks.reduce((min, row) => Math.min(min, row.points), Infinity) : null
+    };
+
+    const normalized = new Map(slatePlayers.map(p => [entryService.normalizeName(p.name), p.id]));
+    const actualOwnership = ownership.map(player => ({
+      ...player,
+      playerId: normalized.get(entryService.normalizeName(player.playerName)) || null
+    }));
+
+    resultModel.saveContest(contest, ours, actualOwnership);
+
+    const summary = this.summarize(ours.map(entry => ({ ...entry, entry_fee: entryFee, contest_id: contestId, field_size: standings.length })));
+    console.log(`🏆 Imported ${contestName || contestId}: ${ours.length} of our entries in a field of ${standings.length}, profit $${summary.profit}`);
+    warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+    return {
+      contest,
+      entries: ours,
+      ownership: actualOwnership.length,
+      ownershipMatched: actualOwnership.filter(player => player.playerId).length,
+      summary,
+      warnings
+    };
+  }
+
+  /**
+   * DraftKings entry names are "username" or "username (3/20)"
+   */
+  usernameOf(entryName) {
+    return String(entryName || '').replace(/\s*\(\d+\/\d+\)\s*$/, '').trim().toLowerCase();
+  }
+
+  /**
+   * rank -> prize from [{ minRank, maxRank, prize }], or null without a table
+   */
+  buildPayoutLookup(payouts) {
+    if (!Array.isArray(payouts) || payouts.length === 0) return null;
+
+    const tiers = payouts.map(({ minRank, maxRank, prize }) => {
+      const from = Math.max(1, parseInt(minRank) || 1);
+      return { from, to: parseInt(maxRank) || from, prize: parseFloat(prize) || 0 };
+    });
+
+    return rank => tiers.find(tier => rank >= tier.from && rank <= tier.to)?.prize || 0;
+  }
+
+  /**
+   * Totals for graded entries (rows need entry_fee, payout, rank, field_size, contest_id)
+   */
+  summarize(rows) {
+    const fees = rows.reduce((sum, row) => sum + (row.entry_fee || 0), 0);
+    const winnings = rows.reduce((sum, row) => sum + (row.payout || 0), 0);
+    const cashed = rows.filter(row => (row.payout || 0) > 0).length;
+    const finishes = rows.filter(row => row.field_size > 0).map(row => row.rank / row.field_size);
+
+    return {
+      contests: new Set(rows.map(row => row.contest_id)).size,
+      entries: rows.length,
+      fees: round(fees),
+      winnings: round(winnings),
+      profit: round(winnings - fees),
+      roi: fees > 0 ? round(((winnings - fees) / fees) * 100) : 0,
+      cashRate: rows.length > 0 ? round((cashed / rows.length) * 100) : 0,
+      avgFinishPercentile: finishes.length > 0
+        ? round((finishes.reduce((a, b) => a + b, 0) / finishes.length) * 100)
+        : null,
+      bestRank: rows.length > 0 ? rows.reduce((min, row) => Math.min(min, row.rank), Infinity) : null
+    };
+  }
+
+  /**
+   * Summaries grouped by a key
+   */
+  groupSummaries(rows, keyFn, labelFn = key => ({ key })) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = keyFn(row);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    return [...groups.entries()].map(([key, groupRows]) => ({ ...labelFn(key, groupRows), ...this.summarize(groupRows) }));
+  }
+
+  /**
+   * Bankroll and ROI across every imported contest
+   * @param {Object} options - startingBankroll
+   */
+  getSummary(options = {}) {
+    const rows = resultModel.getAllEntries();
+    const startingBankroll = parseFloat(options.startingBankroll) || 0;
+
+    const bySlate = this.groupSummaries(rows, row => row.slate_id, (slateId, groupRows) => ({
+      slateId,
+      slateName: groupRows[0].slate_name,
+      startTime: groupRows[0].slate_start_time
+    })).sort((a, b) => String(a.startTime || '').localeCompare(String(b.startTime || '')));
+
+    // Slate by slate, oldest first
+    let balance = startingBankroll;
+    const bankroll = bySlate.map(slate => {
+      balance = round(balance + slate.profit);
+      return { slateId: slate.slateId, slateName: slate.slateName, startTime: slate.startTime, profit: slate.profit, balance };
+    });
+
+    return {
+      totals: this.summarize(rows),
+      startingBankroll,
+      currentBankroll: round(balance),
+      bySlate,
+      byContestType: this.groupSummaries(rows, row => row.contest_type || 'gpp', contestType => ({ contestType })),
+      // Entries without a mode were built by hand or saved before modes were recorded
+      byMode: this.groupSummaries(rows, row => row.optimizer_mode || 'manual', mode => ({ mode })),
+      bankroll
+    };
+  }
+
+  /**
+   * One slate's contests and graded entries
+   */
+  getSlateResults(slateId) {
+    const rows = resultModel.getAllEntries(slateId);
+    const contests = resultModel.getContests(slateId).map(contest => {
+      const contestRows = rows.filter(row => row.contest_result_id === contest.id);
+      return {
+        ...contest,
+        ...this.summarize(contestRows),
+        results: contestRows.map(row => ({
+          entryId: row.entry_id,
+          entryName: row.entry_name,
+          rank: row.rank,
+          points: row.points,
+          payout: row.payout,
+          lineupId: row.lineup_id,
+          lineupLabel: row.lineup_label,
+          optimizerMode: row.optimizer_mode,
+          matchedBy: row.matched_by
+        }))
+      };
+    });
+
+    return {
+      slateId,
+      totals: this.summarize(rows),
+      byMode: this.groupSummaries(rows, row => row.optimizer_mode || 'manual', mode => ({ mode })),
+      contests
+    };
+  }
+
+  /**
+   * Actual ownership against RotoWire's rostership and our model's projection
+   */
+  getOwnership(slateId) {
+    return resultModel.getOwnership(slateId).map(player => ({
+      ...player,
+      difference: player.rotowire_ownership != null
+        ? round(player.actual_ownership - player.rotowire_ownership)
+        : null,
+      modelDifference: player.model_ownership != null
+        ? round(player.actual_ownership - player.model_ownership)
+        : null
+    }));
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new ResultsService();
@@ -2,6 +2,11 @@ import fetch from 'node-fetch';
 import teamDefenseModel from '../models/teamDefenseModel.js';
 import teamDefenseVsPositionModel from '../models/teamDefenseVsPositionModel.js';
 import { normalizeForRankings, normalizeForVsPosition } from '../utils/teamMapping.js';
+import { extractRawStartTime } from '../utils/gameTimes.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+import { extractRawSitePlayerId } from '../utils/sitePlayerIds.js';
+import { calculateLeverageScore } from '../utils/ownershipSource.js';
+import { getValueThresholds, normalCDF } from '../utils/outcomeDistribution.js';
 
 class RotowireService {
   constructor() {
@@ -279,8 +284,8 @@ class RotowireService {
     const variance = squaredDiffs.reduce((sum, val) => sum + val, 0) / recentGames.length;
     const stdDev = Math.sqrt(variance);
 
-    // Calculate floor (25th percentile) and ceiling (75th percentile)
-    // Using standard deviation: 68% of values fall within ±1 stdDev
+    // Floor and ceiling at ±1 stdDev (~16th/84th percentile) - replaced by
+    // the 25th/75th percentiles once outcome distributions are stored
     const floor = mean - stdDev;
     const ceiling = mean + stdDev;
 
@@ -351,7 +356,8 @@ class RotowireService {
   }
 
   calculateBoomBustProbabilities(projection, stdDev, salary) {
-    // Calculate boom (10+ pts above value) and bust (fail to meet value) probabilities
+    // Normal-approximation boom (10+ pts above value) and bust (fail to meet value)
+    // probabilities, used at sync before outcome distributions are stored
 
     if (!projection || !salary || stdDev === 0) {
       return {
@@ -360,26 +366,12 @@ class RotowireService {
       };
     }
 
-    // Calculate expected value threshold (points needed to hit value)
-    // Typical value threshold is 5x salary (e.g., $10k salary needs 50 FP)
-    const valueThreshold = (salary / 1000) * 5;
-
-    // Boom threshold: 10 points above value
-    const boomThreshold = valueThreshold + 10;
+    // Value (5x salary, e.g. $10k needs 50 FP) and boom (value + 10) thresholds
+    const thresholds = getValueThresholds(salary);
 
     // Calculate z-scores
-    const zScoreBoom = (boomThreshold - projection) / stdDev;
-    const zScoreBust = (valueThreshold - projection) / stdDev;
-
-    // Use normal distribution approximation for probabilities
-    // Simplified calculation using error function approximation
-    const normalCDF = (z) => {
-      // Approximation of cumulative distribution function
-      const t = 1 / (1 + 0.2316419 * Math.abs(z));
-      const d = 0.3989423 * Math.exp(-z * z / 2);
-      const prob = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-      return z > 0 ? 1 - prob : prob;
-    };
+    const zScoreBoom = (thresholds.boom - projection) / stdDev;
+    const zScoreBust = (thresholds.value - projection) / stdDev;
 
     // Boom probability: P(X > boomThreshold)
     const boomProb = 1 - normalCDF(zScoreBoom);
@@ -516,18 +508,6 @@ class RotowireService {
     return tendencyAdj;
   }
 
-  calculateLeverageScore(boomProbability, ownership) {
-    // GPP Leverage: High boom probability + low ownership = leverage
-    if (!ownership || ownership === 0) {
-      ownership = 1; // Avoid division by zero
-    }
-
-    // Leverage = (Boom Probability × 100) / (Ownership % + 1)
-    const leverage = (boomProbability * 100) / (ownership + 1);
-
-    return leverage;
-  }
-
   async fetchPlayers(slateId) {
     try {
       const url = `${this.baseUrl}/players.php?slateID=${slateId}`;
@@ -574,7 +554,7 @@ class RotowireService {
       return [];
     }
 
-    return data
+    const players = data
       .map((player) => {
       // derive safe primitive values
       // helper to convert possible object/array values to a readable string
@@ -622,6 +602,10 @@ class RotowireService {
       else position = stringifyField(player.rotoPos ?? player.roto_pos ?? player.position ?? player.pos ?? player.positionType);
       const salary = Number.isFinite(Number(player.salary)) ? Number(player.salary) : 0;
 
+      // Showdown: CPT salary may come on the player or as a separate CPT row (merged below)
+      const isCaptainRow = position === 'CPT' || player.isCaptain === true;
+      const captainSalary = parseInt(player.captainSalary ?? player.cptSalary ?? player.salaries?.CPT) || null;
+
       // Extract recent form (avgFpts)
       const fptsLast3 = parseFloat(player.stats?.avgFpts?.last3) || 0;
       const fptsLast5 = parseFloat(player.stats?.avgFpts?.last5) || 0;
@@ -730,7 +714,7 @@ class RotowireService {
         // ───────────────────────────────────────────────────────────
         // STEP 6: Calculate GPP Leverage Score
         // ───────────────────────────────────────────────────────────
-        leverageScore = this.calculateLeverageScore(boomProbability, rostership);
+        leverageScore = calculateLeverageScore(boomProbability, rostership);
 
         // ───────────────────────────────────────────────────────────
         // STEP 7: Blowout Risk (informational, not adjusting projection)
@@ -829,6 +813,11 @@ class RotowireService {
         gameInfo = stringifyField(player.game_info);
       }
 
+      // Tip-off time for late swap (RotoWire times are Eastern)
+      const gameStartTime = extractRawStartTime(player)?.toISOString() ?? null;
+      // DraftKings/FanDuel player ID - bulk upload CSVs reference players by it
+      const sitePlayerId = extractRawSitePlayerId(player);
+
       const injuryRaw = player.injury_status ?? player.injury ?? null;
       let injuryStatus = null;
       if (injuryRaw != null) {
@@ -878,6 +867,10 @@ class RotowireService {
         value,
         valueGpp,
         gameInfo,
+        gameStartTime,
+        sitePlayerId,
+        captainSalary,
+        isCaptainRow,
         injuryStatus,
         per,
         usage,
@@ -921,12 +914,40 @@ class RotowireService {
 
       return true;
     });
+
+    return this.mergeCaptainRows(players);
+  }
+
+  /**
+   * Fold Showdown CPT rows into their FLEX rows as captainSalary (and the
+   * Captain's own DraftKings ID as captainSitePlayerId)
+   * Classic slates have no CPT rows and pass through untouched.
+   */
+  mergeCaptainRows(players) {
+    const captains = players.filter(p => p.isCaptainRow);
+    const flex = players.filter(p => !p.isCaptainRow);
+
+    captains.forEach(captain => {
+      const base = flex.find(p => p.playerId === captain.playerId) ||
+        flex.find(p => p.name === captain.name && p.team === captain.team);
+      if (base) {
+        base.captainSalary = captain.salary;
+        base.captainSitePlayerId = captain.sitePlayerId;
+      }
+    });
+
+    if (captains.length > 0) {
+      console.log(`👑 Merged ${captains.length} Captain rows into FLEX players`);
+    }
+
+    return flex.map(({ isCaptainRow, ...player }) => player);
   }
 
-  async fetchSlateList() {
+  async fetchSlateList(site = 'DK') {
     try {
-      // Fetch available slates from RotoWire
-      const url = 'https://www.rotowire.com/daily/nba/api/slate-list.php?siteID=1';
+      // Fetch available slates from RotoWire (siteID 1 = DraftKings, 2 = FanDuel)
+      const profile = getSiteProfile(site);
+      const url = `https://www.rotowire.com/daily/nba/api/slate-list.php?siteID=${profile.rotowireSiteId}`;
 
       const response = await fetch(url, {
         headers: {
@@ -947,15 +968,20 @@ class RotowireService {
 
       const data = await response.json();
 
-      // Filter to only Classic contests (exclude Showdown)
-      const classicSlates = data.slates.filter(slate => slate.contestType === 'Classic');
+      // Classic and Showdown (Captain mode) contests - other formats aren't supported
+      // (FanDuel single-game contests use a different MVP/STAR/PRO format and are skipped)
+      const supportedSlates = data.slates.filter(slate =>
+        slate.contestType === 'Classic' || (profile.showdown && /showdown/i.test(slate.contestType || ''))
+      );
+      const showdownCount = supportedSlates.filter(slate => slate.contestType !== 'Classic').length;
 
-      console.log(`✅ Fetched ${classicSlates.length} Classic slates`);
+      console.log(`✅ Fetched ${supportedSlates.length - showdownCount} Classic and ${showdownCount} Showdown ${profile.name} slates`);
 
-      return classicSlates.map(slate => ({
+      return supportedSlates.map(slate => ({
         slateId: slate.slateID.toString(),
         name: slate.slateName,
-        contestType: slate.contestType,
+        site: profile.site,
+        contestType: slate.contestType === 'Classic' ? 'Classic' : 'Showdown',
         startDate: slate.startDate,
         startTime: slate.timeOnly,
         games: Array.isArray(slate.games) ? slate.games.length : slate.games,
@@ -0,0 +1,335 @@
+import optimizerService from './optimizerService.js';
+import { createRandom, parseSeed } from '../utils/random.js';
+import { getPlayerDistribution, quantileAt, normalCDF } from '../utils/outcomeDistribution.js';
+
+/**
+ * CONTEST SIMULATOR
+ * Monte Carlo simulation of how lineups place against a synthetic field
+ *
+ * Each simulation samples one outcome per player. Outcomes share a game
+ * factor (pace/total shootouts lift both sides) and a team factor, so stacks
+ * and bring-backs move together. The field is drawn once from projected
+ * ownership and every simulation scores our lineups against it.
+ */
+class SimulationService {
+  constructor() {
+    this.DEFAULTS = {
+      numSimulations: 1000,
+      fieldSize: 1000,
+      entryFee: 20,
+      rake: 0.15,              // Site takes 15% of entry fees
+      cashLine: 0.2,           // Top 20% of the contest cashes
+      gameCorrelation: 0.15,   // Share of variance from the game environment
+      teamCorrelation: 0.05    // Extra shared variance between teammates
+    };
+  }
+
+  /**
+   * Simulate lineups against a synthetic ownership-based field
+   * @param {Array} lineups - Lineups as returned by the optimizer ({ players: [{ position, player }] })
+   * @param {Array} players - Slate player pool (field is drawn from it)
+   * @param {Object} settings - numSimulations, fieldSize, entryFee, payouts, correlation overrides, site, seed
+   * @returns {Object} Per-lineup results plus field/payout summary
+   */
+  simulate(lineups, players, settings = {}) {
+    const startTime = Date.now();
+    const options = { ...this.DEFAULTS, ...settings };
+    const numSimulations = Math.max(1, parseInt(options.numSimulations) || this.DEFAULTS.numSimulations);
+    const fieldSize = Math.max(1, parseInt(options.fieldSize) || this.DEFAULTS.fieldSize);
+    const entryFee = parseFloat(options.entryFee) || 0;
+    options.gameCorrelation = Math.min(0.9, Math.max(0, parseFloat(options.gameCorrelation) || 0));
+    options.teamCorrelation = Math.min(0.9 - options.gameCorrelation, Math.max(0, parseFloat(options.teamCorrelation) || 0));
+    const seed = parseSeed(options.seed);
+    options.random = seed !== null ? createRandom(seed) : Math.random;
+
+    console.log(`🎲 Simulating ${lineups.length} lineup(s) x ${numSimulations} sims vs ${fieldSize}-entry field`);
+
+    // Index players so outcomes live in flat arrays
+    const playerIndex = new Map(players.map((p, i) => [p.id, i]));
+    const lineupIndexes = lineups.map(lineup =>
+      lineup.players
+        .map(slot => playerIndex.get(slot.player?.id))
+        .filter(index => index !== undefined)
+    );
+
+    const field = this.buildField(players, fieldSize, optimizerService.getRoster('Classic', options.site), options.random);
+    if (field.length === 0) {
+      return { error: 'Could not build a field from player ownership' };
+    }
+
+    const contestSize = field.length + lineups.length;
+    const payouts = this.buildPayoutTable(options.payouts, contestSize, entryFee, options);
+    const top1Rank = Math.max(1, Math.ceil(contestSize * 0.01));
+    const top10Rank = Math.max(1, Math.ceil(contestSize * 0.1));
+
+    const groups = this.buildCorrelationGroups(players);
+    const distributions = players.map(player => getPlayerDistribution(player));
+    const totals = lineups.map(() => ({
+      wins: 0,
+      top1: 0,
+      top10: 0,
+      cashes: 0,
+      payout: 0,
+      score: 0,
+      rank: 0
+    }));
+
+    const fieldScores = new Float64Array(field.length);
+
+    for (let sim = 0; sim < numSimulations; sim++) {
+      const outcomes = this.sampleOutcomes(players, groups, options, distributions);
+
+      for (let f = 0; f < field.length; f++) {
+        fieldScores[f] = this.scoreLineup(field[f], outcomes);
+      }
+      fieldScores.sort();
+
+      lineupIndexes.forEach((indexes, l) => {
+        const score = this.scoreLineup(indexes, outcomes);
+        const rank = 1 + (field.length - this.upperBound(fieldScores, score));
+        const total = totals[l];
+
+        total.score += score;
+        total.rank += rank;
+        if (rank === 1) total.wins++;
+        if (rank <= top1Rank) total.top1++;
+        if (rank <= top10Rank) total.top10++;
+
+        const prize = payouts[rank - 1] || 0;
+        if (prize > 0) total.cashes++;
+        total.payout += prize;
+      });
+    }
+
+    const results = totals.map((total, l) => {
+      const expectedPayout = total.payout / numSimulations;
+      return {
+        lineupIndex: l,
+        lineupNumber: lineups[l].lineupNumber ?? l + 1,
+        avgScore: +(total.score / numSimulations).toFixed(1),
+        avgRank: Math.round(total.rank / numSimulations),
+        winRate: +((total.wins / numSimulations) * 100).toFixed(2),
+        top1Rate: +((total.top1 / numSimulations) * 100).toFixed(2),
+        top10Rate: +((total.top10 / numSimulations) * 100).toFixed(2),
+        cashRate: +((total.cashes / numSimulations) * 100).toFixed(2),
+        expectedPayout: +expectedPayout.toFixed(2),
+        roi: entryFee > 0 ? +(((expectedPayout - entryFee) / entryFee) * 100).toFixed(1) : null
+      };
+    });
+
+    const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Simulation complete in ${executionTime}s`);
+
+    return {
+      results,
+      contest: {
+        fieldSize: field.length,
+        contestSize,
+        entryFee,
+        prizePool: +payouts.reduce((sum, p) => sum + p, 0).toFixed(2),
+        paidPlaces: payouts.filter(p => p > 0).length,
+        topPrize: +(payouts[0] || 0).toFixed(2)
+      },
+      settings: {
+        numSimulations,
+        gameCorrelation: options.gameCorrelation,
+        teamCorrelation: options.teamCorrelation,
+        seed,
+        executionTime
+      }
+    };
+  }
+
+  /**
+   * Simulate and attach results to each lineup, sorted best ROI first
+   * Lineups keep their lineupNumber; simRank is their position after sorting
+   */
+  rankLineups(lineups, players, settings = {}) {
+    const simulation = this.simulate(lineups, players, settings);
+    if (simulation.error) return { lineups, simulation };
+
+    const ranked = lineups
+      .map((lineup, index) => ({ ...lineup, simulation: simulation.results[index] }))
+      .sort((a, b) => {
+        const payoutDiff = b.simulation.expectedPayout - a.simulation.expectedPayout;
+        return payoutDiff !== 0 ? payoutDiff : b.simulation.top1Rate - a.simulation.top1Rate;
+      })
+      .map((lineup, index) => ({ ...lineup, simRank: index + 1 }));
+
+    return { lineups: ranked, simulation };
+  }
+
+  /**
+   * Group player indexes by game and team for correlated sampling
+   */
+  buildCorrelationGroups(players) {
+    const games = new Map();
+    const teams = new Map();
+
+    const playerGroups = players.map(player => {
+      const gameKey = [player.team, player.opponent].sort().join(' vs ');
+      if (!games.has(gameKey)) games.set(gameKey, games.size);
+      if (!teams.has(player.team)) teams.set(player.team, teams.size);
+      return { game: games.get(gameKey), team: teams.get(player.team) };
+    });
+
+    return { playerGroups, numGames: games.size, numTeams: teams.size };
+  }
+
+  /**
+   * Sample one fantasy point outcome per player
+   * z = sqrt(g)·Z_game + sqrt(t)·Z_team + sqrt(1 - g - t)·Z_player
+   * z is mapped through Φ onto the player's outcome distribution (μ + z·σ without one)
+   */
+  sampleOutcomes(players, groups, options, distributions = players.map(player => getPlayerDistribution(player))) {
+    const gameWeight = Math.sqrt(options.gameCorrelation);
+    const teamWeight = Math.sqrt(options.teamCorrelation);
+    const ownWeight = Math.sqrt(Math.max(0, 1 - options.gameCorrelation - options.teamCorrelation));
+
+    const gameShocks = Array.from({ length: groups.numGames }, () => this.randomNormal(options.random));
+    const teamShocks = Array.from({ length: groups.numTeams }, () => this.randomNormal(options.random));
+
+    const outcomes = new Float64Array(players.length);
+    players.forEach((player, i) => {
+      const { game, team } = groups.playerGroups[i];
+      const z = gameWeight * gameShocks[game] + teamWeight * teamShocks[team] + ownWeight * this.randomNormal(options.random);
+      outcomes[i] = distributions[i]
+        ? quantileAt(distributions[i], normalCDF(z))
+        : Math.max(0, (player.projected_points || 0) + z * optimizerService.getPlayerStdDev(player));
+    });
+
+    return outcomes;
+  }
+
+  /**
+   * Build a synthetic field of valid lineups drawn from projected ownership
+   * Slots are filled in random order with ownership-weighted picks, keeping
+   * enough salary to fill the remaining slots with min-priced players.
+   */
+  buildField(players, fieldSize, roster = optimizerService.getRoster(), random = Math.random) {
+    const { salaryCap: SALARY_CAP, slots: ROSTER_SLOTS, profile } = roster;
+    const candidates = players
+      .map((player, index) => ({
+        index,
+        salary: player.salary || 0,
+        weight: Math.max(player.rostership || 0, 0.5),
+        slots: new Set(optimizerService.getEligibleSlots(optimizerService.getPlayerPositions(player.position), profile))
+      }))
+      .filter(c => c.slots.size > 0 && c.salary > 0);
+
+    const minSalaryBySlot = new Map(ROSTER_SLOTS.map(slot => [
+      slot,
+      Math.min(...candidates.filter(c => c.slots.has(slot)).map(c => c.salary))
+    ]));
+
+    const field = [];
+    const maxAttempts = fieldSize * 5;
+
+    for (let attempt = 0; attempt < maxAttempts && field.length < fieldSize; attempt++) {
+      const slots = [...ROSTER_SLOTS].sort(() => random() - 0.5);
+      const used = new Set();
+      const lineup = [];
+      let salaryLeft = SALARY_CAP;
+
+      for (let s = 0; s < slots.length; s++) {
+        const reserve = slots.slice(s + 1).reduce((sum, slot) => sum + minSalaryBySlot.get(slot), 0);
+        const pool = candidates.filter(c =>
+          c.slots.has(slots[s]) && !used.has(c.index) && c.salary <= salaryLeft - reserve
+        );
+        if (pool.length === 0) break;
+
+        const pick = this.weightedPick(pool, random);
+        used.add(pick.index);
+        lineup.push(pick.index);
+        salaryLeft -= pick.salary;
+      }
+
+      if (lineup.length === ROSTER_SLOTS.length) {
+        field.push(lineup);
+      }
+    }
+
+    if (field.length < fieldSize) {
+      console.warn(`⚠️  Only built ${field.length}/${fieldSize} field lineups`);
+    }
+
+    return field;
+  }
+
+  /**
+   * Payout by finishing place (index 0 = 1st place)
+   * Custom payouts: [{ minRank, maxRank, prize }]. Default: top-heavy GPP
+   * structure paying the top 20% with a min-cash of 1.5x the entry fee.
+   */
+  buildPayoutTable(customPayouts, contestSize, entryFee, options) {
+    const table = new Array(contestSize).fill(0);
+
+    if (Array.isArray(customPayouts) && customPayouts.length > 0) {
+      customPayouts.forEach(({ minRank, maxRank, prize }) => {
+        const from = Math.max(1, parseInt(minRank) || 1);
+        const to = Math.min(contestSize, parseInt(maxRank) || from);
+        for (let rank = from; rank <= to; rank++) {
+          table[rank - 1] = parseFloat(prize) || 0;
+        }
+      });
+      return table;
+    }
+
+    const prizePool = entryFee * contestSize * (1 - options.rake);
+    const paidPlaces = Math.max(1, Math.floor(contestSize * options.cashLine));
+    const minCash = Math.min(entryFee * 1.5, prizePool / paidPlaces);
+    const remaining = prizePool - minCash * paidPlaces;
+
+    // Spread what's left over the paid places with a power-law curve
+    const weights = Array.from({ length: paidPlaces }, (_, i) => 1 / Math.pow(i + 1, 1.1));
+    const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+    weights.forEach((w, i) => {
+      table[i] = minCash + (remaining * w) / weightTotal;
+    });
+
+    return table;
+  }
+
+  scoreLineup(indexes, outcomes) {
+    let score = 0;
+    for (let i = 0; i < indexes.length; i++) {
+      score += outcomes[indexes[i]];
+    }
+    return score;
+  }
+
+  /**
+   * Number of sorted values <= target
+   */
+  upperBound(sorted, target) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= target) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  weightedPick(pool, random = Math.random) {
+    const total = pool.reduce((sum, c) => sum + c.weight, 0);
+    let r = random() * total;
+    for (const candidate of pool) {
+      r -= candidate.weight;
+      if (r <= 0) return candidate;
+    }
+    return pool[pool.length - 1];
+  }
+
+  /**
+   * Standard normal sample (Box-Muller)
+   */
+  randomNormal(random = Math.random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+export default new SimulationService();
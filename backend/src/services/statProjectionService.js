@@ -0,0 +1,217 @@
+import projectionService from './projectionService.js';
+import minutesService from './minutesService.js';
+import nbaStatsService from './nbaStatsService.js';
+import { normalizeForVsPosition } from '../utils/teamMapping.js';
+import { createRandom } from '../utils/random.js';
+import { getSiteProfile } from '../utils/siteProfiles.js';
+
+// Box-score categories with their team_defense_vs_position column
+const CATEGORIES = [
+  { key: 'points', dvpColumn: 'pts_allowed' },
+  { key: 'rebounds', dvpColumn: 'reb_allowed' },
+  { key: 'assists', dvpColumn: 'ast_allowed' },
+  { key: 'steals', dvpColumn: 'stl_allowed' },
+  { key: 'blocks', dvpColumn: 'blk_allowed' },
+  { key: 'turnovers', dvpColumn: 'to_allowed' },
+  { key: 'fg3_made', dvpColumn: 'tpm_allowed' }
+];
+
+const DVP_WEIGHT = 0.5;          // Share of the opponent's allowed-vs-league ratio applied
+const MAX_DVP_FACTOR = 0.15;     // ± cap on a category's DvP multiplier
+const SIMULATIONS = 2000;
+const MAX_GAME_MINUTES = 48;
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Same player, same draws - the breakdown doesn't change between requests
+function seedFromName(name) {
+  let hash = 2166136261;
+  for (let i = 0; i < name.length; i++) {
+    hash = Math.imul(hash ^ name.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function sampleNormal(random) {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function samplePoisson(lambda, random) {
+  if (lambda <= 0) return 0;
+  if (lambda > 30) return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * sampleNormal(random)));
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+/**
+ * STAT-LEVEL PROJECTIONS
+ * Projects each DK box-score category (PTS/REB/AST/STL/BLK/TOV/3PM) instead
+ * of one fantasy point total, so category matchups and DK bonuses are modeled
+ * directly.
+ *
+ * 1. Per-minute rate per category from historical_games (MinutesService.getPerMinuteRate)
+ * 2. Category DvP: the opponent's allowed-vs-league ratio at the player's
+ *    position (team_defense_vs_position), half applied and capped at ±15%
+ * 3. Simulated games: minutes drawn from the minutes distribution, each
+ *    category drawn around rate × minutes (points as 2 × baskets, the rest
+ *    as counts); shared minutes correlate the categories
+ * 4. Every simulated line is scored with calculateDKFantasyPoints, which
+ *    gives the DK mean with bonuses and the double-double/triple-double odds
+ */
+class StatProjectionService {
+  constructor() {
+    this.leagueAverages = null;
+  }
+
+  /**
+   * League average allowed per position and category (team_defense_vs_position)
+   */
+  getLeagueAverages() {
+    if (!this.leagueAverages) {
+      const totals = {};
+      Object.values(projectionService.loadPositionDefenseData()).forEach(row => {
+        if (!totals[row.position]) totals[row.position] = {};
+        CATEGORIES.forEach(({ dvpColumn }) => {
+          if (!(row[dvpColumn] > 0)) return;
+          const entry = totals[row.position][dvpColumn] || { sum: 0, count: 0 };
+          entry.sum += row[dvpColumn];
+          entry.count++;
+          totals[row.position][dvpColumn] = entry;
+        });
+      });
+
+      this.leagueAverages = {};
+      Object.entries(totals).forEach(([position, columns]) => {
+        this.leagueAverages[position] = {};
+        Object.entries(columns).forEach(([column, { sum, count }]) => {
+          this.leagueAverages[position][column] = sum / count;
+        });
+      });
+    }
+    return this.leagueAverages;
+  }
+
+  /**
+   * Reload defense tables on the next projection
+   */
+  clearCache() {
+    this.leagueAverages = null;
+  }
+
+  /**
+   * Category multipliers from the opponent's defense at the player's position
+   * @returns {Object} { [category]: { factor, allowed, leagueAvg } }
+   */
+  getCategoryDvp(opponent, position) {
+    const primaryPosition = projectionService.getPrimaryPosition(position);
+    const defense = primaryPosition
+      ? projectionService.loadPositionDefenseData()[`${normalizeForVsPosition(opponent)}_${primaryPosition}`]
+      : null;
+    const leagueAverages = primaryPosition ? this.getLeagueAverages()[primaryPosition] || {} : {};
+
+    const dvp = {};
+    CATEGORIES.forEach(({ key, dvpColumn }) => {
+      const allowed = defense?.[dvpColumn];
+      const leagueAvg = leagueAverages[dvpColumn];
+      if (!(allowed > 0) || !(leagueAvg > 0)) {
+        dvp[key] = { factor: 1, allowed: null, leagueAvg: null };
+        return;
+      }
+
+      const shift = Math.max(-MAX_DVP_FACTOR, Math.min(MAX_DVP_FACTOR, (allowed / leagueAvg - 1) * DVP_WEIGHT));
+      dvp[key] = { factor: 1 + shift, allowed: round(allowed, 2), leagueAvg: round(leagueAvg, 2) };
+    });
+    return dvp;
+  }
+
+  /**
+   * Category projections and DK points with bonus odds
+   * @param {Object} player - name, team, opponent, position, vegas_spread, projected_minutes, rest_days
+   * @param {Object} options - slateRoster, slateDate, isB2B (as calculateEnhancedProjection)
+   * @returns {Object|null} { minutes, categories, dkPoints, doubleDoubleProb, tripleDoubleProb }, or null without history
+   */
+  projectStats(player, options = {}) {
+    const { slateDate = null } = options;
+    const minutes = minutesService.projectMinutes(player, options);
+    if (!minutes) return null;
+
+    const games = minutesService.getMinutesHistory(player.name, slateDate);
+    const dvp = this.getCategoryDvp(player.opponent, player.position);
+
+    const rates = {};
+    CATEGORIES.forEach(({ key }) => {
+      rates[key] = minutesService.getPerMinuteRate(games, game => game[key]).rate * dvp[key].factor;
+    });
+
+    // Simulate games: shared minutes, then each category around rate × minutes
+    const random = createRandom(seedFromName(`${player.name}_${slateDate || ''}`));
+    const dkScores = [];
+    let doubleDoubles = 0;
+    let tripleDoubles = 0;
+
+    for (let i = 0; i < SIMULATIONS; i++) {
+      const simMinutes = Math.max(0, Math.min(MAX_GAME_MINUTES, minutes.mean + minutes.stdDev * sampleNormal(random)));
+      const line = {};
+      CATEGORIES.forEach(({ key }) => {
+        const expected = rates[key] * simMinutes;
+        line[key] = key === 'points'
+          ? 2 * samplePoisson(expected / 2, random)
+          : samplePoisson(expected, random);
+      });
+
+      // 3-pointers are part of points - keep the line possible
+      line.fg3_made = Math.min(line.fg3_made, Math.floor(line.points / 3));
+
+      const doubleDigits = ['points', 'rebounds', 'assists', 'steals', 'blocks'].filter(key => line[key] >= 10).length;
+      if (doubleDigits >= 2) doubleDoubles++;
+      if (doubleDigits >= 3) tripleDoubles++;
+      dkScores.push(nbaStatsService.calculateDKFantasyPoints(line));
+    }
+
+    const categories = {};
+    CATEGORIES.forEach(({ key }) => {
+      const seasonAvg = games.reduce((sum, game) => sum + (game[key] || 0), 0) / games.length;
+      categories[key] = {
+        mean: round(rates[key] * minutes.mean, 2),
+        perMinute: round(rates[key], 4),
+        dvpFactor: round(dvp[key].factor, 3),
+        oppAllowed: dvp[key].allowed,
+        leagueAllowed: dvp[key].leagueAvg,
+        seasonAvg: round(seasonAvg, 2)
+      };
+    });
+
+    // DK points from the category means (no bonuses), and the simulated mean with them
+    const { scoring } = getSiteProfile('DK');
+    const baseDk = CATEGORIES.reduce((sum, { key }) => sum + categories[key].mean * scoring[key], 0);
+    const meanDk = dkScores.reduce((sum, score) => sum + score, 0) / SIMULATIONS;
+    const doubleDoubleProb = doubleDoubles / SIMULATIONS;
+    const tripleDoubleProb = tripleDoubles / SIMULATIONS;
+
+    return {
+      minutes: { mean: minutes.mean, stdDev: minutes.stdDev, role: minutes.role },
+      categories,
+      dkPoints: {
+        mean: round(meanDk),
+        withoutBonuses: round(baseDk),
+        bonusValue: round(doubleDoubleProb * scoring.doubleDouble + tripleDoubleProb * scoring.tripleDouble, 2),
+        stdDev: round(Math.sqrt(dkScores.reduce((sum, score) => sum + (score - meanDk) ** 2, 0) / SIMULATIONS))
+      },
+      doubleDoubleProb: round(doubleDoubleProb * 100),
+      tripleDoubleProb: round(tripleDoubleProb * 100),
+      simulations: SIMULATIONS
+    };
+  }
+}
+
+export default new StatProjectionService();
@@ -0,0 +1,68 @@
+/**
+ * CSV
+ * Minimal RFC 4180 reader/writer for DraftKings files (quoted fields,
+ * escaped quotes, CRLF line endings, ragged rows).
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a value when it contains a comma, quote or newline
+ */
+export function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows (arrays) to CSV text
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n');
+}
+
+export default { parseCsv, escapeCsv, toCsv };
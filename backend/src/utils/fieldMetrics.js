@@ -0,0 +1,86 @@
+/**
+ * Lineup-vs-field metrics: ownership product, duplicate estimate and
+ * salary left on the table compared with the field.
+ */
+
+// Remaining-salary buckets for salary distributions
+export const SALARY_LEFT_BUCKETS = [
+  { label: '$0-100', max: 100 },
+  { label: '$100-300', max: 300 },
+  { label: '$300-500', max: 500 },
+  { label: '$500-1000', max: 1000 },
+  { label: '$1000-2000', max: 2000 },
+  { label: '$2000+', max: Infinity }
+];
+
+export function getSalaryLeftBucket(salaryLeft) {
+  const index = SALARY_LEFT_BUCKETS.findIndex(bucket => salaryLeft < bucket.max);
+  return index === -1 ? SALARY_LEFT_BUCKETS.length - 1 : index;
+}
+
+/**
+ * Count and share of lineups per remaining-salary bucket
+ * @param {Array<number>} salaryLefts
+ * @returns {Array} [{ label, count, pct }]
+ */
+export function getSalaryLeftDistribution(salaryLefts) {
+  const buckets = SALARY_LEFT_BUCKETS.map(bucket => ({ label: bucket.label, count: 0, pct: 0 }));
+  salaryLefts.forEach(left => buckets[getSalaryLeftBucket(left)].count++);
+  buckets.forEach(bucket => {
+    bucket.pct = salaryLefts.length > 0 ? +((bucket.count / salaryLefts.length) * 100).toFixed(1) : 0;
+  });
+  return buckets;
+}
+
+/**
+ * Product of every rostered player's ownership (as a fraction) - the chance a
+ * random field lineup holds all of them if picks were independent.
+ * A Showdown Captain also has to be the field's Captain, taken as 1 in rosterSize.
+ * @param {Array} slots - [{ position, player }] with player.rostership in %
+ */
+export function getOwnershipProduct(slots, rosterSize = slots.length) {
+  return slots.reduce((product, slot) => {
+    // A player nobody is projected on still shows up in the odd lineup
+    const ownership = Math.max(slot.player?.rostership || 0, 0.1) / 100;
+    return product * Math.min(ownership, 1) * (slot.position === 'CPT' ? 1 / rosterSize : 1);
+  }, 1);
+}
+
+/**
+ * How much likelier the field is to land on a lineup's remaining salary than
+ * on a typical field lineup's (1 = typical, < 1 = salary the field rarely leaves)
+ * @param {number} salaryLeft
+ * @param {Array} fieldDistribution - getSalaryLeftDistribution() of the field
+ */
+export function getSalaryLeftFactor(salaryLeft, fieldDistribution) {
+  const total = fieldDistribution.reduce((sum, bucket) => sum + bucket.count, 0);
+  if (total === 0) return 1;
+
+  // Add-one smoothing so a bucket the sampled field missed isn't impossible
+  const shares = fieldDistribution.map(bucket => (bucket.count + 1) / (total + fieldDistribution.length));
+  const typical = shares.reduce((sum, share) => sum + share * share, 0);
+  return shares[getSalaryLeftBucket(salaryLeft)] / typical;
+}
+
+/**
+ * Expected number of other entries with the same lineup
+ * @returns {Object} { expected, probabilityUnique }
+ */
+export function estimateDuplicates(ownershipProduct, fieldSize, salaryLeftFactor = 1) {
+  const probability = Math.min(1, ownershipProduct * salaryLeftFactor);
+  const expected = probability * Math.max(0, fieldSize - 1);
+
+  return {
+    expected: +expected.toFixed(2),
+    probabilityUnique: +(Math.pow(1 - probability, Math.max(0, fieldSize - 1)) * 100).toFixed(1)
+  };
+}
+
+export default {
+  SALARY_LEFT_BUCKETS,
+  getSalaryLeftBucket,
+  getSalaryLeftDistribution,
+  getOwnershipProduct,
+  getSalaryLeftFactor,
+  estimateDuplicates
+};
@@ -0,0 +1,166 @@
+/**
+ * GAME START TIMES
+ * Parse tip-off times for players so late swap knows which games have locked
+ *
+ * Sources, in order:
+ *   1. players.game_start_time (ISO, stored on sync)
+ *   2. raw RotoWire data (game.dateTime, game.date + game.time, gameTime, ...)
+ *   3. game_info, when it carries a time ("DEN vs LAL 7:30 PM ET")
+ *
+ * RotoWire times without an explicit offset are US Eastern.
+ */
+
+const EASTERN = 'America/New_York';
+
+/**
+ * Offset of US Eastern from UTC in minutes for a given UTC instant (-300 or -240)
+ */
+function getEasternOffsetMinutes(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: EASTERN,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Build a Date from Eastern wall-clock parts
+ */
+function fromEastern(year, month, day, hour, minute) {
+  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  const offset = getEasternOffsetMinutes(guess);
+  return new Date(guess.getTime() - offset * 60000);
+}
+
+/**
+ * Convert "7:30 PM" / "19:30" into 24h hour and minute
+ */
+function parseClock(text) {
+  const match = String(text).match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = parseInt(match[2]);
+  const meridiem = match[3]?.toUpperCase();
+  if (meridiem === 'PM' && hour < 12) hour += 12;
+  if (meridiem === 'AM' && hour === 12) hour = 0;
+  return { hour, minute };
+}
+
+/**
+ * Parse a start time value into a Date
+ * @param {string|number|Date} value - ISO string, "YYYY-MM-DD HH:MM[:SS]" (Eastern), epoch
+ * @param {string} fallbackDate - "YYYY-MM-DD" used when value is only a clock time
+ * @returns {Date|null}
+ */
+export function parseGameStartTime(value, fallbackDate = null) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  if (typeof value === 'number') {
+    // Seconds or milliseconds since epoch
+    return new Date(value < 1e12 ? value * 1000 : value);
+  }
+
+  const text = String(value).trim();
+
+  // ISO with explicit offset or Z - trust it
+  if (/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  // "YYYY-MM-DD HH:MM" / "YYYY-MM-DDTHH:MM" / "MM/DD/YYYY 7:30 PM" - Eastern wall clock
+  const isoDate = text.match(/(\d{4})-(\d{2})-(\d{2})/);
+  const usDate = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  const clock = parseClock(text.replace(/\d{4}-\d{2}-\d{2}T?/, ' '));
+
+  if (clock && (isoDate || usDate)) {
+    const [year, month, day] = isoDate
+      ? [parseInt(isoDate[1]), parseInt(isoDate[2]), parseInt(isoDate[3])]
+      : [parseInt(usDate[3]), parseInt(usDate[1]), parseInt(usDate[2])];
+    return fromEastern(year, month, day, clock.hour, clock.minute);
+  }
+
+  // Clock time only - needs the slate date
+  if (clock && fallbackDate) {
+    const [year, month, day] = fallbackDate.split('-').map(Number);
+    if (year && month && day) {
+      return fromEastern(year, month, day, clock.hour, clock.minute);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a player's game start time from stored columns, raw data or game_info
+ * @param {Object} player - Player row (snake_case DB columns)
+ * @param {string} slateDate - "YYYY-MM-DD" for sources that only carry a clock time
+ * @returns {Date|null}
+ */
+export function getPlayerGameStartTime(player, slateDate = null) {
+  if (player.game_start_time) {
+    const stored = parseGameStartTime(player.game_start_time);
+    if (stored) return stored;
+  }
+
+  let raw = null;
+  if (player.raw_data) {
+    try {
+      raw = typeof player.raw_data === 'string' ? JSON.parse(player.raw_data) : player.raw_data;
+    } catch (e) {
+      raw = null;
+    }
+  }
+
+  if (raw) {
+    const fromRaw = extractRawStartTime(raw, slateDate);
+    if (fromRaw) return fromRaw;
+  }
+
+  return parseGameStartTime(player.game_info, slateDate);
+}
+
+/**
+ * Pull a start time out of a raw RotoWire player object
+ */
+export function extractRawStartTime(raw, slateDate = null) {
+  const game = raw.game && typeof raw.game === 'object' ? raw.game : {};
+  const date = game.date ?? raw.gameDate ?? slateDate;
+
+  const candidates = [
+    game.dateTime,
+    game.datetime,
+    game.startTime,
+    game.gameTime,
+    raw.gameDateTime,
+    raw.gameTime,
+    raw.game_time,
+    raw.startTime,
+    game.time && date ? `${date} ${game.time}` : null,
+    game.date
+  ];
+
+  for (const candidate of candidates) {
+    const parsed = parseGameStartTime(candidate, date);
+    if (parsed) return parsed;
+  }
+
+  return null;
+}
+
+/**
+ * Has the player's game tipped off?
+ * Players without a known start time are treated as not started.
+ */
+export function hasGameStarted(player, now = new Date(), slateDate = null) {
+  const start = getPlayerGameStartTime(player, slateDate);
+  return start ? start.getTime() <= now.getTime() : false;
+}
+
+export default { parseGameStartTime, getPlayerGameStartTime, extractRawStartTime, hasGameStarted };
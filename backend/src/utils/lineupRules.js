@@ -0,0 +1,273 @@
+/**
+ * LINEUP RULE ENGINE
+ * Player groups and conditional rules for the optimizer
+ *
+ * Groups are named sets of player IDs. Rules reference a group by name or
+ * list players inline:
+ *   { type: 'atLeast', group: 'studPGs', count: 1 }
+ *   { type: 'atMost', players: [12, 34], count: 1 }        // never both Jokic and Murray
+ *   { type: 'exactly', group: 'chalk', count: 2 }
+ *   { type: 'implies', if: { players: [56] }, then: { group: 'studPGs', min: 1 } }
+ *
+ * Implication triggers when ANY player in the "if" side is rostered. The
+ * "then" side takes a min and/or max count (max: 0 means "then none of").
+ * Every rule compiles to one or more linear constraints on player usage.
+ */
+
+const DEFAULT_ROSTER_SIZE = 8;   // DK Classic, when the caller doesn't pass its roster
+
+const RULE_TYPES = ['atLeast', 'atMost', 'exactly', 'implies'];
+
+/**
+ * Normalize, validate and compile lineup rules against the player pool
+ * @param {Array} playerGroups - [{ name, players: [ids] }]
+ * @param {Array} playerRules - Rule definitions (see header)
+ * @param {Array} players - Filtered player pool
+ * @param {Array} lockedPlayers - Locked player IDs
+ * @param {number} rosterSize - Slots in the site/contest roster (optimizer getRoster().size)
+ * @returns {{ rules: Array, errors: Array<string>, warnings: Array<string> }}
+ */
+export function normalizeLineupRules(playerGroups = [], playerRules = [], players = [], lockedPlayers = [], rosterSize = DEFAULT_ROSTER_SIZE) {
+  const errors = [];
+  const warnings = [];
+  const rules = [];
+
+  if (!Array.isArray(playerGroups) || !Array.isArray(playerRules)) {
+    return { rules, errors: ['playerGroups and playerRules must be arrays'], warnings };
+  }
+
+  const poolIds = new Set(players.map(p => p.id));
+  const locked = new Set(lockedPlayers.map(Number));
+
+  // Index groups by name
+  const groups = new Map();
+  playerGroups.forEach((group, index) => {
+    if (!group?.name) {
+      errors.push(`Group #${index + 1}: name is required`);
+      return;
+    }
+    if (groups.has(group.name)) {
+      errors.push(`Group '${group.name}': defined more than once`);
+      return;
+    }
+    groups.set(group.name, (group.players || []).map(Number));
+  });
+
+  // Resolve a rule side ({ group } or { players }) into player IDs
+  const resolveSide = (side, ruleName) => {
+    if (!side) {
+      errors.push(`${ruleName}: missing group or players`);
+      return null;
+    }
+    let ids;
+    if (side.group != null) {
+      if (!groups.has(side.group)) {
+        errors.push(`${ruleName}: unknown group '${side.group}'`);
+        return null;
+      }
+      ids = groups.get(side.group);
+    } else {
+      ids = (side.players || []).map(Number);
+    }
+    if (ids.length === 0) {
+      errors.push(`${ruleName}: group is empty`);
+      return null;
+    }
+    return [...new Set(ids)];
+  };
+
+  const describeSide = (side, ids) => side.group != null ? side.group : `[${ids.join(', ')}]`;
+
+  playerRules.forEach((rule, index) => {
+    const ruleName = rule?.name || `Rule #${index + 1}`;
+
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      errors.push(`${ruleName}: type must be one of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (rule.type === 'implies') {
+      const triggerIds = resolveSide(rule.if, `${ruleName} (if)`);
+      const targetIds = resolveSide(rule.then, `${ruleName} (then)`);
+      if (!triggerIds || !targetIds) return;
+
+      const min = rule.then.min != null ? parseInt(rule.then.min) : null;
+      const max = rule.then.max != null ? parseInt(rule.then.max) : null;
+
+      if (min === null && max === null) {
+        errors.push(`${ruleName}: 'then' needs a min or max`);
+        return;
+      }
+      if (min !== null && max !== null && max < min) {
+        errors.push(`${ruleName}: max (${max}) is less than min (${min})`);
+        return;
+      }
+
+      const availableTargets = targetIds.filter(id => poolIds.has(id));
+      if (min !== null && min > availableTargets.length) {
+        if (triggerIds.some(id => locked.has(id))) {
+          errors.push(`${ruleName}: requires ${min} of ${describeSide(rule.then, targetIds)} but only ${availableTargets.length} are in the pool`);
+          return;
+        }
+        warnings.push(`${ruleName}: only ${availableTargets.length} target player(s) in pool - trigger players will be avoided`);
+      }
+
+      const activeTriggers = triggerIds.filter(id => poolIds.has(id));
+      if (activeTriggers.length === 0) {
+        warnings.push(`${ruleName}: none of the 'if' players are in the pool - rule is inactive`);
+      }
+
+      const label = rule.name || `If ${describeSide(rule.if, triggerIds)} then ${[
+        min !== null ? `${min}+` : null,
+        max !== null ? `≤${max}` : null
+      ].filter(Boolean).join(' and ')} of ${describeSide(rule.then, targetIds)}`;
+
+      // One constraint per trigger player: each trigger independently forces the target count
+      const bigM = Math.min(targetIds.length, rosterSize);
+      const constraints = [];
+      activeTriggers.forEach(triggerId => {
+        if (min !== null) {
+          // sum(targets) - min * x_trigger >= 0
+          const coefficients = new Map(targetIds.map(id => [id, 1]));
+          coefficients.set(triggerId, (coefficients.get(triggerId) || 0) - min);
+          constraints.push({ name: `rule${index}_${triggerId}_min`, coefficients, min: 0 });
+        }
+        if (max !== null) {
+          // sum(targets) + (M - max) * x_trigger <= M
+          const coefficients = new Map(targetIds.map(id => [id, 1]));
+          coefficients.set(triggerId, (coefficients.get(triggerId) || 0) + (bigM - max));
+          constraints.push({ name: `rule${index}_${triggerId}_max`, coefficients, max: bigM });
+        }
+      });
+
+      rules.push({
+        id: `rule${index}`,
+        type: rule.type,
+        label,
+        triggerIds,
+        targetIds,
+        min,
+        max,
+        constraints
+      });
+      return;
+    }
+
+    // Count rules: atLeast / atMost / exactly
+    const ids = resolveSide(rule, ruleName);
+    if (!ids) return;
+
+    const count = parseInt(rule.count);
+    if (!Number.isFinite(count) || count < 0) {
+      errors.push(`${ruleName}: count must be a non-negative number`);
+      return;
+    }
+
+    const available = ids.filter(id => poolIds.has(id)).length;
+    const lockedInGroup = ids.filter(id => locked.has(id)).length;
+
+    if (rule.type !== 'atMost' && count > rosterSize) {
+      errors.push(`${ruleName}: requires ${count} of ${describeSide(rule, ids)} but the roster has ${rosterSize} slots`);
+      return;
+    }
+    if (rule.type !== 'atMost' && count > available) {
+      errors.push(`${ruleName}: requires ${count} of ${describeSide(rule, ids)} but only ${available} are in the pool`);
+      return;
+    }
+    if (rule.type !== 'atLeast' && lockedInGroup > count) {
+      errors.push(`${ruleName}: ${lockedInGroup} locked players exceed the limit of ${count}`);
+      return;
+    }
+
+    const bounds = rule.type === 'atLeast' ? { min: count }
+      : rule.type === 'atMost' ? { max: count }
+      : { equal: count };
+
+    const verb = rule.type === 'atLeast' ? 'At least' : rule.type === 'atMost' ? 'At most' : 'Exactly';
+
+    rules.push({
+      id: `rule${index}`,
+      type: rule.type,
+      label: rule.name || `${verb} ${count} of ${describeSide(rule, ids)}`,
+      playerIds: ids,
+      count,
+      constraints: [{
+        name: `rule${index}_count`,
+        coefficients: new Map(ids.map(id => [id, 1])),
+        ...bounds
+      }]
+    });
+  });
+
+  return { rules, errors, warnings };
+}
+
+/**
+ * Add compiled rule constraints to an LP model
+ */
+export function addRuleConstraints(model, rules) {
+  rules.forEach(rule => {
+    rule.constraints.forEach(constraint => {
+      const bounds = {};
+      if (constraint.min != null) bounds.min = constraint.min;
+      if (constraint.max != null) bounds.max = constraint.max;
+      if (constraint.equal != null) bounds.equal = constraint.equal;
+      model.constraints[constraint.name] = bounds;
+    });
+  });
+}
+
+/**
+ * Add a player's rule coefficients to one of its LP decision variables
+ */
+export function applyRuleCoefficients(variable, playerId, rules) {
+  rules.forEach(rule => {
+    rule.constraints.forEach(constraint => {
+      const coefficient = constraint.coefficients.get(playerId);
+      if (coefficient) {
+        variable[constraint.name] = coefficient;
+      }
+    });
+  });
+}
+
+/**
+ * Evaluate rules against a finished lineup
+ * A rule is binding when the lineup sits exactly on its limit
+ */
+export function evaluateLineupRules(lineup, rules) {
+  const rostered = new Set(lineup.players.map(slot => slot.player?.id).filter(id => id != null));
+
+  return rules.map(rule => {
+    if (rule.type === 'implies') {
+      const triggered = rule.triggerIds.some(id => rostered.has(id));
+      const count = rule.targetIds.filter(id => rostered.has(id)).length;
+      const satisfied = !triggered ||
+        ((rule.min === null || count >= rule.min) && (rule.max === null || count <= rule.max));
+
+      return {
+        rule: rule.label,
+        type: rule.type,
+        triggered,
+        count,
+        satisfied,
+        binding: triggered && (count === rule.min || count === rule.max)
+      };
+    }
+
+    const count = rule.playerIds.filter(id => rostered.has(id)).length;
+    const satisfied = rule.type === 'atLeast' ? count >= rule.count
+      : rule.type === 'atMost' ? count <= rule.count
+      : count === rule.count;
+
+    return {
+      rule: rule.label,
+      type: rule.type,
+      count,
+      satisfied,
+      binding: count === rule.count
+    };
+  });
+}
+
+export default { normalizeLineupRules, addRuleConstraints, applyRuleCoefficients, evaluateLineupRules };
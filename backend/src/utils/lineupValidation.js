@@ -0,0 +1,149 @@
+/**
+ * LINEUP VALIDATION
+ * Site roster rules for saved, imported and exported lineups
+ *
+ * Players are flat rows with a positionSlot (PG, G, UTIL, CPT, FLEX, ...).
+ */
+import {
+  SITE_PROFILES,
+  getSiteProfile,
+  getSlotCounts,
+  getEligibleSlots
+} from './siteProfiles.js';
+
+// Site rules (salary cap, roster slots, eligibility) live in utils/siteProfiles.js
+export function getConstraints(site) {
+  const profile = getSiteProfile(site);
+  return {
+    PROFILE: profile,
+    SITE: profile.site,
+    SALARY_CAP: profile.salaryCap,
+    POSITIONS: profile.rosterSlots,
+    POSITION_COUNT: profile.rosterSlots.length,
+    MAX_PER_TEAM: profile.maxPerTeam
+  };
+}
+
+// DraftKings NBA Showdown (Captain mode) constraints
+export const DK_SHOWDOWN_CONSTRAINTS = {
+  SALARY_CAP: SITE_PROFILES.DK.salaryCap,
+  POSITIONS: SITE_PROFILES.DK.showdown.slots,
+  POSITION_COUNT: SITE_PROFILES.DK.showdown.slots.length,
+  CAPTAIN_MULTIPLIER: SITE_PROFILES.DK.showdown.captainMultiplier
+};
+
+// Showdown when requested, or when the lineup has a Captain slot
+export function isShowdownLineup(players, contestType) {
+  if (contestType) return /showdown/i.test(contestType);
+  return players.some(p => p.positionSlot === 'CPT');
+}
+
+// Salary a player costs in their slot - Captains cost 1.5x
+export function getSlotSalary(player) {
+  if (player.positionSlot !== 'CPT') return player.salary || 0;
+  return player.captain_salary || player.captainSalary ||
+    Math.round((player.salary || 0) * DK_SHOWDOWN_CONSTRAINTS.CAPTAIN_MULTIPLIER);
+}
+
+/**
+ * Validate a lineup against its site's rules (or DraftKings Showdown rules)
+ * @param {Array} players - Players with positionSlot, position, salary, team
+ * @returns {Object} { isValid, errors, totalSalary, contestType? }
+ */
+export function validateLineup(players, contestType = null, site = 'DK') {
+  const constraints = getConstraints(site);
+
+  if (isShowdownLineup(players, contestType)) {
+    if (constraints.SITE !== 'DK') {
+      return { isValid: false, errors: ['Showdown lineups are only supported on DraftKings'], totalSalary: 0 };
+    }
+    return validateShowdownLineup(players);
+  }
+
+  const errors = [];
+
+  if (players.length !== constraints.POSITION_COUNT) {
+    errors.push(`Lineup must have exactly ${constraints.POSITION_COUNT} players`);
+  }
+
+  const totalSalary = players.reduce((sum, p) => sum + (p.salary || 0), 0);
+  if (totalSalary > constraints.SALARY_CAP) {
+    errors.push(`Total salary ($${totalSalary}) exceeds cap ($${constraints.SALARY_CAP})`);
+  }
+
+  // Slot eligibility, when slots are given
+  players.forEach(p => {
+    if (!p.positionSlot) return;
+    if (!constraints.POSITIONS.includes(p.positionSlot)) {
+      errors.push(`${p.positionSlot} is not a ${constraints.SITE} roster slot`);
+      return;
+    }
+    const positions = String(p.position || '').split(',').map(pos => pos.trim()).filter(Boolean);
+    if (positions.length > 0 && !getEligibleSlots(positions, constraints.PROFILE).includes(p.positionSlot)) {
+      errors.push(`${p.name || p.id} (${p.position}) can't play ${p.positionSlot}`);
+    }
+  });
+
+  const slotCounts = getSlotCounts(players.map(p => p.positionSlot).filter(Boolean));
+  Object.entries(getSlotCounts(constraints.POSITIONS)).forEach(([slot, count]) => {
+    if (slotCounts[slot] > count) {
+      errors.push(`Too many ${slot} slots (${slotCounts[slot]}/${count})`);
+    }
+  });
+
+  if (constraints.MAX_PER_TEAM) {
+    Object.entries(getSlotCounts(players.map(p => p.team).filter(Boolean))).forEach(([team, count]) => {
+      if (count > constraints.MAX_PER_TEAM) {
+        errors.push(`Too many players from ${team} (${count}, max ${constraints.MAX_PER_TEAM})`);
+      }
+    });
+  }
+
+  return { isValid: errors.length === 0, errors, totalSalary };
+}
+
+// Showdown: one CPT + five FLEX, no repeats, players from both teams
+export function validateShowdownLineup(players) {
+  const errors = [];
+  const { SALARY_CAP, POSITION_COUNT } = DK_SHOWDOWN_CONSTRAINTS;
+
+  if (players.length !== POSITION_COUNT) {
+    errors.push(`Showdown lineup must have exactly ${POSITION_COUNT} players`);
+  }
+
+  const captains = players.filter(p => p.positionSlot === 'CPT').length;
+  if (captains !== 1) {
+    errors.push(`Showdown lineup must have exactly 1 Captain (found ${captains})`);
+  }
+
+  const invalidSlots = players.filter(p => p.positionSlot && !['CPT', 'FLEX'].includes(p.positionSlot));
+  if (invalidSlots.length > 0) {
+    errors.push(`Invalid Showdown slot(s): ${[...new Set(invalidSlots.map(p => p.positionSlot))].join(', ')}`);
+  }
+
+  const ids = players.map(p => p.id);
+  if (new Set(ids).size !== ids.length) {
+    errors.push('A player can only be used once (Captain or FLEX)');
+  }
+
+  const teams = new Set(players.map(p => p.team).filter(Boolean));
+  if (players.length === POSITION_COUNT && teams.size < 2) {
+    errors.push('Showdown lineup must include players from both teams');
+  }
+
+  const totalSalary = players.reduce((sum, p) => sum + getSlotSalary(p), 0);
+  if (totalSalary > SALARY_CAP) {
+    errors.push(`Total salary ($${totalSalary}) exceeds cap ($${SALARY_CAP})`);
+  }
+
+  return { isValid: errors.length === 0, errors, totalSalary, contestType: 'Showdown' };
+}
+
+export default {
+  getConstraints,
+  DK_SHOWDOWN_CONSTRAINTS,
+  isShowdownLineup,
+  getSlotSalary,
+  validateLineup,
+  validateShowdownLineup
+};
@@ -0,0 +1,208 @@
+/**
+ * Per-player fantasy point outcome distributions, stored as percentiles
+ * (players.p10 ... players.p99) and sampled by inverse CDF.
+ *
+ * Between stored percentiles the quantile function is linear; the 0th and
+ * 100th are extrapolated from the neighbouring gaps, so a right-skewed player
+ * keeps the long upper tail its history shows instead of a symmetric ± σ.
+ */
+
+export const PERCENTILES = [10, 25, 50, 75, 90, 99];
+
+// League-wide shape as multiples of the projection - used for players with
+// little history and as the prior their own shape is shrunk toward
+export const LEAGUE_SHAPE = { p10: 0.55, p25: 0.75, p50: 0.97, p75: 1.2, p90: 1.42, p99: 1.85 };
+
+const SHRINK_GAMES = 10;        // Player shape weighted n / (n + 10) against the league shape
+const MIN_GAMES = 5;
+const MAX_GAME_MINUTES = 48;
+const MIN_RATE_MINUTES = 5;     // Shorter stints keep the average rate - too noisy to scale up
+
+/**
+ * Percentile of a sorted array (linear interpolation)
+ */
+function percentileOf(sorted, pct) {
+  const position = (pct / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(sorted.length - 1, lower + 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Quantile knots [u, value] including the extrapolated 0th and 100th percentiles
+ */
+function getKnots(dist) {
+  const lowTail = Math.max(0, dist.p10 - (dist.p25 - dist.p10) * (10 / 15));
+  const highTail = dist.p99 + (dist.p99 - dist.p90) / 9;
+  return [
+    [0, lowTail],
+    ...PERCENTILES.map(pct => [pct / 100, dist[`p${pct}`]]),
+    [1, highTail]
+  ];
+}
+
+/**
+ * Build a distribution from a player's game log, scaled to tonight.
+ * Each past game becomes a hypothetical outcome tonight: its per-minute rate
+ * relative to the player's average, applied to tonight's rate, times tonight's
+ * minutes shifted by that game's minutes deviation. Percentiles are shrunk
+ * toward LEAGUE_SHAPE, then scaled so the distribution's mean is the projection.
+ * @param {Array} games - { minutes, dk_fantasy_points, fd_fantasy_points } rows (minutes > 0)
+ * @param {Object} tonight - { projection, minutes, pointsColumn } - pointsColumn is the
+ *   site profile's fantasyPointsColumn (DK by default)
+ * @returns {Object|null} { p10, p25, p50, p75, p90, p99, games }, null without a projection
+ */
+export function buildDistribution(games, { projection, minutes, pointsColumn = 'dk_fantasy_points' }) {
+  if (!(projection > 0)) return null;
+
+  const league = Object.fromEntries(PERCENTILES.map(pct => [`p${pct}`, projection * LEAGUE_SHAPE[`p${pct}`]]));
+  const usable = (games || []).filter(game => game.minutes > 0 && game[pointsColumn] != null);
+  let dist = league;
+
+  if (usable.length >= MIN_GAMES) {
+    const totalMinutes = usable.reduce((sum, game) => sum + game.minutes, 0);
+    const meanMinutes = totalMinutes / usable.length;
+    const meanRate = usable.reduce((sum, game) => sum + game[pointsColumn], 0) / totalMinutes;
+    const tonightMinutes = minutes > 0 ? minutes : meanMinutes;
+    const tonightRate = projection / tonightMinutes;
+
+    const outcomes = usable.map(game => {
+      const gameMinutes = Math.max(0, Math.min(MAX_GAME_MINUTES, tonightMinutes + (game.minutes - meanMinutes)));
+      const relativeRate = meanRate > 0 && game.minutes >= MIN_RATE_MINUTES
+        ? (game[pointsColumn] / game.minutes) / meanRate
+        : 1;
+      return Math.max(0, tonightRate * relativeRate * gameMinutes);
+    }).sort((a, b) => a - b);
+
+    const weight = usable.length / (usable.length + SHRINK_GAMES);
+    dist = Object.fromEntries(PERCENTILES.map(pct => {
+      const key = `p${pct}`;
+      return [key, weight * percentileOf(outcomes, pct) + (1 - weight) * league[key]];
+    }));
+  }
+
+  const mean = distributionMean(dist);
+  const scale = mean > 0 ? projection / mean : 1;
+  return {
+    ...Object.fromEntries(PERCENTILES.map(pct => [`p${pct}`, dist[`p${pct}`] * scale])),
+    games: usable.length
+  };
+}
+
+/**
+ * Fantasy points at cumulative probability u (inverse CDF)
+ */
+export function quantileAt(dist, u) {
+  const knots = getKnots(dist);
+  const clamped = Math.max(0, Math.min(1, u));
+  for (let i = 1; i < knots.length; i++) {
+    const [u1, v1] = knots[i];
+    if (clamped <= u1) {
+      const [u0, v0] = knots[i - 1];
+      return u1 > u0 ? v0 + (v1 - v0) * (clamped - u0) / (u1 - u0) : v1;
+    }
+  }
+  return knots[knots.length - 1][1];
+}
+
+/**
+ * P(outcome < points)
+ */
+export function probabilityBelow(dist, points) {
+  const knots = getKnots(dist);
+  if (points <= knots[0][1]) return 0;
+  for (let i = 1; i < knots.length; i++) {
+    const [u1, v1] = knots[i];
+    if (points <= v1) {
+      const [u0, v0] = knots[i - 1];
+      return v1 > v0 ? u0 + (u1 - u0) * (points - v0) / (v1 - v0) : u1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Mean of the piecewise-linear quantile function
+ */
+export function distributionMean(dist) {
+  const knots = getKnots(dist);
+  let mean = 0;
+  for (let i = 1; i < knots.length; i++) {
+    mean += (knots[i][0] - knots[i - 1][0]) * (knots[i][1] + knots[i - 1][1]) / 2;
+  }
+  return mean;
+}
+
+/**
+ * Standard deviation of the piecewise-linear quantile function
+ */
+export function distributionStdDev(dist) {
+  const knots = getKnots(dist);
+  let secondMoment = 0;
+  for (let i = 1; i < knots.length; i++) {
+    const a = knots[i - 1][1];
+    const b = knots[i][1];
+    secondMoment += (knots[i][0] - knots[i - 1][0]) * (a * a + a * b + b * b) / 3;
+  }
+  const mean = distributionMean(dist);
+  return Math.sqrt(Math.max(0, secondMoment - mean * mean));
+}
+
+/**
+ * A player's stored distribution, rescaled to the current projected_points
+ * (custom projections move the whole distribution). Null when not stored.
+ */
+export function getPlayerDistribution(player) {
+  if (PERCENTILES.some(pct => player[`p${pct}`] == null)) return null;
+  const dist = Object.fromEntries(PERCENTILES.map(pct => [`p${pct}`, player[`p${pct}`]]));
+  const mean = distributionMean(dist);
+  const projection = player.projected_points || 0;
+  if (!(mean > 0) || !(projection > 0)) return null;
+
+  const scale = projection / mean;
+  return Object.fromEntries(PERCENTILES.map(pct => [`p${pct}`, dist[`p${pct}`] * scale]));
+}
+
+/**
+ * Value (5x salary) and boom (value + 10) fantasy point thresholds
+ */
+export function getValueThresholds(salary) {
+  const value = (salary / 1000) * 5;
+  return { value, boom: value + 10 };
+}
+
+/**
+ * Boom (value + 10 or more) and bust (under value) probabilities in %
+ */
+export function getBoomBustProbabilities(dist, salary) {
+  if (!dist || !salary) return { boomProb: 0, bustProb: 0 };
+  const thresholds = getValueThresholds(salary);
+  return {
+    boomProb: (1 - probabilityBelow(dist, thresholds.boom)) * 100,
+    bustProb: probabilityBelow(dist, thresholds.value) * 100
+  };
+}
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun), maps correlated normal draws onto quantiles
+ */
+export function normalCDF(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989423 * Math.exp(-z * z / 2);
+  const prob = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return z > 0 ? 1 - prob : prob;
+}
+
+export default {
+  PERCENTILES,
+  LEAGUE_SHAPE,
+  buildDistribution,
+  quantileAt,
+  probabilityBelow,
+  distributionMean,
+  distributionStdDev,
+  getPlayerDistribution,
+  getValueThresholds,
+  getBoomBustProbabilities,
+  normalCDF
+};
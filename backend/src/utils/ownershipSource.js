@@ -0,0 +1,55 @@
+/**
+ * Ownership sources the optimizer and leverage score can use
+ *   rotowire - RotoWire's rostership
+ *   model    - our projected_ownership (services/ownershipService.js)
+ *   auto     - RotoWire when it has a number, our model otherwise
+ */
+export const OWNERSHIP_SOURCES = ['auto', 'rotowire', 'model'];
+
+export const DEFAULT_OWNERSHIP_SOURCE = 'auto';
+
+/**
+ * GPP leverage: high boom probability at low ownership
+ * Leverage = (Boom Probability × 100) / (Ownership % + 1)
+ */
+export function calculateLeverageScore(boomProbability, ownership) {
+  if (!ownership || ownership === 0) {
+    ownership = 1; // Avoid division by zero
+  }
+  return (boomProbability * 100) / (ownership + 1);
+}
+
+/**
+ * A player's ownership % from the chosen source (null when the source has none)
+ */
+export function getPlayerOwnership(player, source = DEFAULT_OWNERSHIP_SOURCE) {
+  const rotowire = player.rostership > 0 ? player.rostership : null;
+  const model = player.projected_ownership != null ? player.projected_ownership : null;
+
+  if (source === 'rotowire') return rotowire;
+  if (source === 'model') return model;
+  return rotowire ?? model;
+}
+
+/**
+ * Players with rostership and leverage_score taken from the chosen source.
+ * RotoWire's own numbers stay in rotowire_rostership / rotowire_leverage_score.
+ */
+export function applyOwnershipSource(players, source = DEFAULT_OWNERSHIP_SOURCE) {
+  if (source === 'rotowire') return players;
+
+  return players.map(player => {
+    const ownership = getPlayerOwnership(player, source);
+    if (ownership == null || ownership === player.rostership) return player;
+
+    return {
+      ...player,
+      rostership: ownership,
+      leverage_score: calculateLeverageScore(player.boom_probability || 0, ownership),
+      rotowire_rostership: player.rostership,
+      rotowire_leverage_score: player.leverage_score
+    };
+  });
+}
+
+export default { OWNERSHIP_SOURCES, DEFAULT_OWNERSHIP_SOURCE, calculateLeverageScore, getPlayerOwnership, applyOwnershipSource };
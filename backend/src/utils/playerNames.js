@@ -0,0 +1,35 @@
+/**
+ * Player name matching between RotoWire slates and historical box scores
+ */
+
+/**
+ * Lowercase and strip diacritics ("Nikola Jokić" → "nikola jokic")
+ */
+export function normalizePlayerName(name) {
+  if (!name) return '';
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Whether a historical player name appears on a roster of names, loosely
+ * (full name, last name, or one containing the other's last name)
+ */
+export function isOnRoster(playerName, roster) {
+  const nameNorm = normalizePlayerName(playerName);
+  const lastName = nameNorm.split(' ').pop();
+
+  return roster.some(rosterName => {
+    const rosterNameNorm = normalizePlayerName(rosterName);
+    const rosterLastName = rosterNameNorm.split(' ').pop();
+    return nameNorm === rosterNameNorm ||
+           lastName === rosterLastName ||
+           nameNorm.includes(rosterLastName) ||
+           rosterNameNorm.includes(lastName);
+  });
+}
+
+export default { normalizePlayerName, isOnRoster };
@@ -0,0 +1,112 @@
+/**
+ * Projection accuracy metrics: error summaries, calibration buckets and
+ * grouped breakdowns over { projected, actual } rows.
+ */
+
+// Projection buckets for calibration (fantasy points)
+export const PROJECTION_BUCKETS = [
+  { label: '0-10', max: 10 },
+  { label: '10-20', max: 20 },
+  { label: '20-30', max: 30 },
+  { label: '30-40', max: 40 },
+  { label: '40-50', max: 50 },
+  { label: '50+', max: Infinity }
+];
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * MAE, RMSE, bias (projected − actual), correlation and calibration slope
+ * (actual regressed on projected - 1 means projections spread like outcomes,
+ * below 1 means they are too spread out)
+ * @param {Array} rows - [{ projected, actual }]
+ */
+export function summarizeErrors(rows) {
+  const count = rows.length;
+  if (count === 0) {
+    return { count: 0, mae: null, rmse: null, bias: null, meanProjected: null, meanActual: null, correlation: null, calibrationSlope: null };
+  }
+
+  let absError = 0;
+  let squaredError = 0;
+  let error = 0;
+  let sumProjected = 0;
+  let sumActual = 0;
+  rows.forEach(({ projected, actual }) => {
+    const diff = projected - actual;
+    absError += Math.abs(diff);
+    squaredError += diff * diff;
+    error += diff;
+    sumProjected += projected;
+    sumActual += actual;
+  });
+
+  const meanProjected = sumProjected / count;
+  const meanActual = sumActual / count;
+  let covariance = 0;
+  let varProjected = 0;
+  let varActual = 0;
+  rows.forEach(({ projected, actual }) => {
+    covariance += (projected - meanProjected) * (actual - meanActual);
+    varProjected += (projected - meanProjected) ** 2;
+    varActual += (actual - meanActual) ** 2;
+  });
+
+  return {
+    count,
+    mae: round(absError / count),
+    rmse: round(Math.sqrt(squaredError / count)),
+    bias: round(error / count),
+    meanProjected: round(meanProjected),
+    meanActual: round(meanActual),
+    correlation: varProjected > 0 && varActual > 0 ? round(covariance / Math.sqrt(varProjected * varActual), 3) : null,
+    calibrationSlope: varProjected > 0 ? round(covariance / varProjected, 3) : null
+  };
+}
+
+/**
+ * Mean projected vs mean actual per projection bucket
+ * @returns {Array} [{ label, count, meanProjected, meanActual, bias }]
+ */
+export function getCalibration(rows, buckets = PROJECTION_BUCKETS) {
+  return buckets.map((bucket, i) => {
+    const min = i === 0 ? -Infinity : buckets[i - 1].max;
+    const inBucket = rows.filter(row => row.projected >= min && row.projected < bucket.max);
+    const summary = summarizeErrors(inBucket);
+    return {
+      label: bucket.label,
+      count: summary.count,
+      meanProjected: summary.meanProjected,
+      meanActual: summary.meanActual,
+      bias: summary.bias
+    };
+  });
+}
+
+/**
+ * summarizeErrors() per group, largest groups first
+ * @param {Function} getKey - row => group key
+ * @returns {Array} [{ key, count, mae, rmse, bias, ... }]
+ */
+export function groupErrors(rows, getKey) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.entries()]
+    .map(([key, groupRows]) => ({ key, ...summarizeErrors(groupRows) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+export default {
+  PROJECTION_BUCKETS,
+  summarizeErrors,
+  getCalibration,
+  groupErrors
+};
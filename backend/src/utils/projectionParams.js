@@ -0,0 +1,38 @@
+/**
+ * Coefficients of the enhanced projection (ProjectionService). These are the
+ * original hand-set values; the calibration job fits new sets and stores
+ * them in projection_params, and the active set overrides these.
+ */
+
+export const DEFAULT_PROJECTION_PARAMS = {
+  // Historical blend - weights of the sources a player has data for, normalized
+  blendWeights: {
+    seasonAvg: 0.35,     // Historical season average
+    last3Avg: 0.25,      // Last 3 games (momentum)
+    matchupAvg: 0.15,    // History vs this opponent
+    rotowire: 0.25,      // RotoWire expert projection
+    minutesModel: 0      // Projected minutes × per-minute rate (MinutesService) - off until calibration fits it
+  },
+  streakFactor: 0.4,                // Share of the L3-vs-season % applied as a streak adjustment
+  streakCap: 8,                     // Streak adjustment cap, ±% of baseline
+  usageBumpCap: 15,                 // Usage bump cap, % of baseline
+  venueWeight: 0.5,                 // Share of the player's home/away split applied
+  venueCap: 0.05,                   // Venue adjustment cap, ± share of baseline
+  b2bWeight: 0.6,                   // Share of the player's own B2B drop applied
+  defaultB2bPenalty: -2.0,          // FP on a B2B without personal B2B history
+  maxSituationalAdjustment: 0.20,   // Cap on streak + usage + venue + B2B, ± share of baseline
+  maxMatchupAdjustment: 0.20        // Cap on defense + DvP + pace + Vegas + blowout
+};
+
+/**
+ * A full parameter set: stored/partial params over the defaults
+ */
+export function resolveProjectionParams(params = {}) {
+  return {
+    ...DEFAULT_PROJECTION_PARAMS,
+    ...params,
+    blendWeights: { ...DEFAULT_PROJECTION_PARAMS.blendWeights, ...(params.blendWeights || {}) }
+  };
+}
+
+export default { DEFAULT_PROJECTION_PARAMS, resolveProjectionParams };
@@ -0,0 +1,37 @@
+/**
+ * Seeded random numbers so optimizer runs can be reproduced
+ */
+
+/**
+ * New 32-bit seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Random number generator (mulberry32) - same seed, same sequence
+ * @param {number} seed - 32-bit integer
+ * @returns {Function} () => number in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A seed from user input (number or numeric string), or null when invalid
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seed = Number(value);
+  return Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32 ? seed : null;
+}
+
+export default { randomSeed, createRandom, parseSeed };
@@ -0,0 +1,77 @@
+/**
+ * SITE PLAYER IDS
+ * The DraftKings/FanDuel player ID a lineup upload needs ("Name (12345678)")
+ *
+ * Sources, in order:
+ *   1. players.site_player_id (stored on sync)
+ *   2. raw RotoWire data (siteID, dkID, externalID, ...) for rows synced before
+ *      the column existed
+ *
+ * Showdown Captains have their own ID on DraftKings (captain_site_player_id).
+ */
+
+const RAW_ID_FIELDS = [
+  'siteID', 'siteId', 'site_id',
+  'sitePlayerID', 'sitePlayerId', 'site_player_id',
+  'dkID', 'dkId', 'dk_id', 'draftkingsID', 'draftkingsId',
+  'fdID', 'fdId', 'fd_id',
+  'externalID', 'externalId', 'external_id'
+];
+
+/**
+ * Normalize an ID value - numbers or numeric strings, nothing else
+ */
+function cleanId(value) {
+  if (value == null || typeof value === 'object') return null;
+  const text = String(value).trim();
+  return /^[\w-]+$/.test(text) && text !== '0' ? text : null;
+}
+
+/**
+ * Pull the DFS site player ID out of a raw RotoWire player object
+ * @returns {string|null}
+ */
+export function extractRawSitePlayerId(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  for (const field of RAW_ID_FIELDS) {
+    const id = cleanId(raw[field]);
+    if (id) return id;
+  }
+
+  // Some feeds nest it under the salary/site block
+  const nested = raw.site ?? raw.salaryInfo ?? raw.dfs;
+  if (nested && typeof nested === 'object') {
+    for (const field of ['id', 'playerID', 'playerId', ...RAW_ID_FIELDS]) {
+      const id = cleanId(nested[field]);
+      if (id) return id;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Site player ID for a stored player, for a slot ('CPT' uses the Captain ID)
+ * @param {Object} player - Player row (snake_case DB columns)
+ * @param {string} slot - Roster slot the player fills
+ * @returns {string|null}
+ */
+export function getSitePlayerId(player, slot = null) {
+  if (slot === 'CPT') {
+    return cleanId(player.captain_site_player_id);
+  }
+
+  const stored = cleanId(player.site_player_id);
+  if (stored) return stored;
+
+  if (!player.raw_data) return null;
+  try {
+    const raw = typeof player.raw_data === 'string' ? JSON.parse(player.raw_data) : player.raw_data;
+    return extractRawSitePlayerId(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+export default { extractRawSitePlayerId, getSitePlayerId };
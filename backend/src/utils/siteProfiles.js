@@ -0,0 +1,172 @@
+/**
+ * DFS SITE PROFILES
+ * Everything that differs between DraftKings and FanDuel classic NBA contests:
+ * scoring, salary cap, roster slots and which positions can fill each slot.
+ *
+ * Slots may repeat (FanDuel has two PG, two SG, ...). Code that needs one
+ * entry per slot should use getSlotCounts().
+ */
+
+const ALL_POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
+
+export const SITE_PROFILES = {
+  DK: {
+    site: 'DK',
+    name: 'DraftKings',
+    rotowireSiteId: 1,
+    salaryCap: 50000,
+    rosterSlots: ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'UTIL'],
+    slotEligibility: {
+      PG: ['PG'],
+      SG: ['SG'],
+      SF: ['SF'],
+      PF: ['PF'],
+      C: ['C'],
+      G: ['PG', 'SG'],
+      F: ['SF', 'PF'],
+      UTIL: ALL_POSITIONS
+    },
+    maxPerTeam: null,
+    scoring: {
+      points: 1,
+      fg3_made: 0.5,
+      rebounds: 1.25,
+      assists: 1.5,
+      steals: 2,
+      blocks: 2,
+      turnovers: -0.5,
+      doubleDouble: 1.5,
+      tripleDouble: 3
+    },
+    fantasyPointsColumn: 'dk_fantasy_points',
+    // Showdown Captain mode (single game)
+    showdown: {
+      slots: ['CPT', 'FLEX', 'FLEX', 'FLEX', 'FLEX', 'FLEX'],
+      captainMultiplier: 1.5
+    }
+  },
+  FD: {
+    site: 'FD',
+    name: 'FanDuel',
+    rotowireSiteId: 2,
+    salaryCap: 60000,
+    rosterSlots: ['PG', 'PG', 'SG', 'SG', 'SF', 'SF', 'PF', 'PF', 'C'],
+    slotEligibility: {
+      PG: ['PG'],
+      SG: ['SG'],
+      SF: ['SF'],
+      PF: ['PF'],
+      C: ['C']
+    },
+    maxPerTeam: 4,
+    scoring: {
+      points: 1,
+      fg3_made: 0,
+      rebounds: 1.2,
+      assists: 1.5,
+      steals: 3,
+      blocks: 3,
+      turnovers: -1,
+      doubleDouble: 0,
+      tripleDouble: 0
+    },
+    fantasyPointsColumn: 'fd_fantasy_points',
+    showdown: null
+  }
+};
+
+export const DEFAULT_SITE = 'DK';
+
+/**
+ * Look up a profile by site code ('DK', 'FD', 'draftkings', 'fanduel')
+ * Unknown or missing sites fall back to DraftKings.
+ */
+export function getSiteProfile(site = DEFAULT_SITE) {
+  const key = String(site || DEFAULT_SITE).toUpperCase();
+  if (SITE_PROFILES[key]) return SITE_PROFILES[key];
+  if (key === 'DRAFTKINGS') return SITE_PROFILES.DK;
+  if (key === 'FANDUEL') return SITE_PROFILES.FD;
+  return SITE_PROFILES[DEFAULT_SITE];
+}
+
+/**
+ * Is this a site code we support?
+ */
+export function isSupportedSite(site) {
+  return ['DK', 'FD', 'DRAFTKINGS', 'FANDUEL'].includes(String(site || '').toUpperCase());
+}
+
+/**
+ * Count of each slot in a roster - { PG: 2, SG: 2, ... }
+ */
+export function getSlotCounts(slots) {
+  return slots.reduce((counts, slot) => ({ ...counts, [slot]: (counts[slot] || 0) + 1 }), {});
+}
+
+/**
+ * Roster slots a player can fill given their positions
+ * @param {Array<string>} playerPositions - e.g. ['PG', 'SG']
+ */
+export function getEligibleSlots(playerPositions, profile = SITE_PROFILES[DEFAULT_SITE]) {
+  return Object.entries(profile.slotEligibility)
+    .filter(([slot, positions]) => playerPositions.some(pos => pos === slot || positions.includes(pos)))
+    .map(([slot]) => slot);
+}
+
+/**
+ * Fantasy points for a box score line under a site's scoring
+ */
+export function calculateFantasyPoints(stats, site = DEFAULT_SITE) {
+  const { scoring } = getSiteProfile(site);
+
+  const base =
+    (stats.points || 0) * scoring.points +
+    (stats.fg3_made || 0) * scoring.fg3_made +
+    (stats.rebounds || 0) * scoring.rebounds +
+    (stats.assists || 0) * scoring.assists +
+    (stats.steals || 0) * scoring.steals +
+    (stats.blocks || 0) * scoring.blocks +
+    (stats.turnovers || 0) * scoring.turnovers;
+
+  // Double-double and triple-double bonuses
+  const categories = [
+    stats.points || 0,
+    stats.rebounds || 0,
+    stats.assists || 0,
+    stats.steals || 0,
+    stats.blocks || 0
+  ];
+  const doubleDigits = categories.filter(c => c >= 10).length;
+
+  const ddBonus = doubleDigits >= 2 ? scoring.doubleDouble : 0;
+  const tdBonus = doubleDigits >= 3 ? scoring.tripleDouble : 0;
+
+  return Math.round((base + ddBonus + tdBonus) * 10) / 10;
+}
+
+/**
+ * Public view of a profile for the API/frontend (no internals)
+ */
+export function describeSiteProfile(profile) {
+  return {
+    site: profile.site,
+    name: profile.name,
+    salaryCap: profile.salaryCap,
+    rosterSlots: profile.rosterSlots,
+    slotEligibility: profile.slotEligibility,
+    maxPerTeam: profile.maxPerTeam,
+    scoring: profile.scoring,
+    showdown: profile.showdown
+  };
+}
+
+export default {
+  SITE_PROFILES,
+  DEFAULT_SITE,
+  getSiteProfile,
+  isSupportedSite,
+  getSlotCounts,
+  getEligibleSlots,
+  calculateFantasyPoints,
+  describeSiteProfile
+};
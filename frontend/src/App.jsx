@@ -7,6 +7,9 @@ import LineupsPage from './pages/LineupsPage';
 import OptimizerPage from './pages/OptimizerPage';
 import ChatPage from './pages/ChatPage';
 import InsightsPage from './pages/InsightsPage';
+import ResultsPage from './pages/ResultsPage';
+import PortfoliosPage from './pages/PortfoliosPage';
+import BacktestPage from './pages/BacktestPage';
 
 function Navigation() {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -19,6 +22,9 @@ function Navigation() {
     { to: '/lineup-builder', label: 'Lineup Builder' },
     { to: '/optimizer', label: 'Optimizer' },
     { to: '/lineups', label: 'My Lineups' },
+    { to: '/portfolios', label: 'Portfolios' },
+    { to: '/results', label: 'Results' },
+    { to: '/backtest', label: 'Backtest' },
     { to: '/chat', label: 'AI Chat' },
   ];
 
@@ -120,6 +126,9 @@ function App() {
                   <Route path="/lineup-builder" element={<LineupBuilderPage />} />
                   <Route path="/optimizer" element={<OptimizerPage />} />
                   <Route path="/lineups" element={<LineupsPage />} />
+                  <Route path="/portfolios" element={<PortfoliosPage />} />
+                  <Route path="/results" element={<ResultsPage />} />
+                  <Route path="/backtest" element={<BacktestPage />} />
                 </Routes>
               </main>
             }
@@ -0,0 +1,681 @@
+import { useState, useEffect } from 'react';
+import { backtestsAPI, calibrationAPI } from '../services/api';
+
+const ADJUSTMENT_LABELS = {
+  streak: 'Hot/cold streak',
+  usageBump: 'Usage bump',
+  venue: 'Home/away',
+  b2b: 'Back-to-back',
+  defense: 'Defense efficiency',
+  dvp: 'DvP',
+  pace: 'Pace',
+  vegas: 'Vegas',
+  blowout: 'Blowout',
+};
+
+const formatSigned = (value) => (value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value}`);
+
+// Lower MAE is better, so a negative change is good
+const changeClass = (value) => (value < 0 ? 'text-green-600' : value > 0 ? 'text-red-600' : 'text-gray-700');
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-3">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-xl font-bold text-gray-900">{value ?? '-'}</div>
+      {hint && <div className="text-xs text-gray-500">{hint}</div>}
+    </div>
+  );
+}
+
+function ErrorTable({ title, rows, labelHeader, getLabel = (row) => row.key }) {
+  if (!rows || rows.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-x-auto">
+      <h2 className="font-semibold text-gray-900 px-4 pt-4">{title}</h2>
+      <table className="min-w-full text-sm mt-2">
+        <thead className="bg-gray-50 text-gray-600">
+          <tr>
+            <th className="px-4 py-2 text-left">{labelHeader}</th>
+            <th className="px-4 py-2 text-right">Player-Games</th>
+            <th className="px-4 py-2 text-right">MAE</th>
+            <th className="px-4 py-2 text-right">RMSE</th>
+            <th className="px-4 py-2 text-right">Bias</th>
+            <th className="px-4 py-2 text-right">Proj</th>
+            <th className="px-4 py-2 text-right">Actual</th>
+            <th className="px-4 py-2 text-right">Corr</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="border-t border-gray-100">
+              <td className="px-4 py-2">{getLabel(row)}</td>
+              <td className="px-4 py-2 text-right">{row.count.toLocaleString()}</td>
+              <td className="px-4 py-2 text-right font-medium">{row.mae ?? '-'}</td>
+              <td className="px-4 py-2 text-right">{row.rmse ?? '-'}</td>
+              <td className="px-4 py-2 text-right">{formatSigned(row.bias)}</td>
+              <td className="px-4 py-2 text-right">{row.meanProjected ?? '-'}</td>
+              <td className="px-4 py-2 text-right">{row.meanActual ?? '-'}</td>
+              <td className="px-4 py-2 text-right">{row.correlation ?? '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function BacktestReport({ backtest }) {
+  const { report } = backtest;
+  const { overall, coverage } = report;
+  const maxCalibration = Math.max(...report.calibration.map(bucket => Math.max(bucket.meanProjected || 0, bucket.meanActual || 0)), 1);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-4 space-y-3">
+        <h2 className="font-semibold text-gray-900">
+          Backtest #{backtest.id}: {backtest.date_from} → {backtest.date_to}
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {backtest.dates_tested} date(s), {coverage.playerGames.toLocaleString()} player-games
+          </span>
+        </h2>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          <StatCard label="MAE" value={overall.mae} hint="FP per player" />
+          <StatCard label="RMSE" value={overall.rmse} />
+          <StatCard label="Bias" value={formatSigned(overall.bias)} hint="Projected − actual" />
+          <StatCard label="Correlation" value={overall.correlation} />
+          <StatCard label="Calibration slope" value={overall.calibrationSlope} hint="1 = well spread" />
+          <StatCard label="Enhanced" value={`${coverage.enhanced.toLocaleString()}`} hint={`${coverage.fallback} fallback, ${coverage.skipped} skipped`} />
+        </div>
+        <p className="text-xs text-gray-500">
+          {coverage.withSlateInputs.toLocaleString()} player-games had an imported DK slate (RotoWire, Vegas, salary).
+        </p>
+      </div>
+
+      {/* Baselines */}
+      <ErrorTable
+        title="Projection vs Baselines"
+        rows={report.baselines}
+        labelHeader="Projection"
+        getLabel={(row) => row.label}
+      />
+
+      {/* Calibration */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <h2 className="font-semibold text-gray-900 mb-3">Calibration</h2>
+        <div className="space-y-2">
+          {report.calibration.map(bucket => (
+            <div key={bucket.label} className="grid grid-cols-12 gap-2 items-center text-sm">
+              <div className="col-span-2 text-gray-700">{bucket.label} FP</div>
+              <div className="col-span-7 space-y-1">
+                <div className="h-2 bg-blue-400 rounded" style={{ width: `${((bucket.meanProjected || 0) / maxCalibration) * 100}%` }} />
+                <div className="h-2 bg-green-500 rounded" style={{ width: `${((bucket.meanActual || 0) / maxCalibration) * 100}%` }} />
+              </div>
+              <div className="col-span-3 text-right text-gray-600">
+                {bucket.count > 0
+                  ? <>{bucket.meanProjected} → {bucket.meanActual} <span className="text-gray-400">({bucket.count})</span></>
+                  : <span className="text-gray-400">no players</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-4 mt-3 text-xs text-gray-500">
+          <span><span className="inline-block w-3 h-2 bg-blue-400 rounded mr-1" />Mean projected</span>
+          <span><span className="inline-block w-3 h-2 bg-green-500 rounded mr-1" />Mean actual</span>
+        </div>
+      </div>
+
+      {/* Adjustments */}
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <h2 className="font-semibold text-gray-900 px-4 pt-4">Adjustments</h2>
+        <p className="text-xs text-gray-500 px-4">Error on the player-games where each adjustment fired, with it and with it set to 0</p>
+        <table className="min-w-full text-sm mt-2">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-4 py-2 text-left">Adjustment</th>
+              <th className="px-4 py-2 text-right">Fired</th>
+              <th className="px-4 py-2 text-right">Avg Adj</th>
+              <th className="px-4 py-2 text-right">MAE</th>
+              <th className="px-4 py-2 text-right">MAE Without</th>
+              <th className="px-4 py-2 text-right">Change</th>
+              <th className="px-4 py-2 text-right">Bias</th>
+              <th className="px-4 py-2 text-right">Bias Without</th>
+              <th className="px-4 py-2 text-right">Helped</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.adjustments.map(adjustment => (
+              <tr key={adjustment.key} className="border-t border-gray-100">
+                <td className="px-4 py-2">
+                  {ADJUSTMENT_LABELS[adjustment.key] || adjustment.key}
+                  {!adjustment.pointInTime && (
+                    <span className="ml-1 text-xs text-yellow-600" title="Uses today's team defense tables">⚠</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right">
+                  {adjustment.active.toLocaleString()} <span className="text-gray-400">({adjustment.activePct}%)</span>
+                </td>
+                <td className="px-4 py-2 text-right">{formatSigned(adjustment.avgAdjustment)}</td>
+                <td className="px-4 py-2 text-right">{adjustment.mae ?? '-'}</td>
+                <td className="px-4 py-2 text-right">{adjustment.maeWithout ?? '-'}</td>
+                <td className={`px-4 py-2 text-right font-medium ${changeClass(adjustment.maeChange)}`}>
+                  {formatSigned(adjustment.maeChange)}
+                </td>
+                <td className="px-4 py-2 text-right">{formatSigned(adjustment.bias)}</td>
+                <td className="px-4 py-2 text-right">{formatSigned(adjustment.biasWithout)}</td>
+                <td className="px-4 py-2 text-right">{adjustment.hitRate !== null ? `${adjustment.hitRate}%` : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ErrorTable title="By Salary Tier" rows={report.bySalaryTier} labelHeader="Tier" />
+        <ErrorTable title="By Position" rows={report.byPosition} labelHeader="Position" />
+      </div>
+
+      {/* Minutes model (older reports don't have it) */}
+      {report.minutes?.overall.count > 0 && (
+        <div className="space-y-3">
+          <div className="bg-white rounded-lg shadow p-4 space-y-3">
+            <h2 className="font-semibold text-gray-900">Minutes Model</h2>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <StatCard label="Minutes MAE" value={report.minutes.overall.mae} hint={`${report.minutes.overall.count.toLocaleString()} player-games`} />
+              <StatCard label="Bias" value={formatSigned(report.minutes.overall.bias)} hint="Projected − actual minutes" />
+              <StatCard label="Within ±1 SD" value={report.minutes.withinOneStdPct !== null ? `${report.minutes.withinOneStdPct}%` : null} hint="~68% if the spread is right" />
+              <StatCard label="Model MAE (RotoWire dates)" value={report.minutes.modelVsRotowire.mae} hint={`${report.minutes.modelVsRotowire.count.toLocaleString()} player-games`} />
+              <StatCard label="RotoWire MAE" value={report.minutes.rotowire.mae} hint="Same player-games" />
+            </div>
+          </div>
+          <ErrorTable title="Minutes by Role" rows={report.minutes.byRole} labelHeader="Role" />
+        </div>
+      )}
+
+      {/* Biggest misses */}
+      {report.biggestMisses.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <h2 className="font-semibold text-gray-900 px-4 pt-4">Biggest Misses</h2>
+          <table className="min-w-full text-sm mt-2">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-4 py-2 text-left">Date</th>
+                <th className="px-4 py-2 text-left">Player</th>
+                <th className="px-4 py-2 text-right">Projected</th>
+                <th className="px-4 py-2 text-right">Actual</th>
+                <th className="px-4 py-2 text-right">Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.biggestMisses.map(miss => (
+                <tr key={`${miss.date}-${miss.name}`} className="border-t border-gray-100">
+                  <td className="px-4 py-2 text-gray-600">{miss.date}</td>
+                  <td className="px-4 py-2">{miss.name} <span className="text-xs text-gray-500">{miss.team}</span></td>
+                  <td className="px-4 py-2 text-right">{miss.projected}</td>
+                  <td className="px-4 py-2 text-right">{miss.actual}</td>
+                  <td className={`px-4 py-2 text-right ${miss.error > 0 ? 'text-red-600' : 'text-green-600'}`}>{formatSigned(miss.error)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {report.caveats?.length > 0 && (
+        <ul className="text-xs text-gray-500 list-disc pl-5 space-y-1">
+          {report.caveats.map(caveat => <li key={caveat}>{caveat}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const PARAM_LABELS = {
+  'blendWeights.seasonAvg': 'Blend: season avg',
+  'blendWeights.last3Avg': 'Blend: last 3',
+  'blendWeights.matchupAvg': 'Blend: vs opponent',
+  'blendWeights.rotowire': 'Blend: RotoWire',
+  'blendWeights.minutesModel': 'Blend: minutes model',
+  streakFactor: 'Streak factor',
+  streakCap: 'Streak cap (%)',
+  usageBumpCap: 'Usage bump cap (%)',
+  venueWeight: 'Home/away weight',
+  venueCap: 'Home/away cap',
+  b2bWeight: 'B2B weight',
+  defaultB2bPenalty: 'Default B2B penalty',
+  maxSituationalAdjustment: 'Situational cap',
+  maxMatchupAdjustment: 'Matchup cap',
+};
+
+const getParam = (params, key) => key.split('.').reduce((value, part) => value?.[part], params);
+
+// Fitted projection parameter sets: run a walk-forward calibration, activate or roll back
+function CalibrationPanel({ range }) {
+  const [sets, setSets] = useState([]);
+  const [active, setActive] = useState(null);
+  const [folds, setFolds] = useState(4);
+  const [activateMode, setActivateMode] = useState('ifBetter');
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const loadSets = async () => {
+    try {
+      const [setsResponse, activeResponse] = await Promise.all([calibrationAPI.getParams(), calibrationAPI.getActive()]);
+      setSets(setsResponse.data);
+      setActive(activeResponse.data);
+    } catch (error) {
+      console.error('Error loading parameter sets:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadSets();
+    calibrationAPI.getStatus()
+      .then(response => {
+        if (response.data.isRunning) {
+          setRunning(true);
+          setProgress(response.data.progress);
+        }
+      })
+      .catch(error => console.error('Error loading calibration status:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!running) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await calibrationAPI.getStatus();
+        const status = response.data.progress;
+        setProgress(status);
+
+        if (!response.data.isRunning) {
+          setRunning(false);
+          if (status?.status === 'complete') {
+            setMessage(
+              `${status.activated ? '✅' : 'ℹ️'} Set #${status.setId}: out-of-sample MAE ${status.oosMae} vs ${status.baselineOosMae} for the active set - ` +
+              (status.activated ? 'activated. Re-run enhanced projections to apply it.' : 'stored, not activated.')
+            );
+            loadSets();
+          } else if (status?.status === 'error') {
+            setMessage(`❌ Calibration failed: ${status.error}`);
+          }
+        }
+      } catch (error) {
+        console.error('Error polling calibration status:', error);
+      }
+    }, 2000);
+
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const handleRun = async () => {
+    try {
+      await calibrationAPI.run({
+        ...range,
+        folds,
+        activate: activateMode === 'ifBetter' ? 'ifBetter' : activateMode === 'always',
+      });
+      setMessage('');
+      setProgress({ status: 'starting' });
+      setRunning(true);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleActivate = async (id) => {
+    try {
+      await calibrationAPI.activate(id);
+      setMessage(`✅ Set #${id} is active. Re-run enhanced projections to apply it.`);
+      loadSets();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleRollback = async () => {
+    try {
+      const response = await calibrationAPI.rollback();
+      setMessage(`⏪ Rolled back to set #${response.data.set.id}. Re-run enhanced projections to apply it.`);
+      loadSets();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const activeSet = sets.find(set => set.is_active);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="font-semibold text-gray-900">Projection Calibration</h2>
+          <p className="text-xs text-gray-500">Fit blend weights and adjustment coefficients with walk-forward validation over the date range above</p>
+        </div>
+        <button
+          onClick={handleRollback}
+          disabled={!activeSet?.replaced_id}
+          className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800 disabled:bg-gray-300"
+        >
+          Roll Back
+        </button>
+      </div>
+
+      {message && <div className="bg-blue-50 border border-blue-200 rounded p-2 text-sm text-gray-800">{message}</div>}
+
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Walk-forward Folds</label>
+          <input
+            type="number"
+            value={folds}
+            onChange={(e) => setFolds(Math.max(1, Math.min(10, parseInt(e.target.value) || 1)))}
+            min="1"
+            max="10"
+            className="w-24 px-3 py-2 text-sm border border-gray-300 rounded-md"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Activate</label>
+          <select
+            value={activateMode}
+            onChange={(e) => setActivateMode(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+          >
+            <option value="ifBetter">If it beats the active set</option>
+            <option value="always">Always</option>
+            <option value="never">Never (review first)</option>
+          </select>
+        </div>
+        <button
+          onClick={handleRun}
+          disabled={running}
+          className="px-4 py-2 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+        >
+          {running ? 'Calibrating...' : 'Run Calibration'}
+        </button>
+        {running && progress && (
+          <span className="text-xs text-gray-500">
+            {progress.phase === 'collecting' && `Collecting ${progress.processed}/${progress.total} dates (${(progress.samples || 0).toLocaleString()} player-games)`}
+            {progress.phase === 'validating' && `Validated fold ${progress.fold}/${progress.folds}`}
+            {progress.phase === 'fitting' && 'Fitting on every date'}
+            {!progress.phase && 'Starting...'}
+          </span>
+        )}
+      </div>
+
+      {sets.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-3 py-2 text-left">Set</th>
+                <th className="px-3 py-2 text-left">Trained On</th>
+                <th className="px-3 py-2 text-right">Player-Games</th>
+                <th className="px-3 py-2 text-right">OOS MAE</th>
+                <th className="px-3 py-2 text-right">Active Set OOS MAE</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sets.map(set => (
+                <tr key={set.id} className={`border-t border-gray-100 ${set.is_active ? 'bg-green-50' : ''}`}>
+                  <td className="px-3 py-2">
+                    #{set.id} <span className="text-xs text-gray-500">{set.source === 'default' ? 'hand-set defaults' : new Date(set.created_at).toLocaleString()}</span>
+                    {set.is_active ? <span className="ml-2 text-xs font-medium text-green-700">ACTIVE</span> : null}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{set.train_from ? `${set.train_from} → ${set.train_to}` : '-'}</td>
+                  <td className="px-3 py-2 text-right">{set.samples?.toLocaleString() ?? '-'}</td>
+                  <td className={`px-3 py-2 text-right font-medium ${set.oos_mae !== null && set.baseline_oos_mae !== null ? changeClass(set.oos_mae - set.baseline_oos_mae) : ''}`}>
+                    {set.oos_mae ?? '-'}
+                  </td>
+                  <td className="px-3 py-2 text-right">{set.baseline_oos_mae ?? '-'}</td>
+                  <td className="px-3 py-2 text-right">
+                    {!set.is_active && (
+                      <button onClick={() => handleActivate(set.id)} className="text-xs text-blue-600 hover:text-blue-800">Activate</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {active && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+          {Object.keys(PARAM_LABELS).map(key => {
+            const value = getParam(active.params, key);
+            const fallback = getParam(active.defaults, key);
+            return (
+              <div key={key} className="bg-gray-50 rounded px-3 py-2">
+                <div className="text-xs text-gray-500">{PARAM_LABELS[key]}</div>
+                <div className="font-medium text-gray-900">
+                  {value}
+                  {value !== fallback && <span className="ml-1 text-xs text-gray-400">(default {fallback})</span>}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BacktestPage() {
+  const [backtests, setBacktests] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [minMinutes, setMinMinutes] = useState(1);
+  const [maxDates, setMaxDates] = useState(30);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadBacktests();
+    // Pick up a backtest started before the page was opened
+    backtestsAPI.getStatus()
+      .then(response => {
+        if (response.data.isRunning) {
+          setRunning(true);
+          setProgress(response.data.progress);
+        }
+      })
+      .catch(error => console.error('Error loading backtest status:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!running) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await backtestsAPI.getStatus();
+        const status = response.data.progress;
+        setProgress(status);
+
+        if (!response.data.isRunning) {
+          setRunning(false);
+          if (status?.status === 'complete') {
+            setMessage(`✅ Backtest complete: ${status.playerGames.toLocaleString()} player-games`);
+            loadBacktests();
+            loadBacktest(status.backtestId);
+          } else if (status?.status === 'error') {
+            setMessage(`❌ Backtest failed: ${status.error}`);
+          }
+        }
+      } catch (error) {
+        console.error('Error polling backtest status:', error);
+      }
+    }, 2000);
+
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const loadBacktests = async () => {
+    try {
+      const response = await backtestsAPI.getAll();
+      setBacktests(response.data);
+    } catch (error) {
+      console.error('Error loading backtests:', error);
+    }
+  };
+
+  const loadBacktest = async (id) => {
+    try {
+      const response = await backtestsAPI.getById(id);
+      setSelected(response.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleRun = async () => {
+    try {
+      await backtestsAPI.run({
+        from: from || null,
+        to: to || null,
+        minMinutes,
+        maxDates: maxDates || null,
+      });
+      setMessage('');
+      setProgress({ status: 'starting', processed: 0, total: 0 });
+      setRunning(true);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm(`Delete backtest #${id}?`)) return;
+    try {
+      await backtestsAPI.delete(id);
+      if (selected?.id === id) setSelected(null);
+      loadBacktests();
+    } catch (error) {
+      setMessage(`❌ Delete failed: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Projection Backtest</h1>
+        <p className="text-gray-600 mt-1">Replay the enhanced projection over past games using only earlier data, score it against actual DK points, and fit its coefficients</p>
+      </div>
+
+      {message && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-gray-800">{message}</div>
+      )}
+
+      {/* Run */}
+      <div className="bg-white rounded-lg shadow p-4 space-y-3">
+        <h2 className="font-semibold text-gray-900">Run Backtest</h2>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">From</label>
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md" />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">To</label>
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md" />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Min Minutes Played</label>
+            <input
+              type="number"
+              value={minMinutes}
+              onChange={(e) => setMinMinutes(Math.max(0, parseInt(e.target.value) || 0))}
+              min="0"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Max Dates (0 = every date)</label>
+            <input
+              type="number"
+              value={maxDates}
+              onChange={(e) => setMaxDates(Math.max(0, parseInt(e.target.value) || 0))}
+              min="0"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+          </div>
+        </div>
+        <div className="flex items-center gap-4">
+          <button
+            onClick={handleRun}
+            disabled={running}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? 'Running...' : 'Run Backtest'}
+          </button>
+          {running && progress && (
+            <div className="flex-1">
+              <div className="h-2 bg-gray-200 rounded">
+                <div className="h-2 bg-blue-600 rounded" style={{ width: `${progress.percent || 0}%` }} />
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {progress.date ? `${progress.date} - ` : ''}{progress.processed || 0}/{progress.total || '?'} dates, {(progress.playerGames || 0).toLocaleString()} player-games
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* History */}
+      {backtests.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <h2 className="font-semibold text-gray-900 px-4 pt-4">Past Backtests</h2>
+          <table className="min-w-full text-sm mt-2">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-4 py-2 text-left">Run</th>
+                <th className="px-4 py-2 text-left">Dates</th>
+                <th className="px-4 py-2 text-right">Player-Games</th>
+                <th className="px-4 py-2 text-right">MAE</th>
+                <th className="px-4 py-2 text-right">RMSE</th>
+                <th className="px-4 py-2 text-right">Bias</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {backtests.map(backtest => (
+                <tr key={backtest.id} className={`border-t border-gray-100 ${selected?.id === backtest.id ? 'bg-blue-50' : ''}`}>
+                  <td className="px-4 py-2">
+                    <button onClick={() => loadBacktest(backtest.id)} className="text-blue-600 hover:underline">
+                      #{backtest.id}
+                    </button>
+                    <span className="ml-2 text-xs text-gray-500">{new Date(backtest.created_at).toLocaleString()}</span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {backtest.date_from} → {backtest.date_to} ({backtest.dates_tested})
+                  </td>
+                  <td className="px-4 py-2 text-right">{backtest.player_games.toLocaleString()}</td>
+                  <td className="px-4 py-2 text-right font-medium">{backtest.mae}</td>
+                  <td className="px-4 py-2 text-right">{backtest.rmse}</td>
+                  <td className="px-4 py-2 text-right">{formatSigned(backtest.bias)}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button onClick={() => handleDelete(backtest.id)} className="text-xs text-red-600 hover:text-red-800">Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <CalibrationPanel
+        range={{ from: from || null, to: to || null, minMinutes, maxDates: maxDates || null }}
+      />
+
+      {selected && <BacktestReport backtest={selected} />}
+    </div>
+  );
+}
+
+export default BacktestPage;
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { slatesAPI, playersAPI } from '../services/api';
 
 function HomePage() {
+  const [site, setSite] = useState('DK');
   const [availableSlates, setAvailableSlates] = useState([]);
   const [selectedSlate, setSelectedSlate] = useState(null);
   const [activeSlate, setActiveSlate] = useState(null);
@@ -15,15 +16,15 @@ function HomePage() {
     loadActiveSlate();
   }, []);
 
-  const loadAvailableSlates = async () => {
+  const loadAvailableSlates = async (siteCode = site) => {
     setLoadingSlates(true);
     try {
-      const response = await slatesAPI.getAvailableSlates();
+      const response = await slatesAPI.getAvailableSlates(siteCode);
       setAvailableSlates(response.data);
 
       // Auto-select the default slate if available
       const defaultSlate = response.data.find(slate => slate.isDefault);
-      if (defaultSlate && !selectedSlate) {
+      if (defaultSlate) {
         setSelectedSlate(defaultSlate);
       }
     } catch (error) {
@@ -43,6 +44,14 @@ function HomePage() {
     }
   };
 
+  const handleSiteChange = (e) => {
+    const siteCode = e.target.value;
+    setSite(siteCode);
+    setSelectedSlate(null);
+    setAvailableSlates([]);
+    loadAvailableSlates(siteCode);
+  };
+
   const handleSlateChange = (e) => {
     const slateId = e.target.value;
     const slate = availableSlates.find(s => s.slateId === slateId);
@@ -59,8 +68,17 @@ function HomePage() {
     setMessage('');
 
     try {
-      const response = await playersAPI.syncFromRotoWire(slate.slateId, { name: slate.name });
-      setMessage(`✅ Successfully imported ${response.data.count} players for ${slate.name}! This is now your active slate.`);
+      const response = await playersAPI.syncFromRotoWire(slate.slateId, {
+        name: slate.name,
+        contestType: slate.contestType,
+        salaryCap: slate.salaryCap,
+        site: slate.site || site
+      });
+      const { affectedLineups } = response.data.injuryAlerts || {};
+      setMessage(
+        `✅ Successfully imported ${response.data.count} players for ${slate.name}! This is now your active slate.` +
+        (affectedLineups > 0 ? ` 🚑 ${affectedLineups} saved lineup(s) have OUT/Doubtful players - review swaps on My Lineups.` : '')
+      );
       loadActiveSlate(); // Reload the active slate
     } catch (error) {
       setMessage(`❌ Error: ${error.response?.data?.error || error.message}`);
@@ -77,7 +95,7 @@ function HomePage() {
           NBA DFS Lineup Optimizer
         </h1>
         <p className="text-base sm:text-lg text-gray-600">
-          Build and optimize DraftKings lineups with AI assistance
+          Build and optimize DraftKings and FanDuel lineups with AI assistance
         </p>
       </div>
 
@@ -89,6 +107,21 @@ function HomePage() {
         </p>
 
         <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Site
+            </label>
+            <select
+              value={site}
+              onChange={handleSiteChange}
+              disabled={loading || loadingSlates}
+              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:cursor-not-allowed"
+            >
+              <option value="DK">DraftKings</option>
+              <option value="FD">FanDuel</option>
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Available Slates
@@ -107,7 +140,7 @@ function HomePage() {
                 <option value="">Select a slate...</option>
                 {availableSlates.map((slate) => (
                   <option key={slate.slateId} value={slate.slateId}>
-                    {slate.name} - {slate.startTime} ({slate.games} games)
+                    {slate.name} - {slate.startTime} ({slate.games} games){slate.contestType === 'Showdown' ? ' - Showdown' : ''}
                   </option>
                 ))}
               </select>
@@ -181,6 +214,9 @@ function HomePage() {
                   <p className="text-sm text-gray-600">
                     <span className="font-medium">Slate ID:</span> {activeSlate.slate_id}
                   </p>
+                  <p className="text-sm text-gray-600">
+                    <span className="font-medium">Site:</span> {activeSlate.site === 'FD' ? 'FanDuel' : 'DraftKings'}
+                  </p>
                   <p className="text-sm text-gray-600">
                     <span className="font-medium">Last updated:</span>{' '}
                     {new Date(activeSlate.updated_at).toLocaleString()}
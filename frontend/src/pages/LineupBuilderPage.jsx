@@ -1,34 +1,82 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import { playersAPI, lineupsAPI } from '../services/api';
+import { playersAPI, lineupsAPI, slatesAPI } from '../services/api';
 
-const DK_POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'UTIL'];
-const SALARY_CAP = 50000;
+// DraftKings roster until the slate's site profile is loaded
+const DEFAULT_PROFILE = {
+  site: 'DK',
+  name: 'DraftKings',
+  salaryCap: 50000,
+  rosterSlots: ['PG', 'SG', 'SF', 'PF', 'C', 'G', 'F', 'UTIL'],
+  slotEligibility: {
+    PG: ['PG'],
+    SG: ['SG'],
+    SF: ['SF'],
+    PF: ['PF'],
+    C: ['C'],
+    G: ['PG', 'SG'],
+    F: ['SF', 'PF'],
+    UTIL: ['PG', 'SG', 'SF', 'PF', 'C']
+  }
+};
 
 function LineupBuilderPage() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const [slateId, setSlateId] = useState(searchParams.get('slateId') || '');
+  const [editingLineupId] = useState(searchParams.get('lineupId'));
   const [players, setPlayers] = useState([]);
-  const [lineup, setLineup] = useState(Array(8).fill(null));
+  const [siteProfile, setSiteProfile] = useState(DEFAULT_PROFILE);
+  const [lineup, setLineup] = useState(Array(DEFAULT_PROFILE.rosterSlots.length).fill(null));
   const [lineupName, setLineupName] = useState('My Lineup');
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
 
-  // Only auto-load on initial mount if slateId is in URL
+  // Only auto-load on initial mount if slateId or lineupId is in URL
   useEffect(() => {
-    const urlSlateId = searchParams.get('slateId');
-    if (urlSlateId) {
+    if (editingLineupId) {
+      loadSavedLineup(editingLineupId);
+    } else if (searchParams.get('slateId')) {
       loadPlayers();
     }
   }, []); // Empty dependency array - only runs once on mount
 
-  const loadPlayers = async () => {
+  // Editing a saved lineup - load its slate and put its players in their slots
+  const loadSavedLineup = async (lineupId) => {
+    try {
+      const response = await lineupsAPI.getById(lineupId);
+      setSlateId(response.data.slate_id);
+      setLineupName(response.data.name);
+      await loadPlayers(response.data.slate_id, response.data.players);
+    } catch (error) {
+      console.error('Error loading lineup:', error);
+      setMessage('Error loading lineup');
+    }
+  };
+
+  const loadPlayers = async (id = slateId, savedPlayers = null) => {
     setLoading(true);
     try {
-      const response = await playersAPI.getBySlateId(slateId);
+      const [response, slateResponse, sitesResponse] = await Promise.all([
+        playersAPI.getBySlateId(id),
+        slatesAPI.getById(id).catch(() => null),
+        slatesAPI.getSites().catch(() => null)
+      ]);
       setPlayers(response.data);
+
+      // Roster slots and cap follow the slate's site (DraftKings or FanDuel)
+      const site = slateResponse?.data?.site || 'DK';
+      const profile = sitesResponse?.data?.find(p => p.site === site) || DEFAULT_PROFILE;
+      setSiteProfile(profile);
+
+      const remaining = [...(savedPlayers || [])];
+      setLineup(profile.rosterSlots.map(slot => {
+        const index = remaining.findIndex(p => p.position_slot === slot);
+        if (index === -1) return null;
+        const [player] = remaining.splice(index, 1);
+        return { ...player, positionSlot: slot };
+      }));
     } catch (error) {
       console.error('Error loading players:', error);
       setMessage('Error loading players');
@@ -37,9 +85,12 @@ function LineupBuilderPage() {
     }
   };
 
+  const ROSTER_SLOTS = siteProfile.rosterSlots;
+  const SALARY_CAP = siteProfile.salaryCap;
+
   const addPlayerToLineup = (player, slotIndex) => {
     const newLineup = [...lineup];
-    newLineup[slotIndex] = { ...player, positionSlot: DK_POSITIONS[slotIndex] };
+    newLineup[slotIndex] = { ...player, positionSlot: ROSTER_SLOTS[slotIndex] };
     setLineup(newLineup);
   };
 
@@ -50,18 +101,8 @@ function LineupBuilderPage() {
   };
 
   const canPlayerFitPosition = (player, position) => {
-    const pos = player.position;
-
-    if (position === 'PG') return pos.includes('PG');
-    if (position === 'SG') return pos.includes('SG');
-    if (position === 'SF') return pos.includes('SF');
-    if (position === 'PF') return pos.includes('PF');
-    if (position === 'C') return pos.includes('C');
-    if (position === 'G') return pos.includes('PG') || pos.includes('SG');
-    if (position === 'F') return pos.includes('SF') || pos.includes('PF');
-    if (position === 'UTIL') return true;
-
-    return false;
+    const eligible = siteProfile.slotEligibility[position] || [];
+    return player.position.split(',').map(pos => pos.trim()).some(pos => pos === position || eligible.includes(pos));
   };
 
   const isPlayerInLineup = (playerId) => {
@@ -74,12 +115,12 @@ function LineupBuilderPage() {
   const filledSlots = lineup.filter(p => p !== null).length;
 
   const isLineupValid = () => {
-    return filledSlots === 8 && totalSalary <= SALARY_CAP;
+    return filledSlots === ROSTER_SLOTS.length && totalSalary <= SALARY_CAP;
   };
 
   const handleSaveLineup = async () => {
     if (!isLineupValid()) {
-      setMessage('❌ Lineup is not valid. Fill all 8 slots and stay under salary cap.');
+      setMessage(`❌ Lineup is not valid. Fill all ${ROSTER_SLOTS.length} slots and stay under salary cap.`);
       return;
     }
 
@@ -87,14 +128,17 @@ function LineupBuilderPage() {
     setMessage('');
 
     try {
-      const response = await lineupsAPI.create({
-        slateId,
-        name: lineupName,
-        players: lineup.map((player, index) => ({
-          ...player,
-          positionSlot: DK_POSITIONS[index]
-        }))
-      });
+      const lineupPlayers = lineup.map((player, index) => ({
+        ...player,
+        positionSlot: ROSTER_SLOTS[index]
+      }));
+
+      // Edits are saved as a new version of the lineup
+      if (editingLineupId) {
+        await lineupsAPI.update(editingLineupId, { name: lineupName, players: lineupPlayers, reason: 'edited in builder' });
+      } else {
+        await lineupsAPI.create({ slateId, name: lineupName, players: lineupPlayers });
+      }
 
       setMessage('✅ Lineup saved successfully!');
       setTimeout(() => {
@@ -116,7 +160,7 @@ function LineupBuilderPage() {
       {/* Lineup Builder - Left Side */}
       <div className="lg:col-span-2 space-y-6">
         <div className="flex items-center justify-between">
-          <h1 className="text-3xl font-bold text-gray-900">Lineup Builder</h1>
+          <h1 className="text-3xl font-bold text-gray-900">{editingLineupId ? 'Edit Lineup' : 'Lineup Builder'}</h1>
         </div>
 
         {/* Slate ID Input */}
@@ -138,7 +182,7 @@ function LineupBuilderPage() {
               className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
             />
             <button
-              onClick={loadPlayers}
+              onClick={() => loadPlayers()}
               disabled={!slateId || loading}
               className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
             >
@@ -158,12 +202,12 @@ function LineupBuilderPage() {
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-semibold">Your Lineup</h2>
               <div className="text-sm text-gray-600">
-                {filledSlots}/8 slots filled
+                {filledSlots}/{ROSTER_SLOTS.length} slots filled · {siteProfile.name}
               </div>
             </div>
 
             <div className="space-y-2">
-              {DK_POSITIONS.map((position, index) => {
+              {ROSTER_SLOTS.map((position, index) => {
                 const player = lineup[index];
                 return (
                   <div key={index} className="flex items-center gap-4 p-3 border border-gray-200 rounded-md">
@@ -290,7 +334,7 @@ function LineupBuilderPage() {
                             className="text-xs px-2 py-1 border border-gray-300 rounded"
                           >
                             <option value="">Add</option>
-                            {DK_POSITIONS.map((pos, idx) => (
+                            {ROSTER_SLOTS.map((pos, idx) => (
                               canPlayerFitPosition(player, pos) && !lineup[idx] ? (
                                 <option key={idx} value={idx}>{pos}</option>
                               ) : null
@@ -1,15 +1,170 @@
 import { useState, useEffect } from 'react';
-import { lineupsAPI } from '../services/api';
+import { Link } from 'react-router-dom';
+import { lineupsAPI, optimizerAPI, slatesAPI, exportsAPI, entriesAPI } from '../services/api';
+
+const downloadCsv = (csv, filename) => {
+  const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+// SQLite timestamps are UTC without a zone
+const formatTimestamp = (timestamp) => new Date(`${String(timestamp).replace(' ', 'T')}Z`).toLocaleString();
+
+const formatChange = (value, digits = 1) => `${value > 0 ? '+' : ''}${Number(value || 0).toFixed(digits)}`;
 
 function LineupsPage() {
   const [lineups, setLineups] = useState([]);
   const [selectedLineup, setSelectedLineup] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [swapping, setSwapping] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [entryContests, setEntryContests] = useState([]);
+  const [entriesBusy, setEntriesBusy] = useState(false);
+  const [entriesMaxExposure, setEntriesMaxExposure] = useState(100);
+  const [message, setMessage] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [versionDiff, setVersionDiff] = useState(null);
+  const [injurySwaps, setInjurySwaps] = useState(null);
+  const [injuryLog, setInjuryLog] = useState([]);
+  const [showInjuryLog, setShowInjuryLog] = useState(false);
 
   useEffect(() => {
     loadLineups();
+    loadEntries();
+    loadInjurySwaps();
   }, []);
 
+  const getActiveSlate = async () => {
+    const slateResponse = await slatesAPI.getActiveSlate();
+    if (!slateResponse.data) {
+      setMessage('No active slate. Please go to Home to select a slate.');
+    }
+    return slateResponse.data;
+  };
+
+  const loadEntries = async () => {
+    try {
+      const slateResponse = await slatesAPI.getActiveSlate();
+      if (!slateResponse.data) return;
+      const response = await entriesAPI.getBySlate(slateResponse.data.slate_id);
+      setEntryContests(response.data.contests);
+    } catch (error) {
+      console.error('Error loading entries:', error);
+    }
+  };
+
+  const loadInjurySwaps = async () => {
+    try {
+      const slateResponse = await slatesAPI.getActiveSlate();
+      if (!slateResponse.data) return;
+      const [swapsResponse, logResponse] = await Promise.all([
+        lineupsAPI.getInjurySwaps(slateResponse.data.slate_id),
+        lineupsAPI.getInjurySwapLog(slateResponse.data.slate_id),
+      ]);
+      setInjurySwaps(swapsResponse.data);
+      setInjuryLog(logResponse.data);
+    } catch (error) {
+      console.error('Error loading injury swaps:', error);
+    }
+  };
+
+  const handleApplyInjurySwaps = async () => {
+    setSwapping(true);
+    setMessage('');
+    try {
+      const slate = await getActiveSlate();
+      if (!slate) return;
+
+      const response = await lineupsAPI.applyInjurySwaps(slate.slate_id);
+      const { summary } = response.data;
+      setMessage(
+        `✅ Swapped ${summary.swaps} OUT/Doubtful player(s) across ${summary.lineups} lineup(s)` +
+        (summary.unresolved ? ` - ${summary.unresolved} could not be replaced` : '')
+      );
+
+      await Promise.all([loadLineups(), loadInjurySwaps()]);
+      if (selectedLineup) {
+        handleViewLineup(selectedLineup.id);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setSwapping(false);
+    }
+  };
+
+  const handleImportEntries = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setEntriesBusy(true);
+    setMessage('');
+    try {
+      const slate = await getActiveSlate();
+      if (!slate) return;
+
+      const response = await entriesAPI.import(slate.slate_id, await file.text());
+      const { imported, contests, playerIdsMatched } = response.data;
+      setMessage(`✅ Imported ${imported} entries in ${contests.length} contest(s), matched ${playerIdsMatched} DraftKings player IDs`);
+      await loadEntries();
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setEntriesBusy(false);
+    }
+  };
+
+  const handleFillEntries = async () => {
+    setEntriesBusy(true);
+    setMessage('');
+    try {
+      const slate = await getActiveSlate();
+      if (!slate) return;
+
+      const response = await entriesAPI.assign(slate.slate_id, { source: 'saved', maxExposure: entriesMaxExposure });
+      const { assigned, lineupsUsed, warnings, skippedLineups } = response.data;
+      setMessage(
+        `✅ Filled ${assigned} entries with ${lineupsUsed} lineups` +
+        (skippedLineups.length > 0 ? ` - ${skippedLineups.length} lineup(s) not uploadable: ${skippedLineups.map(s => `${s.label}: ${s.reason}`).join(' | ')}` : '') +
+        (warnings.length > 0 ? ` - ${warnings.join(' | ')}` : '')
+      );
+      await loadEntries();
+    } catch (error) {
+      const details = error.response?.data?.skippedLineups?.map(s => `${s.label}: ${s.reason}`).join(' | ');
+      setMessage(`❌ ${error.response?.data?.error || error.message}${details ? ` - ${details}` : ''}`);
+    } finally {
+      setEntriesBusy(false);
+    }
+  };
+
+  const handleDownloadEntries = async () => {
+    setEntriesBusy(true);
+    setMessage('');
+    try {
+      const slate = await getActiveSlate();
+      if (!slate) return;
+
+      const response = await entriesAPI.export(slate.slate_id);
+      const { csv, filename, filled, total, skipped } = response.data;
+      if (filled > 0) downloadCsv(csv, filename);
+      setMessage(
+        `${filled > 0 ? '✅' : '❌'} ${filled}/${total} entries filled` +
+        (skipped.length > 0 ? ` - skipped ${skipped.map(s => `${s.entryId}: ${s.reason}`).join(' | ')}` : '')
+      );
+    } catch (error) {
+      setMessage(`❌ Download failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setEntriesBusy(false);
+    }
+  };
+
   const loadLineups = async () => {
     setLoading(true);
     try {
@@ -26,11 +181,48 @@ function LineupsPage() {
     try {
       const response = await lineupsAPI.getById(lineupId);
       setSelectedLineup(response.data);
+      await loadVersions(lineupId);
     } catch (error) {
       console.error('Error loading lineup details:', error);
     }
   };
 
+  const loadVersions = async (lineupId) => {
+    setVersionDiff(null);
+    try {
+      const response = await lineupsAPI.getVersions(lineupId);
+      setVersions(response.data);
+    } catch (error) {
+      console.error('Error loading lineup history:', error);
+      setVersions([]);
+    }
+  };
+
+  const handleCompareVersion = async (version) => {
+    try {
+      const response = await lineupsAPI.diffVersions(selectedLineup.id, version - 1, version);
+      setVersionDiff(response.data);
+    } catch (error) {
+      setMessage(`❌ Compare failed: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleRestoreVersion = async (version) => {
+    if (!confirm(`Restore version ${version}? The current lineup stays in the history.`)) {
+      return;
+    }
+
+    try {
+      await lineupsAPI.restoreVersion(selectedLineup.id, version);
+      setMessage(`✅ Restored version ${version}`);
+      await loadLineups();
+      await handleViewLineup(selectedLineup.id);
+    } catch (error) {
+      const { error: reason, details } = error.response?.data || {};
+      setMessage(`❌ Restore failed: ${reason || error.message}${details ? ` - ${details.join(', ')}` : ''}`);
+    }
+  };
+
   const handleDeleteLineup = async (lineupId) => {
     if (!confirm('Are you sure you want to delete this lineup?')) {
       return;
@@ -47,32 +239,80 @@ function LineupsPage() {
     }
   };
 
-  const exportToCSV = (lineup) => {
-    if (!lineup || !lineup.players) return;
+  const handleLateSwap = async () => {
+    setSwapping(true);
+    setMessage('');
+    try {
+      const slateResponse = await slatesAPI.getActiveSlate();
+      const slate = slateResponse.data;
+      if (!slate) {
+        setMessage('No active slate. Please go to Home to select a slate.');
+        return;
+      }
 
-    const headers = ['Position', 'Name', 'Team', 'Salary', 'Projected Points'];
-    const rows = lineup.players.map(player => [
-      player.position_slot,
-      player.name,
-      player.team,
-      player.salary,
-      player.projected_points
-    ]);
+      if (!confirm(`Late swap all saved lineups for ${slate.name}? Players whose games have started stay locked.`)) {
+        return;
+      }
 
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
-    ].join('\n');
+      const response = await optimizerAPI.lateSwap(slate.slate_id, { apply: true });
+      const { summary } = response.data;
+      setMessage(
+        `✅ Late swap: ${summary.changed}/${summary.lineups} lineups changed, ${summary.swaps} swaps` +
+        (summary.projectionGain ? ` (+${summary.projectionGain} pts)` : '') +
+        (summary.failed ? ` - ${summary.failed} could not be swapped` : '')
+      );
 
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${lineup.name.replace(/\s+/g, '_')}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
+      await loadLineups();
+      if (selectedLineup) {
+        handleViewLineup(selectedLineup.id);
+      }
+    } catch (error) {
+      setMessage(`❌ Error: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setSwapping(false);
+    }
+  };
+
+  const handleExportDraftKings = async () => {
+    setExporting(true);
+    setMessage('');
+    try {
+      const slate = await getActiveSlate();
+      if (!slate) return;
+
+      const response = await exportsAPI.draftKingsSaved(slate.slate_id);
+      const { csv, filename, exported, total, skipped } = response.data;
+
+      if (exported > 0) downloadCsv(csv, filename);
+
+      setMessage(
+        `${exported > 0 ? '✅' : '❌'} Exported ${exported}/${total} lineups for DraftKings bulk upload` +
+        (skipped.length > 0 ? ` - skipped ${skipped.map(s => `${s.label}: ${s.reason}`).join(' | ')}` : '')
+      );
+    } catch (error) {
+      setMessage(`❌ Export failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const exportToCSV = async (lineup) => {
+    if (!lineup) return;
+
+    try {
+      // Backend writes the site's upload format (DraftKings or FanDuel slot order)
+      const response = await lineupsAPI.export(lineup.id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${lineup.name.replace(/\s+/g, '_')}_${lineup.site || 'DK'}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage(`❌ Export failed: ${error.response?.data?.error || error.message}`);
+    }
   };
 
   return (
@@ -81,14 +321,87 @@ function LineupsPage() {
       <div className="lg:col-span-1 space-y-4">
         <div className="flex items-center justify-between">
           <h1 className="text-2xl font-bold text-gray-900">My Lineups</h1>
-          <button
-            onClick={loadLineups}
-            className="px-3 py-1 text-sm bg-gray-200 rounded-md hover:bg-gray-300"
-          >
-            Refresh
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={handleLateSwap}
+              disabled={swapping || lineups.length === 0}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {swapping ? 'Swapping...' : 'Late Swap'}
+            </button>
+            <button
+              onClick={handleExportDraftKings}
+              disabled={exporting || lineups.length === 0}
+              className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Export DK'}
+            </button>
+            <button
+              onClick={loadLineups}
+              className="px-3 py-1 text-sm bg-gray-200 rounded-md hover:bg-gray-300"
+            >
+              Refresh
+            </button>
+          </div>
         </div>
 
+        {message && (
+          <div className="p-3 text-sm bg-blue-50 border border-blue-200 rounded-md text-blue-800">
+            {message}
+          </div>
+        )}
+
+        {injurySwaps?.proposals.length > 0 && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-md space-y-2">
+            <div className="flex items-center justify-between">
+              <h2 className="font-semibold text-red-800">
+                🚑 {injurySwaps.summary.players} player(s) now OUT/Doubtful in {injurySwaps.summary.lineups} lineup(s)
+              </h2>
+              <button
+                onClick={handleApplyInjurySwaps}
+                disabled={swapping || injurySwaps.summary.swaps === 0}
+                className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                Apply {injurySwaps.summary.swaps} swaps
+              </button>
+            </div>
+            <div className="max-h-60 overflow-y-auto space-y-1 text-sm">
+              {injurySwaps.proposals.map(proposal => proposal.swaps.map(swap => (
+                <div key={`${proposal.lineupId}-${swap.out.id}`} className="text-gray-800">
+                  <span className="font-medium">{proposal.name}</span> · {swap.position}:{' '}
+                  <span className="text-red-700">{swap.out.name} ({swap.out.injuryStatus})</span> →{' '}
+                  {swap.in ? (
+                    <span className="text-green-700">
+                      {swap.in.name} ({formatChange(swap.projectionChange)} pts)
+                    </span>
+                  ) : (
+                    <span className="text-gray-500">{swap.reason}</span>
+                  )}
+                </div>
+              )))}
+            </div>
+          </div>
+        )}
+
+        {injuryLog.length > 0 && (
+          <div className="bg-white rounded-lg shadow p-3 text-sm">
+            <button onClick={() => setShowInjuryLog(!showInjuryLog)} className="text-blue-600 hover:text-blue-800">
+              {showInjuryLog ? 'Hide' : 'Show'} injury swap log ({injuryLog.length})
+            </button>
+            {showInjuryLog && (
+              <div className="mt-2 max-h-60 overflow-y-auto space-y-1">
+                {injuryLog.map(entry => (
+                  <div key={entry.id} className="text-gray-700">
+                    <span className="text-xs text-gray-500">{formatTimestamp(entry.created_at)}</span>{' '}
+                    {entry.lineup_name} · {entry.position_slot}: {entry.player_out_name} ({entry.injury_status}) → {entry.player_in_name}{' '}
+                    <span className="text-gray-500">({formatChange(entry.projection_change)} pts)</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {loading ? (
           <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
             Loading lineups...
@@ -133,6 +446,65 @@ function LineupsPage() {
             No lineups saved yet. Create one in the Lineup Builder!
           </div>
         )}
+
+        {/* DraftKings Entries */}
+        <div className="bg-white rounded-lg shadow p-4 space-y-3">
+          <h2 className="font-semibold text-gray-900">DraftKings Entries</h2>
+          <p className="text-xs text-gray-500">
+            Import the entries CSV from DraftKings, fill it with your saved lineups, then download it for re-upload.
+          </p>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImportEntries}
+            disabled={entriesBusy}
+            className="block w-full text-sm text-gray-600"
+          />
+
+          {entryContests.length > 0 && (
+            <>
+              <div className="space-y-1">
+                {entryContests.map(contest => (
+                  <div key={contest.contestId} className="flex justify-between text-sm">
+                    <span className="truncate mr-2">{contest.contestName} ({contest.entryFee})</span>
+                    <span className={contest.filled === contest.entries ? 'text-green-600' : 'text-gray-500'}>
+                      {contest.filled}/{contest.entries}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="text-xs text-gray-600">Max exposure %</label>
+                <input
+                  type="number"
+                  value={entriesMaxExposure}
+                  onChange={(e) => setEntriesMaxExposure(parseInt(e.target.value) || 100)}
+                  min="1"
+                  max="100"
+                  className="w-20 px-2 py-1 text-sm border border-gray-300 rounded"
+                />
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={handleFillEntries}
+                  disabled={entriesBusy || lineups.length === 0}
+                  className="flex-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Fill Entries
+                </button>
+                <button
+                  onClick={handleDownloadEntries}
+                  disabled={entriesBusy}
+                  className="flex-1 px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                >
+                  Download Filled CSV
+                </button>
+              </div>
+            </>
+          )}
+        </div>
       </div>
 
       {/* Lineup Details */}
@@ -141,12 +513,20 @@ function LineupsPage() {
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold text-gray-900">{selectedLineup.name}</h2>
-              <button
-                onClick={() => exportToCSV(selectedLineup)}
-                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
-              >
-                Export CSV
-              </button>
+              <div className="flex gap-2">
+                <Link
+                  to={`/lineup-builder?lineupId=${selectedLineup.id}`}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                >
+                  Edit
+                </Link>
+                <button
+                  onClick={() => exportToCSV(selectedLineup)}
+                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
+                >
+                  Export CSV
+                </button>
+              </div>
             </div>
 
             {/* Lineup Summary */}
@@ -160,7 +540,7 @@ function LineupsPage() {
               <div>
                 <div className="text-sm text-gray-600">Remaining</div>
                 <div className="text-xl font-bold text-green-600">
-                  ${(50000 - selectedLineup.total_salary)?.toLocaleString()}
+                  ${((selectedLineup.salary_cap || 50000) - selectedLineup.total_salary)?.toLocaleString()}
                 </div>
               </div>
               <div>
@@ -234,6 +614,83 @@ function LineupsPage() {
                 <div>Last Updated: {new Date(selectedLineup.updated_at).toLocaleString()}</div>
               </div>
             </div>
+
+            {/* History */}
+            {versions.length > 0 && (
+              <div className="mt-6 pt-6 border-t border-gray-200">
+                <h3 className="font-semibold text-gray-900 mb-3">History</h3>
+                <div className="space-y-2">
+                  {versions.map((version, index) => (
+                    <div key={version.version} className="flex items-start justify-between text-sm border border-gray-100 rounded-md p-2">
+                      <div className="min-w-0">
+                        <div className="font-medium text-gray-900">
+                          v{version.version} · {version.reason}
+                          <span className="ml-2 text-xs font-normal text-gray-500">{formatTimestamp(version.createdAt)}</span>
+                        </div>
+                        <div className="text-xs text-gray-600">
+                          ${version.totalSalary?.toLocaleString()} · {version.projectedPoints?.toFixed(1)} pts
+                          {version.projectionChange !== undefined && ` (${formatChange(version.projectionChange)})`}
+                        </div>
+                        {(version.playersIn.length > 0 || version.playersOut.length > 0) && (
+                          <div className="text-xs mt-0.5">
+                            {version.playersIn.length > 0 && <span className="text-green-600">In: {version.playersIn.join(', ')} </span>}
+                            {version.playersOut.length > 0 && <span className="text-red-600">Out: {version.playersOut.join(', ')}</span>}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex gap-2 shrink-0 ml-2">
+                        {index < versions.length - 1 && (
+                          <button
+                            onClick={() => handleCompareVersion(version.version)}
+                            className="text-xs text-blue-600 hover:text-blue-800"
+                          >
+                            Compare
+                          </button>
+                        )}
+                        {index > 0 && (
+                          <button
+                            onClick={() => handleRestoreVersion(version.version)}
+                            className="text-xs text-gray-600 hover:text-gray-900"
+                          >
+                            Restore
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {versionDiff && (
+                  <div className="mt-4 p-3 bg-gray-50 rounded-md text-sm space-y-1">
+                    <div className="font-medium text-gray-900">
+                      v{versionDiff.from.version} → v{versionDiff.to.version}: {formatChange(versionDiff.projectionChange)} pts, {versionDiff.salaryChange >= 0 ? '+' : '-'}${Math.abs(versionDiff.salaryChange).toLocaleString()}
+                    </div>
+                    {versionDiff.removed.map(player => (
+                      <div key={`out-${player.playerId}`} className="text-red-600">
+                        − {player.slot} {player.name} ({player.projectedPoints?.toFixed(1)} pts{player.injuryStatus ? `, ${player.injuryStatus}` : ''})
+                      </div>
+                    ))}
+                    {versionDiff.added.map(player => (
+                      <div key={`in-${player.playerId}`} className="text-green-600">
+                        + {player.slot} {player.name} ({player.projectedPoints?.toFixed(1)} pts{player.injuryStatus ? `, ${player.injuryStatus}` : ''})
+                      </div>
+                    ))}
+                    {versionDiff.moved.map(player => (
+                      <div key={`move-${player.playerId}`} className="text-gray-600">
+                        ↔ {player.name}: {player.fromSlot} → {player.toSlot}
+                      </div>
+                    ))}
+                    {versionDiff.projectionChanges.map(player => (
+                      <div key={`proj-${player.playerId}`} className="text-gray-600">
+                        {player.name}: {player.projectedPoints.from?.toFixed(1)} → {player.projectedPoints.to?.toFixed(1)} pts
+                        {player.injuryStatus.from !== player.injuryStatus.to && ` · ${player.injuryStatus.from || 'active'} → ${player.injuryStatus.to || 'active'}`}
+                        {player.salary.from !== player.salary.to && ` · $${player.salary.from?.toLocaleString()} → $${player.salary.to?.toLocaleString()}`}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         ) : (
           <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">
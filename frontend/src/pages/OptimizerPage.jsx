@@ -1,9 +1,237 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { optimizerAPI, lineupsAPI, slatesAPI, playersAPI } from '../services/api';
+import { optimizerAPI, lineupsAPI, slatesAPI, playersAPI, exportsAPI, entriesAPI } from '../services/api';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 
+// Mirrors backend utils/ownershipSource.js
+function getOwnership(player, source) {
+  const rotowire = player.rostership > 0 ? player.rostership : null;
+  const model = player.projected_ownership ?? null;
+  if (source === 'rotowire') return rotowire;
+  if (source === 'model') return model;
+  return rotowire ?? model;
+}
+
+// Summed ownership vs projection: the frontier line and our lineups as dots
+function FrontierChart({ frontier, lineups, selectedIndex, onSelect }) {
+  const width = 600;
+  const height = 240;
+  const pad = { left: 44, right: 12, top: 10, bottom: 30 };
+
+  const points = [
+    ...frontier,
+    ...lineups.map(lineup => ({ ownership: lineup.analytics?.ownershipSum ?? 0, projection: lineup.projectedPoints })),
+  ];
+  const xs = points.map(p => p.ownership);
+  const ys = points.map(p => p.projection);
+  const xMin = Math.floor(Math.min(...xs) / 10) * 10;
+  const xMax = Math.ceil(Math.max(...xs) / 10) * 10 || 10;
+  const yMin = Math.floor(Math.min(...ys) / 10) * 10;
+  const yMax = Math.ceil(Math.max(...ys) / 10) * 10 || 10;
+  const x = value => pad.left + ((value - xMin) / (xMax - xMin || 1)) * (width - pad.left - pad.right);
+  const y = value => height - pad.bottom - ((value - yMin) / (yMax - yMin || 1)) * (height - pad.top - pad.bottom);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      <line x1={pad.left} y1={height - pad.bottom} x2={width - pad.right} y2={height - pad.bottom} stroke="#d1d5db" />
+      <line x1={pad.left} y1={pad.top} x2={pad.left} y2={height - pad.bottom} stroke="#d1d5db" />
+      {[xMin, (xMin + xMax) / 2, xMax].map(tick => (
+        <text key={`x${tick}`} x={x(tick)} y={height - pad.bottom + 14} textAnchor="middle" className="fill-gray-500 text-[10px]">{Math.round(tick)}%</text>
+      ))}
+      {[yMin, (yMin + yMax) / 2, yMax].map(tick => (
+        <text key={`y${tick}`} x={pad.left - 6} y={y(tick) + 3} textAnchor="end" className="fill-gray-500 text-[10px]">{Math.round(tick)}</text>
+      ))}
+      <text x={(width + pad.left) / 2} y={height - 2} textAnchor="middle" className="fill-gray-600 text-[10px]">Summed ownership</text>
+
+      {frontier.length > 1 && (
+        <polyline
+          points={frontier.map(p => `${x(p.ownership)},${y(p.projection)}`).join(' ')}
+          fill="none"
+          stroke="#9333ea"
+          strokeWidth="2"
+        />
+      )}
+      {frontier.map((p, i) => (
+        <circle key={`f${i}`} cx={x(p.ownership)} cy={y(p.projection)} r="3" fill="#9333ea">
+          <title>{`Frontier: ${p.projection} pts at ${p.ownership}% ownership`}</title>
+        </circle>
+      ))}
+      {lineups.map((lineup, i) => (
+        <circle
+          key={`l${i}`}
+          cx={x(lineup.analytics?.ownershipSum ?? 0)}
+          cy={y(lineup.projectedPoints)}
+          r={i === selectedIndex ? 6 : 4}
+          fill={i === selectedIndex ? '#2563eb' : '#93c5fd'}
+          stroke="#1e40af"
+          className="cursor-pointer"
+          onClick={() => onSelect(i)}
+        >
+          <title>{`#${lineup.lineupNumber}: ${lineup.projectedPoints.toFixed(1)} pts at ${lineup.analytics?.ownershipSum}% ownership`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+// Past optimizer runs for the slate: re-run with the same seed or compare two runs' exposure
+function RunHistory({ slateId, refreshKey, onRerun, onUseSeed }) {
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [rerunning, setRerunning] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!slateId) return;
+    optimizerAPI.getRuns(slateId, 20)
+      .then(response => setRuns(response.data || []))
+      .catch(err => console.error('Error loading optimizer runs:', err));
+  }, [slateId, refreshKey]);
+
+  const toggleSelected = (id) => {
+    setDiff(null);
+    setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2)));
+  };
+
+  const handleCompare = async () => {
+    const [from, to] = [...selected].sort((a, b) => a - b);
+    try {
+      const response = await optimizerAPI.diffRuns(from, to);
+      setDiff(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleRerun = async (id) => {
+    setRerunning(id);
+    try {
+      const response = await optimizerAPI.rerun(id);
+      onRerun(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setRerunning(null);
+    }
+  };
+
+  if (runs.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold">Run History</h3>
+        <button
+          onClick={handleCompare}
+          disabled={selected.length !== 2}
+          className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800 disabled:bg-gray-300"
+        >
+          Compare Selected
+        </button>
+      </div>
+      {error && <div className="mb-2 text-sm text-red-600">{error}</div>}
+      <div className="overflow-x-auto max-h-64 overflow-y-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-2 py-2"></th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Run</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Lineups</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Avg Proj</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Seed</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {runs.map(run => (
+              <tr key={run.id} className={selected.includes(run.id) ? 'bg-blue-50' : ''}>
+                <td className="px-2 py-2">
+                  <input type="checkbox" checked={selected.includes(run.id)} onChange={() => toggleSelected(run.id)} />
+                </td>
+                <td className="px-3 py-2 font-medium">
+                  #{run.id}
+                  {run.rerunOf && <span className="ml-1 text-xs text-gray-500">(re-run of #{run.rerunOf})</span>}
+                </td>
+                <td className="px-3 py-2 text-gray-600">{new Date(run.createdAt).toLocaleString()}</td>
+                <td className="px-3 py-2">{run.mode}</td>
+                <td className="px-3 py-2">{run.lineupCount}</td>
+                <td className="px-3 py-2">{run.avgProjection}</td>
+                <td className="px-3 py-2 font-mono text-xs">
+                  <button onClick={() => onUseSeed(run.seed)} className="text-blue-600 hover:underline" title="Use this seed for the next run">
+                    {run.seed}
+                  </button>
+                </td>
+                <td className="px-3 py-2">
+                  <button
+                    onClick={() => handleRerun(run.id)}
+                    disabled={rerunning !== null}
+                    className="text-xs text-green-700 hover:text-green-900 disabled:text-gray-400"
+                  >
+                    {rerunning === run.id ? 'Re-running...' : 'Re-run'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {diff && (
+        <div className="mt-4 text-sm">
+          <div className="font-semibold text-gray-900 mb-1">
+            Run #{diff.from.id} → #{diff.to.id}
+            <span className="ml-2 font-normal text-gray-600">
+              {diff.identicalLineups ? 'identical lineups' : `${diff.sharedLineups} shared lineup(s)`}
+              {' · '}{diff.samePool ? 'same player pool' : 'player pool changed'}
+              {' · '}{diff.sameSeed ? 'same seed' : 'different seed'}
+              {' · '}avg projection {diff.avgProjectionChange > 0 ? '+' : ''}{diff.avgProjectionChange}
+            </span>
+          </div>
+          {diff.settingsChanges.length > 0 && (
+            <div className="mb-2 text-gray-700">
+              Settings: {diff.settingsChanges.map(change => `${change.key} ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`).join(' · ')}
+            </div>
+          )}
+          {diff.exposure.length > 0 ? (
+            <div className="max-h-56 overflow-y-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-3 py-1 text-left">Player</th>
+                    <th className="px-3 py-1 text-right">#{diff.from.id}</th>
+                    <th className="px-3 py-1 text-right">#{diff.to.id}</th>
+                    <th className="px-3 py-1 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.exposure.map(player => (
+                    <tr key={player.playerId} className="border-t border-gray-100">
+                      <td className="px-3 py-1">{player.name}</td>
+                      <td className="px-3 py-1 text-right">{player.from}%</td>
+                      <td className="px-3 py-1 text-right">{player.to}%</td>
+                      <td className={`px-3 py-1 text-right ${player.change > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {player.change > 0 ? '+' : ''}{player.change}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-gray-500">No exposure changes</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function OptimizerPage() {
   const [activeSlate, setActiveSlate] = useState(null);
   const [players, setPlayers] = useState([]);
@@ -28,6 +256,24 @@ function OptimizerPage() {
   // GPP Settings
   const [randomness, setRandomness] = useState(15);
 
+  // Objective
+  const [objectiveType, setObjectiveType] = useState('legacy');
+  const [riskLambda, setRiskLambda] = useState(0.5);
+  const [ownershipWeight, setOwnershipWeight] = useState(0);
+  const [ownershipSource, setOwnershipSource] = useState('auto');
+  const [fieldSize, setFieldSize] = useState(10000);
+  const [seed, setSeed] = useState('');
+  const [runsRefreshKey, setRunsRefreshKey] = useState(0);
+
+  // Stacking rules
+  const [teamStacks, setTeamStacks] = useState([]);
+
+  // Exposure (multi-lineup)
+  const [maxExposure, setMaxExposure] = useState(60);
+  const [minUniquePlayers, setMinUniquePlayers] = useState(0);
+  const [exposureRanges, setExposureRanges] = useState({});
+  const [portfolioName, setPortfolioName] = useState('');
+
   // Projection recalculation
   const [recalculating, setRecalculating] = useState(false);
   const [projectionResult, setProjectionResult] = useState(null);
@@ -43,20 +289,23 @@ function OptimizerPage() {
     loadActiveSlate();
   }, []);
 
+  // Site salary cap ($50k DraftKings, $60k FanDuel)
+  const salaryCap = activeSlate?.salary_cap || (activeSlate?.site === 'FD' ? 60000 : 50000);
+
   useEffect(() => {
-    // Update defaults when mode changes
+    // Update defaults when mode or site changes
     if (mode === 'cash') {
-      setMinSalary(49000);
+      setMinSalary(salaryCap - 1000);
       setMinProjection(25);
       setMinMinutes(28);
       setMaxOwnership(100);
     } else {
-      setMinSalary(47000);
+      setMinSalary(salaryCap - 3000);
       setMinProjection(20);
       setMinMinutes(20);
       setMaxOwnership(40);
     }
-  }, [mode]);
+  }, [mode, salaryCap]);
 
   const loadActiveSlate = async () => {
     try {
@@ -97,6 +346,34 @@ function OptimizerPage() {
     setLockedPlayers(prev => prev.filter(id => id !== playerId));
   };
 
+  const addStack = (type) => {
+    setTeamStacks(prev => [
+      ...prev,
+      type === 'game'
+        ? { type: 'game', teams: slateGames[0]?.teams || [], min: 4, max: '', bringBack: 1 }
+        : { type: 'team', team: slateTeams[0] || '', min: 3, max: '', bringBack: 0 }
+    ]);
+  };
+
+  const updateStack = (index, changes) => {
+    setTeamStacks(prev => prev.map((stack, i) => (i === index ? { ...stack, ...changes } : stack)));
+  };
+
+  const removeStack = (index) => {
+    setTeamStacks(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const updateExposureRange = (playerId, field, value) => {
+    setExposureRanges(prev => {
+      const range = { ...prev[playerId], [field]: value };
+      if (range.min === '' && range.max === '') {
+        const { [playerId]: _removed, ...rest } = prev;
+        return rest;
+      }
+      return { ...prev, [playerId]: range };
+    });
+  };
+
   const handleRecalculateProjections = async () => {
     if (!activeSlate) return;
 
@@ -197,15 +474,33 @@ function OptimizerPage() {
         minProjection,
         minMinutes,
         maxRostership: maxOwnership,
+        ownershipSource,
+        fieldSize,
+        frontierPoints: 6,
         randomness: mode === 'gpp' ? randomness : 0,
+        seed: seed === '' ? null : parseInt(seed),
+        teamStacks,
+        objective: objectiveType === 'meanVariance'
+          ? { type: 'meanVariance', lambda: riskLambda, ownershipWeight }
+          : null,
+        maxExposure,
+        minUniquePlayers: numLineups > 1 ? minUniquePlayers : 0,
+        exposureRanges: buildExposureRanges(),
         filterInjured: true,
+        // Save the whole batch as a new portfolio
+        portfolio: numLineups > 1 && portfolioName.trim() ? { name: portfolioName.trim() } : null,
       };
 
       const response = await optimizerAPI.generate(settings);
 
       if (response.data.lineups && response.data.lineups.length > 0) {
         setResults(response.data);
-        setMessage(`✅ Generated ${response.data.lineups.length} optimal lineup(s)!`);
+        setSelectedLineupIndex(0);
+        setRunsRefreshKey(key => key + 1);
+        setMessage(
+          `✅ Generated ${response.data.lineups.length} optimal lineup(s)! Run #${response.data.runId}, seed ${response.data.settings.seed}.` +
+          (response.data.portfolio ? ` Saved to portfolio "${response.data.portfolio.name}".` : '')
+        );
       } else {
         setMessage('❌ No lineups generated. Try relaxing your filters.');
       }
@@ -216,6 +511,76 @@ function OptimizerPage() {
     }
   };
 
+  const handleRerunLoaded = (data) => {
+    setResults(data);
+    setSelectedLineupIndex(0);
+    setRunsRefreshKey(key => key + 1);
+    const { comparison } = data;
+    setMessage(
+      comparison.reproduced
+        ? `✅ Run #${data.runId} reproduced run #${comparison.rerunOf} exactly`
+        : `⚠️ Run #${data.runId} differs from run #${comparison.rerunOf}: ${comparison.samePool ? 'same player pool' : 'player pool has changed'}, ${comparison.sharedLineups}/${data.lineups.length} lineups match`
+    );
+  };
+
+  const buildExposureRanges = () => Object.entries(exposureRanges).map(([playerId, range]) => ({
+    playerId: parseInt(playerId),
+    min: range.min ?? '',
+    max: range.max ?? '',
+  }));
+
+  // Slot + player id is all the export/entries endpoints need
+  const slimLineups = (lineups) => lineups.map(lineup => ({
+    lineupNumber: lineup.lineupNumber,
+    players: lineup.players.map(slot => ({ position: slot.position, player: { id: slot.player.id, name: slot.player.name } })),
+  }));
+
+  const handleFillEntries = async () => {
+    try {
+      const response = await entriesAPI.assign(activeSlate.slate_id, {
+        source: 'generated',
+        lineups: slimLineups(results.lineups),
+        mode: results.settings?.mode || mode,
+        maxExposure,
+        exposureRanges: buildExposureRanges(),
+      });
+      const { assigned, lineupsUsed, warnings, skippedLineups } = response.data;
+      setMessage(
+        `✅ Filled ${assigned} DraftKings entries with ${lineupsUsed} lineups - download the filled CSV from My Lineups` +
+        (skippedLineups.length > 0 ? ` - ${skippedLineups.length} lineup(s) not uploadable` : '') +
+        (warnings.length > 0 ? ` - ${warnings.join(' | ')}` : '')
+      );
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleExportDraftKings = async () => {
+    try {
+      const response = await exportsAPI.draftKingsGenerated(activeSlate.slate_id, slimLineups(results.lineups));
+      const { csv, filename, exported, total, skipped } = response.data;
+
+      if (exported > 0) {
+        const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+      }
+
+      const skippedText = skipped.map(s => `${s.label}: ${s.reason}`).join(' | ');
+      setMessage(
+        `${exported > 0 ? '✅' : '❌'} Exported ${exported}/${total} lineups to DraftKings CSV` +
+        (skipped.length > 0 ? ` - skipped ${skippedText}` : '')
+      );
+    } catch (error) {
+      setMessage(`❌ Export failed: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   const handleSaveLineup = async (lineup, index) => {
     if (!activeSlate) return;
 
@@ -230,6 +595,8 @@ function OptimizerPage() {
       await lineupsAPI.create({
         slateId: activeSlate.slate_id,
         name: `${mode.toUpperCase()} #${index + 1}`,
+        contestType: activeSlate.contest_type,
+        mode,
         players: playersData
       });
 
@@ -241,6 +608,17 @@ function OptimizerPage() {
 
   const currentLineup = results?.lineups?.[selectedLineupIndex];
 
+  // Teams and games on the slate (for stack controls)
+  const slateTeams = [...new Set(players.map(p => p.team).filter(Boolean))].sort();
+  const slateGames = Array.from(
+    players.reduce((games, p) => {
+      if (!p.team || !p.opponent) return games;
+      const teams = [p.team, p.opponent].sort();
+      games.set(teams.join(' vs '), { label: teams.join(' vs '), teams });
+      return games;
+    }, new Map()).values()
+  ).sort((a, b) => a.label.localeCompare(b.label));
+
   // Filter and sort players
   const filteredPlayers = players.filter(player =>
     player.name.toLowerCase().includes(searchTerm.toLowerCase())
@@ -312,6 +690,33 @@ function OptimizerPage() {
                               </span>
                             )}
                           </div>
+                          {numLineups > 1 && !isLocked && !isExcluded && (
+                            <div className="text-xs mt-1 flex items-center gap-1 text-gray-500">
+                              <span>Exp</span>
+                              <input
+                                type="number"
+                                value={exposureRanges[player.id]?.min ?? ''}
+                                onChange={(e) => updateExposureRange(player.id, 'min', e.target.value)}
+                                placeholder="0"
+                                min="0"
+                                max="100"
+                                className="w-12 px-1 py-0.5 border border-gray-300 rounded"
+                                title="Min exposure %"
+                              />
+                              <span>-</span>
+                              <input
+                                type="number"
+                                value={exposureRanges[player.id]?.max ?? ''}
+                                onChange={(e) => updateExposureRange(player.id, 'max', e.target.value)}
+                                placeholder={String(maxExposure)}
+                                min="0"
+                                max="100"
+                                className="w-12 px-1 py-0.5 border border-gray-300 rounded"
+                                title="Max exposure %"
+                              />
+                              <span>%</span>
+                            </div>
+                          )}
                         </div>
 
                         <div className="flex flex-col gap-1">
@@ -359,6 +764,16 @@ function OptimizerPage() {
                 {activeSlate && (
                   <p className="text-sm text-blue-600 font-medium mt-1">
                     Slate: {activeSlate.name} ({players.length} players)
+                    {activeSlate.site === 'FD' && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-bold rounded bg-blue-100 text-blue-800">
+                        FanDuel
+                      </span>
+                    )}
+                    {activeSlate.contest_type === 'Showdown' && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-bold rounded bg-yellow-100 text-yellow-800">
+                        Showdown · CPT 1.5x
+                      </span>
+                    )}
                   </p>
                 )}
               </div>
@@ -482,6 +897,62 @@ function OptimizerPage() {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Objective</label>
+                <select
+                  value={objectiveType}
+                  onChange={(e) => setObjectiveType(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                >
+                  <option value="legacy">Legacy Score</option>
+                  <option value="meanVariance">Mean-Variance</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Ownership Source</label>
+                <select
+                  value={ownershipSource}
+                  onChange={(e) => setOwnershipSource(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  title="Ownership used for the max ownership filter, leverage score and ownership weight"
+                >
+                  <option value="auto">Auto (RotoWire, then model)</option>
+                  <option value="rotowire">RotoWire</option>
+                  <option value="model">Our model</option>
+                </select>
+              </div>
+
+              {objectiveType === 'meanVariance' && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Risk λ</label>
+                    <input
+                      type="number"
+                      value={riskLambda}
+                      onChange={(e) => setRiskLambda(Math.max(0, parseFloat(e.target.value) || 0))}
+                      min="0"
+                      step="0.1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Own. Weight</label>
+                    <input
+                      type="number"
+                      value={ownershipWeight}
+                      onChange={(e) => setOwnershipWeight(Math.max(0, parseFloat(e.target.value) || 0))}
+                      min="0"
+                      step="0.1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    />
+                  </div>
+                  <p className="col-span-2 text-xs text-gray-500">
+                    Projection {mode === 'cash' ? '−' : '+'} λ·std dev − weight·ownership
+                  </p>
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2"># Lineups</label>
                 <input
@@ -494,14 +965,83 @@ function OptimizerPage() {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Contest Field Size</label>
+                <input
+                  type="number"
+                  value={fieldSize}
+                  onChange={(e) => setFieldSize(Math.max(1, parseInt(e.target.value) || 1))}
+                  min="1"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  title="Entries in the contest, for the duplicate estimate"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Seed</label>
+                <input
+                  type="number"
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                  min="0"
+                  placeholder="Random"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <p className="text-xs text-gray-500 mt-1">Same seed + same pool = same lineups</p>
+              </div>
+
+              {numLineups > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Max Exposure %</label>
+                  <input
+                    type="number"
+                    value={maxExposure}
+                    onChange={(e) => setMaxExposure(parseInt(e.target.value) || 0)}
+                    min="0"
+                    max="100"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Default cap - set per-player ranges in the pool</p>
+                </div>
+              )}
+
+              {numLineups > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Min Unique Players</label>
+                  <input
+                    type="number"
+                    value={minUniquePlayers}
+                    onChange={(e) => setMinUniquePlayers(Math.min(8, Math.max(0, parseInt(e.target.value) || 0)))}
+                    min="0"
+                    max="8"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Each lineup differs by this many players (0 = off)</p>
+                </div>
+              )}
+
+              {numLineups > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Save to Portfolio</label>
+                  <input
+                    type="text"
+                    value={portfolioName}
+                    onChange={(e) => setPortfolioName(e.target.value)}
+                    placeholder="e.g. 20-max GPP set A"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Saves the whole batch as a new portfolio (blank = don't save)</p>
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Min Salary</label>
                 <input
                   type="number"
                   value={minSalary}
-                  onChange={(e) => setMinSalary(parseInt(e.target.value) || 45000)}
-                  min="40000"
-                  max="50000"
+                  onChange={(e) => setMinSalary(parseInt(e.target.value) || salaryCap - 5000)}
+                  min={salaryCap - 10000}
+                  max={salaryCap}
                   step="500"
                   className="w-full px-3 py-2 border border-gray-300 rounded-md"
                 />
@@ -598,11 +1138,113 @@ function OptimizerPage() {
                 Pool: ~{players.filter(p =>
                   p.projected_points >= minProjection &&
                   (p.projected_minutes || 30) >= minMinutes &&
-                  (mode !== 'gpp' || (p.rostership || 0) <= maxOwnership)
+                  (mode !== 'gpp' || (getOwnership(p, ownershipSource) || 0) <= maxOwnership)
                 ).length} players will be considered
               </div>
             </div>
 
+            {/* Stacking Rules */}
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-md font-semibold text-gray-800">Stacks</h3>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => addStack('team')}
+                    disabled={slateTeams.length === 0}
+                    className="px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded hover:bg-blue-200 disabled:opacity-50"
+                  >
+                    + Team Stack
+                  </button>
+                  <button
+                    onClick={() => addStack('game')}
+                    disabled={slateGames.length === 0}
+                    className="px-3 py-1 text-sm bg-purple-100 text-purple-800 rounded hover:bg-purple-200 disabled:opacity-50"
+                  >
+                    + Game Stack
+                  </button>
+                </div>
+              </div>
+
+              {teamStacks.length === 0 ? (
+                <p className="text-sm text-gray-500">No stack rules. Add one to force correlated players together.</p>
+              ) : (
+                <div className="space-y-2">
+                  {teamStacks.map((stack, index) => (
+                    <div key={index} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end p-2 bg-white border border-gray-200 rounded">
+                      <div className="md:col-span-2">
+                        <label className="block text-xs text-gray-500 mb-1">
+                          {stack.type === 'game' ? 'Game' : 'Team'}
+                        </label>
+                        {stack.type === 'game' ? (
+                          <select
+                            value={stack.teams.join(' vs ')}
+                            onChange={(e) => updateStack(index, { teams: e.target.value.split(' vs ') })}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+                          >
+                            {slateGames.map(game => (
+                              <option key={game.label} value={game.label}>{game.label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <select
+                            value={stack.team}
+                            onChange={(e) => updateStack(index, { team: e.target.value })}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+                          >
+                            {slateTeams.map(team => (
+                              <option key={team} value={team}>{team}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500 mb-1">Min</label>
+                        <input
+                          type="number"
+                          value={stack.min}
+                          onChange={(e) => updateStack(index, { min: parseInt(e.target.value) || 0 })}
+                          min="0"
+                          max="8"
+                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500 mb-1">Max</label>
+                        <input
+                          type="number"
+                          value={stack.max}
+                          onChange={(e) => updateStack(index, { max: e.target.value === '' ? '' : parseInt(e.target.value) })}
+                          min="0"
+                          max="8"
+                          placeholder="Any"
+                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-gray-500 mb-1">
+                          {stack.type === 'game' ? 'Min Each Side' : 'Bring-Back'}
+                        </label>
+                        <input
+                          type="number"
+                          value={stack.bringBack}
+                          onChange={(e) => updateStack(index, { bringBack: parseInt(e.target.value) || 0 })}
+                          min="0"
+                          max="4"
+                          className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+                        />
+                      </div>
+                      <button
+                        onClick={() => removeStack(index)}
+                        className="px-2 py-1 text-sm text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* Optimize Button */}
             <div className="mt-6">
               {lockedPlayers.length > 0 && (
@@ -650,6 +1292,22 @@ function OptimizerPage() {
                   >
                     Save Lineup
                   </button>
+                  {activeSlate?.site !== 'FD' && (
+                    <button
+                      onClick={handleExportDraftKings}
+                      className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 font-medium"
+                    >
+                      Export DK CSV
+                    </button>
+                  )}
+                  {activeSlate?.site !== 'FD' && (
+                    <button
+                      onClick={handleFillEntries}
+                      className="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 font-medium"
+                    >
+                      Fill DK Entries
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -675,6 +1333,92 @@ function OptimizerPage() {
                 )}
               </div>
 
+              {/* Stack Rules Satisfied */}
+              {currentLineup.simulation && (
+                <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
+                  <div className="font-semibold text-indigo-900 mb-1">
+                    Contest Sim #{currentLineup.simRank} of {results.lineups.length}
+                    {results.simulation?.contest && (
+                      <span className="ml-2 font-normal text-indigo-700">
+                        ({results.simulation.settings.numSimulations} sims vs {results.simulation.contest.fieldSize}-entry field, ${results.simulation.contest.entryFee} entry)
+                      </span>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-5 gap-2 text-indigo-800">
+                    <div>ROI <strong>{currentLineup.simulation.roi ?? '-'}%</strong></div>
+                    <div>Cash <strong>{currentLineup.simulation.cashRate}%</strong></div>
+                    <div>Top 10% <strong>{currentLineup.simulation.top10Rate}%</strong></div>
+                    <div>Top 1% <strong>{currentLineup.simulation.top1Rate}%</strong></div>
+                    <div>Win <strong>{currentLineup.simulation.winRate}%</strong></div>
+                  </div>
+                </div>
+              )}
+
+              {currentLineup.analytics?.duplicates && (
+                <div className="mb-4 p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm">
+                  <div className="font-semibold text-purple-900 mb-1">
+                    Field
+                    <span className="ml-2 font-normal text-purple-700">
+                      ({results.field?.fieldSize?.toLocaleString()}-entry contest)
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-5 gap-2 text-purple-800">
+                    <div title="Expected other entries with this exact lineup">Dupes <strong>{currentLineup.analytics.duplicates.expected}</strong></div>
+                    <div>Unique <strong>{currentLineup.analytics.duplicates.probabilityUnique}%</strong></div>
+                    <div title="Product of player ownership">Own product <strong>{currentLineup.analytics.ownershipProduct.toExponential(1)}</strong></div>
+                    <div>Σ Own <strong>{currentLineup.analytics.ownershipSum}%</strong></div>
+                    <div title="Share of the field leaving less salary unused">
+                      Salary left{' '}
+                      <strong>
+                        {currentLineup.analytics.salaryLeftPercentile != null
+                          ? `more than ${currentLineup.analytics.salaryLeftPercentile}% of field`
+                          : '-'}
+                      </strong>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {currentLineup.objective && (
+                <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                  <div className="font-semibold text-gray-900 mb-1">
+                    Objective: {currentLineup.objective.label} = <span className="text-blue-600">{currentLineup.objective.total}</span>
+                  </div>
+                  <div className="grid grid-cols-4 gap-2 text-gray-700">
+                    <div>Proj <strong>{currentLineup.objective.terms?.projection ?? currentLineup.objective.projection}</strong></div>
+                    <div>Σσ <strong>{currentLineup.objective.terms?.risk ?? currentLineup.objective.stdDevSum}</strong></div>
+                    <div>Own <strong>{currentLineup.objective.terms?.ownership ?? `${currentLineup.objective.totalOwnership}%`}</strong></div>
+                    <div>Lineup σ <strong>{currentLineup.objective.lineupStdDev}</strong></div>
+                  </div>
+                </div>
+              )}
+
+              {currentLineup.stacks?.length > 0 && (
+                <div className="mb-4 flex gap-2 flex-wrap">
+                  {currentLineup.stacks.map((stack, index) => (
+                    <span
+                      key={index}
+                      className={`px-2 py-1 text-xs rounded-full font-medium ${
+                        stack.satisfied ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}
+                    >
+                      {stack.satisfied ? '✓' : '✗'} {stack.rule} ({stack.count} players)
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {/* Player Rules Binding on this Lineup */}
+              {currentLineup.rules?.some(rule => rule.binding) && (
+                <div className="mb-4 flex gap-2 flex-wrap">
+                  {currentLineup.rules.filter(rule => rule.binding).map((rule, index) => (
+                    <span key={index} className="px-2 py-1 text-xs rounded-full font-medium bg-yellow-100 text-yellow-800">
+                      Binding: {rule.rule}
+                    </span>
+                  ))}
+                </div>
+              )}
+
               {/* Lineup Selector for Multi-Lineup */}
               {results.lineups.length > 1 && (
                 <div className="mb-4 flex gap-2 flex-wrap">
@@ -710,7 +1454,7 @@ function OptimizerPage() {
                     {currentLineup.players.map((slot, index) => (
                       <tr key={index} className="hover:bg-gray-50">
                         <td className="px-4 py-3">
-                          <span className="px-2 py-1 text-xs font-bold rounded bg-blue-100 text-blue-800">
+                          <span className={`px-2 py-1 text-xs font-bold rounded ${slot.position === 'CPT' ? 'bg-yellow-100 text-yellow-800' : 'bg-blue-100 text-blue-800'}`}>
                             {slot.position}
                           </span>
                         </td>
@@ -718,8 +1462,10 @@ function OptimizerPage() {
                           <div className="font-medium text-sm">{slot.player?.name}</div>
                           <div className="text-xs text-gray-500">{slot.player?.team} vs {slot.player?.opponent}</div>
                         </td>
-                        <td className="px-4 py-3 text-sm">${slot.player?.salary?.toLocaleString()}</td>
-                        <td className="px-4 py-3 text-sm font-bold">{slot.player?.projected_points?.toFixed(1)}</td>
+                        <td className="px-4 py-3 text-sm">${(slot.salary ?? slot.player?.salary)?.toLocaleString()}</td>
+                        <td className="px-4 py-3 text-sm font-bold">
+                          {((slot.player?.projected_points || 0) * (slot.multiplier || 1)).toFixed(1)}
+                        </td>
                         <td className="px-4 py-3 text-sm">
                           <span className={slot.player?.rostership > 25 ? 'text-red-600' : 'text-green-600'}>
                             {slot.player?.rostership?.toFixed(0) || 0}%
@@ -731,6 +1477,92 @@ function OptimizerPage() {
                 </table>
               </div>
 
+              {/* Exposure Report */}
+              {results.exposureStats?.length > 0 && (
+                <div className="mt-6">
+                  <h4 className="text-sm font-semibold text-gray-700 mb-2">Exposure</h4>
+                  <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Player</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Exposure</th>
+                          {results.settings?.contestType === 'Showdown' && (
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">CPT / FLEX</th>
+                          )}
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Target</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Own%</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {results.exposureStats.map(stat => (
+                          <tr key={stat.playerId} className={stat.targetMet === false ? 'bg-red-50' : ''}>
+                            <td className="px-4 py-2 font-medium">{stat.name}</td>
+                            <td className="px-4 py-2">
+                              {stat.exposure}% <span className="text-xs text-gray-500">({stat.count}/{results.lineups.length})</span>
+                            </td>
+                            {results.settings?.contestType === 'Showdown' && (
+                              <td className="px-4 py-2">{stat.captainExposure}% / {stat.flexExposure}%</td>
+                            )}
+                            <td className={`px-4 py-2 ${stat.customRange ? 'font-medium' : 'text-gray-400'}`}>
+                              {stat.maxExposure !== undefined ? `${stat.minExposure}-${stat.maxExposure}%` : '-'}
+                              {stat.targetMet === false && <span className="ml-1 text-red-600">✗</span>}
+                            </td>
+                            <td className="px-4 py-2">{stat.ownership.toFixed(0)}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Ownership vs Projection */}
+              {results.frontier?.length > 0 && (
+                <div className="mt-6">
+                  <h4 className="text-sm font-semibold text-gray-700 mb-1">Ownership vs Projection</h4>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Line: most projection reachable at each level of summed ownership. Dots: these lineups (click to view).
+                  </p>
+                  <FrontierChart
+                    frontier={results.frontier}
+                    lineups={results.lineups}
+                    selectedIndex={selectedLineupIndex}
+                    onSelect={setSelectedLineupIndex}
+                  />
+                </div>
+              )}
+
+              {/* Salary Left vs Field */}
+              {results.field?.salaryLeft?.field && (
+                <div className="mt-6">
+                  <h4 className="text-sm font-semibold text-gray-700 mb-2">
+                    Salary Left vs Field
+                    <span className="ml-2 font-normal text-xs text-gray-500">
+                      avg ${results.field.salaryLeft.lineupsAvg} vs field ${results.field.salaryLeft.fieldAvg} (median ${results.field.salaryLeft.fieldMedian}, {results.field.sampledLineups} simulated entries)
+                    </span>
+                  </h4>
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Left</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Our Lineups</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {results.field.salaryLeft.lineups.map((bucket, index) => (
+                        <tr key={bucket.label}>
+                          <td className="px-4 py-2">{bucket.label}</td>
+                          <td className="px-4 py-2">{bucket.pct}% <span className="text-xs text-gray-500">({bucket.count})</span></td>
+                          <td className="px-4 py-2">{results.field.salaryLeft.field[index].pct}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
               {/* AI Lineup Review */}
               {lineupReview && (
                 <div className="mt-6 p-4 bg-purple-50 rounded-lg border border-purple-200">
@@ -746,6 +1578,13 @@ function OptimizerPage() {
             </div>
           )}
 
+          <RunHistory
+            slateId={activeSlate?.slate_id}
+            refreshKey={runsRefreshKey}
+            onRerun={handleRerunLoaded}
+            onUseSeed={(runSeed) => setSeed(String(runSeed))}
+          />
+
           {/* Info Box when no results */}
           {!results && !loading && (
             <div className="bg-blue-50 rounded-lg p-6 border border-blue-200">
@@ -1,6 +1,14 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { playersAPI, slatesAPI } from '../services/api';
+import { playersAPI, slatesAPI, calibrationAPI } from '../services/api';
+
+// Tooltip with the player's stored outcome percentiles (floor/ceiling are p25/p75)
+const PERCENTILES = [10, 25, 50, 75, 90, 99];
+
+function getDistributionTitle(player) {
+  if (player.p50 == null) return undefined;
+  return PERCENTILES.map(pct => `p${pct}: ${(player[`p${pct}`] || 0).toFixed(1)}`).join('  ');
+}
 
 function PlayerPoolPage() {
   const [players, setPlayers] = useState([]);
@@ -10,12 +18,24 @@ function PlayerPoolPage() {
   const [positionFilter, setPositionFilter] = useState('');
   const [sortField, setSortField] = useState('salary');
   const [sortDirection, setSortDirection] = useState('desc');
+  const [minutesWeight, setMinutesWeight] = useState(null);
 
   // Load active slate and players on mount
   useEffect(() => {
     loadActiveSlate();
+    loadMinutesWeight();
   }, []);
 
+  // The minutes model only moves Proj once calibration gives the minutes model a blend weight
+  const loadMinutesWeight = async () => {
+    try {
+      const response = await calibrationAPI.getActive();
+      setMinutesWeight(response.data.params?.blendWeights?.minutesModel || 0);
+    } catch (error) {
+      console.error('Error loading projection parameters:', error);
+    }
+  };
+
   const loadActiveSlate = async () => {
     setLoading(true);
     try {
@@ -83,6 +103,11 @@ function PlayerPoolPage() {
               Active Slate: <span className="font-medium">{activeSlate.name}</span>
             </p>
           )}
+          {minutesWeight === 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              The minutes model doesn't affect Proj yet - its blend weight is 0 until a calibration fits one (Backtest page).
+            </p>
+          )}
         </div>
         {players.length > 0 && (
           <span className="text-sm text-gray-600">
@@ -237,7 +262,7 @@ function PlayerPoolPage() {
                       {player.floor != null && player.ceiling != null && (
                         <div>
                           <span className="text-gray-500">Range:</span>
-                          <span className="ml-1 font-semibold text-gray-900">
+                          <span className="ml-1 font-semibold text-gray-900" title={getDistributionTitle(player)}>
                             {player.floor.toFixed(0)}-{player.ceiling.toFixed(0)}
                           </span>
                         </div>
@@ -332,6 +357,7 @@ function PlayerPoolPage() {
                   </th>
                   <th
                     onClick={() => handleSort('projected_minutes')}
+                    title={minutesWeight === 0 ? 'RotoWire minutes - the minutes model is not blended into Proj until calibration fits it a weight' : 'RotoWire minutes'}
                     className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase cursor-pointer hover:bg-gray-100 w-14"
                   >
                     Min {sortField === 'projected_minutes' && (sortDirection === 'asc' ? '↑' : '↓')}
@@ -459,7 +485,7 @@ function PlayerPoolPage() {
                     </td>
                     <td className="px-2 py-2 whitespace-nowrap text-sm">
                       {player.floor != null ? (
-                        <span className="font-semibold text-gray-700">
+                        <span className="font-semibold text-gray-700" title={getDistributionTitle(player)}>
                           {player.floor.toFixed(0)}
                         </span>
                       ) : (
@@ -468,7 +494,7 @@ function PlayerPoolPage() {
                     </td>
                     <td className="px-2 py-2 whitespace-nowrap text-sm">
                       {player.ceiling != null ? (
-                        <span className="font-semibold text-gray-700">
+                        <span className="font-semibold text-gray-700" title={getDistributionTitle(player)}>
                           {player.ceiling.toFixed(0)}
                         </span>
                       ) : (
@@ -0,0 +1,520 @@
+import { useState, useEffect } from 'react';
+import { slatesAPI, lineupsAPI, playersAPI, portfoliosAPI, optimizerAPI } from '../services/api';
+
+function StatCard({ label, value }) {
+  return (
+    <div>
+      <div className="text-sm text-gray-600">{label}</div>
+      <div className="text-xl font-bold text-gray-900">{value}</div>
+    </div>
+  );
+}
+
+function ExposureList({ title, rows }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h3 className="font-semibold text-gray-900 mb-2">{title}</h3>
+      <div className="space-y-1 max-h-72 overflow-y-auto">
+        {rows.map(row => (
+          <div key={row.key} className="flex items-center justify-between text-sm">
+            <span className="truncate mr-2">{row.key}</span>
+            <span className="text-gray-600 whitespace-nowrap">
+              {row.exposure}% · {row.avgPlayers} avg
+              {row.stackRate > 0 && <span className="ml-1 text-blue-600">· stacked {row.stackRate}%</span>}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TargetInputs({ playerId, targets, onChange }) {
+  return ['min', 'max'].map(key => (
+    <td key={key} className="px-3 py-1 text-right">
+      <input
+        type="number"
+        min="0"
+        max="100"
+        value={targets[playerId]?.[key] ?? ''}
+        onChange={(e) => onChange(playerId, key, e.target.value)}
+        className="w-16 px-1 py-0.5 text-right border border-gray-300 rounded"
+      />
+    </td>
+  ));
+}
+
+function RebalancePreview({ plan, onApply, applying }) {
+  const { summary } = plan;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatCard label="Lineups Changed" value={`${summary.lineupsChanged}/${summary.lineups}`} />
+        <StatCard label="Swaps" value={summary.swaps} />
+        <StatCard label="Projection" value={`${summary.projectionChange > 0 ? '+' : ''}${summary.projectionChange}`} />
+        <StatCard label="Targets Missed" value={summary.unmet.length} />
+      </div>
+
+      {summary.unmet.length > 0 && (
+        <div className="p-3 text-sm bg-yellow-50 border border-yellow-200 rounded-md text-yellow-800">
+          No valid swaps left for: {summary.unmet.map(player => `${player.name} (${player.after}%)`).join(', ')}
+        </div>
+      )}
+
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-gray-600">
+          <tr>
+            <th className="px-3 py-2 text-left">Player</th>
+            <th className="px-3 py-2 text-right">Target</th>
+            <th className="px-3 py-2 text-right">Before</th>
+            <th className="px-3 py-2 text-right">After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {plan.exposure.map(player => (
+            <tr key={player.playerId} className="border-t border-gray-100">
+              <td className="px-3 py-1">{player.name}</td>
+              <td className="px-3 py-1 text-right text-gray-600">
+                {player.min != null ? `${player.min}-${player.max}%` : '-'}
+              </td>
+              <td className="px-3 py-1 text-right">{player.before}%</td>
+              <td className={`px-3 py-1 text-right font-medium ${player.met ? '' : 'text-red-600'}`}>{player.after}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="space-y-2 max-h-80 overflow-y-auto">
+        {plan.lineups.map(lineup => (
+          <div key={lineup.lineupId} className="border border-gray-200 rounded-md p-2 text-sm">
+            <div className="flex justify-between font-medium">
+              <span>{lineup.name}</span>
+              <span className="text-gray-600">
+                {lineup.before.projectedPoints} → {lineup.after.projectedPoints} pts · ${lineup.after.totalSalary.toLocaleString()}
+              </span>
+            </div>
+            {lineup.swaps.map(swap => (
+              <div key={`${swap.out.id}-${swap.in.id}`} className="text-gray-700">
+                {swap.position}: <span className="text-red-600">{swap.out.name}</span> → <span className="text-green-700">{swap.in.name}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {!plan.applied && plan.lineups.length > 0 && (
+        <button
+          onClick={onApply}
+          disabled={applying}
+          className="px-4 py-2 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          {applying ? 'Saving...' : `Apply ${summary.swaps} swaps`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function PortfoliosPage() {
+  const [activeSlate, setActiveSlate] = useState(null);
+  const [portfolios, setPortfolios] = useState([]);
+  const [lineups, setLineups] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [portfolio, setPortfolio] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newLineupIds, setNewLineupIds] = useState([]);
+  const [message, setMessage] = useState('');
+  const [slatePlayers, setSlatePlayers] = useState([]);
+  const [targets, setTargets] = useState({});
+  const [defaultMax, setDefaultMax] = useState(100);
+  const [rebalancePlan, setRebalancePlan] = useState(null);
+  const [rebalancing, setRebalancing] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const slateResponse = await slatesAPI.getActiveSlate();
+      const slate = slateResponse.data;
+      setActiveSlate(slate);
+      if (!slate) {
+        setMessage('No active slate. Please go to Home to select a slate.');
+        return;
+      }
+
+      const [portfoliosResponse, lineupsResponse, playersResponse] = await Promise.all([
+        portfoliosAPI.getAll(slate.slate_id),
+        lineupsAPI.getAll(slate.slate_id),
+        playersAPI.getBySlateId(slate.slate_id),
+      ]);
+      setPortfolios(portfoliosResponse.data);
+      setLineups(lineupsResponse.data);
+      setSlatePlayers(playersResponse.data);
+    } catch (error) {
+      console.error('Error loading portfolios:', error);
+    }
+  };
+
+  const handleSelect = async (portfolioId) => {
+    if (portfolioId !== selectedId) {
+      setTargets({});
+      setRebalancePlan(null);
+    }
+    setSelectedId(portfolioId);
+    try {
+      const [portfolioResponse, analyticsResponse] = await Promise.all([
+        portfoliosAPI.getById(portfolioId),
+        portfoliosAPI.getAnalytics(portfolioId),
+      ]);
+      setPortfolio(portfolioResponse.data);
+      setAnalytics(analyticsResponse.data);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+    try {
+      const response = await portfoliosAPI.create({
+        slateId: activeSlate.slate_id,
+        name: newName.trim(),
+        lineupIds: newLineupIds,
+      });
+      setNewName('');
+      setNewLineupIds([]);
+      await loadData();
+      await handleSelect(response.data.id);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleDelete = async (portfolioId) => {
+    if (!confirm('Delete this portfolio? Its lineups stay saved.')) return;
+    try {
+      await portfoliosAPI.delete(portfolioId);
+      if (selectedId === portfolioId) {
+        setSelectedId(null);
+        setPortfolio(null);
+        setAnalytics(null);
+      }
+      await loadData();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const handleRemoveLineup = async (lineupId) => {
+    try {
+      await portfoliosAPI.removeLineup(selectedId, lineupId);
+      await Promise.all([loadData(), handleSelect(selectedId)]);
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const setTarget = (playerId, key, value) => {
+    setTargets(current => ({ ...current, [playerId]: { ...current[playerId], [key]: value } }));
+    setRebalancePlan(null);
+  };
+
+  const runRebalance = async (apply = false) => {
+    const targetList = Object.entries(targets)
+      .filter(([, target]) => (target.min ?? '') !== '' || (target.max ?? '') !== '')
+      .map(([playerId, target]) => ({ playerId: parseInt(playerId), min: target.min ?? '', max: target.max ?? '' }));
+
+    if (targetList.length === 0) {
+      setMessage('Set a min or max exposure for at least one player.');
+      return;
+    }
+
+    setRebalancing(true);
+    try {
+      const response = await optimizerAPI.rebalance(activeSlate.slate_id, {
+        portfolioId: selectedId,
+        targets: targetList,
+        defaultMax,
+        apply,
+      });
+      setRebalancePlan(response.data);
+      if (apply) {
+        setMessage(`✅ Rebalanced ${response.data.summary.lineupsChanged} lineups`);
+        await handleSelect(selectedId);
+      }
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.message || error.response?.data?.error || error.message}`);
+    } finally {
+      setRebalancing(false);
+    }
+  };
+
+  const toggleNewLineup = (lineupId) => {
+    setNewLineupIds(ids => (ids.includes(lineupId) ? ids.filter(id => id !== lineupId) : [...ids, lineupId]));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Portfolio list */}
+      <div className="lg:col-span-1 space-y-4">
+        <h1 className="text-2xl font-bold text-gray-900">Portfolios</h1>
+
+        {message && (
+          <div className="p-3 text-sm bg-blue-50 border border-blue-200 rounded-md text-blue-800">{message}</div>
+        )}
+
+        {portfolios.map(item => (
+          <div
+            key={item.id}
+            onClick={() => handleSelect(item.id)}
+            className={`bg-white rounded-lg shadow p-4 cursor-pointer border-2 ${
+              selectedId === item.id ? 'border-blue-500' : 'border-transparent'
+            } hover:border-blue-300`}
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-gray-900">{item.name}</h3>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDelete(item.id);
+                }}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Delete
+              </button>
+            </div>
+            <div className="text-sm text-gray-600">
+              {item.lineup_count} lineups{item.optimizer_mode && ` · ${item.optimizer_mode}`}
+            </div>
+          </div>
+        ))}
+
+        {activeSlate && (
+          <div className="bg-white rounded-lg shadow p-4 space-y-3">
+            <h2 className="font-semibold text-gray-900">New Portfolio</h2>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g. cash 3-pack"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+            <div className="max-h-48 overflow-y-auto space-y-1">
+              {lineups.map(lineup => (
+                <label key={lineup.id} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={newLineupIds.includes(lineup.id)}
+                    onChange={() => toggleNewLineup(lineup.id)}
+                  />
+                  <span className="truncate">{lineup.name}</span>
+                  <span className="ml-auto text-gray-500">{lineup.projected_points?.toFixed(1)}</span>
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleCreate}
+              disabled={!newName.trim()}
+              className="w-full px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Create ({newLineupIds.length} lineups)
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Analytics */}
+      <div className="lg:col-span-2 space-y-4">
+        {portfolio && analytics ? (
+          <>
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-2xl font-bold text-gray-900 mb-4">{portfolio.name}</h2>
+              {analytics.lineupCount > 0 ? (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <StatCard label="Lineups" value={analytics.lineupCount} />
+                  <StatCard label="Avg Ownership" value={`${analytics.ownership.avgOwnership}%`} />
+                  <StatCard label="Avg Total Own" value={`${analytics.ownership.avgTotalOwnership}%`} />
+                  <StatCard label="Total Leverage" value={analytics.ownership.totalLeverage} />
+                  <StatCard label="Avg Salary" value={`$${analytics.salary.avg.toLocaleString()}`} />
+                  <StatCard label="Avg Remaining" value={`$${analytics.salary.avgRemaining.toLocaleString()}`} />
+                  <StatCard label="Avg Shared Players" value={analytics.overlap.avgShared} />
+                  <StatCard label="Max Shared Players" value={analytics.overlap.maxShared} />
+                </div>
+              ) : (
+                <div className="text-gray-500">No lineups in this portfolio yet.</div>
+              )}
+            </div>
+
+            {analytics.lineupCount > 0 && (
+              <>
+                <div className="bg-white rounded-lg shadow p-4">
+                  <h3 className="font-semibold text-gray-900 mb-2">Player Exposure</h3>
+                  <div className="max-h-80 overflow-y-auto">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50 text-gray-600">
+                        <tr>
+                          <th className="px-3 py-2 text-left">Player</th>
+                          <th className="px-3 py-2 text-right">Salary</th>
+                          <th className="px-3 py-2 text-right">Own%</th>
+                          <th className="px-3 py-2 text-right">Exposure</th>
+                          <th className="px-3 py-2 text-right">Count</th>
+                          <th className="px-3 py-2 text-right">Min %</th>
+                          <th className="px-3 py-2 text-right">Max %</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {analytics.playerExposure.map(player => (
+                          <tr key={player.playerId} className="border-t border-gray-100">
+                            <td className="px-3 py-1">
+                              {player.name} <span className="text-xs text-gray-500">{player.team}</span>
+                            </td>
+                            <td className="px-3 py-1 text-right">${player.salary?.toLocaleString()}</td>
+                            <td className="px-3 py-1 text-right">{player.ownership}%</td>
+                            <td className="px-3 py-1 text-right font-medium">{player.exposure}%</td>
+                            <td className="px-3 py-1 text-right">{player.count}</td>
+                            <TargetInputs playerId={player.playerId} targets={targets} onChange={setTarget} />
+                          </tr>
+                        ))}
+                        {Object.keys(targets)
+                          .map(Number)
+                          .filter(playerId => !analytics.playerExposure.some(player => player.playerId === playerId))
+                          .map(playerId => {
+                            const player = slatePlayers.find(p => p.id === playerId);
+                            return (
+                              <tr key={playerId} className="border-t border-gray-100 bg-blue-50">
+                                <td className="px-3 py-1">
+                                  {player?.name} <span className="text-xs text-gray-500">{player?.team}</span>
+                                </td>
+                                <td className="px-3 py-1 text-right">${player?.salary?.toLocaleString()}</td>
+                                <td className="px-3 py-1 text-right">{player?.rostership || 0}%</td>
+                                <td className="px-3 py-1 text-right font-medium">0%</td>
+                                <td className="px-3 py-1 text-right">0</td>
+                                <TargetInputs playerId={playerId} targets={targets} onChange={setTarget} />
+                              </tr>
+                            );
+                          })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                <div className="bg-white rounded-lg shadow p-4 space-y-3">
+                  <h3 className="font-semibold text-gray-900">Rebalance</h3>
+                  <p className="text-sm text-gray-600">
+                    Set min/max exposure targets above, then preview the fewest swaps that reach them.
+                    Lineups stay under the cap and players whose games have started are left alone.
+                  </p>
+                  <div className="flex flex-wrap items-end gap-3">
+                    <label className="text-sm">
+                      <span className="block text-gray-600">Add player</span>
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && setTarget(e.target.value, 'min', '')}
+                        className="px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        <option value="">Select...</option>
+                        {slatePlayers
+                          .filter(player => !analytics.playerExposure.some(p => p.playerId === player.id) && !targets[player.id])
+                          .map(player => (
+                            <option key={player.id} value={player.id}>
+                              {player.name} ({player.team}, ${player.salary})
+                            </option>
+                          ))}
+                      </select>
+                    </label>
+                    <label className="text-sm">
+                      <span className="block text-gray-600">Max for other players %</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={defaultMax}
+                        onChange={(e) => {
+                          setDefaultMax(parseFloat(e.target.value) || 0);
+                          setRebalancePlan(null);
+                        }}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                      />
+                    </label>
+                    <button
+                      onClick={() => runRebalance(false)}
+                      disabled={rebalancing}
+                      className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Preview
+                    </button>
+                  </div>
+                  {rebalancePlan && (
+                    <RebalancePreview plan={rebalancePlan} onApply={() => runRebalance(true)} applying={rebalancing} />
+                  )}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <ExposureList title="Team Exposure" rows={analytics.teamExposure} />
+                  <ExposureList title="Game Exposure" rows={analytics.gameExposure} />
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="bg-white rounded-lg shadow p-4">
+                    <h3 className="font-semibold text-gray-900 mb-2">Salary Remaining</h3>
+                    {analytics.salary.remainingBuckets.map(bucket => (
+                      <div key={bucket.label} className="flex items-center gap-2 text-sm mb-1">
+                        <span className="w-24 text-gray-600">{bucket.label}</span>
+                        <div className="flex-1 bg-gray-100 rounded h-3">
+                          <div
+                            className="bg-blue-500 h-3 rounded"
+                            style={{ width: `${(bucket.count / analytics.lineupCount) * 100}%` }}
+                          />
+                        </div>
+                        <span className="w-8 text-right">{bucket.count}</span>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="bg-white rounded-lg shadow p-4">
+                    <h3 className="font-semibold text-gray-900 mb-2">Most Similar Lineups</h3>
+                    {analytics.overlap.mostSimilar.map(pair => (
+                      <div key={`${pair.lineupA.id}-${pair.lineupB.id}`} className="flex justify-between text-sm">
+                        <span className="truncate mr-2">{pair.lineupA.label} / {pair.lineupB.label}</span>
+                        <span className="text-gray-600">{pair.shared} shared</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="bg-white rounded-lg shadow p-4">
+                  <h3 className="font-semibold text-gray-900 mb-2">Lineups</h3>
+                  {portfolio.lineups.map(lineup => (
+                    <div key={lineup.id} className="flex items-center justify-between text-sm py-1 border-b border-gray-100 last:border-0">
+                      <span>{lineup.name}</span>
+                      <span className="flex items-center gap-3 text-gray-600">
+                        ${lineup.total_salary?.toLocaleString()} · {lineup.projected_points?.toFixed(1)} pts
+                        <button
+                          onClick={() => handleRemoveLineup(lineup.id)}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        ) : (
+          <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+            <div className="text-4xl mb-4">👈</div>
+            <div>Select a portfolio to see its exposure and overlap</div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PortfoliosPage;
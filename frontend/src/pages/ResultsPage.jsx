@@ -0,0 +1,443 @@
+import { useState, useEffect } from 'react';
+import { slatesAPI, resultsAPI, ownershipAPI } from '../services/api';
+
+// "1-1: 1000" / "2-5: 250" / "6: 50" lines -> [{ minRank, maxRank, prize }]
+const parsePayouts = (text) => text
+  .split('\n')
+  .map(line => line.match(/^\s*(\d+)\s*(?:-\s*(\d+))?\s*:\s*\$?([\d.,]+)/))
+  .filter(Boolean)
+  .map(([, minRank, maxRank, prize]) => ({
+    minRank: parseInt(minRank),
+    maxRank: parseInt(maxRank || minRank),
+    prize: parseFloat(prize.replace(/,/g, '')),
+  }));
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const profitClass = (value) => (value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-700');
+
+function SummaryTable({ title, rows, labelKey, labelHeader }) {
+  if (!rows || rows.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-x-auto">
+      <h2 className="font-semibold text-gray-900 px-4 pt-4">{title}</h2>
+      <table className="min-w-full text-sm mt-2">
+        <thead className="bg-gray-50 text-gray-600">
+          <tr>
+            <th className="px-4 py-2 text-left">{labelHeader}</th>
+            <th className="px-4 py-2 text-right">Entries</th>
+            <th className="px-4 py-2 text-right">Fees</th>
+            <th className="px-4 py-2 text-right">Winnings</th>
+            <th className="px-4 py-2 text-right">Profit</th>
+            <th className="px-4 py-2 text-right">ROI</th>
+            <th className="px-4 py-2 text-right">Cash %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row[labelKey]} className="border-t border-gray-100">
+              <td className="px-4 py-2">{row.label || row[labelKey]}</td>
+              <td className="px-4 py-2 text-right">{row.entries}</td>
+              <td className="px-4 py-2 text-right">{formatMoney(row.fees)}</td>
+              <td className="px-4 py-2 text-right">{formatMoney(row.winnings)}</td>
+              <td className={`px-4 py-2 text-right font-medium ${profitClass(row.profit)}`}>{formatMoney(row.profit)}</td>
+              <td className={`px-4 py-2 text-right ${profitClass(row.roi)}`}>{row.roi}%</td>
+              <td className="px-4 py-2 text-right">{row.cashRate}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ResultsPage() {
+  const [slates, setSlates] = useState([]);
+  const [slateId, setSlateId] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [slateResults, setSlateResults] = useState(null);
+  const [ownership, setOwnership] = useState([]);
+  const [ownershipModel, setOwnershipModel] = useState(null);
+  const [training, setTraining] = useState(false);
+  const [startingBankroll, setStartingBankroll] = useState(0);
+  const [contestId, setContestId] = useState('');
+  const [entryFee, setEntryFee] = useState('');
+  const [username, setUsername] = useState('');
+  const [payoutsText, setPayoutsText] = useState('');
+  const [csvFile, setCsvFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadSlates();
+    loadOwnershipModel();
+  }, []);
+
+  useEffect(() => {
+    loadSummary(startingBankroll);
+  }, [startingBankroll]);
+
+  useEffect(() => {
+    if (slateId) loadSlateResults(slateId);
+  }, [slateId]);
+
+  const loadSlates = async () => {
+    try {
+      const [slatesResponse, activeResponse] = await Promise.all([slatesAPI.getAll(), slatesAPI.getActiveSlate()]);
+      setSlates(slatesResponse.data || []);
+      setSlateId(activeResponse.data?.slate_id || slatesResponse.data?.[0]?.slate_id || '');
+    } catch (error) {
+      console.error('Error loading slates:', error);
+    }
+  };
+
+  const loadSummary = async (bankroll) => {
+    try {
+      const response = await resultsAPI.getSummary(bankroll);
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Error loading results summary:', error);
+    }
+  };
+
+  const loadOwnershipModel = async () => {
+    try {
+      const response = await ownershipAPI.getModel();
+      setOwnershipModel(response.data);
+    } catch (error) {
+      console.error('Error loading ownership model:', error);
+    }
+  };
+
+  const loadSlateResults = async (id) => {
+    try {
+      const [resultsResponse, ownershipResponse] = await Promise.all([
+        resultsAPI.getBySlate(id),
+        resultsAPI.getOwnership(id),
+      ]);
+      setSlateResults(resultsResponse.data);
+      setOwnership(ownershipResponse.data || []);
+    } catch (error) {
+      console.error('Error loading slate results:', error);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0] || null;
+    setCsvFile(file);
+    // DK names the download contest-standings-<contestId>.csv
+    const match = file?.name.match(/contest-standings-(\d+)/);
+    if (match) setContestId(match[1]);
+  };
+
+  const handleImport = async () => {
+    if (!slateId || !csvFile || !contestId) {
+      setMessage('Choose a slate, a standings CSV and the contest ID');
+      return;
+    }
+
+    setImporting(true);
+    setMessage('');
+    try {
+      const response = await resultsAPI.import({
+        slateId,
+        contestId,
+        csv: await csvFile.text(),
+        entryFee: entryFee || undefined,
+        username: username || undefined,
+        payouts: parsePayouts(payoutsText),
+      });
+      const { contest, entries, summary: contestSummary, warnings } = response.data;
+      setMessage(
+        `✅ ${contest.contestName || contest.contestId}: ${entries.length} of our entries in a field of ${contest.fieldSize}, profit ${formatMoney(contestSummary.profit)}` +
+        (warnings.length > 0 ? ` - ${warnings.join(' | ')}` : '')
+      );
+      await Promise.all([loadSummary(startingBankroll), loadSlateResults(slateId)]);
+    } catch (error) {
+      setMessage(`❌ Import failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleTrainOwnership = async () => {
+    setTraining(true);
+    setMessage('');
+    try {
+      const response = await ownershipAPI.train();
+      const { model, projected } = response.data;
+      setMessage(`✅ Ownership model trained on ${model.sampleCount} players from ${model.slateCount} slate(s), ${projected} players re-projected`);
+      await Promise.all([loadOwnershipModel(), slateId && loadSlateResults(slateId)]);
+    } catch (error) {
+      setMessage(`❌ Training failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setTraining(false);
+    }
+  };
+
+  const handleDeleteContest = async (id) => {
+    if (!confirm('Delete this contest\'s results?')) return;
+    try {
+      await resultsAPI.deleteContest(id);
+      await Promise.all([loadSummary(startingBankroll), loadSlateResults(slateId)]);
+    } catch (error) {
+      setMessage(`❌ Delete failed: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const totals = summary?.totals;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Results</h1>
+        <p className="text-gray-600 mt-1">Grade lineups from DraftKings contest standings and track ROI</p>
+      </div>
+
+      {message && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-gray-800">{message}</div>
+      )}
+
+      {/* Import */}
+      <div className="bg-white rounded-lg shadow p-4 space-y-3">
+        <h2 className="font-semibold text-gray-900">Import Contest Standings</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <select
+            value={slateId}
+            onChange={(e) => setSlateId(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+          >
+            <option value="">Select slate</option>
+            {slates.map(slate => (
+              <option key={slate.slate_id} value={slate.slate_id}>{slate.name}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-gray-600"
+          />
+          <input
+            type="text"
+            value={contestId}
+            onChange={(e) => setContestId(e.target.value)}
+            placeholder="Contest ID"
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+          />
+          <input
+            type="text"
+            value={entryFee}
+            onChange={(e) => setEntryFee(e.target.value)}
+            placeholder="Entry fee (default: from imported entries)"
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+          />
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="DraftKings username"
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+          />
+          <textarea
+            value={payoutsText}
+            onChange={(e) => setPayoutsText(e.target.value)}
+            placeholder={'Payouts, one tier per line:\n1: 1000\n2-5: 250'}
+            rows={3}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+          />
+        </div>
+        <button
+          onClick={handleImport}
+          disabled={importing}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {importing ? 'Importing...' : 'Import Standings'}
+        </button>
+      </div>
+
+      {/* Bankroll */}
+      {totals && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold text-gray-900">Bankroll</h2>
+            <div className="flex items-center gap-2">
+              <label className="text-xs text-gray-600">Starting bankroll $</label>
+              <input
+                type="number"
+                value={startingBankroll}
+                onChange={(e) => setStartingBankroll(parseFloat(e.target.value) || 0)}
+                min="0"
+                className="w-28 px-2 py-1 text-sm border border-gray-300 rounded"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <div className="text-sm text-gray-600">Balance</div>
+              <div className="text-xl font-bold text-gray-900">{formatMoney(summary.currentBankroll)}</div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-600">Profit</div>
+              <div className={`text-xl font-bold ${profitClass(totals.profit)}`}>{formatMoney(totals.profit)}</div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-600">ROI</div>
+              <div className={`text-xl font-bold ${profitClass(totals.roi)}`}>{totals.roi}%</div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-600">Cash Rate</div>
+              <div className="text-xl font-bold text-gray-900">{totals.cashRate}%</div>
+            </div>
+            <div>
+              <div className="text-sm text-gray-600">Entries / Contests</div>
+              <div className="text-xl font-bold text-gray-900">{totals.entries} / {totals.contests}</div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <SummaryTable title="By Optimizer Mode" rows={summary?.byMode} labelKey="mode" labelHeader="Mode" />
+        <SummaryTable title="By Contest Type" rows={summary?.byContestType} labelKey="contestType" labelHeader="Type" />
+      </div>
+      <SummaryTable
+        title="By Slate"
+        rows={summary?.bySlate.map(slate => ({ ...slate, label: slate.slateName || slate.slateId }))}
+        labelKey="slateId"
+        labelHeader="Slate"
+      />
+
+      {/* Selected slate */}
+      {slateResults?.contests.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-4 space-y-4">
+          <h2 className="font-semibold text-gray-900">Contests on this Slate</h2>
+          {slateResults.contests.map(contest => (
+            <div key={contest.contest_id} className="border border-gray-200 rounded-md p-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-gray-900">{contest.contest_name || contest.contest_id}</div>
+                  <div className="text-xs text-gray-500">
+                    {contest.contest_type} · {formatMoney(contest.entry_fee)} · field {contest.field_size.toLocaleString()}
+                    {contest.cash_line != null && ` · cash line ${contest.cash_line}`} · winner {contest.winning_score}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className={`font-semibold ${profitClass(contest.profit)}`}>{formatMoney(contest.profit)}</span>
+                  <button
+                    onClick={() => handleDeleteContest(contest.contest_id)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+              <div className="mt-2 space-y-1">
+                {contest.results.map(result => (
+                  <div key={result.entryId} className="flex justify-between text-sm">
+                    <span className="truncate mr-2">
+                      #{result.rank} · {result.lineupLabel || result.entryName}
+                      {result.optimizerMode && <span className="ml-1 text-xs text-gray-500">({result.optimizerMode})</span>}
+                    </span>
+                    <span className="text-gray-700">
+                      {result.points} pts{result.payout > 0 && <span className="ml-2 text-green-600">{formatMoney(result.payout)}</span>}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Ownership model */}
+      {ownershipModel && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="font-semibold text-gray-900">Ownership Model</h2>
+            <button
+              onClick={handleTrainOwnership}
+              disabled={training}
+              className="px-3 py-1 text-sm bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-gray-400"
+            >
+              {training ? 'Training...' : 'Train on Imported Ownership'}
+            </button>
+          </div>
+          {ownershipModel.trained ? (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <div>
+                <div className="text-sm text-gray-600">Trained On</div>
+                <div className="text-xl font-bold text-gray-900">{ownershipModel.sample_count} / {ownershipModel.slate_count}</div>
+                <div className="text-xs text-gray-500">players / slates</div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">Model MAE</div>
+                <div className="text-xl font-bold text-gray-900">{ownershipModel.mae}%</div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">RotoWire MAE</div>
+                <div className="text-xl font-bold text-gray-900">{ownershipModel.rotowire_mae != null ? `${ownershipModel.rotowire_mae}%` : '-'}</div>
+                {ownershipModel.params.metrics?.modelMaeOnRotowirePlayers != null && (
+                  <div className="text-xs text-gray-500">ours {ownershipModel.params.metrics.modelMaeOnRotowirePlayers}% on the same players</div>
+                )}
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">Correlation</div>
+                <div className="text-xl font-bold text-gray-900">{ownershipModel.correlation ?? '-'}</div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">Trained</div>
+                <div className="text-sm font-medium text-gray-900">{new Date(ownershipModel.created_at).toLocaleString()}</div>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Using default weights. Import contest standings for a few slates, then train to calibrate against actual ownership.
+            </p>
+          )}
+        </div>
+      )}
+
+      {ownership.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <h2 className="font-semibold text-gray-900 px-4 pt-4">Actual vs Projected Ownership</h2>
+          <table className="min-w-full text-sm mt-2">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-4 py-2 text-left">Player</th>
+                <th className="px-4 py-2 text-left">Pos</th>
+                <th className="px-4 py-2 text-right">Actual</th>
+                <th className="px-4 py-2 text-right">RotoWire</th>
+                <th className="px-4 py-2 text-right">Diff</th>
+                <th className="px-4 py-2 text-right">Model</th>
+                <th className="px-4 py-2 text-right">Diff</th>
+                <th className="px-4 py-2 text-right">FPTS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ownership.slice(0, 30).map(player => (
+                <tr key={`${player.player_name}-${player.roster_position}`} className="border-t border-gray-100">
+                  <td className="px-4 py-2">{player.player_name}</td>
+                  <td className="px-4 py-2 text-gray-500">{player.roster_position}</td>
+                  <td className="px-4 py-2 text-right">{player.actual_ownership}%</td>
+                  <td className="px-4 py-2 text-right">{player.rotowire_ownership != null ? `${player.rotowire_ownership}%` : '-'}</td>
+                  <td className={`px-4 py-2 text-right ${profitClass(player.difference)}`}>
+                    {player.difference != null ? `${player.difference > 0 ? '+' : ''}${player.difference}` : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-right">{player.model_ownership != null ? `${player.model_ownership}%` : '-'}</td>
+                  <td className={`px-4 py-2 text-right ${profitClass(player.modelDifference)}`}>
+                    {player.modelDifference != null ? `${player.modelDifference > 0 ? '+' : ''}${player.modelDifference}` : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-right">{player.actual_points ?? '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ResultsPage;
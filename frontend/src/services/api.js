@@ -12,7 +12,8 @@ const api = axios.create({
 // Slates API
 export const slatesAPI = {
   getAll: () => api.get('/slates'),
-  getAvailableSlates: () => api.get('/slates/list'), // Get available slates from RotoWire
+  getAvailableSlates: (site = 'DK') => api.get('/slates/list', { params: { site } }), // Get available slates from RotoWire
+  getSites: () => api.get('/slates/sites'), // DK/FD site profiles (cap, roster slots, scoring)
   getActiveSlate: () => api.get('/slates/active'), // Get the current active slate
   getById: (slateId) => api.get(`/slates/${slateId}`),
   create: (data) => api.post('/slates', data),
@@ -36,16 +37,42 @@ export const lineupsAPI = {
   create: (data) => api.post('/lineups', data),
   update: (lineupId, data) => api.put(`/lineups/${lineupId}`, data),
   delete: (lineupId) => api.delete(`/lineups/${lineupId}`),
-  validate: (players) => api.post('/lineups/validate', { players }),
+  validate: (players, site = 'DK') => api.post('/lineups/validate', { players, site }),
+  export: (lineupId) => api.get(`/lineups/${lineupId}/export`, { responseType: 'blob' }),
+  getVersions: (lineupId) => api.get(`/lineups/${lineupId}/versions`),
+  diffVersions: (lineupId, from, to) => api.get(`/lineups/${lineupId}/versions/diff`, { params: { from, to } }),
+  restoreVersion: (lineupId, version) => api.post(`/lineups/${lineupId}/versions/${version}/restore`),
+  getInjurySwaps: (slateId) => api.get('/lineups/injury-swaps', { params: { slateId } }),
+  applyInjurySwaps: (slateId, lineupIds = null) => api.post('/lineups/injury-swaps/apply', { slateId, lineupIds }),
+  getInjurySwapLog: (slateId) => api.get('/lineups/injury-swaps/log', { params: { slateId } }),
+};
+
+// Portfolios API (named lineup sets with aggregate analytics)
+export const portfoliosAPI = {
+  getAll: (slateId = null) => api.get('/portfolios', { params: slateId ? { slateId } : {} }),
+  getById: (portfolioId) => api.get(`/portfolios/${portfolioId}`),
+  getAnalytics: (portfolioId) => api.get(`/portfolios/${portfolioId}/analytics`),
+  create: (data) => api.post('/portfolios', data),
+  update: (portfolioId, data) => api.put(`/portfolios/${portfolioId}`, data),
+  addLineups: (portfolioId, lineupIds) => api.post(`/portfolios/${portfolioId}/lineups`, { lineupIds }),
+  removeLineup: (portfolioId, lineupId) => api.delete(`/portfolios/${portfolioId}/lineups/${lineupId}`),
+  delete: (portfolioId) => api.delete(`/portfolios/${portfolioId}`),
 };
 
 // Optimizer API
 export const optimizerAPI = {
   generate: (settings) => api.post('/optimizer/generate', settings),
+  simulate: (slateId, lineups, settings = {}) => api.post('/optimizer/simulate', { slateId, lineups, settings }),
+  lateSwap: (slateId, options = {}) => api.post('/optimizer/late-swap', { slateId, ...options }),
+  rebalance: (slateId, options = {}) => api.post('/optimizer/rebalance', { slateId, ...options }),
   validate: (players, minSalary) => api.post('/optimizer/validate', { players, minSalary }),
   autoTune: (slateId, mode) => api.post('/optimizer/auto-tune', { slateId, mode }),
   slateBreakdown: (slateId, mode) => api.post('/optimizer/slate-breakdown', { slateId, mode }),
   reviewLineup: (slateId, lineup, mode) => api.post('/optimizer/review-lineup', { slateId, lineup, mode }),
+  getRuns: (slateId, limit) => api.get('/optimizer/runs', { params: { slateId, limit } }),
+  getRun: (id) => api.get(`/optimizer/runs/${id}`),
+  rerun: (id) => api.post(`/optimizer/runs/${id}/rerun`),
+  diffRuns: (from, to) => api.get('/optimizer/runs/diff', { params: { from, to } }),
 };
 
 // Chat API
@@ -88,6 +115,60 @@ export const historicalAPI = {
     api.post('/historical/usage-bumps', { players, minGames, minAvgDk }),
   getMissingPlayers: (players, minGames = 5, minAvgDk = 20) =>
     api.post('/historical/missing-players', { players, minGames, minAvgDk }),
+  getCorrelations: (team, refresh = false) =>
+    api.get(`/historical/correlations/${team}`, { params: { refresh } }),
+};
+
+// Exports API (DraftKings bulk upload CSV)
+export const exportsAPI = {
+  draftKingsSaved: (slateId) => api.get(`/exports/draftkings/${slateId}`),
+  draftKingsGenerated: (slateId, lineups) => api.post('/exports/draftkings', { slateId, lineups }),
+};
+
+// DraftKings entries API (import entries CSV, fill with lineups, download for re-upload)
+export const entriesAPI = {
+  getBySlate: (slateId) => api.get(`/entries/${slateId}`),
+  import: (slateId, csv) => api.post('/entries/import', { slateId, csv }),
+  assign: (slateId, options) => api.post(`/entries/${slateId}/assign`, options),
+  export: (slateId) => api.get(`/entries/${slateId}/export`),
+  delete: (slateId) => api.delete(`/entries/${slateId}`),
+};
+
+// Results API (DraftKings contest standings, ROI and actual ownership)
+export const resultsAPI = {
+  getSummary: (startingBankroll) => api.get('/results', { params: { startingBankroll } }),
+  getBySlate: (slateId) => api.get(`/results/slate/${slateId}`),
+  getOwnership: (slateId) => api.get(`/results/ownership/${slateId}`),
+  import: (data) => api.post('/results/import', data),
+  deleteContest: (contestId) => api.delete(`/results/contest/${contestId}`),
+};
+
+// Ownership API (our ownership projection model, trained on imported actual ownership)
+export const ownershipAPI = {
+  getModel: () => api.get('/ownership/model'),
+  train: () => api.post('/ownership/train'),
+  getSlate: (slateId) => api.get(`/ownership/${slateId}`),
+  project: (slateId) => api.post(`/ownership/${slateId}/project`),
+};
+
+// Projection backtests (enhanced projection replayed over historical games)
+export const backtestsAPI = {
+  getAll: (limit = 50) => api.get('/backtests', { params: { limit } }),
+  getById: (id) => api.get(`/backtests/${id}`),
+  run: (settings) => api.post('/backtests', settings),
+  getStatus: () => api.get('/backtests/status'),
+  delete: (id) => api.delete(`/backtests/${id}`),
+};
+
+// Projection calibration (fitted blend weights / adjustment coefficients, versioned with rollback)
+export const calibrationAPI = {
+  run: (settings) => api.post('/calibration', settings),
+  getStatus: () => api.get('/calibration/status'),
+  getParams: (limit = 50) => api.get('/calibration/params', { params: { limit } }),
+  getActive: () => api.get('/calibration/params/active'),
+  getSet: (id) => api.get(`/calibration/params/${id}`),
+  activate: (id) => api.post(`/calibration/params/${id}/activate`),
+  rollback: () => api.post('/calibration/params/rollback'),
 };
 
 export default api;